@@ -0,0 +1,526 @@
+const mongoose = require('mongoose');
+const jobQueueService = require('../services/jobQueueService');
+const scraperHealthService = require('../services/scraperHealthService');
+const selectorConfigService = require('../services/selectorConfigService');
+const searchCacheService = require('../services/searchCacheService');
+const productMatchingService = require('../services/productMatchingService');
+const priceValidationService = require('../services/priceValidationService');
+const { validateSelectorConfig, parseSelectorConfig } = require('../services/scrapers/selectorConfig');
+
+// @desc    Get price update queue status
+// @route   GET /api/admin/jobs
+// @access  Private/Admin
+exports.getJobQueueStatus = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const status = await jobQueueService.getStatus({ limit });
+
+    res.json({
+      success: true,
+      ...status
+    });
+  } catch (error) {
+    console.error('Error getting job queue status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting job queue status',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Queue price updates for all products now
+// @route   POST /api/admin/jobs/enqueue
+// @access  Private/Admin
+exports.enqueuePriceUpdates = async (req, res) => {
+  try {
+    const result = await jobQueueService.enqueueProductUpdates();
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error queueing price updates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error queueing price updates',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get scraper success rates, captcha hits and disabled sources
+// @route   GET /api/admin/scrapers/health
+// @access  Private/Admin
+exports.getScraperHealth = async (req, res) => {
+  try {
+    const hours = Math.min(Math.max(parseInt(req.query.hours) || 24, 1), 24 * 30);
+    const bucketHours = Math.min(Math.max(parseInt(req.query.bucketHours) || 1, 1), hours);
+    const health = await scraperHealthService.getHealth({ hours, bucketHours });
+
+    res.json({
+      success: true,
+      ...health
+    });
+  } catch (error) {
+    console.error('Error getting scraper health:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting scraper health',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Re-enable an automatically disabled scraper source
+// @route   POST /api/admin/scrapers/:source/enable
+// @access  Private/Admin
+exports.enableScraperSource = async (req, res) => {
+  try {
+    const status = await scraperHealthService.enableSource(req.params.source);
+
+    if (!status) {
+      return res.status(404).json({
+        success: false,
+        message: 'Source has never been disabled'
+      });
+    }
+
+    res.json({
+      success: true,
+      status
+    });
+  } catch (error) {
+    console.error('Error enabling scraper source:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error enabling scraper source',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get the selector config each scraper source is using
+// @route   GET /api/admin/scrapers/selectors
+// @access  Private/Admin
+exports.getSelectorConfigs = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      lastReloadAt: selectorConfigService.lastReloadAt,
+      configs: selectorConfigService.listConfigs()
+    });
+  } catch (error) {
+    console.error('Error getting selector configs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting selector configs',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Store a selector config for a source, overriding its file config
+// @route   PUT /api/admin/scrapers/:source/selectors
+// @access  Private/Admin
+exports.updateSelectorConfig = async (req, res) => {
+  try {
+    const { source } = req.params;
+    let { config } = req.body;
+
+    // Configs may be sent as an object or as JSON/YAML text
+    if (typeof config === 'string') {
+      try {
+        config = parseSelectorConfig(config, '.yaml');
+      } catch (parseError) {
+        return res.status(400).json({
+          success: false,
+          message: 'Could not parse selector config',
+          errors: [parseError.message]
+        });
+      }
+    }
+
+    const errors = validateSelectorConfig({ ...config, source });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid selector config',
+        errors
+      });
+    }
+
+    const stored = await selectorConfigService.saveOverride(source, config, req.user._id);
+
+    res.json({
+      success: true,
+      source,
+      version: stored.version,
+      config: stored.config
+    });
+  } catch (error) {
+    console.error('Error updating selector config:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating selector config',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Remove a stored selector config so the source uses its file config again
+// @route   DELETE /api/admin/scrapers/:source/selectors
+// @access  Private/Admin
+exports.resetSelectorConfig = async (req, res) => {
+  try {
+    const removed = await selectorConfigService.removeOverride(req.params.source);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'No stored selector config for this source'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Selector config reset to file default'
+    });
+  } catch (error) {
+    console.error('Error resetting selector config:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting selector config',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get search cache hit/miss counts and most searched queries
+// @route   GET /api/admin/search-cache
+// @access  Private/Admin
+exports.getSearchCacheStats = async (req, res) => {
+  try {
+    const stats = await searchCacheService.getStats();
+
+    res.json({
+      success: true,
+      ...stats
+    });
+  } catch (error) {
+    console.error('Error getting search cache stats:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting search cache stats',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Clear cached search results so every source is scraped again
+// @route   DELETE /api/admin/search-cache
+// @access  Private/Admin
+exports.clearSearchCache = async (req, res) => {
+  try {
+    const removed = await searchCacheService.clear();
+
+    res.json({
+      success: true,
+      removed
+    });
+  } catch (error) {
+    console.error('Error clearing search cache:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error clearing search cache',
+      error: error.message
+    });
+  }
+};
+
+const isObjectIdList = (ids) => Array.isArray(ids) && ids.length > 0 &&
+  ids.every(id => mongoose.Types.ObjectId.isValid(id));
+
+// @desc    List canonical products that group listings across retailers
+// @route   GET /api/admin/canonical-products
+// @access  Private/Admin
+exports.getCanonicalProducts = async (req, res) => {
+  try {
+    const result = await productMatchingService.listCanonicalProducts({
+      query: req.query.q,
+      minListings: Math.max(parseInt(req.query.minListings) || 1, 1),
+      page: Math.max(parseInt(req.query.page) || 1, 1),
+      limit: Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100)
+    });
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error getting canonical products:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting canonical products',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get a canonical product with its listings and how each was matched
+// @route   GET /api/admin/canonical-products/:id
+// @access  Private/Admin
+exports.getCanonicalProduct = async (req, res) => {
+  try {
+    const result = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await productMatchingService.getCanonicalProduct(req.params.id)
+      : null;
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Canonical product not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error getting canonical product:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting canonical product',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Merge canonical products that are the same item
+// @route   POST /api/admin/canonical-products/merge
+// @access  Private/Admin
+exports.mergeCanonicalProducts = async (req, res) => {
+  try {
+    const { targetId, sourceIds } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(targetId) || !isObjectIdList(sourceIds)) {
+      return res.status(400).json({
+        success: false,
+        message: 'targetId and a non-empty sourceIds array of canonical product ids are required'
+      });
+    }
+
+    const result = await productMatchingService.mergeCanonicalProducts(targetId, sourceIds);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Canonical product not found'
+      });
+    }
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      canonical: result.canonical
+    });
+  } catch (error) {
+    console.error('Error merging canonical products:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error merging canonical products',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Move listings out of a canonical product into a new one
+// @route   POST /api/admin/canonical-products/:id/split
+// @access  Private/Admin
+exports.splitCanonicalProduct = async (req, res) => {
+  try {
+    const { productIds } = req.body;
+
+    if (!isObjectIdList(productIds)) {
+      return res.status(400).json({
+        success: false,
+        message: 'productIds must be a non-empty array of product ids'
+      });
+    }
+
+    const result = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await productMatchingService.splitCanonicalProduct(req.params.id, productIds)
+      : null;
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Canonical product not found'
+      });
+    }
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      canonical: result.canonical,
+      split: result.split
+    });
+  } catch (error) {
+    console.error('Error splitting canonical product:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error splitting canonical product',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Match unmatched listings now, or rematch every listing not placed by an admin
+// @route   POST /api/admin/canonical-products/rematch
+// @access  Private/Admin
+exports.rematchProducts = async (req, res) => {
+  try {
+    const result = await productMatchingService.matchProducts({
+      all: req.body.all === true,
+      limit: Math.min(Math.max(parseInt(req.body.limit) || 1000, 1), 10000)
+    });
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error matching products:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error matching products',
+      error: error.message
+    });
+  }
+};
+
+// @desc    List scraped prices quarantined as likely errors
+// @route   GET /api/admin/price-quarantine
+// @access  Private/Admin
+exports.getQuarantinedPrices = async (req, res) => {
+  try {
+    const { status, productId } = req.query;
+
+    if (productId && !mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid productId'
+      });
+    }
+
+    const result = await priceValidationService.listQuarantinedPrices({
+      status,
+      productId,
+      page: Math.max(parseInt(req.query.page) || 1, 1),
+      limit: Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100)
+    });
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error getting quarantined prices:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting quarantined prices',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Accept a quarantined price into the product's history
+// @route   POST /api/admin/price-quarantine/:id/approve
+// @access  Private/Admin
+exports.approveQuarantinedPrice = async (req, res) => {
+  try {
+    const result = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await priceValidationService.approveQuarantinedPrice(req.params.id, req.user._id)
+      : null;
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quarantined price not found'
+      });
+    }
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error approving quarantined price:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error approving quarantined price',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Discard a quarantined price
+// @route   POST /api/admin/price-quarantine/:id/reject
+// @access  Private/Admin
+exports.rejectQuarantinedPrice = async (req, res) => {
+  try {
+    const result = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await priceValidationService.rejectQuarantinedPrice(req.params.id, req.user._id)
+      : null;
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quarantined price not found'
+      });
+    }
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error rejecting quarantined price:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error rejecting quarantined price',
+      error: error.message
+    });
+  }
+};
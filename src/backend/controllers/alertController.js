@@ -1,12 +1,27 @@
 const User = require('../models/User');
 const Product = require('../models/Product');
+const refreshScheduler = require('../services/refreshScheduler');
+const alertConditions = require('../services/alertConditions');
 
 // @desc    Create a new price alert
 // @route   POST /api/alerts
 // @access  Private
 exports.createAlert = async (req, res) => {
   try {
-    const { productId, targetPrice } = req.body;
+    const { productId } = req.body;
+    
+    // Validate the condition for the requested alert type
+    const { error, values } = alertConditions.validateAlertInput(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    
+    // Validate re-arming, cooldown and expiry settings
+    const schedule = alertConditions.validateScheduleInput(req.body);
+    if (schedule.error) {
+      return res.status(400).json({ message: schedule.error });
+    }
+    Object.assign(values, schedule.values);
     
     // Validate product exists
     const product = await Product.findById(productId);
@@ -14,11 +29,28 @@ exports.createAlert = async (req, res) => {
       return res.status(404).json({ message: 'Product not found' });
     }
     
+    // Alerts on one variant need a variant the product has a price for
+    const variantCheck = alertConditions.validateVariant(values.variantId, product);
+    if (variantCheck.error) {
+      return res.status(400).json({ message: variantCheck.error });
+    }
+    
+    // Relative conditions are measured from the price when the alert is set
+    const referencePrice = alertConditions.getReferencePrice(values.type, product, values.offerFilter, values.variantId);
+    if (referencePrice !== undefined) {
+      values.referencePrice = referencePrice;
+    }
+    
     // Get user
     const user = await User.findById(req.user.id);
     
     // Create alert
-    await user.createAlert(productId, targetPrice);
+    await user.createAlert(productId, values);
+    
+    // Products with active alerts are refreshed more often
+    refreshScheduler.scheduleNextCheck(product._id).catch(error => {
+      console.error('Error rescheduling product refresh:', error);
+    });
     
     res.status(201).json({
       success: true,
@@ -64,17 +96,17 @@ exports.getAlerts = async (req, res) => {
 exports.updateAlert = async (req, res) => {
   try {
     const alertId = req.params.id;
-    const { targetPrice, active } = req.body;
-    
-    // Validate alert data
-    if (targetPrice !== undefined && typeof targetPrice !== 'number') {
-      return res.status(400).json({ message: 'Target price must be a number' });
-    }
+    const { type, targetPrice, percentage, withinDays, offerFilter, variantId, active } = req.body;
     
     if (active !== undefined && typeof active !== 'boolean') {
       return res.status(400).json({ message: 'Active flag must be a boolean' });
     }
     
+    const schedule = alertConditions.validateScheduleInput(req.body);
+    if (schedule.error) {
+      return res.status(400).json({ message: schedule.error });
+    }
+    
     // Get user
     const user = await User.findById(req.user.id);
     
@@ -84,9 +116,46 @@ exports.updateAlert = async (req, res) => {
       return res.status(404).json({ message: 'Alert not found' });
     }
     
-    // Update alert
+    // Validate the resulting condition, falling back to the alert's current fields
+    const conditionChanged = [type, targetPrice, percentage, withinDays, offerFilter, variantId].some(value => value !== undefined);
     const updates = {};
-    if (targetPrice !== undefined) updates.targetPrice = targetPrice;
+    
+    if (conditionChanged) {
+      const nextType = type || alert.type;
+      const { error, values } = alertConditions.validateAlertInput({
+        type: nextType,
+        targetPrice: targetPrice !== undefined ? targetPrice : alert.targetPrice,
+        percentage: percentage !== undefined ? percentage : alert.percentage,
+        withinDays: withinDays !== undefined ? withinDays : alert.withinDays,
+        offerFilter: offerFilter !== undefined ? offerFilter : alert.offerFilter,
+        variantId: variantId !== undefined ? variantId : alert.variantId
+      });
+      
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+      
+      Object.assign(updates, values);
+      
+      // Switching type, offer filter or variant re-baselines relative conditions against today's price
+      if (nextType !== alert.type || offerFilter !== undefined || variantId !== undefined) {
+        const product = await Product.findById(alert.productId);
+        if (!product) {
+          return res.status(404).json({ message: 'Product not found' });
+        }
+        
+        const variantCheck = alertConditions.validateVariant(values.variantId, product);
+        if (variantCheck.error) {
+          return res.status(400).json({ message: variantCheck.error });
+        }
+        updates.referencePrice = alertConditions.getReferencePrice(nextType, product, values.offerFilter, values.variantId);
+      }
+      
+      // A new condition deserves a fresh notification
+      updates.notificationSent = false;
+    }
+    
+    Object.assign(updates, schedule.values);
     if (active !== undefined) updates.active = active;
     
     const updatedAlert = await user.updateAlertStatus(alertId, updates);
@@ -136,4 +205,39 @@ exports.deleteAlert = async (req, res) => {
       error: error.message 
     });
   }
-}; 
\ No newline at end of file
+};
+
+// @desc    Get trigger history for an alert
+// @route   GET /api/alerts/:id/history
+// @access  Private
+exports.getAlertHistory = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    
+    // Find alert
+    const alert = user.alerts.id(req.params.id);
+    if (!alert) {
+      return res.status(404).json({ message: 'Alert not found' });
+    }
+    
+    // Most recent triggers first
+    const history = [...alert.triggerHistory].sort((a, b) => b.triggeredAt - a.triggeredAt);
+    
+    res.json({
+      success: true,
+      alertId: alert._id,
+      mode: alert.mode,
+      cooldownHours: alert.cooldownHours,
+      expiresAt: alert.expiresAt,
+      lastTriggeredAt: alert.lastTriggeredAt,
+      armed: alert.active && !alert.notificationSent,
+      history
+    });
+  } catch (error) {
+    console.error('Error getting alert history:', error);
+    res.status(500).json({ 
+      message: 'Server error getting alert history',
+      error: error.message 
+    });
+  }
+};
\ No newline at end of file
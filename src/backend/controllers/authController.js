@@ -140,9 +140,12 @@ exports.updateUserProfile = async (req, res) => {
     if (name) user.name = name;
     if (email) user.email = email;
     if (preferences) {
+      // Channels are managed through /api/notifications/channels; the client only
+      // ever sees masked credentials, so echoing them back here would wipe them
+      const { notificationChannels, ...preferenceUpdates } = preferences;
       user.preferences = {
         ...user.preferences,
-        ...preferences
+        ...preferenceUpdates
       };
     }
     
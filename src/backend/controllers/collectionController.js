@@ -16,7 +16,6 @@ exports.getCollection = async (req, res) => {
       // Define search terms mapping
       const searchTerms = {
         'trending': 'trending',
-        'discount-deals': 'discount deals',
         'new-arrivals': 'new release',
         'top-rated': 'best seller'
       };
@@ -81,7 +80,8 @@ exports.refreshCollection = async (req, res) => {
     const { name } = req.params;
     const { searchTerm } = req.body;
     
-    if (!searchTerm) {
+    // Collections picked from stored products don't search
+    if (!searchTerm && !collectionService.isDatabaseCollection(name)) {
       return res.status(400).json({
         success: false,
         message: 'Search term is required'
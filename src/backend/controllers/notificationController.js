@@ -0,0 +1,299 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const notificationService = require('../services/notificationService');
+const channels = require('../services/channels');
+
+// @desc    Get notifications for user
+// @route   GET /api/notifications
+// @access  Private
+exports.getNotifications = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const filter = { user: req.user.id };
+
+    if (req.query.unread === 'true') {
+      filter.read = false;
+    }
+
+    const notifications = await Notification.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .populate({
+        path: 'product',
+        select: 'title currentPrice currency imageUrl url source'
+      });
+
+    const unreadCount = await Notification.countDocuments({ user: req.user.id, read: false });
+
+    res.json({
+      success: true,
+      notifications,
+      unreadCount
+    });
+  } catch (error) {
+    console.error('Error getting notifications:', error);
+    res.status(500).json({
+      message: 'Server error getting notifications',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Mark a notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private
+exports.markAsRead = async (req, res) => {
+  try {
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    await notification.markAsRead();
+
+    res.json({
+      success: true,
+      message: 'Notification marked as read',
+      notification
+    });
+  } catch (error) {
+    console.error('Error marking notification as read:', error);
+    res.status(500).json({
+      message: 'Server error marking notification as read',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Mark all notifications as read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+exports.markAllAsRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user.id, read: false },
+      { $set: { read: true, readAt: new Date() } }
+    );
+
+    res.json({
+      success: true,
+      message: 'All notifications marked as read',
+      updated: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Error marking all notifications as read:', error);
+    res.status(500).json({
+      message: 'Server error marking all notifications as read',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Dismiss (delete) a notification
+// @route   DELETE /api/notifications/:id
+// @access  Private
+exports.deleteNotification = async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification dismissed'
+    });
+  } catch (error) {
+    console.error('Error dismissing notification:', error);
+    res.status(500).json({
+      message: 'Server error dismissing notification',
+      error: error.message
+    });
+  }
+};
+
+// Fields a client may set on a notification channel
+const CHANNEL_FIELDS = ['type', 'name', 'url', 'secret', 'token', 'provider', 'enabled'];
+
+const pickChannelFields = (body = {}) => CHANNEL_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) {
+    fields[key] = body[key];
+  }
+  return fields;
+}, {});
+
+// @desc    Get configured notification channels
+// @route   GET /api/notifications/channels
+// @access  Private
+exports.getChannels = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({
+      success: true,
+      emailNotifications: user.preferences.emailNotifications,
+      desktopNotifications: user.preferences.desktopNotifications,
+      channels: user.preferences.notificationChannels
+    });
+  } catch (error) {
+    console.error('Error getting notification channels:', error);
+    res.status(500).json({
+      message: 'Server error getting notification channels',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Add a notification channel
+// @route   POST /api/notifications/channels
+// @access  Private
+exports.addChannel = async (req, res) => {
+  try {
+    const fields = pickChannelFields(req.body);
+    const validationError = channels.validateChannelConfig(fields);
+
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    user.preferences.notificationChannels.push(fields);
+    await user.save();
+
+    const channel = user.preferences.notificationChannels[user.preferences.notificationChannels.length - 1];
+
+    res.status(201).json({
+      success: true,
+      message: 'Notification channel added',
+      channel
+    });
+  } catch (error) {
+    console.error('Error adding notification channel:', error);
+    res.status(500).json({
+      message: 'Server error adding notification channel',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update a notification channel
+// @route   PUT /api/notifications/channels/:channelId
+// @access  Private
+exports.updateChannel = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const channel = user.preferences.notificationChannels.id(req.params.channelId);
+
+    if (!channel) {
+      return res.status(404).json({ message: 'Notification channel not found' });
+    }
+
+    // Omitted credentials are kept; an empty string clears them
+    const updates = pickChannelFields(req.body);
+    const validationError = channels.validateChannelConfig({ ...channel.toObject(), ...updates });
+
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    channel.set(updates);
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Notification channel updated',
+      channel
+    });
+  } catch (error) {
+    console.error('Error updating notification channel:', error);
+    res.status(500).json({
+      message: 'Server error updating notification channel',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Remove a notification channel
+// @route   DELETE /api/notifications/channels/:channelId
+// @access  Private
+exports.deleteChannel = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const channel = user.preferences.notificationChannels.id(req.params.channelId);
+
+    if (!channel) {
+      return res.status(404).json({ message: 'Notification channel not found' });
+    }
+
+    channel.deleteOne();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Notification channel removed'
+    });
+  } catch (error) {
+    console.error('Error removing notification channel:', error);
+    res.status(500).json({
+      message: 'Server error removing notification channel',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Send a test notification through one or all channels
+// @route   POST /api/notifications/test
+// @access  Private
+exports.sendTestNotification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const results = await notificationService.sendTestNotification(user, req.body.channelId);
+
+    if (!results) {
+      return res.status(404).json({ message: 'Notification channel not found' });
+    }
+
+    res.json({
+      success: results.every(result => result.success),
+      results
+    });
+  } catch (error) {
+    console.error('Error sending test notification:', error);
+    res.status(500).json({
+      message: 'Server error sending test notification',
+      error: error.message
+    });
+  }
+};
@@ -1,6 +1,20 @@
+const mongoose = require('mongoose');
 const Product = require('../models/Product');
 const scraperService = require('../services/scraperService');
+const searchJobService = require('../services/searchJobService');
+const searchCacheService = require('../services/searchCacheService');
 const currencyService = require('../services/currencyService');
+const scraperHealthService = require('../services/scraperHealthService');
+const refreshScheduler = require('../services/refreshScheduler');
+const alertConditions = require('../services/alertConditions');
+const productQueryService = require('../services/productQueryService');
+const productMatchingService = require('../services/productMatchingService');
+const priceValidationService = require('../services/priceValidationService');
+const { UNAVAILABLE_STATUSES } = require('../services/availability');
+const { isCountryCode, getProductLandedCost } = require('../services/landedCost');
+const { findVariant } = require('../services/productVariants');
+const urlSafety = require('../services/urlSafety');
+const User = require('../models/User');
 
 // Utility function for better logging
 function logProductStatus(message, product = null, details = {}) {
@@ -30,26 +44,6 @@ exports.getSupportedCurrencies = async (req, res) => {
   }
 };
 
-// Helper function to validate price changes
-function isValidPriceChange(oldPrice, newPrice) {
-  if (!oldPrice || !newPrice) return false;
-  
-  // Calculate percentage change
-  const percentChange = Math.abs((newPrice - oldPrice) / oldPrice) * 100;
-  
-  // Reject changes greater than 50% (could be errors or extreme sales)
-  return percentChange <= 50;
-}
-
-// Helper function to validate new product prices
-function isValidNewProductPrice(price) {
-  if (!price || price <= 0) return false;
-  
-  // Reject prices that are unreasonably high (likely errors)
-  const maxReasonablePrice = 100000; // $100,000 as a reasonable upper limit
-  return price <= maxReasonablePrice;
-}
-
 // Helper function to convert product prices
 const convertProductPrices = async (product, targetCurrency) => {
   if (!targetCurrency || product.currency === targetCurrency) {
@@ -68,11 +62,43 @@ const convertProductPrices = async (product, targetCurrency) => {
     const convertedHistory = await Promise.all(
       product.priceHistory.map(async (entry) => ({
         price: await currencyService.convertPrice(entry.price, entry.currency, targetCurrency),
+        originalPrice: entry.originalPrice
+          ? await currencyService.convertPrice(entry.originalPrice, entry.currency, targetCurrency)
+          : undefined,
         currency: targetCurrency,
         timestamp: entry.timestamp
       }))
     );
 
+    // Convert list price
+    const convertedOriginalPrice = product.originalPrice
+      ? await currencyService.convertPrice(product.originalPrice, product.currency, targetCurrency)
+      : product.originalPrice;
+
+    // Convert delivery charges; zero (free) and unknown stay as they are
+    const convertCharge = (amount) => (amount > 0
+      ? currencyService.convertPrice(amount, product.currency, targetCurrency)
+      : amount);
+
+    // Convert each variant's price and history
+    const convertedVariants = await Promise.all(
+      (product.variants || []).map(async (variant) => {
+        const fromCurrency = variant.currency || product.currency;
+        return {
+          ...variant.toObject(),
+          currentPrice: variant.currentPrice
+            ? await currencyService.convertPrice(variant.currentPrice, fromCurrency, targetCurrency)
+            : variant.currentPrice,
+          currency: targetCurrency,
+          priceHistory: await Promise.all(variant.priceHistory.map(async (entry) => ({
+            price: await currencyService.convertPrice(entry.price, entry.currency, targetCurrency),
+            currency: targetCurrency,
+            date: entry.date
+          })))
+        };
+      })
+    );
+
     // Convert predicted prices if they exist
     const convertedPredictions = product.predictedPrices ? 
       await Promise.all(
@@ -88,9 +114,13 @@ const convertProductPrices = async (product, targetCurrency) => {
     return {
       ...product.toObject(),
       currentPrice: convertedPrice,
+      originalPrice: convertedOriginalPrice,
+      shippingCost: await convertCharge(product.shippingCost),
+      importCharges: await convertCharge(product.importCharges),
       currency: targetCurrency,
       imageUrl: product.imageUrl || '',
       priceHistory: convertedHistory,
+      variants: convertedVariants,
       predictedPrices: convertedPredictions
     };
   } catch (error) {
@@ -99,10 +129,92 @@ const convertProductPrices = async (product, targetCurrency) => {
   }
 };
 
-// Search for products
+// Add the landed cost for a delivery country, in the product's (possibly converted) currency
+const withLandedCost = (product, deliveryCountry) => {
+  const fields = product.toObject ? product.toObject() : product;
+  return { ...fields, landedCost: getProductLandedCost(fields, deliveryCountry) };
+};
+
+// Fields returned for stored search matches
+const SEARCH_RESULT_FIELDS = {
+  title: 1,
+  currentPrice: 1,
+  currency: 1,
+  url: 1,
+  imageUrl: 1,
+  source: 1,
+  siteProductId: 1,
+  rating: 1,
+  availability: 1,
+  deliveryEstimate: 1,
+  priceHistory: 1,
+  lastUpdated: 1
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Stored matches are filtered and paged after the lookup, so fetch more than one page
+const STORED_MATCH_LIMIT = 200;
+
+// Find stored products for a query: exact title matches first, then full-text matches
+async function findStoredProducts(query, sources) {
+  const sourceFilter = sources ? { source: { $in: sources } } : {};
+
+  const exactMatchProducts = await Product.find(
+    { title: { $regex: new RegExp(`^${escapeRegExp(query)}$`, 'i') }, ...sourceFilter },
+    SEARCH_RESULT_FIELDS
+  )
+  .sort({ lastUpdated: -1 })
+  .limit(STORED_MATCH_LIMIT);
+  
+  if (exactMatchProducts.length > 0) {
+    logProductStatus(`Found ${exactMatchProducts.length} exact matches in database`);
+    return { products: exactMatchProducts, source: 'database-exact' };
+  }
+  
+  const partialMatchProducts = await Product.find(
+    { $text: { $search: query }, ...sourceFilter },
+    { score: { $meta: 'textScore' }, ...SEARCH_RESULT_FIELDS }
+  )
+  .sort({ score: { $meta: 'textScore' }, lastUpdated: -1 })
+  .limit(STORED_MATCH_LIMIT);
+  
+  logProductStatus(`Found ${partialMatchProducts.length} partial matches in database`);
+  return {
+    products: partialMatchProducts,
+    source: partialMatchProducts.length > 0 ? 'database-partial' : 'none'
+  };
+}
+
+// Load the products of fresh search cache entries, keeping each source's result order
+async function loadCachedResults(fresh) {
+  const productIds = Object.values(fresh).flat();
+  if (productIds.length === 0) return [];
+
+  const products = await Product.find({ _id: { $in: productIds } });
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+  return productIds
+    .map(productId => productsById.get(productId.toString()))
+    .filter(Boolean);
+}
+
+const mergeProductLists = (first, second) => {
+  const seen = new Set(first.map(product => product._id.toString()));
+  return [...first, ...second.filter(product => !seen.has(product._id.toString()))];
+};
+
+// Search for products.
+// Sources with results cached within the TTL are answered from the cache; the rest are
+// scraped by a background job that publishes each source's results on the
+// search:<jobId> WebSocket topic. refresh=true ignores the cache, and wait=true waits
+// for the scrape and returns its results in the response.
+// When the job queue is full, or the client already has too many searches running,
+// nothing is scraped and the cached and stored matches come back with jobStatus 'busy'.
+// Results can be filtered, sorted and paged like GET /api/products.
 exports.searchProducts = async (req, res) => {
   try {
-    const { query, currency } = req.query;
+    const { query, currency, wait, refresh } = req.query;
     
     if (!query) {
       return res.status(400).json({ 
@@ -111,11 +223,20 @@ exports.searchProducts = async (req, res) => {
         products: [] 
       });
     }
+
+    const { error: optionsError, options } = productQueryService.parseListOptions(req.query);
+    if (optionsError) {
+      return res.status(400).json({
+        success: false,
+        message: optionsError,
+        products: []
+      });
+    }
     
     // Decode the query parameter if it's URL encoded
     const decodedQuery = decodeURIComponent(query);
     
-    logProductStatus(`Starting product search`, null, { query: decodedQuery, currency });
+    logProductStatus(`Starting product search`, null, { query: decodedQuery, currency, wait, refresh });
     
     // Validate currency if provided
     if (currency) {
@@ -130,216 +251,83 @@ exports.searchProducts = async (req, res) => {
       }
     }
 
-    try {
-      // Step 1: Always attempt to scrape new products first
-      logProductStatus('Starting web scraping for products...');
-      const scrapedProducts = await scraperService.searchAllProducts(decodedQuery);
-      logProductStatus(`Scraped ${scrapedProducts.length} products`);
-
-      // Step 2: Process and save scraped products
-      logProductStatus('Processing and saving scraped products...');
-      const savedProducts = await Promise.all(
-        scrapedProducts.map(async (product) => {
-          try {
-            // Find existing product by source and site-specific ID
-            const existingProduct = await Product.findOne({
-              source: product.source,
-              siteProductId: product.siteProductId
-            });
-            
-            if (existingProduct) {
-              // Check for price changes
-              if (existingProduct.currentPrice !== product.currentPrice) {
-                const percentChange = Math.abs((product.currentPrice - existingProduct.currentPrice) / existingProduct.currentPrice) * 100;
-                if (isValidPriceChange(existingProduct.currentPrice, product.currentPrice)) {
-                  logProductStatus(`Updating price for existing product`, existingProduct, { 
-                    oldPrice: existingProduct.currentPrice, 
-                    newPrice: product.currentPrice,
-                    percentChange: `${percentChange.toFixed(2)}%`
-                  });
-                  await existingProduct.addPriceToHistory(product.currentPrice, product.currency);
-                  existingProduct.currentPrice = product.currentPrice;
-                  existingProduct.currency = product.currency;
-                  existingProduct.lastUpdated = new Date();
-                  await existingProduct.save();
-                }
-              }
-              return existingProduct;
-            }
-            
-            // Validate initial price for new products
-            if (!isValidNewProductPrice(product.currentPrice)) {
-              logProductStatus(`Rejected new product with invalid price`, product, { 
-                price: product.currentPrice
-              });
-              return null;
-            }
-
-            // Create and save new product
-            logProductStatus(`Creating new product`, product);
-            const newProduct = new Product({
-              ...product,
-              priceHistory: [{ price: product.currentPrice, currency: product.currency }],
-              lastUpdated: new Date()
-            });
-            await newProduct.save();
-            return newProduct;
-          } catch (error) {
-            logProductStatus(`Error processing product`, product, { error: error.message });
-            return null;
-          }
-        })
-      );
+    const cache = await searchCacheService.lookup(decodedQuery, scraperService.getSearchSources(), {
+      refresh: refresh === 'true'
+    });
+    const cachedProducts = await loadCachedResults(cache.fresh);
 
-      const validSavedProducts = savedProducts.filter(product => product !== null);
-
-      // Step 3: If no scraped products were found/saved, search the database
-      if (validSavedProducts.length === 0) {
-        logProductStatus('No new products found, searching database for matches...');
-        
-        // For database retrieval, use exact title match first
-        const exactMatchProducts = await Product.find(
-          { title: { $regex: new RegExp(`^${decodedQuery}$`, 'i') } },
-          {
-            title: 1,
-            currentPrice: 1,
-            currency: 1,
-            url: 1,
-            imageUrl: 1,
-            source: 1,
-            siteProductId: 1,
-            rating: 1,
-            priceHistory: 1,
-            lastUpdated: 1
-          }
-        )
-        .sort({ lastUpdated: -1 })
-        .limit(20);
-        
-        if (exactMatchProducts.length > 0) {
-          logProductStatus(`Found ${exactMatchProducts.length} exact matches in database`);
-          
-          // Convert prices if needed
-          const processedProducts = currency
-            ? await Promise.all(exactMatchProducts.map(product => convertProductPrices(product, currency)))
-            : exactMatchProducts;
-          
-          return res.json({
-            success: true,
-            products: processedProducts,
-            source: 'database-exact',
-            query: decodedQuery,
-            currency: currency || 'USD'
-          });
-        }
-        
-        // If no exact matches, try partial matches
-        logProductStatus('No exact matches found, searching for partial matches...');
-        const partialMatchProducts = await Product.find(
-          { $text: { $search: decodedQuery } },
-          {
-            score: { $meta: 'textScore' },
-            title: 1,
-            currentPrice: 1,
-            currency: 1,
-            url: 1,
-            imageUrl: 1,
-            source: 1,
-            siteProductId: 1,
-            rating: 1,
-            priceHistory: 1,
-            lastUpdated: 1
-          }
-        )
-        .sort({ score: { $meta: 'textScore' }, lastUpdated: -1 })
-        .limit(20);
-        
-        if (partialMatchProducts.length > 0) {
-          logProductStatus(`Found ${partialMatchProducts.length} partial matches in database`);
-          
-          // Convert prices if needed
-          const processedProducts = currency
-            ? await Promise.all(partialMatchProducts.map(product => convertProductPrices(product, currency)))
-            : partialMatchProducts;
-          
-          return res.json({
-            success: true,
-            products: processedProducts,
-            source: 'database-partial',
-            query: decodedQuery,
-            currency: currency || 'USD'
-          });
-        }
-        
-        // If still no matches, return empty result
-        return res.json({
-          success: true,
-          products: [],
-          source: 'none',
-          query: decodedQuery,
-          currency: currency || 'USD'
-        });
-      }
-      
-      // Return the freshly scraped products
-      logProductStatus(`Returning ${validSavedProducts.length} freshly scraped products`);
-      
-      // Convert prices if needed
-      const processedProducts = currency
-        ? await Promise.all(validSavedProducts.map(product => convertProductPrices(product, currency)))
-        : validSavedProducts;
-      
-      return res.json({
-        success: true,
-        products: processedProducts,
-        source: 'scraper',
-        query: decodedQuery,
-        currency: currency || 'USD'
-      });
-    } catch (scraperError) {
-      // If scraping fails, still try to search the database as a fallback
-      logProductStatus(`Scraping failed: ${scraperError.message}, falling back to database search`);
+    logProductStatus(`Search cache lookup`, null, {
+      freshSources: Object.keys(cache.fresh),
+      staleSources: cache.stale,
+      cachedProducts: cachedProducts.length
+    });
+
+    // Only sources without fresh cached results are scraped
+    const job = cache.stale.length > 0
+      ? searchJobService.startJob(decodedQuery, {
+        currency: currency ? currency.toUpperCase() : null,
+        sources: cache.stale,
+        clientId: req.ip
+      })
+      : null;
+    const busy = cache.stale.length > 0 && !job;
+
+    // Matching products in relevance order; filters, sorting and paging are applied below
+    let matches = cachedProducts;
+    let resultSource = cachedProducts.length > 0 ? 'cache' : 'none';
+
+    if (job && wait === 'true') {
+      await searchJobService.waitForJob(job);
       
-      try {
-        // Search the database as fallback
-        const dbProducts = await Product.find(
-          { $text: { $search: decodedQuery } },
-          {
-            score: { $meta: 'textScore' },
-            title: 1,
-            currentPrice: 1,
-            currency: 1,
-            url: 1,
-            imageUrl: 1,
-            source: 1,
-            siteProductId: 1,
-            rating: 1,
-            priceHistory: 1,
-            lastUpdated: 1
-          }
-        )
-        .sort({ score: { $meta: 'textScore' }, lastUpdated: -1 })
-        .limit(20);
-        
-        // Convert prices if needed
-        const processedProducts = currency
-          ? await Promise.all(dbProducts.map(product => convertProductPrices(product, currency)))
-          : dbProducts;
-        
-        return res.json({
-          success: true,
-          products: processedProducts,
-          source: 'database-fallback',
-          query: decodedQuery,
-          currency: currency || 'USD',
-          notice: 'Live scraping failed, showing cached results'
-        });
-      } catch (dbError) {
-        // Both scraping and database search failed
-        logProductStatus(`Database search also failed: ${dbError.message}`);
-        throw new Error(`Search failed: ${scraperError.message}; Database fallback failed: ${dbError.message}`);
+      if (job.products.length > 0) {
+        logProductStatus(`Returning ${job.products.length} freshly scraped products`);
+        matches = mergeProductLists(matches, job.products);
+        resultSource = cachedProducts.length > 0 ? 'cache+scraper' : 'scraper';
+      }
+    }
+
+    // Stored matches stand in for the scraped sources until their live results arrive,
+    // or for good when there was no room to scrape them
+    if (busy || (job && (wait !== 'true' || job.products.length === 0))) {
+      const stored = await findStoredProducts(decodedQuery, cache.stale);
+      matches = mergeProductLists(matches, stored.products);
+      if (cachedProducts.length === 0) {
+        resultSource = stored.source;
       }
     }
+
+    const results = await productQueryService.listProducts(options, {
+      ids: matches.map(product => product._id)
+    });
+    let products = currency
+      ? await Promise.all(results.products.map(product => convertProductPrices(product, currency)))
+      : results.products;
+    if (options.landedCost) {
+      products = products.map(product => withLandedCost(product, options.deliveryCountry));
+    }
+    
+    res.status(job && wait !== 'true' ? 202 : 200).json({
+      success: true,
+      products,
+      total: results.total,
+      page: results.page,
+      limit: results.limit,
+      totalPages: results.totalPages,
+      facets: results.facets,
+      source: resultSource,
+      query: decodedQuery,
+      currency: currency || 'USD',
+      jobId: job ? job.id : null,
+      jobStatus: job ? job.status : (busy ? 'busy' : null),
+      sources: job ? job.sources : {},
+      cache: {
+        freshSources: Object.keys(cache.fresh),
+        staleSources: cache.stale,
+        refreshed: refresh === 'true'
+      },
+      ...(job && job.status === 'failed' ? { notice: 'Live scraping failed, showing cached results' } : {}),
+      ...(busy ? { notice: 'Live search is busy, showing cached results; try again shortly' } : {})
+    });
   } catch (error) {
     console.error('Error searching products:', error);
     res.status(500).json({ 
@@ -351,6 +339,19 @@ exports.searchProducts = async (req, res) => {
   }
 };
 
+// Get progress and results so far of a background search job
+exports.getSearchJob = async (req, res) => {
+  const job = searchJobService.getJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ message: 'Search job not found or expired' });
+  }
+
+  res.json({
+    success: true,
+    job: searchJobService.toSnapshot(job)
+  });
+};
+
 // Get product by ID
 exports.getProductById = async (req, res) => {
   try {
@@ -375,32 +376,39 @@ exports.getProductById = async (req, res) => {
   }
 };
 
-// Get all products
+// Get all products, filtered, sorted and paged.
+// Accepts page, limit, sources, minPrice/maxPrice (in the requested currency), minRating,
+// sort=price|rating|discount|lastUpdated|relevance and order=asc|desc.
+// With landedCost=true (and deliveryCountry) prices are compared on the landed cost.
 exports.getAllProducts = async (req, res) => {
   try {
-    const { currency, limit = 20, page = 1 } = req.query;
-    const skip = (page - 1) * limit;
-    
-    const products = await Product.find()
-      .sort({ lastUpdated: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
+    const { currency } = req.query;
+
+    const { error: optionsError, options } = productQueryService.parseListOptions(req.query);
+    if (optionsError) {
+      return res.status(400).json({ message: optionsError });
+    }
+
+    const result = await productQueryService.listProducts(options);
     
     // Convert prices if currency is specified
-    let productsToReturn = products;
+    let productsToReturn = result.products;
     if (currency) {
       productsToReturn = await Promise.all(
-        products.map(product => convertProductPrices(product, currency))
+        result.products.map(product => convertProductPrices(product, currency))
       );
     }
-    
-    const total = await Product.countDocuments();
+    if (options.landedCost) {
+      productsToReturn = productsToReturn.map(product => withLandedCost(product, options.deliveryCountry));
+    }
     
     res.json({
       products: productsToReturn,
-      total,
-      page: parseInt(page),
-      totalPages: Math.ceil(total / limit),
+      total: result.total,
+      page: result.page,
+      limit: result.limit,
+      totalPages: result.totalPages,
+      facets: result.facets,
       currency: currency || 'USD',
       supportedCurrencies: await currencyService.getSupportedCurrencies()
     });
@@ -436,18 +444,241 @@ exports.updatePrice = async (req, res) => {
   }
 };
 
-// Get price history for a product
+// Maximum products accepted by one batch refresh request
+const MAX_BATCH_REFRESH = 50;
+
+// Refresh a product's price directly from its product page
+exports.refreshProduct = async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    logProductStatus('Refreshing product from its product page', product, { source: product.source });
+    const result = await scraperService.updateProductPrice(product._id);
+
+    if (!result.success) {
+      return res.status(502).json({ message: 'Error refreshing product', error: result.message });
+    }
+
+    res.json({
+      ...result,
+      product: await Product.findById(product._id)
+    });
+  } catch (error) {
+    console.error(`Error refreshing product ${req.params.id}:`, error);
+    res.status(500).json({ message: 'Error refreshing product', error: error.message });
+  }
+};
+
+// Refresh many products in one request, reusing one browser per source
+exports.refreshProducts = async (req, res) => {
+  try {
+    const { productIds } = req.body;
+
+    if (!Array.isArray(productIds) || productIds.length === 0) {
+      return res.status(400).json({ message: 'productIds must be a non-empty array' });
+    }
+
+    if (productIds.length > MAX_BATCH_REFRESH) {
+      return res.status(400).json({ message: `At most ${MAX_BATCH_REFRESH} products can be refreshed per request` });
+    }
+
+    const invalidId = productIds.find(id => !mongoose.Types.ObjectId.isValid(id));
+    if (invalidId) {
+      return res.status(400).json({ message: `Invalid product id: ${invalidId}` });
+    }
+
+    const summary = await scraperService.updateProductPrices(productIds);
+    res.json(summary);
+  } catch (error) {
+    console.error('Error refreshing products:', error);
+    res.status(500).json({ message: 'Error refreshing products', error: error.message });
+  }
+};
+
+// Fields of scraped details that are stored on a new product
+const TRACKED_PRODUCT_FIELDS = [
+  'title', 'currentPrice', 'originalPrice', 'currency', 'url', 'imageUrl', 'rating', 'brand', 'gtin', 'modelNumber',
+  'availability', 'deliveryEstimate'
+];
+
+// Track one listing by its retailer URL, optionally watching it and setting an alert on it
+exports.trackProduct = async (req, res) => {
+  try {
+    const { url, watch = false, alert } = req.body;
+
+    let productUrl;
+    try {
+      productUrl = new URL(url);
+    } catch (error) {
+      productUrl = null;
+    }
+    if (!productUrl || !['http:', 'https:'].includes(productUrl.protocol)) {
+      return res.status(400).json({ message: 'A valid http(s) product URL is required' });
+    }
+
+    // The server fetches this URL, so it must not lead to loopback, private or link-local hosts
+    const urlProblem = await urlSafety.checkUrl(productUrl.href);
+    if (urlProblem) {
+      return res.status(400).json({ message: urlProblem });
+    }
+
+    if (typeof watch !== 'boolean') {
+      return res.status(400).json({ message: 'Watch flag must be a boolean' });
+    }
+
+    // Validate the alert up front so a bad condition fails before the slow scrape
+    let alertValues = null;
+    if (alert) {
+      const { error, values } = alertConditions.validateAlertInput(alert);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+
+      const schedule = alertConditions.validateScheduleInput(alert);
+      if (schedule.error) {
+        return res.status(400).json({ message: schedule.error });
+      }
+      alertValues = { ...values, ...schedule.values };
+    }
+
+    const resolved = scraperService.resolveProductUrl(productUrl.href);
+    if (!resolved) {
+      return res.status(400).json({ message: 'Product URL must point to a public shop' });
+    }
+
+    const { source, siteProductId } = resolved;
+    if (!siteProductId) {
+      return res.status(400).json({ message: `Not a recognised ${source} product URL` });
+    }
+
+    if (!(await scraperHealthService.isSourceEnabled(source))) {
+      return res.status(503).json({ message: `Source ${source} is temporarily disabled` });
+    }
+
+    logProductStatus('Tracking product by URL', null, { url: productUrl.href, source, siteProductId });
+
+    let details;
+    try {
+      details = await scraperService.getProductDetails(productUrl.href, source);
+    } catch (error) {
+      // Scraper errors can describe the fetched host, so they are only logged
+      logProductStatus('Error reading tracked product page', null, { url: productUrl.href, error: error.message });
+      return res.status(502).json({ message: 'Could not read the product page' });
+    }
+
+    if (!details || !details.title || !priceValidationService.isValidNewProductPrice(details.currentPrice, details.currency)) {
+      return res.status(422).json({ message: 'No valid title and price found on the product page' });
+    }
+
+    const productKey = {
+      source: details.source || source,
+      siteProductId: details.siteProductId || siteProductId
+    };
+
+    let product = await Product.findOne(productKey);
+    const created = !product;
+
+    if (product) {
+      await scraperService.applyRefreshedDetails(product, details);
+    } else {
+      const fields = {};
+      TRACKED_PRODUCT_FIELDS
+        .filter(field => details[field] !== undefined && details[field] !== null)
+        .forEach(field => { fields[field] = details[field]; });
+
+      product = new Product({
+        url: productUrl.href,
+        ...fields,
+        ...productKey,
+        priceHistory: [{
+          price: details.currentPrice,
+          currency: details.currency,
+          originalPrice: details.originalPrice,
+          seller: details.sellerOffers && details.sellerOffers[0].seller
+        }],
+        lastUpdated: new Date()
+      });
+      product.updateSellerOffers(details.sellerOffers);
+      product.updateVariants(details.variants);
+
+      try {
+        await product.save();
+        logProductStatus('Created tracked product', product, productKey);
+        productMatchingService.queueMatch(product);
+      } catch (error) {
+        // Someone else tracked the same listing first
+        if (error.code !== 11000) throw error;
+        product = await Product.findOne(productKey);
+      }
+    }
+
+    // Only known once the page has been read
+    if (alertValues) {
+      const variantCheck = alertConditions.validateVariant(alertValues.variantId, product);
+      if (variantCheck.error) {
+        return res.status(400).json({ message: variantCheck.error, product });
+      }
+    }
+
+    let createdAlert = null;
+    if (watch || alertValues) {
+      const user = await User.findById(req.user.id);
+
+      if (watch) {
+        await user.addToWatchlist(product._id);
+      }
+
+      if (alertValues) {
+        const referencePrice = alertConditions.getReferencePrice(
+          alertValues.type, product, alertValues.offerFilter, alertValues.variantId
+        );
+        if (referencePrice !== undefined) {
+          alertValues.referencePrice = referencePrice;
+        }
+        await user.createAlert(product._id, alertValues);
+        createdAlert = user.alerts[user.alerts.length - 1];
+      }
+
+      // Watched products and those with alerts are refreshed more often
+      refreshScheduler.scheduleNextCheck(product._id).catch(error => {
+        console.error('Error rescheduling product refresh:', error);
+      });
+    }
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      created,
+      watched: watch,
+      alert: createdAlert,
+      product: await Product.findById(product._id)
+    });
+  } catch (error) {
+    console.error('Error tracking product:', error);
+    res.status(500).json({ message: 'Error tracking product', error: error.message });
+  }
+};
+
+// Get price history for a product, or for one of its variants with ?variantId=
 exports.getPriceHistory = async (req, res) => {
   try {
     const { id } = req.params;
-    const { currency } = req.query;
+    const { currency, variantId } = req.query;
     
     const product = await Product.findById(id);
     if (!product) {
       return res.status(404).json({ message: 'Product not found' });
     }
     
-    let priceHistory = product.priceHistory;
+    const variant = variantId ? findVariant(product, variantId) : null;
+    if (variantId && !variant) {
+      return res.status(404).json({ message: 'Variant not found' });
+    }
+    
+    const history = variant ? variant.priceHistory : product.priceHistory;
+    let priceHistory = history;
     
     // Convert currency if requested
     if (currency) {
@@ -460,7 +691,7 @@ exports.getPriceHistory = async (req, res) => {
       }
       
       priceHistory = await Promise.all(
-        product.priceHistory.map(async (entry) => {
+        history.map(async (entry) => {
           if (entry.currency === currency.toUpperCase()) {
             return entry;
           }
@@ -481,12 +712,131 @@ exports.getPriceHistory = async (req, res) => {
     res.json({
       productId: id,
       title: product.title,
-      currentPrice: product.currentPrice,
-      currency: currency ? currency.toUpperCase() : product.currency,
+      variantId: variant ? variant.variantId : null,
+      variant: variant ? variant.label : null,
+      currentPrice: variant ? variant.currentPrice : product.currentPrice,
+      currency: currency ? currency.toUpperCase() : (variant ? variant.currency : product.currency),
       priceHistory
     });
   } catch (error) {
     console.error('Error getting price history:', error);
     res.status(500).json({ message: 'Error retrieving price history', error: error.message });
   }
-};
\ No newline at end of file
+};
+
+// Convert a price, or null when there is no exchange rate for its currency
+const convertOfferPrice = async (price, fromCurrency, toCurrency) => {
+  try {
+    return await currencyService.convertPrice(price, fromCurrency, toCurrency);
+  } catch (error) {
+    return null;
+  }
+};
+
+// One listing's row in a price comparison, with prices in the requested currency
+async function buildOffer(listing, currency, productId, deliveryCountry) {
+  const history = await Promise.all(listing.priceHistory.map(async (entry) => ({
+    price: await convertOfferPrice(entry.price, entry.currency, currency),
+    date: entry.date
+  })));
+  const lowest = history
+    .filter(entry => entry.price !== null)
+    .reduce((min, entry) => (!min || entry.price < min.price ? entry : min), null);
+  const landed = getProductLandedCost(listing, deliveryCountry);
+  const convertCharge = amount => convertOfferPrice(amount, listing.currency, currency);
+
+  return {
+    productId: listing._id,
+    title: listing.title,
+    source: listing.source,
+    url: listing.url,
+    imageUrl: listing.imageUrl,
+    rating: listing.rating,
+    price: await convertOfferPrice(listing.currentPrice, listing.currency, currency),
+    sourcePrice: listing.currentPrice,
+    sourceCurrency: listing.currency,
+    discountPercent: listing.discountPercent || 0,
+    // Null when the page didn't show shipping
+    shippingCost: listing.shippingCost === undefined ? null : await convertCharge(listing.shippingCost),
+    importCharges: await convertCharge(landed.importCharges),
+    landedPrice: await convertCharge(landed.total),
+    crossBorder: landed.crossBorder,
+    landedCostComplete: landed.complete,
+    availability: listing.availability || null,
+    deliveryEstimate: listing.deliveryEstimate || null,
+    lowestPrice: lowest ? lowest.price : null,
+    lowestPriceDate: lowest ? lowest.date : null,
+    lastUpdated: listing.lastUpdated,
+    ageMinutes: Math.round((Date.now() - new Date(listing.lastUpdated).getTime()) / 60000),
+    match: listing.match,
+    isCurrent: listing._id.equals(productId),
+    isCheapest: false
+  };
+}
+
+// Compare the current prices of the same item across retailers.
+// Listings are grouped by productMatchingService; prices are converted to ?currency (default USD).
+// With ?landedCost=true offers are ranked by price plus shipping and, from abroad, import charges.
+exports.getProductOffers = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const currency = (req.query.currency || 'USD').toUpperCase();
+    const landedCost = req.query.landedCost === 'true';
+    const deliveryCountry = req.query.deliveryCountry ? req.query.deliveryCountry.toUpperCase() : undefined;
+
+    if (deliveryCountry !== undefined && !isCountryCode(deliveryCountry)) {
+      return res.status(400).json({ message: 'deliveryCountry must be a two-letter country code' });
+    }
+
+    const product = mongoose.Types.ObjectId.isValid(id) ? await Product.findById(id) : null;
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const supportedCurrencies = await currencyService.getSupportedCurrencies();
+    if (!supportedCurrencies.includes(currency)) {
+      return res.status(400).json({ 
+        message: 'Invalid currency',
+        supportedCurrencies 
+      });
+    }
+
+    const listings = await productMatchingService.findOffers(product);
+    const offers = await Promise.all(
+      listings.map(listing => buildOffer(listing, currency, product._id, deliveryCountry))
+    );
+    const priceField = landedCost ? 'landedPrice' : 'price';
+
+    // Cheapest first; listings we couldn't convert go last
+    offers.sort((a, b) => (a[priceField] === null) - (b[priceField] === null) || a[priceField] - b[priceField]);
+
+    // A listing that can't be bought right now isn't the best deal
+    const cheapest = offers.find(offer => offer[priceField] !== null && !UNAVAILABLE_STATUSES.includes(offer.availability));
+    if (cheapest) {
+      cheapest.isCheapest = true;
+    }
+
+    // Lowest price ever recorded on each retailer
+    const sources = {};
+    offers.forEach(offer => {
+      const best = sources[offer.source];
+      if (offer.lowestPrice !== null && (!best || offer.lowestPrice < best.lowestPrice)) {
+        sources[offer.source] = { lowestPrice: offer.lowestPrice, lowestPriceDate: offer.lowestPriceDate };
+      }
+    });
+
+    res.json({
+      success: true,
+      productId: product._id,
+      canonicalProductId: product.canonicalProduct || null,
+      currency,
+      landedCost,
+      deliveryCountry: deliveryCountry || null,
+      offers,
+      sources
+    });
+  } catch (error) {
+    console.error('Error getting product offers:', error);
+    res.status(500).json({ message: 'Error getting product offers', error: error.message });
+  }
+};
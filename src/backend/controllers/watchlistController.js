@@ -1,5 +1,8 @@
 const User = require('../models/User');
 const Product = require('../models/Product');
+const refreshScheduler = require('../services/refreshScheduler');
+const watchlistStatsService = require('../services/watchlistStatsService');
+const { findVariant } = require('../services/productVariants');
 
 // @desc    Get user's watchlist
 // @route   GET /api/watchlist
@@ -9,7 +12,8 @@ exports.getWatchlist = async (req, res) => {
     const user = await User.findById(req.user.id)
       .populate({
         path: 'watchlist.productId',
-        select: 'title currentPrice url source currency rating imageUrl lastUpdated _id'
+        select: 'title currentPrice url source currency rating imageUrl lastUpdated _id ' +
+          'variants.variantId variants.label variants.attributes variants.currentPrice variants.currency variants.availability'
       });
     
     if (!user) {
@@ -19,6 +23,9 @@ exports.getWatchlist = async (req, res) => {
     // Format the response to match the frontend's expected structure
     const items = user.watchlist.map(item => ({
       productId: item.productId._id,
+      variantId: item.variantId || null,
+      // The watched variant's own price and stock, when the entry is for one variant
+      variant: item.variantId ? findVariant(item.productId, item.variantId) : null,
       addedAt: item.addedAt,
       product: item.productId
     }));
@@ -37,12 +44,16 @@ exports.getWatchlist = async (req, res) => {
   }
 };
 
-// @desc    Add product to watchlist
+// @desc    Add product, or one of its variants, to watchlist
 // @route   POST /api/watchlist
 // @access  Private
 exports.addToWatchlist = async (req, res) => {
   try {
-    const { productId } = req.body;
+    const { productId, variantId } = req.body;
+    
+    if (variantId !== undefined && variantId !== null && typeof variantId !== 'string') {
+      return res.status(400).json({ message: 'variantId must be a string' });
+    }
     
     // Validate product exists
     const product = await Product.findById(productId);
@@ -50,6 +61,10 @@ exports.addToWatchlist = async (req, res) => {
       return res.status(404).json({ message: 'Product not found' });
     }
     
+    if (variantId && !findVariant(product, variantId)) {
+      return res.status(400).json({ message: 'Variant not found on this product' });
+    }
+    
     // Get user
     const user = await User.findById(req.user.id);
     
@@ -58,7 +73,12 @@ exports.addToWatchlist = async (req, res) => {
     }
     
     // Add to watchlist
-    await user.addToWatchlist(productId);
+    await user.addToWatchlist(productId, variantId);
+    
+    // Watched products are refreshed more often
+    refreshScheduler.scheduleNextCheck(product._id).catch(error => {
+      console.error('Error rescheduling product refresh:', error);
+    });
     
     res.status(201).json({
       success: true,
@@ -74,12 +94,13 @@ exports.addToWatchlist = async (req, res) => {
   }
 };
 
-// @desc    Remove product from watchlist
+// @desc    Remove product from watchlist; ?variantId= removes just that variant's entry
 // @route   DELETE /api/watchlist/:productId
 // @access  Private
 exports.removeFromWatchlist = async (req, res) => {
   try {
     const { productId } = req.params;
+    const { variantId } = req.query;
     
     // Get user
     const user = await User.findById(req.user.id);
@@ -89,16 +110,16 @@ exports.removeFromWatchlist = async (req, res) => {
     }
     
     // Check if product exists in watchlist
-    const exists = user.watchlist.some(item => 
-      item.productId.toString() === productId
-    );
+    const exists = variantId !== undefined
+      ? user.isWatching(productId, variantId)
+      : user.watchlist.some(item => item.productId.toString() === productId);
     
     if (!exists) {
       return res.status(404).json({ message: 'Product not found in watchlist' });
     }
     
     // Remove from watchlist
-    await user.removeFromWatchlist(productId);
+    await user.removeFromWatchlist(productId, variantId);
     
     res.json({
       success: true,
@@ -129,57 +150,7 @@ exports.getWatchlistStats = async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
     
-    // Calculate statistics
-    const stats = {
-      totalProducts: user.watchlist.length,
-      totalValue: 0,
-      averagePrice: 0,
-      priceChanges: {
-        increased: 0,
-        decreased: 0,
-        unchanged: 0
-      },
-      predictedSavings: 0
-    };
-    
-    user.watchlist.forEach(item => {
-      if (!item.productId) return; // Skip if product doesn't exist
-      
-      const product = item.productId;
-      
-      // Add to total value
-      stats.totalValue += product.currentPrice;
-      
-      // Check price changes
-      if (product.priceHistory && product.priceHistory.length > 1) {
-        const latestPrice = product.currentPrice;
-        const previousPrice = product.priceHistory[product.priceHistory.length - 2].price;
-        
-        if (latestPrice > previousPrice) {
-          stats.priceChanges.increased++;
-        } else if (latestPrice < previousPrice) {
-          stats.priceChanges.decreased++;
-        } else {
-          stats.priceChanges.unchanged++;
-        }
-      }
-      
-      // Add predicted savings
-      if (product.pricePrediction && product.pricePrediction.predictions && product.pricePrediction.predictions.length) {
-        const lowestPredictedPrice = Math.min(
-          ...product.pricePrediction.predictions.map(p => p.price)
-        );
-        
-        if (lowestPredictedPrice < product.currentPrice) {
-          stats.predictedSavings += (product.currentPrice - lowestPredictedPrice);
-        }
-      }
-    });
-    
-    // Calculate average price
-    if (stats.totalProducts > 0) {
-      stats.averagePrice = stats.totalValue / stats.totalProducts;
-    }
+    const stats = watchlistStatsService.calculateWatchlistStats(user.watchlist);
     
     res.json({
       success: true,
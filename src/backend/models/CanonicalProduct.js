@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// One real-world item that several retailer listings (Product documents) sell.
+// Listings point here through Product.canonicalProduct; see services/productMatchingService.
+const canonicalProductSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true
+  },
+  brand: {
+    type: String,
+    trim: true
+  },
+  // Normalized identifiers of all listings, used to match new listings exactly
+  gtins: [String],
+  modelNumbers: [String],
+  // Tokens read from listing titles that must agree for a fuzzy match
+  attributes: {
+    capacities: [String],
+    color: String
+  },
+  listingCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+canonicalProductSchema.index({ gtins: 1 });
+canonicalProductSchema.index({ modelNumbers: 1 });
+canonicalProductSchema.index({ title: 'text' });
+
+const CanonicalProduct = mongoose.model('CanonicalProduct', canonicalProductSchema);
+
+module.exports = CanonicalProduct;
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['price_drop', 'price_increase', 'back_in_stock', 'lowest_price', 'predicted_drop', 'price_alert']
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  alertId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  read: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Most queries list a user's notifications newest first
+notificationSchema.index({ user: 1, createdAt: -1 });
+
+// Populated product summary, exposed alongside productId for the frontend
+notificationSchema.virtual('product', {
+  ref: 'Product',
+  localField: 'productId',
+  foreignField: '_id',
+  justOne: true
+});
+
+// Method to mark notification as read
+notificationSchema.methods.markAsRead = async function() {
+  if (!this.read) {
+    this.read = true;
+    this.readAt = new Date();
+    await this.save();
+  }
+  return this;
+};
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
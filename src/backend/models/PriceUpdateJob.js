@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Finished jobs are kept this long for the status endpoint, then removed by MongoDB
+const FINISHED_JOB_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+const priceUpdateJobSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  source: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  // True while queued or running; backs the one-pending-job-per-product index
+  pending: {
+    type: Boolean,
+    default: true
+  },
+  // Higher runs first: watched and alerted products jump the queue
+  priority: {
+    type: Number,
+    default: 0
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  // Earliest time the job may run; pushed back on retry
+  runAfter: {
+    type: Date,
+    default: Date.now
+  },
+  startedAt: Date,
+  finishedAt: Date,
+  lastError: String,
+  result: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: true
+});
+
+// Claiming the next job per source
+priceUpdateJobSchema.index({ status: 1, source: 1, priority: -1, runAfter: 1 });
+
+// At most one pending job per product
+priceUpdateJobSchema.index(
+  { product: 1 },
+  { unique: true, partialFilterExpression: { pending: true } }
+);
+
+priceUpdateJobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: FINISHED_JOB_TTL_SECONDS });
+
+const PriceUpdateJob = mongoose.model('PriceUpdateJob', priceUpdateJobSchema);
+
+module.exports = PriceUpdateJob;
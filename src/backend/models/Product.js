@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const websocketService = require('../services/websocketService');
+const { AVAILABILITY_STATUSES, normalizeAvailability } = require('../services/availability');
+const { CONDITIONS, FULFILMENT_TYPES, mergeSellerOffers } = require('../services/sellerOffers');
+const { mergeVariants, getSelectedVariant } = require('../services/productVariants');
 
 const reviewSchema = new mongoose.Schema({
   text: {
@@ -40,12 +44,106 @@ const priceHistorySchema = new mongoose.Schema({
     default: 'USD',
     uppercase: true
   },
+  // List price / MRP shown alongside the price at the time
+  originalPrice: Number,
+  // Seller of the featured offer, when the page named one
+  seller: String,
+  // Variant that was selected on the page, which a price jump may come from
+  variantId: String,
   date: {
     type: Date,
     default: Date.now
   }
 });
 
+const availabilityHistorySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: AVAILABILITY_STATUSES,
+    required: true
+  },
+  deliveryEstimate: String,
+  date: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One seller's offer on a marketplace listing (see services/sellerOffers)
+const sellerOfferSchema = new mongoose.Schema({
+  seller: String,
+  // Sold by the retailer itself rather than a marketplace seller
+  soldByRetailer: {
+    type: Boolean,
+    default: false
+  },
+  condition: {
+    type: String,
+    enum: CONDITIONS,
+    default: 'new'
+  },
+  fulfilment: {
+    type: String,
+    enum: FULFILMENT_TYPES
+  },
+  price: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    uppercase: true
+  },
+  shippingCost: Number,
+  // Import duties and fees quoted for delivery abroad (see services/landedCost)
+  importCharges: Number,
+  // The offer the listing's current price came from (the buy box)
+  featured: {
+    type: Boolean,
+    default: false
+  },
+  lastSeen: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// One variant of the listing, e.g. a colour or storage size (see services/productVariants)
+const variantSchema = new mongoose.Schema({
+  // Retailer's id for the variant, e.g. its ASIN
+  variantId: {
+    type: String,
+    required: true
+  },
+  label: String,
+  attributes: {
+    color: String,
+    size: String,
+    capacity: String
+  },
+  // Unset until the variant's own price is seen
+  currentPrice: Number,
+  currency: {
+    type: String,
+    uppercase: true
+  },
+  availability: {
+    type: String,
+    enum: AVAILABILITY_STATUSES
+  },
+  url: String,
+  // The variant the listing's current price belongs to
+  selected: {
+    type: Boolean,
+    default: false
+  },
+  priceHistory: [priceHistorySchema],
+  lastSeen: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const productSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -62,6 +160,16 @@ const productSchema = new mongoose.Schema({
     default: 'USD',
     uppercase: true
   },
+  // List price / MRP the retailer strikes through, in the same currency as currentPrice
+  originalPrice: {
+    type: Number,
+    min: 0
+  },
+  // Percent off originalPrice, kept up to date on save
+  discountPercent: {
+    type: Number,
+    default: 0
+  },
   url: {
     type: String,
     required: true
@@ -82,12 +190,70 @@ const productSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Unset until a scraper reports it
+  availability: {
+    type: String,
+    enum: AVAILABILITY_STATUSES
+  },
+  // Retailer's delivery promise as shown, e.g. "Get it by Friday, Mar 8"
+  deliveryEstimate: String,
+  // The featured offer's shipping and import charges; unset when the page didn't show them
+  shippingCost: {
+    type: Number,
+    min: 0
+  },
+  importCharges: {
+    type: Number,
+    min: 0
+  },
+  // Identifiers read from schema.org data; GTIN is the same code on every retailer
+  brand: {
+    type: String,
+    trim: true
+  },
+  gtin: {
+    type: String,
+    trim: true
+  },
+  // Manufacturer part number, e.g. SM-S911B
+  modelNumber: {
+    type: String,
+    trim: true
+  },
+  // The canonical product this listing was matched to (see services/productMatchingService)
+  canonicalProduct: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CanonicalProduct',
+    index: true
+  },
+  match: {
+    method: {
+      type: String,
+      enum: ['gtin', 'model', 'title', 'new', 'manual']
+    },
+    confidence: Number,
+    matchedAt: Date,
+    // Set by an admin merge or split; automatic matching leaves the listing alone
+    locked: {
+      type: Boolean,
+      default: false
+    }
+  },
   priceHistory: [priceHistorySchema],
+  sellerOffers: [sellerOfferSchema],
+  variants: [variantSchema],
+  // One entry per availability change
+  availabilityHistory: [availabilityHistorySchema],
   reviews: [reviewSchema],
   lastUpdated: {
     type: Date,
     default: Date.now
   },
+  // When the price should next be re-scraped (see services/refreshScheduler)
+  nextCheckAt: {
+    type: Date,
+    default: () => new Date(Date.now() + 4 * 60 * 60 * 1000)
+  },
   pricePrediction: {
     lastPrediction: Date,
     predictions: [{
@@ -128,17 +294,116 @@ productSchema.index({ source: 1, siteProductId: 1 }, { unique: true });
 // Create text index for title
 productSchema.index({ title: 'text' });
 
-// Method to add a price to history
-productSchema.methods.addPriceToHistory = async function(price, currency = this.currency) {
+// Finding products due for a refresh
+productSchema.index({ nextCheckAt: 1 });
+
+// Looking up the same item across retailers
+productSchema.index({ gtin: 1 }, { sparse: true });
+
+// Deal listings and discount filters
+productSchema.index({ discountPercent: -1 });
+
+productSchema.pre('save', function(next) {
+  // Scrapers report a missing list price as 0
+  if (!(this.originalPrice > 0)) {
+    this.originalPrice = undefined;
+  }
+
+  this.discountPercent = this.originalPrice > this.currentPrice
+    ? Math.round((1 - this.currentPrice / this.originalPrice) * 1000) / 10
+    : 0;
+
+  if (this.isModified('availability') && this.availability) {
+    this.availabilityHistory.push({
+      status: this.availability,
+      deliveryEstimate: this.deliveryEstimate,
+      date: new Date()
+    });
+  }
+  next();
+});
+
+// Method to apply scraped availability; unrecognized values leave the stored status alone.
+// Changes are recorded in availabilityHistory on the next save.
+productSchema.methods.setAvailability = function(availability, deliveryEstimate) {
+  const status = normalizeAvailability(availability);
+  if (!status) return false;
+
+  const changed = status !== this.availability;
+  this.availability = status;
+  if (deliveryEstimate) {
+    this.deliveryEstimate = deliveryEstimate;
+  } else if (changed) {
+    this.deliveryEstimate = undefined;
+  }
+  return changed;
+};
+
+// Method to check whether a scraped featured offer comes from a different seller
+// (or in a different condition) than the stored one, which explains a large price jump
+productSchema.methods.isNewFeaturedSeller = function(offer) {
+  const previous = this.sellerOffers.find(stored => stored.featured);
+  return Boolean(previous && offer && offer.seller &&
+    (previous.seller !== offer.seller || previous.condition !== (offer.condition || 'new')));
+};
+
+// Method to merge scraped seller offers, featured offer first, and take the
+// listing's delivery charges from the featured offer. Doesn't save.
+productSchema.methods.updateSellerOffers = function(offers) {
+  if (!offers || offers.length === 0) return;
+  this.sellerOffers = mergeSellerOffers(this.sellerOffers.map(offer => offer.toObject()), offers);
+  this.shippingCost = offers[0].shippingCost;
+  this.importCharges = offers[0].importCharges;
+};
+
+// Method to check whether a scrape selected a different variant than the stored one,
+// which explains a large price jump as much as a new seller does
+productSchema.methods.isNewSelectedVariant = function(variants) {
+  const previous = getSelectedVariant(this);
+  const selected = (variants || []).find(variant => variant.selected);
+  return Boolean(previous && selected && previous.variantId !== selected.variantId);
+};
+
+// Method to merge scraped variants, recording each variant's own price changes. Doesn't save.
+productSchema.methods.updateVariants = function(variants) {
+  if (!variants || variants.length === 0) return;
+  this.variants = mergeVariants(this.variants.map(variant => variant.toObject()), variants);
+};
+
+// Method to add a price to history.
+// Pass the list price when the scraper found one; otherwise the stored one is kept.
+productSchema.methods.addPriceToHistory = async function(price, currency = this.currency, originalPrice, seller) {
+  if (originalPrice > 0) {
+    this.originalPrice = originalPrice;
+  } else if (currency !== this.currency) {
+    // A list price in the old currency no longer compares
+    this.originalPrice = undefined;
+  }
+
+  const selectedVariant = getSelectedVariant(this);
   this.priceHistory.push({
     price,
     currency,
+    originalPrice: this.originalPrice,
+    seller,
+    variantId: selectedVariant ? selectedVariant.variantId : undefined,
     date: new Date()
   });
   this.currentPrice = price;
   this.currency = currency;
   this.lastUpdated = new Date();
   await this.save();
+  
+  // Push the new price point to anyone watching this product live
+  websocketService.publish(`product:${this._id}`, {
+    type: 'price_update',
+    productId: this._id,
+    price,
+    currency,
+    originalPrice: this.originalPrice,
+    discountPercent: this.discountPercent,
+    date: this.lastUpdated
+  });
 };
 
 // Method to add a review
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// A scraped price that looked wrong against the product's history (see services/priceValidationService).
+// It stays out of the product until a re-scrape sees it again or an admin approves it.
+const quarantinedPriceSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+    index: true
+  },
+  price: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  originalPrice: Number,
+  seller: String,
+  // Product's price when the observation was made
+  previousPrice: Number,
+  // Robust z-score against the price history, and the median it was measured from
+  score: Number,
+  median: Number,
+  // How many scrapes have reported this price
+  timesSeen: {
+    type: Number,
+    default: 1
+  },
+  firstSeen: {
+    type: Date,
+    default: Date.now
+  },
+  lastSeen: {
+    type: Date,
+    default: Date.now
+  },
+  // pending until a re-scrape confirms it or an admin approves or rejects it;
+  // superseded once another price is confirmed or the price is back in its usual range
+  status: {
+    type: String,
+    enum: ['pending', 'confirmed', 'approved', 'rejected', 'superseded'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date
+}, {
+  timestamps: true
+});
+
+// Admin review queue
+quarantinedPriceSchema.index({ status: 1, lastSeen: -1 });
+
+const QuarantinedPrice = mongoose.model('QuarantinedPrice', quarantinedPriceSchema);
+
+module.exports = QuarantinedPrice;
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// Run history kept for health reporting
+const RUN_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+const scraperRunSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    required: true
+  },
+  operation: {
+    type: String,
+    enum: ['search', 'details'],
+    required: true
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  productsFound: {
+    type: Number,
+    default: 0
+  },
+  // Product page of a details run; retries of the same page count once towards source health
+  url: String,
+  // A failure caused by the product rather than the source, such as a delisted page;
+  // kept for reporting but never counted towards disabling the source
+  productIssue: {
+    type: Boolean,
+    default: false
+  },
+  // A search that ran cleanly but found nothing; still a success, as the query may simply have no matches
+  emptyResult: {
+    type: Boolean,
+    default: false
+  },
+  // Pages or listings whose markup couldn't be parsed into a valid product
+  parseFailures: {
+    type: Number,
+    default: 0
+  },
+  captchaHits: {
+    type: Number,
+    default: 0
+  },
+  latencyMs: Number,
+  // 'http' or 'browser' for detail refreshes
+  method: String,
+  error: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+scraperRunSchema.index({ source: 1, createdAt: -1 });
+scraperRunSchema.index({ createdAt: 1 }, { expireAfterSeconds: RUN_TTL_SECONDS });
+
+const ScraperRun = mongoose.model('ScraperRun', scraperRunSchema);
+
+module.exports = ScraperRun;
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Selector config for one source that overrides the file shipped with the code.
+// Stored configs are validated on write and picked up by running scrapers without a redeploy.
+const scraperSelectorConfigSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  config: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Inactive configs are kept for reference but the file config is used instead
+  active: {
+    type: Boolean,
+    default: true
+  },
+  version: {
+    type: Number,
+    default: 1
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+const ScraperSelectorConfig = mongoose.model('ScraperSelectorConfig', scraperSelectorConfigSchema);
+
+module.exports = ScraperSelectorConfig;
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+const scraperSourceStatusSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Source is skipped by searches and refreshes until this time
+  disabledUntil: Date,
+  disabledReason: String,
+  // How many times the source has been disabled automatically
+  disableCount: {
+    type: Number,
+    default: 0
+  },
+  // Only runs after this point count towards the failure rate
+  windowStart: Date
+}, {
+  timestamps: true
+});
+
+// Method to check whether the source is currently disabled
+scraperSourceStatusSchema.methods.isDisabled = function(now = new Date()) {
+  return Boolean(this.disabledUntil && this.disabledUntil > now);
+};
+
+const ScraperSourceStatus = mongoose.model('ScraperSourceStatus', scraperSourceStatusSchema);
+
+module.exports = ScraperSourceStatus;
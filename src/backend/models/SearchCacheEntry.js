@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Entries nobody has searched for in this long are dropped
+const ENTRY_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// Products one source returned for a normalized search query.
+// Searches reuse the list instead of scraping while it is fresh.
+const searchCacheEntrySchema = new mongoose.Schema({
+  query: {
+    type: String,
+    required: true
+  },
+  source: {
+    type: String,
+    required: true
+  },
+  productIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  scrapedAt: {
+    type: Date,
+    required: true
+  },
+  // Searches answered from this entry
+  hits: {
+    type: Number,
+    default: 0
+  },
+  lastHitAt: Date
+}, {
+  timestamps: true
+});
+
+searchCacheEntrySchema.index({ query: 1, source: 1 }, { unique: true });
+searchCacheEntrySchema.index({ updatedAt: 1 }, { expireAfterSeconds: ENTRY_TTL_SECONDS });
+
+const SearchCacheEntry = mongoose.model('SearchCacheEntry', searchCacheEntrySchema);
+
+module.exports = SearchCacheEntry;
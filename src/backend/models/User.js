@@ -1,6 +1,27 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const { isCountryCode } = require('../services/landedCost');
+
+// Maximum trigger entries kept per alert
+const MAX_TRIGGER_HISTORY = 100;
+
+const AlertTriggerSchema = new mongoose.Schema({
+  triggeredAt: {
+    type: Date,
+    default: Date.now
+  },
+  price: Number,
+  currency: String,
+  channel: {
+    type: String,
+    required: true
+  },
+  success: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
 
 const AlertSchema = new mongoose.Schema({
   productId: {
@@ -8,24 +29,148 @@ const AlertSchema = new mongoose.Schema({
     ref: 'Product',
     required: true
   },
+  type: {
+    type: String,
+    enum: ['target_price', 'percentage_drop', 'all_time_low', 'price_rise', 'predicted_drop', 'back_in_stock'],
+    default: 'target_price'
+  },
+  // Threshold price for target_price and price_rise alerts
   targetPrice: {
     type: Number,
-    required: true
+    required: function() {
+      return !this.type || this.type === 'target_price' || this.type === 'price_rise';
+    }
+  },
+  // Drop percentage for percentage_drop, minimum predicted drop for predicted_drop
+  percentage: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  // Price when the alert was set (percentage_drop) or the all-time low at that point
+  referencePrice: Number,
+  // Prediction window for predicted_drop alerts
+  withinDays: Number,
+  // Only watch the price of offers like these (see services/sellerOffers)
+  offerFilter: {
+    condition: {
+      type: String,
+      enum: ['new', 'used', 'refurbished']
+    },
+    soldByRetailer: Boolean
   },
+  // Only watch this variant's price (see services/productVariants)
+  variantId: String,
   active: {
     type: Boolean,
     default: true
   },
+  // Set once the alert fires; recurring alerts clear it when the condition stops holding
   notificationSent: {
     type: Boolean,
     default: false
   },
+  mode: {
+    type: String,
+    enum: ['once', 'recurring'],
+    default: 'once'
+  },
+  // Minimum hours between two notifications for the same alert
+  cooldownHours: {
+    type: Number,
+    default: 24,
+    min: 0
+  },
+  expiresAt: Date,
+  lastTriggeredAt: Date,
+  triggerHistory: [AlertTriggerSchema],
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+// Method to check whether the alert has passed its expiry date
+AlertSchema.methods.isExpired = function(now = new Date()) {
+  return Boolean(this.expiresAt && this.expiresAt <= now);
+};
+
+// Method to check whether the alert fired too recently to notify again
+AlertSchema.methods.isInCooldown = function(now = new Date()) {
+  if (!this.lastTriggeredAt || !this.cooldownHours) return false;
+  
+  const hoursSinceTrigger = (now - this.lastTriggeredAt) / (1000 * 60 * 60);
+  return hoursSinceTrigger < this.cooldownHours;
+};
+
+// Method to record a trigger for each delivery channel and disarm the alert
+AlertSchema.methods.recordTrigger = function(price, currency, channelResults, now = new Date()) {
+  channelResults.forEach(({ channel, success }) => {
+    this.triggerHistory.push({ triggeredAt: now, price, currency, channel, success });
+  });
+  
+  if (this.triggerHistory.length > MAX_TRIGGER_HISTORY) {
+    this.triggerHistory = this.triggerHistory.slice(-MAX_TRIGGER_HISTORY);
+  }
+  
+  this.lastTriggeredAt = now;
+  this.notificationSent = true;
+};
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// External delivery channel configured by the user (email is driven by emailNotifications)
+const NotificationChannelSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['webhook', 'chat_webhook', 'push'],
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // HMAC signing secret for generic webhooks
+  secret: String,
+  // Access token for push providers
+  token: String,
+  provider: {
+    type: String,
+    enum: ['ntfy', 'gotify']
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: {
+    // Never send stored credentials back to the client
+    transform: (doc, ret) => {
+      ret.hasSecret = Boolean(ret.secret);
+      ret.hasToken = Boolean(ret.token);
+      delete ret.secret;
+      delete ret.token;
+      return ret;
+    }
+  }
+});
+
 const UserSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -46,11 +191,19 @@ const UserSchema = new mongoose.Schema({
     minlength: 8,
     select: false
   },
+  // Admins can reach /api/admin and other admin-only routes
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
   watchlist: [{
     productId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Product'
     },
+    // Set when watching one variant of the product rather than the listing
+    variantId: String,
     addedAt: {
       type: Date,
       default: Date.now
@@ -69,8 +222,54 @@ const UserSchema = new mongoose.Schema({
     currency: {
       type: String,
       default: 'USD'
+    },
+    // ISO 3166-1 alpha-2 country orders are shipped to, for landed cost; null when not set
+    deliveryCountry: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      validate: {
+        validator: (value) => value === null || isCountryCode(value),
+        message: 'Delivery country must be a two-letter country code'
+      }
+    },
+    // Compare prices including shipping and import charges (see services/landedCost)
+    useLandedCost: {
+      type: Boolean,
+      default: false
+    },
+    notificationChannels: [NotificationChannelSchema],
+    // Scheduled summary of watchlist price movements
+    digest: {
+      frequency: {
+        type: String,
+        enum: ['off', 'daily', 'weekly'],
+        default: 'off'
+      },
+      // Local delivery time as HH:MM
+      time: {
+        type: String,
+        default: '08:00',
+        match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Digest time must be in HH:MM format']
+      },
+      // Day for weekly digests, 0 = Sunday
+      dayOfWeek: {
+        type: Number,
+        default: 1,
+        min: 0,
+        max: 6
+      },
+      timezone: {
+        type: String,
+        default: 'UTC',
+        validate: {
+          validator: isValidTimezone,
+          message: 'Unknown timezone'
+        }
+      }
     }
   },
+  lastDigestSentAt: Date,
   createdAt: {
     type: Date,
     default: Date.now
@@ -106,35 +305,45 @@ UserSchema.methods.generateAuthToken = function() {
   );
 };
 
-// Method to add product to watchlist
-UserSchema.methods.addToWatchlist = async function(productId) {
-  // Check if product already exists in watchlist
-  const exists = this.watchlist.some(item => 
-    item.productId.toString() === productId.toString()
+// Method to check whether a product, or one of its variants, is in the watchlist
+UserSchema.methods.isWatching = function(productId, variantId) {
+  return this.watchlist.some(item => 
+    item.productId.toString() === productId.toString() &&
+    (item.variantId || null) === (variantId || null)
   );
-  
-  if (!exists) {
-    this.watchlist.push({ productId });
+};
+
+// Method to add product, or one of its variants, to watchlist
+UserSchema.methods.addToWatchlist = async function(productId, variantId) {
+  if (!this.isWatching(productId, variantId)) {
+    this.watchlist.push({ productId, variantId: variantId || undefined });
     await this.save();
   }
   
   return this.watchlist;
 };
 
-// Method to remove product from watchlist
-UserSchema.methods.removeFromWatchlist = async function(productId) {
+// Method to remove product from watchlist.
+// With a variantId only that variant's entry goes; without one, every entry for the product does.
+UserSchema.methods.removeFromWatchlist = async function(productId, variantId) {
   this.watchlist = this.watchlist.filter(
-    item => item.productId.toString() !== productId.toString()
+    item => item.productId.toString() !== productId.toString() ||
+      (variantId !== undefined && (item.variantId || null) !== (variantId || null))
   );
   await this.save();
   return this.watchlist;
 };
 
 // Method to create price alert
-UserSchema.methods.createAlert = async function(productId, targetPrice) {
+UserSchema.methods.createAlert = async function(productId, condition) {
+  // Plain number kept for callers that only set a target price
+  const alertCondition = typeof condition === 'number'
+    ? { targetPrice: condition }
+    : condition;
+  
   this.alerts.push({
     productId,
-    targetPrice,
+    ...alertCondition,
     active: true,
     notificationSent: false
   });
@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const { protect, admin } = require('../middleware/authMiddleware');
+
+// All routes require an admin user
+router.use(protect, admin);
+
+// Price update queue status
+router.get('/jobs', adminController.getJobQueueStatus);
+
+// Queue price updates for all products now
+router.post('/jobs/enqueue', adminController.enqueuePriceUpdates);
+
+// Scraper health and auto-disabled sources
+router.get('/scrapers/health', adminController.getScraperHealth);
+router.post('/scrapers/:source/enable', adminController.enableScraperSource);
+
+// Declarative selector configs, hot-reloaded by running scrapers
+router.get('/scrapers/selectors', adminController.getSelectorConfigs);
+router.put('/scrapers/:source/selectors', adminController.updateSelectorConfig);
+router.delete('/scrapers/:source/selectors', adminController.resetSelectorConfig);
+
+// Search result cache
+router.get('/search-cache', adminController.getSearchCacheStats);
+router.delete('/search-cache', adminController.clearSearchCache);
+
+// Cross-retailer product matching
+router.get('/canonical-products', adminController.getCanonicalProducts);
+router.post('/canonical-products/merge', adminController.mergeCanonicalProducts);
+router.post('/canonical-products/rematch', adminController.rematchProducts);
+router.get('/canonical-products/:id', adminController.getCanonicalProduct);
+router.post('/canonical-products/:id/split', adminController.splitCanonicalProduct);
+
+// Scraped prices held back as likely errors
+router.get('/price-quarantine', adminController.getQuarantinedPrices);
+router.post('/price-quarantine/:id/approve', adminController.approveQuarantinedPrice);
+router.post('/price-quarantine/:id/reject', adminController.rejectQuarantinedPrice);
+
+module.exports = router;
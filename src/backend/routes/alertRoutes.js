@@ -12,6 +12,9 @@ router.post('/', alertController.createAlert);
 // Get all alerts for user
 router.get('/', alertController.getAlerts);
 
+// Get trigger history for an alert
+router.get('/:id/history', alertController.getAlertHistory);
+
 // Update alert
 router.put('/:id', alertController.updateAlert);
 
@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notificationController');
+const auth = require('../middleware/auth');
+
+// All routes require authentication
+router.use(auth);
+
+// Get notifications for user
+router.get('/', notificationController.getNotifications);
+
+// Delivery channels (webhook, chat webhook, push)
+router.get('/channels', notificationController.getChannels);
+router.post('/channels', notificationController.addChannel);
+router.put('/channels/:channelId', notificationController.updateChannel);
+router.delete('/channels/:channelId', notificationController.deleteChannel);
+
+// Send a test notification
+router.post('/test', notificationController.sendTestNotification);
+
+// Mark all notifications as read
+router.put('/read-all', notificationController.markAllAsRead);
+
+// Mark a notification as read
+router.put('/:id/read', notificationController.markAsRead);
+
+// Dismiss a notification
+router.delete('/:id', notificationController.deleteNotification);
+
+module.exports = router;
@@ -1,19 +1,38 @@
 const express = require('express');
 const router = express.Router();
 const productController = require('../controllers/productController');
+const auth = require('../middleware/auth');
 
 // Get supported currencies
 router.get('/currencies', productController.getSupportedCurrencies);
 
+// List products with filters, sorting, paging and facet counts
+router.get('/', productController.getAllProducts);
+
 // Search products
 router.get('/search', productController.searchProducts);
 
+// Progress and results of a background search job
+router.get('/search/jobs/:jobId', productController.getSearchJob);
+
+// Refresh several products straight from their product pages
+router.post('/refresh', auth, productController.refreshProducts);
+
+// Track a product by its retailer URL
+router.post('/track', auth, productController.trackProduct);
+
 // Get product by ID
 router.get('/:id', productController.getProductById);
 
+// Compare prices of the same item across retailers
+router.get('/:id/offers', productController.getProductOffers);
+
 // Get price history for a product
 router.get('/:id/price-history', productController.getPriceHistory);
 
+// Refresh a product straight from its product page
+router.post('/:id/refresh', auth, productController.refreshProduct);
+
 // Update product price (for testing)
 router.post('/:id/update-price', productController.updatePrice);
 
@@ -10,9 +10,11 @@ const alertRoutes = require('./routes/alertRoutes');
 const aiRoutes = require('./routes/aiRoutes');
 const watchlistRoutes = require('./routes/watchlistRoutes');
 const collectionRoutes = require('./routes/collectionRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const adminRoutes = require('./routes/adminRoutes');
 const cronService = require('./services/cronService');
 const collectionService = require('./services/collectionService');
-const WebSocket = require('ws');
+const websocketService = require('./services/websocketService');
 
 const app = express();
 
@@ -94,6 +96,8 @@ app.use('/api/alerts', alertRoutes);
 app.use('/api/ai', aiRoutes);
 app.use('/api/watchlist', watchlistRoutes);
 app.use('/api/collections', collectionRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/admin', adminRoutes);
 
 // WebSocket route handler - Add this before the 404 handler
 app.get('/ws', (req, res) => {
@@ -196,105 +200,27 @@ async function startServer() {
     initializeCollections();
   });
   
-  // Create WebSocket server
-  const wss = new WebSocket.Server({ 
-    server,
-    path: '/ws'  // This specifies the endpoint path for WebSocket connections
-  });
-  
-  // WebSocket connection handler
-  wss.on('connection', function connection(ws, req) {
-    console.log(`WebSocket client connected from ${req.socket.remoteAddress}`);
-    
-    // Handle incoming messages
-    ws.on('message', function incoming(message) {
-      try {
-        const data = JSON.parse(message);
-        console.log('Received WebSocket message:', data);
-        
-        // Handle different message types
-        switch(data.type) {
-          case 'ping':
-            ws.send(JSON.stringify({ type: 'pong', timestamp: Date.now() }));
-            break;
-          case 'subscribe':
-            // Subscribe to updates for specific products, alerts, etc.
-            console.log(`Client subscribed to: ${data.topic}`);
-            ws.topic = data.topic;
-            ws.send(JSON.stringify({ 
-              type: 'subscribed', 
-              topic: data.topic,
-              message: `Subscribed to ${data.topic} updates`
-            }));
-            break;
-          default:
-            ws.send(JSON.stringify({ 
-              type: 'error', 
-              message: 'Unknown message type' 
-            }));
-        }
-      } catch (err) {
-        console.error('Error processing WebSocket message:', err);
-        ws.send(JSON.stringify({ 
-          type: 'error', 
-          message: 'Invalid message format' 
-        }));
-      }
-    });
-    
-    // Send a welcome message
-    ws.send(JSON.stringify({ 
-      type: 'info', 
-      message: 'Connected to SaleSnipe WebSocket server',
-      timestamp: Date.now()
-    }));
-    
-    // Handle errors
-    ws.on('error', function error(err) {
-      console.error('WebSocket error:', err);
-    });
-    
-    // Handle disconnection
-    ws.on('close', function close() {
-      console.log('WebSocket client disconnected');
-    });
-  });
-  
-  // Handle WebSocket server errors
-  wss.on('error', function error(err) {
-    console.error('WebSocket server error:', err);
-  });
+  // Create WebSocket server for real-time price and alert events
+  const wss = websocketService.initialize(server, '/ws');
   
   // Add the WebSocket server to the app for use in other parts
   app.set('wss', wss);
   
   // WebSocket broadcast utility - allows other parts of the app to send messages
-  app.set('sendToAllClients', (data) => {
-    wss.clients.forEach((client) => {
-      if (client.readyState === WebSocket.OPEN) {
-        client.send(JSON.stringify(data));
-      }
-    });
-  });
+  app.set('sendToAllClients', (data) => websocketService.broadcast(data));
   
   // WebSocket topic broadcast utility - sends messages to clients subscribed to a specific topic
-  app.set('sendToTopic', (topic, data) => {
-    wss.clients.forEach((client) => {
-      if (client.readyState === WebSocket.OPEN && client.topic === topic) {
-        client.send(JSON.stringify(data));
-      }
-    });
-  });
+  app.set('sendToTopic', (topic, data) => websocketService.publish(topic, data));
   
   // Handle graceful shutdown
-  process.on('SIGTERM', () => {
+  process.on('SIGTERM', async () => {
     console.log('Received SIGTERM signal. Starting graceful shutdown...');
     
-    // Stop all cron jobs
-    cronService.stopAllJobs();
+    // Stop all cron jobs and let running price updates finish
+    await cronService.stopAllJobs();
     
     // Close WebSocket server
-    wss.close(() => {
+    websocketService.close(() => {
       console.log('WebSocket server closed.');
     });
     
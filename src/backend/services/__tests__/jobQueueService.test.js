@@ -0,0 +1,66 @@
+jest.mock('../scraperService', () => ({ updateProductPrice: jest.fn() }));
+jest.mock('../refreshScheduler', () => ({ scheduleNextCheck: jest.fn().mockResolvedValue(null) }));
+jest.mock('../scraperHealthService', () => ({}));
+
+const scraperService = require('../scraperService');
+const jobQueueService = require('../jobQueueService');
+
+const claimedJob = () => ({
+  _id: 'job1',
+  product: 'product1',
+  source: 'amazon',
+  status: 'running',
+  attempts: 1,
+  maxAttempts: 5,
+  save: jest.fn().mockResolvedValue()
+});
+
+describe('jobQueueService.processJob', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('aborts a hung update and only finishes once it has ended', async () => {
+    let signal;
+    scraperService.updateProductPrice.mockImplementation((productId, options) => {
+      signal = options.signal;
+      // Like a browser scrape, the update only ends once its page is closed by the abort
+      return new Promise(resolve => signal.addEventListener('abort', () => {
+        resolve({ success: false, message: 'Target closed' });
+      }));
+    });
+    const job = claimedJob();
+
+    const processing = jobQueueService.processJob(job);
+    await jest.advanceTimersByTimeAsync(10 * 60 * 1000);
+    await processing;
+
+    expect(signal.aborted).toBe(true);
+    expect(job.status).toBe('queued');
+    expect(job.lastError).toBe('Timed out after 600s');
+  });
+
+  it('keeps the job busy while an aborted update refuses to end', async () => {
+    let finish;
+    scraperService.updateProductPrice.mockImplementation(() => new Promise(resolve => { finish = resolve; }));
+    const job = claimedJob();
+
+    let done = false;
+    const processing = jobQueueService.processJob(job).then(() => { done = true; });
+    await jest.advanceTimersByTimeAsync(11 * 60 * 1000);
+
+    // The job is recorded for retry, but its slot isn't freed while the old scrape runs on
+    expect(job.status).toBe('queued');
+    expect(done).toBe(false);
+
+    finish({ success: true });
+    await processing;
+    expect(done).toBe(true);
+  });
+});
@@ -0,0 +1,62 @@
+jest.mock('../../models/Product', () => ({}));
+jest.mock('../../models/CanonicalProduct', () => ({ find: jest.fn() }));
+
+const CanonicalProduct = require('../../models/CanonicalProduct');
+const productMatchingService = require('../productMatchingService');
+
+const galaxy = {
+  _id: 'galaxy',
+  title: 'Samsung Galaxy S23 5G Phantom Black 128 GB',
+  brand: 'Samsung',
+  gtins: ['08806094724851'],
+  modelNumbers: ['SMS911B']
+};
+
+const listing = (fields = {}) => ({
+  title: 'Samsung Galaxy S23 5G (Phantom Black, 128 GB)',
+  brand: 'Samsung',
+  ...fields
+});
+
+describe('productMatchingService.findTitleMatch', () => {
+  beforeEach(() => {
+    // Text search hands back the canonical product as the only candidate
+    CanonicalProduct.find.mockReturnValue({
+      sort: () => ({ limit: () => Promise.resolve([galaxy]) })
+    });
+  });
+
+  it('matches a similar title without identifiers', async () => {
+    const match = await productMatchingService.findTitleMatch(listing());
+
+    expect(match).toMatchObject({ canonical: galaxy, method: 'title' });
+  });
+
+  it('matches when the model number extends a known one', async () => {
+    const match = await productMatchingService.findTitleMatch(listing({ modelNumber: 'SM-S911BZKCINS' }));
+
+    expect(match).toMatchObject({ canonical: galaxy });
+  });
+
+  it('rejects a similar title with a different GTIN', async () => {
+    const match = await productMatchingService.findTitleMatch(listing({ gtin: '8806094724868' }));
+
+    expect(match).toBeNull();
+  });
+
+  it('rejects a similar title with a different model number', async () => {
+    const match = await productMatchingService.findTitleMatch(listing({ modelNumber: 'SM-S916B' }));
+
+    expect(match).toBeNull();
+  });
+
+  it('ignores identifiers the canonical product has none of', async () => {
+    CanonicalProduct.find.mockReturnValue({
+      sort: () => ({ limit: () => Promise.resolve([{ ...galaxy, gtins: [], modelNumbers: [] }]) })
+    });
+
+    const match = await productMatchingService.findTitleMatch(listing({ gtin: '8806094724868', modelNumber: 'SM-S916B' }));
+
+    expect(match).not.toBeNull();
+  });
+});
@@ -0,0 +1,67 @@
+jest.mock('../../models/ScraperRun', () => ({ find: jest.fn() }));
+jest.mock('../../models/ScraperSourceStatus', () => {
+  const ScraperSourceStatus = jest.fn(function (fields) {
+    Object.assign(this, { disableCount: 0, ...fields });
+    this.save = jest.fn().mockResolvedValue(this);
+  });
+  ScraperSourceStatus.find = jest.fn().mockResolvedValue([]);
+  return ScraperSourceStatus;
+});
+
+const ScraperRun = require('../../models/ScraperRun');
+const scraperHealthService = require('../scraperHealthService');
+
+const givenRuns = (runs) => {
+  ScraperRun.find.mockReturnValue({
+    select: () => ({ sort: () => Promise.resolve(runs) })
+  });
+};
+
+const detailsRun = (url, success, extra = {}) => ({ operation: 'details', url, success, captchaHits: 0, ...extra });
+
+describe('scraperHealthService.evaluateSource', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    scraperHealthService.states = new Map();
+    scraperHealthService.statesLoadedAt = 0;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('disables a source when many different pages fail', async () => {
+    givenRuns(['a', 'b', 'c', 'd', 'e'].map(page => detailsRun(`https://shop.example/${page}`, false)));
+
+    const status = await scraperHealthService.evaluateSource('amazon');
+
+    expect(status).toMatchObject({ source: 'amazon', disableCount: 1 });
+  });
+
+  it('counts retries of one dead page once', async () => {
+    givenRuns([
+      ...Array(5).fill(null).map(() => detailsRun('https://shop.example/dead', false)),
+      detailsRun('https://shop.example/a', true),
+      detailsRun('https://shop.example/b', true)
+    ]);
+
+    expect(await scraperHealthService.evaluateSource('amazon')).toBeNull();
+  });
+
+  it('ignores delisted product pages', async () => {
+    givenRuns([
+      ...['a', 'b', 'c', 'd', 'e'].map(page => detailsRun(`https://shop.example/${page}`, false, { productIssue: true })),
+      { operation: 'search', success: true, captchaHits: 0 }
+    ]);
+
+    expect(await scraperHealthService.evaluateSource('amazon')).toBeNull();
+  });
+
+  it('counts every failed search', async () => {
+    givenRuns(Array(5).fill(null).map(() => ({ operation: 'search', success: false, captchaHits: 1 })));
+
+    const status = await scraperHealthService.evaluateSource('ebay');
+
+    expect(status.disabledReason).toBe('100% of 5 runs failed (5 captcha hits)');
+  });
+});
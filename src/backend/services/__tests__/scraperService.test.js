@@ -0,0 +1,78 @@
+const Product = require('../../models/Product');
+const AmazonScraper = require('../scrapers/AmazonScraper');
+const refreshScheduler = require('../refreshScheduler');
+const priceValidationService = require('../priceValidationService');
+const productMatchingService = require('../productMatchingService');
+const scraperService = require('../scraperService');
+
+const SOLD_OUT_URL = 'https://www.amazon.com/dp/B0863TXGM3';
+
+const storedProduct = () => new Product({
+  title: 'Sony WH-1000XM4 Wireless Premium Noise Canceling Overhead Headphones',
+  url: SOLD_OUT_URL,
+  source: 'amazon',
+  siteProductId: 'B0863TXGM3',
+  currentPrice: 248,
+  currency: 'USD',
+  availability: 'in_stock'
+});
+
+describe('refreshing a sold-out product page without a price', () => {
+  const fixtureMode = process.env.SCRAPER_FIXTURES;
+
+  beforeEach(() => {
+    process.env.SCRAPER_FIXTURES = 'replay';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    // The page adds a model number, which would rematch the listing against the database
+    jest.spyOn(productMatchingService, 'queueMatch').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    if (fixtureMode === undefined) {
+      delete process.env.SCRAPER_FIXTURES;
+    } else {
+      process.env.SCRAPER_FIXTURES = fixtureMode;
+    }
+    jest.restoreAllMocks();
+  });
+
+  it('reads the page over HTTP without counting a parse failure', async () => {
+    const scraper = new AmazonScraper();
+
+    const details = await scraper.refreshProductDetails(SOLD_OUT_URL);
+
+    expect(details).toMatchObject({ method: 'http', availability: 'out_of_stock' });
+    expect(details.currentPrice).toBeUndefined();
+    expect(scraper.parseFailures).toBe(0);
+    expect(scraper.hasUsableDetails(details)).toBe(true);
+  });
+
+  it('marks the stored product out of stock and keeps its price', async () => {
+    const product = storedProduct();
+    const save = jest.spyOn(product, 'save').mockResolvedValue(product);
+    jest.spyOn(refreshScheduler, 'scheduleNextCheck').mockResolvedValue(null);
+    const reviewPriceChange = jest.spyOn(priceValidationService, 'reviewPriceChange');
+
+    const details = await new AmazonScraper().refreshProductDetails(SOLD_OUT_URL);
+    const result = await scraperService.applyRefreshedDetails(product, details);
+
+    expect(result).toMatchObject({ success: true, priceChanged: false, price: 248, availability: 'out_of_stock' });
+    expect(product.currentPrice).toBe(248);
+    expect(product.availability).toBe('out_of_stock');
+    expect(save).toHaveBeenCalled();
+    expect(reviewPriceChange).not.toHaveBeenCalled();
+  });
+
+  it('still fails an in-stock page without a price', async () => {
+    const product = storedProduct();
+    const save = jest.spyOn(product, 'save').mockResolvedValue(product);
+
+    const result = await scraperService.applyRefreshedDetails(product, {
+      title: product.title,
+      availability: 'in_stock'
+    });
+
+    expect(result).toEqual({ success: false, message: 'Could not get valid price' });
+    expect(save).not.toHaveBeenCalled();
+  });
+});
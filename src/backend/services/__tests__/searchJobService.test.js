@@ -0,0 +1,57 @@
+jest.mock('../scraperService', () => ({
+  getSearchSources: () => ['amazon', 'ebay'],
+  // Searches never finish, so every job stays queued or running
+  searchAllProducts: () => new Promise(() => {})
+}));
+jest.mock('../websocketService', () => ({ publish: jest.fn() }));
+jest.mock('../currencyService', () => ({}));
+jest.mock('../searchCacheService', () => ({
+  normalizeQuery: query => query.trim().toLowerCase()
+}));
+
+const searchJobService = require('../searchJobService');
+
+describe('searchJobService.startJob', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    searchJobService.jobs.clear();
+    searchJobService.queue = [];
+    searchJobService.running = null;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('joins the pending job for the same query', () => {
+    const job = searchJobService.startJob('Switch OLED', { clientId: 'a' });
+
+    expect(searchJobService.startJob('switch oled ', { clientId: 'b' })).toBe(job);
+  });
+
+  it('refuses a client with too many searches in flight', () => {
+    ['one', 'two', 'three'].forEach(query => {
+      expect(searchJobService.startJob(query, { clientId: 'a' })).not.toBeNull();
+    });
+
+    expect(searchJobService.startJob('four', { clientId: 'a' })).toBeNull();
+    expect(searchJobService.startJob('four', { clientId: 'b' })).not.toBeNull();
+  });
+
+  it('still lets a busy client join a search that is already queued', () => {
+    const job = searchJobService.startJob('shared', { clientId: 'b' });
+    ['one', 'two', 'three'].forEach(query => searchJobService.startJob(query, { clientId: 'a' }));
+
+    expect(searchJobService.startJob('shared', { clientId: 'a' })).toBe(job);
+  });
+
+  it('refuses new searches once the queue is full', () => {
+    for (let i = 0; i < 21; i++) {
+      searchJobService.startJob(`query ${i}`, { clientId: `client ${i}` });
+    }
+    expect(searchJobService.queue).toHaveLength(20);
+
+    expect(searchJobService.startJob('one more', { clientId: 'new' })).toBeNull();
+    expect(searchJobService.getBusyReason('new')).toBe('queue_full');
+  });
+});
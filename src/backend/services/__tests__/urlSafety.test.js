@@ -0,0 +1,78 @@
+const urlSafety = require('../urlSafety');
+
+describe('urlSafety', () => {
+  it.each([
+    '127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+    '::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe', 'fe80::1', 'fd00::1'
+  ])('treats %s as private', (address) => {
+    expect(urlSafety.isPrivateAddress(address)).toBe(true);
+  });
+
+  it.each(['8.8.8.8', '2606:4700::1111', '::ffff:808:808'])('treats %s as public', (address) => {
+    expect(urlSafety.isPrivateAddress(address)).toBe(false);
+  });
+
+  it.each([
+    ['http://localhost/admin', 'URL must point to a public host'],
+    ['http://printer.local/', 'URL must point to a public host'],
+    ['http://127.0.0.1/', 'URL must not point to a private or local address'],
+    ['http://2130706433/', 'URL must not point to a private or local address'],
+    ['http://[::ffff:169.254.169.254]/latest', 'URL must not point to a private or local address'],
+    ['https://shop.example.com:8443/item', 'URL must not name a port'],
+    ['ftp://shop.example.com/item', 'URL must use http or https'],
+    ['not a url', 'URL is not valid']
+  ])('rejects %s', (url, problem) => {
+    expect(urlSafety.getUrlProblem(url)).toBe(problem);
+  });
+
+  it('accepts public URLs on the default port', () => {
+    expect(urlSafety.getUrlProblem('https://shop.example.com:443/item')).toBeNull();
+    expect(urlSafety.getUrlProblem('http://93.184.216.34/item')).toBeNull();
+  });
+
+  it('fails lookups that resolve to a private address', (done) => {
+    urlSafety.lookupPublicAddress('localhost', {}, (error) => {
+      expect(error.code).toBe('EPRIVATEADDRESS');
+      done();
+    });
+  });
+
+  describe('allowList', () => {
+    const allowList = urlSafety.parseAllowList(' ntfy.home , Gotify.LAN.,192.168.1.0/24, fd00::5 ');
+    const options = { allowPort: true, allowList };
+
+    it('accepts listed hostnames, addresses and ranges', () => {
+      ['http://ntfy.home:8080/alerts', 'https://gotify.lan/message', 'http://192.168.1.20:2586/', 'http://[fd00::5]/']
+        .forEach(url => expect(urlSafety.getUrlProblem(url, options)).toBeNull());
+    });
+
+    it('still refuses private hosts that are not listed', () => {
+      expect(urlSafety.getUrlProblem('http://192.168.2.20/', options)).toBe('URL must not point to a private or local address');
+      expect(urlSafety.getUrlProblem('http://169.254.169.254/latest', options)).toBe('URL must not point to a private or local address');
+      expect(urlSafety.getUrlProblem('http://printer.local/', options)).toBe('URL must point to a public host');
+    });
+
+    it('keeps the other URL rules', () => {
+      expect(urlSafety.getUrlProblem('http://ntfy.home:8080/', { allowList })).toBe('URL must not name a port');
+      expect(urlSafety.getUrlProblem('ftp://ntfy.home/', options)).toBe('URL must use http or https');
+    });
+
+    it('is empty without entries', () => {
+      expect(urlSafety.parseAllowList(undefined)).toBeNull();
+      expect(urlSafety.parseAllowList(' , ')).toBeNull();
+    });
+
+    it('rejects malformed ranges', () => {
+      expect(() => urlSafety.parseAllowList('10.0.0.0/99')).toThrow();
+    });
+
+    it('lets lookups resolve to listed addresses', (done) => {
+      urlSafety.getHttpRequestOptions({ allowList: urlSafety.parseAllowList('127.0.0.1') })
+        .lookup('localhost', { family: 4 }, (error, address) => {
+          expect(error).toBeNull();
+          expect(address).toBe('127.0.0.1');
+          done();
+        });
+    });
+  });
+});
@@ -1,5 +1,6 @@
 const tf = require('@tensorflow/tfjs-node');
 const Product = require('../../models/Product');
+const priceStatistics = require('../priceStatistics');
 
 class PricePredictionService {
   constructor() {
@@ -192,12 +193,7 @@ class PricePredictionService {
       const avgPrice = prices.reduce((a, b) => a + b, 0) / prices.length;
       
       // Calculate price volatility
-      const priceChanges = prices.slice(1).map((price, i) => 
-        ((price - prices[i]) / prices[i]) * 100
-      );
-      const volatility = Math.sqrt(
-        priceChanges.reduce((sum, change) => sum + change * change, 0) / priceChanges.length
-      );
+      const volatility = priceStatistics.calculateVolatility(prices);
 
       // Calculate price trend
       const recentPrices = prices.slice(-30); // Last 30 days
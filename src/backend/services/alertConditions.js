@@ -0,0 +1,454 @@
+/**
+ * Price alert condition types, input validation and evaluation.
+ * Shared by alertController (create/update) and notificationService (checks).
+ */
+
+const { getLastRestockedAt } = require('./availability');
+const { CONDITIONS, hasOfferFilter, getLowestMatchingOffer } = require('./sellerOffers');
+const { getProductLandedCost } = require('./landedCost');
+const { findVariant } = require('./productVariants');
+
+const ALERT_TYPES = {
+  TARGET_PRICE: 'target_price',
+  PERCENTAGE_DROP: 'percentage_drop',
+  ALL_TIME_LOW: 'all_time_low',
+  PRICE_RISE: 'price_rise',
+  PREDICTED_DROP: 'predicted_drop',
+  BACK_IN_STOCK: 'back_in_stock'
+};
+
+const ALERT_MODES = ['once', 'recurring'];
+
+const DEFAULT_PREDICTION_WINDOW_DAYS = 7;
+const MAX_PREDICTION_WINDOW_DAYS = 30;
+const MAX_COOLDOWN_HOURS = 24 * 30;
+
+const isPositiveNumber = (value) => typeof value === 'number' && !isNaN(value) && value > 0;
+
+/**
+ * Lowest price recorded in a product's price history, or in one variant's
+ * @param {Object} product - Product document
+ * @param {string} variantId - Variant to look at instead of the listing
+ * @returns {number|null} - Lowest historical price, or null without history
+ */
+const getAllTimeLow = (product, variantId) => {
+  const history = variantId ? (findVariant(product, variantId) || {}).priceHistory : product.priceHistory;
+  const prices = (history || [])
+    .map(entry => entry.price)
+    .filter(price => isPositiveNumber(price));
+
+  return prices.length > 0 ? Math.min(...prices) : null;
+};
+
+// Alert types that look at the listing as a whole, not at a particular offer or variant
+const LISTING_ONLY_TYPES = [ALERT_TYPES.PREDICTED_DROP, ALERT_TYPES.BACK_IN_STOCK];
+
+// Alert types whose fixed threshold is compared with the landed cost for users who opt in.
+// Relative conditions keep comparing listing prices, which is what price history records.
+const LANDED_COST_TYPES = [ALERT_TYPES.TARGET_PRICE, ALERT_TYPES.PRICE_RISE];
+
+/**
+ * Validate an alert's seller offer filter, e.g. { condition: 'new', soldByRetailer: true }
+ * @param {*} filter - offerFilter input; null clears it
+ * @param {string} type - Alert type
+ * @returns {Object} - { error } on failure, or { offerFilter }
+ */
+const validateOfferFilter = (filter, type) => {
+  if (filter === null) {
+    return { offerFilter: {} };
+  }
+  if (typeof filter !== 'object' || Array.isArray(filter)) {
+    return { error: 'offerFilter must be an object' };
+  }
+
+  const { condition, soldByRetailer } = filter;
+  if (condition !== undefined && condition !== null && !CONDITIONS.includes(condition)) {
+    return { error: `offerFilter.condition must be one of: ${CONDITIONS.join(', ')}` };
+  }
+  if (soldByRetailer !== undefined && soldByRetailer !== null && typeof soldByRetailer !== 'boolean') {
+    return { error: 'offerFilter.soldByRetailer must be a boolean' };
+  }
+
+  const offerFilter = {
+    condition: condition || undefined,
+    soldByRetailer: soldByRetailer || undefined
+  };
+  if (hasOfferFilter(offerFilter) && LISTING_ONLY_TYPES.includes(type)) {
+    return { error: `offerFilter can't be used with ${type} alerts` };
+  }
+  return { offerFilter };
+};
+
+/**
+ * Validate alert condition input for a given type.
+ * Whether a variantId exists on the product is checked separately, see validateVariant.
+ * @param {Object} input - Alert fields (type, targetPrice, percentage, withinDays, offerFilter, variantId)
+ * @returns {Object} - { error } on failure, or { values } with the normalized fields
+ */
+const validateAlertInput = (input) => {
+  const type = input.type || ALERT_TYPES.TARGET_PRICE;
+  const { targetPrice, percentage, withinDays } = input;
+
+  if (!Object.values(ALERT_TYPES).includes(type)) {
+    return { error: `Alert type must be one of: ${Object.values(ALERT_TYPES).join(', ')}` };
+  }
+
+  const values = { type };
+
+  switch (type) {
+    case ALERT_TYPES.TARGET_PRICE:
+    case ALERT_TYPES.PRICE_RISE:
+      if (!isPositiveNumber(targetPrice)) {
+        return { error: 'Target price must be a positive number' };
+      }
+      values.targetPrice = targetPrice;
+      break;
+
+    case ALERT_TYPES.PERCENTAGE_DROP:
+      if (!isPositiveNumber(percentage) || percentage >= 100) {
+        return { error: 'Percentage must be a number between 0 and 100' };
+      }
+      values.percentage = percentage;
+      break;
+
+    case ALERT_TYPES.ALL_TIME_LOW:
+    case ALERT_TYPES.BACK_IN_STOCK:
+      break;
+
+    case ALERT_TYPES.PREDICTED_DROP:
+      if (withinDays !== undefined &&
+          (!Number.isInteger(withinDays) || withinDays < 1 || withinDays > MAX_PREDICTION_WINDOW_DAYS)) {
+        return { error: `withinDays must be an integer between 1 and ${MAX_PREDICTION_WINDOW_DAYS}` };
+      }
+      if (percentage !== undefined && (typeof percentage !== 'number' || percentage < 0 || percentage >= 100)) {
+        return { error: 'Percentage must be a number between 0 and 100' };
+      }
+      values.withinDays = withinDays || DEFAULT_PREDICTION_WINDOW_DAYS;
+      if (percentage !== undefined) values.percentage = percentage;
+      break;
+
+    default:
+      break;
+  }
+
+  if (input.offerFilter !== undefined) {
+    const { error, offerFilter } = validateOfferFilter(input.offerFilter, type);
+    if (error) return { error };
+    values.offerFilter = offerFilter;
+  }
+
+  if (input.variantId !== undefined && input.variantId !== null) {
+    if (typeof input.variantId !== 'string' || input.variantId.trim() === '') {
+      return { error: 'variantId must be a non-empty string' };
+    }
+    if (LISTING_ONLY_TYPES.includes(type)) {
+      return { error: `variantId can't be used with ${type} alerts` };
+    }
+    // Seller offers are only known for the selected variant
+    if (hasOfferFilter(values.offerFilter)) {
+      return { error: "variantId can't be combined with offerFilter" };
+    }
+    values.variantId = input.variantId.trim();
+  } else if (input.variantId === null) {
+    values.variantId = undefined;
+  }
+
+  return { values };
+};
+
+/**
+ * Check that an alert's variant exists on the product and has a price to watch
+ * @param {string} variantId - Alert's variantId, if any
+ * @param {Object} product - Product document
+ * @returns {Object} - { error } on failure, otherwise {}
+ */
+const validateVariant = (variantId, product) => {
+  if (!variantId) return {};
+
+  const variant = findVariant(product, variantId);
+  if (!variant) {
+    return { error: 'Variant not found on this product' };
+  }
+  if (!isPositiveNumber(variant.currentPrice)) {
+    return { error: 'No price has been seen for this variant yet' };
+  }
+  return {};
+};
+
+/**
+ * Validate re-arming, cooldown and expiry settings
+ * @param {Object} input - Alert fields (mode, cooldownHours, expiresAt)
+ * @returns {Object} - { error } on failure, or { values } with only the provided fields
+ */
+const validateScheduleInput = (input) => {
+  const { mode, cooldownHours, expiresAt } = input;
+  const values = {};
+
+  if (mode !== undefined) {
+    if (!ALERT_MODES.includes(mode)) {
+      return { error: `Alert mode must be one of: ${ALERT_MODES.join(', ')}` };
+    }
+    values.mode = mode;
+  }
+
+  if (cooldownHours !== undefined) {
+    if (typeof cooldownHours !== 'number' || isNaN(cooldownHours) ||
+        cooldownHours < 0 || cooldownHours > MAX_COOLDOWN_HOURS) {
+      return { error: `cooldownHours must be a number between 0 and ${MAX_COOLDOWN_HOURS}` };
+    }
+    values.cooldownHours = cooldownHours;
+  }
+
+  if (expiresAt !== undefined) {
+    if (expiresAt === null) {
+      values.expiresAt = null;
+    } else {
+      const expiryDate = new Date(expiresAt);
+      if (isNaN(expiryDate.getTime()) || expiryDate <= new Date()) {
+        return { error: 'expiresAt must be a valid future date' };
+      }
+      values.expiresAt = expiryDate;
+    }
+  }
+
+  return { values };
+};
+
+/**
+ * Price an alert watches: the listing's current price, the variant's price, or with
+ * an offer filter the cheapest recent offer that passes it
+ * @param {Object} product - Product document
+ * @param {Object} offerFilter - Alert's offerFilter, if any
+ * @param {string} variantId - Alert's variantId, if any
+ * @returns {number|null} - Price, or null when no offer passes the filter or the variant is unknown
+ */
+const getWatchedPrice = (product, offerFilter, variantId) => {
+  if (variantId) {
+    const variant = findVariant(product, variantId);
+    return variant && isPositiveNumber(variant.currentPrice) ? variant.currentPrice : null;
+  }
+
+  if (!hasOfferFilter(offerFilter)) {
+    return product.currentPrice;
+  }
+
+  const offer = getLowestMatchingOffer(product, offerFilter);
+  return offer ? offer.price : null;
+};
+
+/**
+ * Reference price captured when an alert is created, for relative conditions
+ * @param {string} type - Alert type
+ * @param {Object} product - Product document
+ * @param {Object} offerFilter - Alert's offerFilter, if any
+ * @param {string} variantId - Alert's variantId, if any
+ * @returns {number|undefined} - Reference price, if the type needs one
+ */
+const getReferencePrice = (type, product, offerFilter, variantId) => {
+  if (type === ALERT_TYPES.PERCENTAGE_DROP) {
+    return getWatchedPrice(product, offerFilter, variantId) || product.currentPrice;
+  }
+
+  if (type === ALERT_TYPES.ALL_TIME_LOW) {
+    return getAllTimeLow(product, variantId) || getWatchedPrice(product, null, variantId) || product.currentPrice;
+  }
+
+  return undefined;
+};
+
+/**
+ * Evaluate an alert's condition against the price it watches
+ * @param {Object} alert - Alert subdocument
+ * @param {Object} product - Populated product document
+ * @param {number} currentPrice - Listing price, or the filtered offer's or variant's price
+ * @returns {Object} - { triggered, notificationType, reason, details }
+ */
+const evaluateCondition = (alert, product, currentPrice) => {
+  const notTriggered = { triggered: false };
+
+  if (!isPositiveNumber(currentPrice)) {
+    return notTriggered;
+  }
+
+  const type = alert.type || ALERT_TYPES.TARGET_PRICE;
+  const currency = product.currency;
+
+  switch (type) {
+    case ALERT_TYPES.TARGET_PRICE:
+      if (currentPrice <= alert.targetPrice) {
+        return {
+          triggered: true,
+          notificationType: 'price_drop',
+          reason: `The price has dropped to ${currency} ${currentPrice}, at or below your target price of ${currency} ${alert.targetPrice}.`,
+          details: {
+            targetPrice: alert.targetPrice,
+            savings: parseFloat((alert.targetPrice - currentPrice).toFixed(2))
+          }
+        };
+      }
+      return notTriggered;
+
+    case ALERT_TYPES.PRICE_RISE:
+      if (currentPrice > alert.targetPrice) {
+        return {
+          triggered: true,
+          notificationType: 'price_increase',
+          reason: `The price has risen to ${currency} ${currentPrice}, above your threshold of ${currency} ${alert.targetPrice}.`,
+          details: {
+            targetPrice: alert.targetPrice,
+            percentageChange: parseFloat((((currentPrice - alert.targetPrice) / alert.targetPrice) * 100).toFixed(2))
+          }
+        };
+      }
+      return notTriggered;
+
+    case ALERT_TYPES.PERCENTAGE_DROP: {
+      if (!isPositiveNumber(alert.referencePrice)) return notTriggered;
+
+      const dropPercent = ((alert.referencePrice - currentPrice) / alert.referencePrice) * 100;
+      if (dropPercent >= alert.percentage) {
+        return {
+          triggered: true,
+          notificationType: 'price_drop',
+          reason: `The price has dropped ${dropPercent.toFixed(1)}% from ${currency} ${alert.referencePrice} when you set this alert, meeting your ${alert.percentage}% threshold.`,
+          details: {
+            referencePrice: alert.referencePrice,
+            percentage: alert.percentage,
+            percentageChange: parseFloat(dropPercent.toFixed(2))
+          }
+        };
+      }
+      return notTriggered;
+    }
+
+    case ALERT_TYPES.ALL_TIME_LOW:
+      if (isPositiveNumber(alert.referencePrice) && currentPrice < alert.referencePrice) {
+        return {
+          triggered: true,
+          notificationType: 'lowest_price',
+          reason: `The price of ${currency} ${currentPrice} is a new all-time low, below the previous low of ${currency} ${alert.referencePrice}.`,
+          details: {
+            previousLow: alert.referencePrice
+          }
+        };
+      }
+      return notTriggered;
+
+    case ALERT_TYPES.PREDICTED_DROP: {
+      const predictions = (product.pricePrediction && product.pricePrediction.predictions) || [];
+      const windowDays = alert.withinDays || DEFAULT_PREDICTION_WINDOW_DAYS;
+      const now = Date.now();
+      const windowEnd = now + windowDays * 24 * 60 * 60 * 1000;
+      const threshold = currentPrice * (1 - (alert.percentage || 0) / 100);
+
+      const upcoming = predictions.filter(pred => {
+        const time = new Date(pred.date).getTime();
+        return time >= now && time <= windowEnd && isPositiveNumber(pred.price) &&
+          (!pred.currency || pred.currency === currency);
+      });
+
+      if (upcoming.length === 0) return notTriggered;
+
+      const lowest = upcoming.reduce((min, pred) => (pred.price < min.price ? pred : min));
+      if (lowest.price < threshold) {
+        const dropPercent = ((currentPrice - lowest.price) / currentPrice) * 100;
+        return {
+          triggered: true,
+          notificationType: 'predicted_drop',
+          reason: `The price is predicted to drop ${dropPercent.toFixed(1)}% to ${currency} ${lowest.price.toFixed(2)} by ${new Date(lowest.date).toDateString()}.`,
+          details: {
+            predictedPrice: parseFloat(lowest.price.toFixed(2)),
+            predictedDate: lowest.date,
+            withinDays: windowDays,
+            percentageChange: parseFloat(dropPercent.toFixed(2))
+          }
+        };
+      }
+      return notTriggered;
+    }
+
+    case ALERT_TYPES.BACK_IN_STOCK: {
+      // Only a restock after the alert was set (or last fired) counts, not an item that never sold out
+      const restockedAt = getLastRestockedAt(product);
+      const since = alert.lastTriggeredAt || alert.createdAt;
+      if (restockedAt && (!since || restockedAt > since)) {
+        return {
+          triggered: true,
+          notificationType: 'back_in_stock',
+          reason: `The item is back in stock at ${currency} ${currentPrice}.`,
+          details: {
+            availability: product.availability,
+            restockedAt,
+            deliveryEstimate: product.deliveryEstimate
+          }
+        };
+      }
+      return notTriggered;
+    }
+
+    default:
+      return notTriggered;
+  }
+};
+
+/**
+ * Evaluate whether an alert's condition is met by the product's current state
+ * @param {Object} alert - Alert subdocument
+ * @param {Object} product - Populated product document
+ * @param {Object} preferences - Alert owner's preferences, for useLandedCost and deliveryCountry
+ * @returns {Object} - { triggered, notificationType, reason, details, price }
+ */
+const evaluateAlert = (alert, product, preferences = {}) => {
+  if (!product) return { triggered: false };
+
+  const offer = hasOfferFilter(alert.offerFilter) ? getLowestMatchingOffer(product, alert.offerFilter) : null;
+  if (hasOfferFilter(alert.offerFilter) && !offer) {
+    return { triggered: false };
+  }
+
+  const variant = alert.variantId ? findVariant(product, alert.variantId) : null;
+  if (alert.variantId && !(variant && isPositiveNumber(variant.currentPrice))) {
+    return { triggered: false };
+  }
+
+  // A variant ships like the listing it belongs to
+  const priced = offer || (variant && {
+    price: variant.currentPrice,
+    shippingCost: product.shippingCost,
+    importCharges: product.importCharges
+  });
+  const landed = preferences.useLandedCost && LANDED_COST_TYPES.includes(alert.type || ALERT_TYPES.TARGET_PRICE)
+    ? getProductLandedCost(product, preferences.deliveryCountry, priced)
+    : null;
+
+  const price = landed ? landed.total : (priced ? priced.price : product.currentPrice);
+  const evaluation = evaluateCondition(alert, product, price);
+  if (!evaluation.triggered) return evaluation;
+
+  return {
+    ...evaluation,
+    price,
+    details: {
+      ...evaluation.details,
+      ...(offer ? { seller: offer.seller, condition: offer.condition } : {}),
+      ...(variant ? { variantId: variant.variantId, variant: variant.label } : {}),
+      ...(landed ? {
+        shippingCost: landed.shippingCost,
+        importCharges: landed.importCharges,
+        landedCostComplete: landed.complete
+      } : {})
+    }
+  };
+};
+
+module.exports = {
+  ALERT_TYPES,
+  ALERT_MODES,
+  DEFAULT_PREDICTION_WINDOW_DAYS,
+  getAllTimeLow,
+  validateAlertInput,
+  validateScheduleInput,
+  validateVariant,
+  getReferencePrice,
+  evaluateAlert
+};
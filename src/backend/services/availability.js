@@ -0,0 +1,83 @@
+/**
+ * Stock availability statuses and how scraped values map onto them.
+ * Shared by the scrapers (extraction), the Product model (history) and
+ * alertConditions / collectionService (back-in-stock alerts, deal filters).
+ */
+
+const AVAILABILITY_STATUSES = ['in_stock', 'limited', 'preorder', 'backorder', 'out_of_stock'];
+
+// Statuses where the item can be bought for delivery now
+const IN_STOCK_STATUSES = ['in_stock', 'limited'];
+
+// Statuses that must not be shown as a deal
+const UNAVAILABLE_STATUSES = ['preorder', 'backorder', 'out_of_stock'];
+
+// schema.org ItemAvailability values, e.g. https://schema.org/InStock
+const SCHEMA_ORG_AVAILABILITY = {
+  instock: 'in_stock',
+  instoreonly: 'in_stock',
+  onlineonly: 'in_stock',
+  limitedavailability: 'limited',
+  preorder: 'preorder',
+  presale: 'preorder',
+  backorder: 'backorder',
+  outofstock: 'out_of_stock',
+  soldout: 'out_of_stock',
+  discontinued: 'out_of_stock'
+};
+
+// Page text patterns, checked in order: "unavailable" must win over "available"
+const TEXT_PATTERNS = [
+  [/pre-?order/i, 'preorder'],
+  [/back-?order/i, 'backorder'],
+  [/out of stock|sold out|unavailable|not available|no longer available|discontinued/i, 'out_of_stock'],
+  [/only \d+ left|few left|low stock|limited stock/i, 'limited'],
+  [/in stock|available/i, 'in_stock']
+];
+
+/**
+ * Map a scraped availability value to a stored status
+ * @param {*} value - schema.org URL or name, page text, or an existing status
+ * @returns {string|null} - One of AVAILABILITY_STATUSES, or null when unrecognized
+ */
+const normalizeAvailability = (value) => {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  if (AVAILABILITY_STATUSES.includes(value)) return value;
+
+  const key = value.split('/').pop().replace(/[^a-z]/gi, '').toLowerCase();
+  if (SCHEMA_ORG_AVAILABILITY[key]) return SCHEMA_ORG_AVAILABILITY[key];
+
+  const match = TEXT_PATTERNS.find(([pattern]) => pattern.test(value));
+  return match ? match[1] : null;
+};
+
+const isInStock = (status) => IN_STOCK_STATUSES.includes(status);
+
+const isUnavailable = (status) => UNAVAILABLE_STATUSES.includes(status);
+
+/**
+ * When the product last came back in stock after being unavailable
+ * @param {Object} product - Product document with availabilityHistory
+ * @returns {Date|null} - Date of the latest restock, or null if it never restocked or isn't in stock now
+ */
+const getLastRestockedAt = (product) => {
+  const history = product.availabilityHistory || [];
+  if (!isInStock(product.availability)) return null;
+
+  for (let i = history.length - 1; i > 0; i--) {
+    if (isInStock(history[i].status) && !isInStock(history[i - 1].status)) {
+      return history[i].date;
+    }
+  }
+  return null;
+};
+
+module.exports = {
+  AVAILABILITY_STATUSES,
+  IN_STOCK_STATUSES,
+  UNAVAILABLE_STATUSES,
+  normalizeAvailability,
+  isInStock,
+  isUnavailable,
+  getLastRestockedAt
+};
@@ -0,0 +1,98 @@
+const axios = require('axios');
+const urlSafety = require('../urlSafety');
+
+// Self-hosted receivers often listen on their own port, and operators can let channels reach
+// hosts on their own network, such as a LAN ntfy or Gotify server, with NOTIFICATION_ALLOWED_HOSTS
+const URL_OPTIONS = {
+  allowPort: true,
+  allowList: urlSafety.parseAllowList(process.env.NOTIFICATION_ALLOWED_HOSTS)
+};
+
+// Utility function for better logging
+function logChannelStatus(message, details = {}) {
+  const timestamp = new Date().toISOString();
+  const detailsStr = Object.keys(details).length > 0
+    ? `\n  Details: ${JSON.stringify(details, null, 2)}`
+    : '';
+
+  console.log(`[${timestamp}] [NotificationChannel] ${message}${detailsStr}`);
+}
+
+/**
+ * Base class for notification delivery channels.
+ *
+ * A message passed to send() has the shape:
+ *   { event, title, text, html?, url?, priority?, data? }
+ * where `text` is always plain text and `html` is only used by channels that render it.
+ */
+class BaseChannel {
+  constructor(config = {}) {
+    this.config = config;
+    this.type = 'base';
+    this.timeout = 10000;
+  }
+
+  // Name recorded in alert trigger history and delivery results
+  get label() {
+    return this.config.name ? `${this.type}:${this.config.name}` : this.type;
+  }
+
+  /**
+   * Validate a channel configuration before it is stored
+   * @param {Object} config - Channel configuration
+   * @returns {string|null} - Error message, or null if valid
+   */
+  static validateConfig(config) {
+    return null;
+  }
+
+  // http(s) URL on a public or allowlisted host; other loopback, private and link-local targets are refused
+  static isValidUrl(url) {
+    if (!url || typeof url !== 'string') return false;
+    return !urlSafety.getUrlProblem(url, URL_OPTIONS);
+  }
+
+  /**
+   * POST to the channel's receiver. The URL is checked again when sending, since it may
+   * have been stored before private hosts were refused or its name may now resolve to one.
+   * @param {string} url - Receiver URL
+   * @param {*} body - Request body
+   * @param {Object} options - Extra axios options
+   * @returns {Promise<Object>} - axios response
+   */
+  async post(url, body, options = {}) {
+    const problem = urlSafety.getUrlProblem(url, URL_OPTIONS);
+    if (problem) {
+      throw new Error(problem);
+    }
+
+    return axios.post(url, body, {
+      timeout: this.timeout,
+      ...urlSafety.getHttpRequestOptions(URL_OPTIONS),
+      ...options
+    });
+  }
+
+  async send(message) {
+    throw new Error('send method must be implemented by subclasses');
+  }
+
+  /**
+   * Send a message, never throwing
+   * @param {Object} message - Notification message
+   * @returns {Promise<Object>} - { channel, success, error? }
+   */
+  async deliver(message) {
+    try {
+      await this.send(message);
+      logChannelStatus(`Delivered ${message.event} via ${this.label}`);
+      return { channel: this.label, success: true };
+    } catch (error) {
+      logChannelStatus(`Failed to deliver ${message.event} via ${this.label}`, { error: error.message });
+      return { channel: this.label, success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = BaseChannel;
+module.exports.logChannelStatus = logChannelStatus;
@@ -0,0 +1,42 @@
+const BaseChannel = require('./BaseChannel');
+
+/**
+ * Slack-style incoming webhook (also accepted by Mattermost, Rocket.Chat and
+ * Discord, which reads `content` instead of `text`).
+ */
+class ChatWebhookChannel extends BaseChannel {
+  constructor(config = {}) {
+    super(config);
+    this.type = 'chat_webhook';
+  }
+
+  static validateConfig(config) {
+    if (!BaseChannel.isValidUrl(config.url)) {
+      return 'Chat webhook channel requires a valid http(s) URL on a public host or one in NOTIFICATION_ALLOWED_HOSTS';
+    }
+    return null;
+  }
+
+  buildPayload(message) {
+    const lines = [`*${message.title}*`, message.text];
+    if (message.url) {
+      lines.push(`<${message.url}|View product>`);
+    }
+
+    const text = lines.join('\n');
+    return {
+      text,
+      content: text.replace(/<([^|>]+)\|([^>]+)>/g, '$2: $1')
+    };
+  }
+
+  async send(message) {
+    const response = await this.post(this.config.url, this.buildPayload(message), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+
+    return { status: response.status };
+  }
+}
+
+module.exports = ChatWebhookChannel;
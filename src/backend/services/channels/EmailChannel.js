@@ -0,0 +1,63 @@
+const nodemailer = require('nodemailer');
+const BaseChannel = require('./BaseChannel');
+
+// Configure nodemailer transporter
+const createTransporter = () => {
+  // For development, use a local test account
+  if (process.env.NODE_ENV === 'development') {
+    console.log('Using development email configuration');
+    return nodemailer.createTransport({
+      host: process.env.EMAIL_HOST || 'localhost',
+      port: process.env.EMAIL_PORT || 1025,
+      secure: false,
+      ignoreTLS: true
+    });
+  }
+
+  // For production, use configured SMTP server
+  return nodemailer.createTransport({
+    host: process.env.EMAIL_HOST,
+    port: process.env.EMAIL_PORT,
+    secure: process.env.EMAIL_SECURE === 'true',
+    auth: {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASSWORD
+    }
+  });
+};
+
+class EmailChannel extends BaseChannel {
+  constructor(config = {}) {
+    super(config);
+    this.type = 'email';
+  }
+
+  // Email is configured by the account address, not a named channel
+  get label() {
+    return 'email';
+  }
+
+  static validateConfig(config) {
+    if (!config.to) {
+      return 'Email channel requires a recipient address';
+    }
+    return null;
+  }
+
+  async send(message) {
+    const transporter = createTransporter();
+
+    const result = await transporter.sendMail({
+      from: process.env.EMAIL_FROM || 'alerts@salesnipe.local',
+      to: this.config.to,
+      subject: message.title,
+      text: message.text,
+      html: message.html
+    });
+
+    console.log(`Email sent to ${this.config.to}`);
+    return { messageId: result.messageId };
+  }
+}
+
+module.exports = EmailChannel;
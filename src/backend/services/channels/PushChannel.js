@@ -0,0 +1,78 @@
+const BaseChannel = require('./BaseChannel');
+
+const PROVIDERS = ['ntfy', 'gotify'];
+
+// Priority names mapped to each provider's numeric scale
+const PRIORITIES = {
+  ntfy: { low: 2, default: 3, high: 4 },
+  gotify: { low: 2, default: 5, high: 8 }
+};
+
+/**
+ * Self-hosted push notifications via ntfy (url is the topic URL) or
+ * Gotify (url is the server root; token is the application token).
+ */
+class PushChannel extends BaseChannel {
+  constructor(config = {}) {
+    super(config);
+    this.type = 'push';
+  }
+
+  static validateConfig(config) {
+    if (!PROVIDERS.includes(config.provider)) {
+      return `Push channel provider must be one of: ${PROVIDERS.join(', ')}`;
+    }
+    if (!BaseChannel.isValidUrl(config.url)) {
+      return 'Push channel requires a valid http(s) URL on a public host or one in NOTIFICATION_ALLOWED_HOSTS';
+    }
+    if (config.provider === 'gotify' && !config.token) {
+      return 'Gotify push channel requires an application token';
+    }
+    return null;
+  }
+
+  async sendNtfy(message) {
+    const headers = {
+      'Title': message.title,
+      'Priority': String(PRIORITIES.ntfy[message.priority] || PRIORITIES.ntfy.default),
+      'Tags': message.event
+    };
+
+    if (message.url) {
+      headers['Click'] = message.url;
+    }
+    if (this.config.token) {
+      headers['Authorization'] = `Bearer ${this.config.token}`;
+    }
+
+    return this.post(this.config.url, message.text, { headers });
+  }
+
+  async sendGotify(message) {
+    const url = `${this.config.url.replace(/\/+$/, '')}/message`;
+    const payload = {
+      title: message.title,
+      message: message.text,
+      priority: PRIORITIES.gotify[message.priority] || PRIORITIES.gotify.default
+    };
+
+    if (message.url) {
+      payload.extras = { 'client::notification': { click: { url: message.url } } };
+    }
+
+    return this.post(url, payload, {
+      headers: { 'X-Gotify-Key': this.config.token }
+    });
+  }
+
+  async send(message) {
+    const response = this.config.provider === 'gotify'
+      ? await this.sendGotify(message)
+      : await this.sendNtfy(message);
+
+    return { status: response.status };
+  }
+}
+
+module.exports = PushChannel;
+module.exports.PROVIDERS = PROVIDERS;
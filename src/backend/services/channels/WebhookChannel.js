@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const BaseChannel = require('./BaseChannel');
+
+/**
+ * Generic HTTP webhook: POSTs the message as JSON.
+ * When a secret is configured the raw body is signed with HMAC-SHA256 and sent as
+ * `X-SaleSnipe-Signature: sha256=<hex>` so receivers can verify the sender.
+ */
+class WebhookChannel extends BaseChannel {
+  constructor(config = {}) {
+    super(config);
+    this.type = 'webhook';
+  }
+
+  static validateConfig(config) {
+    if (!BaseChannel.isValidUrl(config.url)) {
+      return 'Webhook channel requires a valid http(s) URL on a public host or one in NOTIFICATION_ALLOWED_HOSTS';
+    }
+    return null;
+  }
+
+  static sign(body, secret) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+  }
+
+  buildPayload(message) {
+    return {
+      event: message.event,
+      title: message.title,
+      text: message.text,
+      url: message.url,
+      data: message.data || {},
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  async send(message) {
+    // Sign exactly the bytes that are sent
+    const body = JSON.stringify(this.buildPayload(message));
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'SaleSnipe-Webhook/1.0',
+      'X-SaleSnipe-Event': message.event
+    };
+
+    if (this.config.secret) {
+      headers['X-SaleSnipe-Signature'] = WebhookChannel.sign(body, this.config.secret);
+    }
+
+    const response = await this.post(this.config.url, body, { headers });
+
+    return { status: response.status };
+  }
+}
+
+module.exports = WebhookChannel;
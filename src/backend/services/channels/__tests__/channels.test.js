@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const http = require('http');
+const urlSafety = require('../../urlSafety');
+const channels = require('..');
+
+const message = {
+  event: 'price_drop',
+  title: 'Price drop: Sony WH-1000XM5',
+  text: 'Now USD 328.00, down from USD 399.99',
+  url: 'https://www.amazon.com/dp/B09XS7JWHH',
+  priority: 'high',
+  data: { productId: 'abc123' }
+};
+
+// Local receiver that records every request it gets
+let server;
+let baseUrl;
+let requests;
+
+beforeAll((done) => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end('{}');
+    });
+  });
+  server.listen(0, '127.0.0.1', () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterAll((done) => {
+  server.close(done);
+});
+
+beforeEach(() => {
+  requests = [];
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('channel URL checks', () => {
+  it.each(['webhook', 'chat_webhook'])('refuses local and private %s URLs', (type) => {
+    ['http://localhost/hook', 'http://127.0.0.1:8080/hook', 'http://169.254.169.254/latest', 'http://[::1]/hook']
+      .forEach(url => expect(channels.validateChannelConfig({ type, url })).toMatch(/public host/));
+  });
+
+  it('refuses private push servers', () => {
+    expect(channels.validateChannelConfig({ type: 'push', provider: 'ntfy', url: 'http://192.168.1.10/alerts' }))
+      .toMatch(/public host/);
+  });
+
+  it('accepts public URLs on any port', () => {
+    expect(channels.validateChannelConfig({ type: 'webhook', url: 'https://hooks.example.com:8443/salesnipe' })).toBeNull();
+  });
+
+  it('does not send to a stored private URL', async () => {
+    const channel = channels.createChannel({ type: 'webhook', url: `${baseUrl}/hook` });
+
+    const result = await channel.deliver(message);
+
+    expect(result).toMatchObject({ success: false, error: 'URL must not point to a private or local address' });
+    expect(requests).toHaveLength(0);
+  });
+
+  it('reaches private hosts listed in NOTIFICATION_ALLOWED_HOSTS', async () => {
+    let allowedChannels;
+    process.env.NOTIFICATION_ALLOWED_HOSTS = '127.0.0.1,ntfy.home';
+    try {
+      jest.isolateModules(() => {
+        allowedChannels = require('..');
+      });
+    } finally {
+      delete process.env.NOTIFICATION_ALLOWED_HOSTS;
+    }
+
+    expect(allowedChannels.validateChannelConfig({ type: 'push', provider: 'ntfy', url: 'http://ntfy.home:8080/alerts' })).toBeNull();
+    expect(allowedChannels.validateChannelConfig({ type: 'webhook', url: 'http://192.168.1.10/hook' })).toMatch(/public host/);
+
+    const result = await allowedChannels.createChannel({ type: 'webhook', url: `${baseUrl}/hook` }).deliver(message);
+
+    expect(result.success).toBe(true);
+    expect(requests).toHaveLength(1);
+  });
+});
+
+// The receiver is on loopback, so these tests let the channels reach it
+describe('channel delivery', () => {
+  beforeEach(() => {
+    jest.spyOn(urlSafety, 'getUrlProblem').mockReturnValue(null);
+    jest.spyOn(urlSafety, 'getHttpRequestOptions').mockReturnValue({});
+  });
+
+  it('posts the webhook payload with an HMAC signature of the raw body', async () => {
+    const channel = channels.createChannel({ type: 'webhook', url: `${baseUrl}/hook`, secret: 'shh' });
+
+    const result = await channel.deliver(message);
+
+    expect(result).toEqual({ channel: 'webhook', success: true });
+    expect(requests).toHaveLength(1);
+    const [request] = requests;
+    expect(request.method).toBe('POST');
+    expect(request.url).toBe('/hook');
+    expect(request.headers['content-type']).toBe('application/json');
+    expect(request.headers['x-salesnipe-event']).toBe('price_drop');
+
+    const expectedSignature = `sha256=${crypto.createHmac('sha256', 'shh').update(request.body).digest('hex')}`;
+    expect(request.headers['x-salesnipe-signature']).toBe(expectedSignature);
+
+    const payload = JSON.parse(request.body);
+    expect(payload).toEqual({
+      event: 'price_drop',
+      title: message.title,
+      text: message.text,
+      url: message.url,
+      data: { productId: 'abc123' },
+      timestamp: expect.any(String)
+    });
+  });
+
+  it('leaves webhooks without a secret unsigned', async () => {
+    await channels.createChannel({ type: 'webhook', url: `${baseUrl}/hook` }).deliver(message);
+
+    expect(requests[0].headers['x-salesnipe-signature']).toBeUndefined();
+  });
+
+  it('posts Slack and Discord style text to chat webhooks', async () => {
+    await channels.createChannel({ type: 'chat_webhook', url: `${baseUrl}/chat` }).deliver(message);
+
+    expect(JSON.parse(requests[0].body)).toEqual({
+      text: `*${message.title}*\n${message.text}\n<${message.url}|View product>`,
+      content: `*${message.title}*\n${message.text}\nView product: ${message.url}`
+    });
+  });
+
+  it('publishes to an ntfy topic with headers', async () => {
+    const channel = channels.createChannel({ type: 'push', provider: 'ntfy', url: `${baseUrl}/deals`, token: 'tk' });
+
+    await channel.deliver(message);
+
+    const [request] = requests;
+    expect(request.url).toBe('/deals');
+    expect(request.body).toBe(message.text);
+    expect(request.headers).toMatchObject({
+      title: message.title,
+      priority: '4',
+      tags: 'price_drop',
+      click: message.url,
+      authorization: 'Bearer tk'
+    });
+  });
+
+  it('posts Gotify messages to the server root', async () => {
+    const channel = channels.createChannel({ type: 'push', provider: 'gotify', url: `${baseUrl}/`, token: 'app-token' });
+
+    await channel.deliver(message);
+
+    const [request] = requests;
+    expect(request.url).toBe('/message');
+    expect(request.headers['x-gotify-key']).toBe('app-token');
+    expect(JSON.parse(request.body)).toEqual({
+      title: message.title,
+      message: message.text,
+      priority: 8,
+      extras: { 'client::notification': { click: { url: message.url } } }
+    });
+  });
+});
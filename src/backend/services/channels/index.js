@@ -0,0 +1,72 @@
+const EmailChannel = require('./EmailChannel');
+const WebhookChannel = require('./WebhookChannel');
+const ChatWebhookChannel = require('./ChatWebhookChannel');
+const PushChannel = require('./PushChannel');
+
+// Channel types users can configure under preferences.notificationChannels
+const CHANNEL_CLASSES = {
+  webhook: WebhookChannel,
+  chat_webhook: ChatWebhookChannel,
+  push: PushChannel
+};
+
+const CHANNEL_TYPES = Object.keys(CHANNEL_CLASSES);
+
+/**
+ * Validate a user channel configuration
+ * @param {Object} config - Channel configuration
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateChannelConfig = (config = {}) => {
+  const ChannelClass = CHANNEL_CLASSES[config.type];
+  if (!ChannelClass) {
+    return `Channel type must be one of: ${CHANNEL_TYPES.join(', ')}`;
+  }
+  return ChannelClass.validateConfig(config);
+};
+
+/**
+ * Create a channel instance from a stored configuration
+ * @param {Object} config - Channel configuration
+ * @returns {BaseChannel}
+ */
+const createChannel = (config) => {
+  const ChannelClass = CHANNEL_CLASSES[config.type];
+  if (!ChannelClass) {
+    throw new Error(`Unsupported notification channel: ${config.type}`);
+  }
+  return new ChannelClass(config);
+};
+
+/**
+ * Get the external delivery channels enabled for a user
+ * (email when emailNotifications is on, plus every enabled configured channel)
+ * @param {Object} user - User document
+ * @returns {BaseChannel[]}
+ */
+const getUserChannels = (user) => {
+  const preferences = user.preferences || {};
+  const channels = [];
+
+  if (preferences.emailNotifications && user.email) {
+    channels.push(new EmailChannel({ to: user.email }));
+  }
+
+  for (const config of preferences.notificationChannels || []) {
+    if (config.enabled === false || !CHANNEL_CLASSES[config.type]) continue;
+    channels.push(createChannel(config));
+  }
+
+  return channels;
+};
+
+module.exports = {
+  CHANNEL_TYPES,
+  EmailChannel,
+  WebhookChannel,
+  ChatWebhookChannel,
+  PushChannel,
+  validateChannelConfig,
+  createChannel,
+  getUserChannels
+};
@@ -1,6 +1,28 @@
 const ProductCollection = require('../models/ProductCollection');
 const Product = require('../models/Product');
 const scraperService = require('./scraperService');
+const websocketService = require('./websocketService');
+const productMatchingService = require('./productMatchingService');
+const priceValidationService = require('./priceValidationService');
+const { UNAVAILABLE_STATUSES } = require('./availability');
+
+const DEAL_MIN_DISCOUNT_PERCENT = parseFloat(process.env.DEAL_MIN_DISCOUNT_PERCENT) || 20;
+const DEAL_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const DATABASE_COLLECTION_SIZE = 50;
+
+// Collections built from stored products instead of a keyword search
+const DATABASE_COLLECTIONS = {
+  // Biggest discounts off list price among products checked in the last week.
+  // Products with unknown availability stay in; ones known to be out of stock don't.
+  'discount-deals': {
+    filter: () => ({
+      discountPercent: { $gte: DEAL_MIN_DISCOUNT_PERCENT },
+      lastUpdated: { $gte: new Date(Date.now() - DEAL_MAX_AGE_MS) },
+      availability: { $nin: UNAVAILABLE_STATUSES }
+    }),
+    sort: { discountPercent: -1, lastUpdated: -1 }
+  }
+};
 
 /**
  * Service for managing product collections
@@ -12,6 +34,10 @@ class CollectionService {
    * @param {string} searchTerm - Search term to use for fetching products
    */
   async updateCollection(collectionName, searchTerm) {
+    if (this.isDatabaseCollection(collectionName)) {
+      return this.updateCollectionFromDatabase(collectionName);
+    }
+
     console.log(`Updating collection: ${collectionName} with search term: ${searchTerm}`);
     
     try {
@@ -34,43 +60,97 @@ class CollectionService {
         });
         
         if (existingProduct) {
-          // If product exists, update the price if it has changed
-          if (existingProduct.currentPrice !== product.currentPrice) {
-            await existingProduct.addPriceToHistory(product.currentPrice, product.currency);
+          // If product exists, update the price if it has changed and doesn't look like a scraping error
+          if (existingProduct.currentPrice !== product.currentPrice &&
+              (await priceValidationService.reviewPriceChange(existingProduct, product)).accepted) {
+            existingProduct.updateSellerOffers(product.sellerOffers);
+            existingProduct.updateVariants(product.variants);
+            await existingProduct.addPriceToHistory(
+              product.currentPrice, product.currency, product.originalPrice,
+              product.sellerOffers && product.sellerOffers[0].seller
+            );
           }
           savedProductIds.push(existingProduct._id);
-        } else {
+        } else if (priceValidationService.isValidNewProductPrice(product.currentPrice, product.currency)) {
           // Create new product
-          const newProduct = new Product(product);
+          const { sellerOffers, variants, ...fields } = product;
+          const newProduct = new Product(fields);
+          newProduct.updateSellerOffers(sellerOffers);
+          newProduct.updateVariants(variants);
           await newProduct.save();
+          productMatchingService.queueMatch(newProduct);
           savedProductIds.push(newProduct._id);
         }
       }
       
-      // Find or create the collection
-      let collection = await ProductCollection.findOne({ name: collectionName });
-      
-      if (!collection) {
-        collection = new ProductCollection({
-          name: collectionName,
-          description: `Collection of ${collectionName} products`,
-          products: savedProductIds
-        });
-      } else {
-        // Update existing collection
-        collection.products = savedProductIds;
-        collection.lastUpdated = new Date();
-      }
-      
-      await collection.save();
-      console.log(`Updated collection: ${collectionName} with ${savedProductIds.length} products`);
-      
+      await this.saveCollection(collectionName, savedProductIds);
       return true;
     } catch (error) {
       console.error(`Error updating collection ${collectionName}:`, error);
       return false;
     }
   }
+
+  /**
+   * Whether a collection is picked from stored products rather than scraped
+   * @param {string} collectionName - Name of the collection
+   */
+  isDatabaseCollection(collectionName) {
+    return Boolean(DATABASE_COLLECTIONS[collectionName]);
+  }
+
+  /**
+   * Rebuild a collection from products already in the database
+   * @param {string} collectionName - Name of a collection in DATABASE_COLLECTIONS
+   */
+  async updateCollectionFromDatabase(collectionName) {
+    const definition = DATABASE_COLLECTIONS[collectionName];
+    console.log(`Updating collection: ${collectionName} from stored products`);
+
+    try {
+      const products = await Product.find(definition.filter(), '_id')
+        .sort(definition.sort)
+        .limit(DATABASE_COLLECTION_SIZE);
+
+      await this.saveCollection(collectionName, products.map(product => product._id));
+      return true;
+    } catch (error) {
+      console.error(`Error updating collection ${collectionName}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Store a collection's products and tell subscribers it changed
+   * @param {string} collectionName - Name of the collection
+   * @param {Array} productIds - Products in display order
+   */
+  async saveCollection(collectionName, productIds) {
+    // Find or create the collection
+    let collection = await ProductCollection.findOne({ name: collectionName });
+    
+    if (!collection) {
+      collection = new ProductCollection({
+        name: collectionName,
+        description: `Collection of ${collectionName} products`,
+        products: productIds
+      });
+    } else {
+      // Update existing collection
+      collection.products = productIds;
+      collection.lastUpdated = new Date();
+    }
+    
+    await collection.save();
+    console.log(`Updated collection: ${collectionName} with ${productIds.length} products`);
+    
+    websocketService.publish(`collection:${collectionName}`, {
+      type: 'collection_updated',
+      collection: collectionName,
+      productCount: productIds.length,
+      lastUpdated: collection.lastUpdated
+    });
+  }
   
   /**
    * Get products for a specific collection
@@ -82,7 +162,7 @@ class CollectionService {
       const collection = await ProductCollection.findOne({ name: collectionName })
         .populate({
           path: 'products',
-          select: 'title currentPrice url source currency rating imageUrl lastUpdated _id priceHistory originalPrice'
+          select: 'title currentPrice url source currency rating imageUrl lastUpdated _id priceHistory originalPrice discountPercent availability deliveryEstimate'
         });
       
       if (!collection) {
@@ -1,10 +1,14 @@
 const cron = require('node-cron');
 const Product = require('../models/Product');
-const scraperService = require('./scraperService');
+const jobQueueService = require('./jobQueueService');
+const refreshScheduler = require('./refreshScheduler');
 const notificationService = require('./notificationService');
 const pricePredictionService = require('./ai/pricePredictionService');
 const sentimentAnalysisService = require('./ai/sentimentAnalysisService');
 const collectionService = require('./collectionService');
+const digestService = require('./digestService');
+const selectorConfigService = require('./selectorConfigService');
+const productMatchingService = require('./productMatchingService');
 
 // Store active jobs
 const activeJobs = {};
@@ -15,8 +19,8 @@ const activeJobs = {};
 exports.initializeJobs = () => {
   console.log('Initializing scheduled tasks...');
   
-  // Update product prices - every 4 hours
-  activeJobs.priceUpdates = cron.schedule('0 */4 * * *', async () => {
+  // Queue price updates for products that are due - every 15 minutes
+  activeJobs.priceUpdates = cron.schedule('*/15 * * * *', async () => {
     console.log(`[${new Date().toISOString()}] Running scheduled price updates`);
     try {
       await exports.updateProductPrices();
@@ -65,13 +69,43 @@ exports.initializeJobs = () => {
     }
   });
   
+  // Send watchlist digests - every hour, each user at their chosen local time
+  activeJobs.digests = cron.schedule('5 * * * *', async () => {
+    console.log(`[${new Date().toISOString()}] Running scheduled watchlist digests`);
+    try {
+      await exports.sendWatchlistDigests();
+    } catch (error) {
+      console.error('Error in scheduled watchlist digest job:', error);
+    }
+  });
+  
+  // Match listings that missed matching when they were saved - every hour
+  activeJobs.productMatching = cron.schedule('20 * * * *', async () => {
+    console.log(`[${new Date().toISOString()}] Running scheduled product matching`);
+    try {
+      await productMatchingService.matchProducts();
+    } catch (error) {
+      console.error('Error in scheduled product matching job:', error);
+    }
+  });
+  
+  // Process queued price updates in the background
+  jobQueueService.start().catch(error => {
+    console.error('Error starting price update worker:', error);
+  });
+  
+  // Pick up selector configs edited in the database without a restart
+  selectorConfigService.start().catch(error => {
+    console.error('Error loading stored selector configs:', error);
+  });
+  
   console.log('All scheduled tasks initialized successfully');
 };
 
 /**
- * Stop all cron jobs
+ * Stop all cron jobs, waiting for price updates in flight
  */
-exports.stopAllJobs = () => {
+exports.stopAllJobs = async () => {
   console.log('Stopping all scheduled tasks...');
   
   Object.keys(activeJobs).forEach(key => {
@@ -81,56 +115,23 @@ exports.stopAllJobs = () => {
     }
   });
   
+  selectorConfigService.stop();
+  await jobQueueService.stop();
+  
   console.log('All scheduled tasks stopped');
 };
 
 /**
- * Update prices for all products in the database
+ * Queue price updates for products whose adaptive nextCheckAt has passed.
+ * The job queue worker runs them under per-source concurrency and rate limits.
  */
 exports.updateProductPrices = async () => {
   try {
-    console.log('Starting price update for all products...');
+    console.log('Queueing price updates for due products...');
     
-    // Get all products
-    const products = await Product.find({}).select('_id url source siteProductId');
-    console.log(`Found ${products.length} products to update`);
-    
-    const results = {
-      total: products.length,
-      successful: 0,
-      failed: 0,
-      unchanged: 0,
-      changed: 0
-    };
-    
-    for (const product of products) {
-      try {
-        console.log(`Updating price for product ${product._id} from ${product.source}`);
-        
-        // Get latest price from scraper
-        const updatedData = await scraperService.updateProductPrice(product._id);
-        
-        if (updatedData.success) {
-          results.successful++;
-          
-          if (updatedData.priceChanged) {
-            results.changed++;
-          } else {
-            results.unchanged++;
-          }
-        } else {
-          results.failed++;
-        }
-      } catch (error) {
-        console.error(`Error updating product ${product._id}:`, error);
-        results.failed++;
-      }
-      
-      // Implement a delay to avoid rate limiting
-      await new Promise(resolve => setTimeout(resolve, 2000));
-    }
+    const results = await jobQueueService.enqueueProductUpdates(refreshScheduler.getDueFilter());
     
-    console.log('Price update job completed');
+    console.log('Price update jobs queued');
     console.log('Results:', results);
     
     return results;
@@ -232,7 +233,8 @@ exports.updateProductCollections = async () => {
     // Define collections to update with their search terms
     const collections = [
       { name: 'trending', searchTerm: 'trending' },
-      { name: 'discount-deals', searchTerm: 'discount deals' },
+      // Picked from stored products by discount, no scraping
+      { name: 'discount-deals' },
       { name: 'new-arrivals', searchTerm: 'new release' },
       { name: 'top-rated', searchTerm: 'best seller' }
     ];
@@ -271,4 +273,23 @@ exports.updateProductCollections = async () => {
     console.error('Error in updateProductCollections task:', error);
     throw error;
   }
+};
+
+/**
+ * Send daily/weekly watchlist digests that are due this hour
+ */
+exports.sendWatchlistDigests = async () => {
+  try {
+    console.log('Starting watchlist digest run...');
+    
+    const results = await digestService.sendDueDigests();
+    
+    console.log('Watchlist digest job completed');
+    console.log('Results:', results);
+    
+    return results;
+  } catch (error) {
+    console.error('Error in sendWatchlistDigests task:', error);
+    throw error;
+  }
 }; 
\ No newline at end of file
@@ -87,9 +87,10 @@ class CurrencyService {
     
     const convertedProduct = { ...product.toObject() };
     
-    // Store original currency and price
-    convertedProduct.originalCurrency = product.currency;
-    convertedProduct.originalPrice = product.currentPrice;
+    // Store the price and currency before conversion.
+    // (originalPrice is the list price, which is converted along with the current price)
+    convertedProduct.sourceCurrency = product.currency;
+    convertedProduct.sourcePrice = product.currentPrice;
     
     // Convert current price
     if (product.currency !== targetCurrency) {
@@ -98,6 +99,15 @@ class CurrencyService {
         product.currency, 
         targetCurrency
       );
+      if (product.originalPrice) {
+        convertedProduct.originalPrice = await this.convertPrice(product.originalPrice, product.currency, targetCurrency);
+      }
+      // Delivery charges of 0 mean free shipping and need no conversion
+      for (const charge of ['shippingCost', 'importCharges']) {
+        if (product[charge] > 0) {
+          convertedProduct[charge] = await this.convertPrice(product[charge], product.currency, targetCurrency);
+        }
+      }
       convertedProduct.currency = targetCurrency;
     }
     
@@ -106,9 +116,12 @@ class CurrencyService {
       console.log(`Warning: Unreasonable price after conversion for product ${product.title}: ${convertedProduct.currentPrice} ${targetCurrency}`);
       // Keep the original price if the converted price is unreasonable
       convertedProduct.currentPrice = product.currentPrice;
+      convertedProduct.originalPrice = product.originalPrice;
+      convertedProduct.shippingCost = product.shippingCost;
+      convertedProduct.importCharges = product.importCharges;
       convertedProduct.currency = product.currency;
-      convertedProduct.originalCurrency = null;
-      convertedProduct.originalPrice = null;
+      convertedProduct.sourceCurrency = null;
+      convertedProduct.sourcePrice = null;
     }
     
     // Convert price history
@@ -126,15 +139,18 @@ class CurrencyService {
               ...entry,
               price: convertedPrice,
               currency: targetCurrency,
-              originalCurrency: entry.currency,
-              originalPrice: entry.price
+              ...(entry.originalPrice
+                ? { originalPrice: await this.convertPrice(entry.originalPrice, entry.currency, targetCurrency) }
+                : {}),
+              sourceCurrency: entry.currency,
+              sourcePrice: entry.price
             };
           }
           // Keep original price if conversion results in unreasonable price
           return {
             ...entry,
-            originalCurrency: null,
-            originalPrice: null
+            sourceCurrency: null,
+            sourcePrice: null
           };
         })
       );
@@ -157,15 +173,15 @@ class CurrencyService {
                 ...pred,
                 price: convertedPrice,
                 currency: targetCurrency,
-                originalCurrency: pred.currency,
-                originalPrice: pred.price
+                sourceCurrency: pred.currency,
+                sourcePrice: pred.price
               };
             }
             // Keep original price if conversion results in unreasonable price
             return {
               ...pred,
-              originalCurrency: null,
-              originalPrice: null
+              sourceCurrency: null,
+              sourcePrice: null
             };
           })
         )
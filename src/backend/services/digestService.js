@@ -0,0 +1,282 @@
+const User = require('../models/User');
+const watchlistStatsService = require('./watchlistStatsService');
+const { EmailChannel } = require('./channels');
+
+// Covered period when a user has never received a digest
+const PERIOD_MS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+// Minimum gap between two digests, leaving slack for a late cron run
+const MIN_GAP_MS = {
+  daily: 20 * 60 * 60 * 1000,
+  weekly: 6 * 24 * 60 * 60 * 1000
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Get the hour and weekday of a moment in a user's timezone
+ * @param {Date} date - Moment to convert
+ * @param {string} timezone - IANA timezone name
+ * @returns {Object} - { hour, weekday } with weekday 0 = Sunday
+ */
+const getLocalTime = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone || 'UTC',
+    hour: '2-digit',
+    hourCycle: 'h23',
+    weekday: 'short'
+  }).formatToParts(date);
+
+  const part = type => parts.find(p => p.type === type).value;
+  return {
+    hour: parseInt(part('hour'), 10) % 24,
+    weekday: WEEKDAYS.indexOf(part('weekday'))
+  };
+};
+
+/**
+ * Check whether a user's digest should go out now.
+ * The cron job runs hourly, so a digest is sent during the hour of the chosen time.
+ * @param {Object} user - User document
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+exports.isDigestDue = (user, now = new Date()) => {
+  const digest = (user.preferences && user.preferences.digest) || {};
+  if (!PERIOD_MS[digest.frequency]) return false;
+
+  const local = getLocalTime(now, digest.timezone);
+  const hour = parseInt((digest.time || '08:00').split(':')[0], 10);
+
+  if (local.hour !== hour) return false;
+  if (digest.frequency === 'weekly' && local.weekday !== digest.dayOfWeek) return false;
+
+  return !user.lastDigestSentAt || now - user.lastDigestSentAt >= MIN_GAP_MS[digest.frequency];
+};
+
+/**
+ * Get the price a product had at a given moment
+ * @param {Array} priceHistory - Product price history
+ * @param {Date} date - Moment to look up
+ * @returns {number|null} - Last recorded price at or before the date, or null if none
+ */
+const getPriceAt = (priceHistory, date) => {
+  let price = null;
+  for (const entry of priceHistory) {
+    if (new Date(entry.date) > date) break;
+    price = entry.price;
+  }
+  return price;
+};
+
+/**
+ * Collect the watchlist movements to report since the last digest
+ * @param {Object} user - User document with watchlist.productId populated
+ * @param {Date} since - Start of the covered period
+ * @param {Date} now - Current time
+ * @returns {Object} - { stats, priceChanges, allTimeLows, predictedDrops }
+ */
+exports.buildDigest = (user, since, now = new Date()) => {
+  const priceChanges = [];
+  const allTimeLows = [];
+  const predictedDrops = [];
+
+  user.watchlist.forEach(item => {
+    const product = item.productId;
+    if (!product || !product.priceHistory || !product.priceHistory.length) return;
+
+    const history = product.priceHistory;
+
+    // Products added to the watchlist mid-period are compared with their first price
+    const previousPrice = getPriceAt(history, since);
+    const startPrice = previousPrice !== null ? previousPrice : history[0].price;
+
+    if (startPrice !== product.currentPrice) {
+      priceChanges.push({
+        product,
+        previousPrice: startPrice,
+        currentPrice: product.currentPrice,
+        percentageChange: parseFloat((((product.currentPrice - startPrice) / startPrice) * 100).toFixed(2))
+      });
+    }
+
+    // A new all-time low is one set during the period and below every earlier price
+    const earlierPrices = history.filter(entry => new Date(entry.date) <= since).map(entry => entry.price);
+    const periodPrices = history.filter(entry => new Date(entry.date) > since).map(entry => entry.price);
+
+    if (earlierPrices.length && periodPrices.length) {
+      const previousLow = Math.min(...earlierPrices);
+      const periodLow = Math.min(...periodPrices);
+
+      if (periodLow < previousLow) {
+        allTimeLows.push({ product, price: periodLow, previousLow });
+      }
+    }
+
+    // Only predictions that are still ahead of us are worth waiting for
+    const upcoming = ((product.pricePrediction && product.pricePrediction.predictions) || [])
+      .filter(prediction => new Date(prediction.date) > now);
+    const lowestPrediction = watchlistStatsService.getLowestPrediction({
+      pricePrediction: { predictions: upcoming }
+    });
+
+    if (lowestPrediction && lowestPrediction.price < product.currentPrice) {
+      predictedDrops.push({
+        product,
+        predictedPrice: lowestPrediction.price,
+        predictedDate: lowestPrediction.date,
+        savings: parseFloat((product.currentPrice - lowestPrediction.price).toFixed(2))
+      });
+    }
+  });
+
+  priceChanges.sort((a, b) => a.percentageChange - b.percentageChange);
+  predictedDrops.sort((a, b) => b.savings - a.savings);
+
+  return {
+    stats: watchlistStatsService.calculateWatchlistStats(user.watchlist),
+    priceChanges,
+    allTimeLows,
+    predictedDrops
+  };
+};
+
+const formatPrice = (currency, price) => `${currency} ${Number(price).toFixed(2)}`;
+
+/**
+ * Render a digest as an email message with HTML and plain-text parts
+ * @param {Object} user - User document
+ * @param {Object} digest - Result of buildDigest
+ * @param {string} frequency - 'daily' or 'weekly'
+ * @returns {Object} - Message accepted by EmailChannel
+ */
+exports.renderDigest = (user, digest, frequency) => {
+  const { stats, priceChanges, allTimeLows, predictedDrops } = digest;
+  const period = frequency === 'weekly' ? 'this week' : 'today';
+  const heading = frequency === 'weekly' ? 'Your Weekly Watchlist Digest' : 'Your Daily Watchlist Digest';
+
+  const changeLine = change =>
+    `${change.product.title}: ${formatPrice(change.product.currency, change.previousPrice)} -> ${formatPrice(change.product.currency, change.currentPrice)} (${change.percentageChange > 0 ? '+' : ''}${change.percentageChange}%)`;
+  const lowLine = low =>
+    `${low.product.title}: ${formatPrice(low.product.currency, low.price)} (previous low ${formatPrice(low.product.currency, low.previousLow)})`;
+  const dropLine = drop =>
+    `${drop.product.title}: expected ${formatPrice(drop.product.currency, drop.predictedPrice)} by ${new Date(drop.predictedDate).toDateString()} (save ${formatPrice(drop.product.currency, drop.savings)})`;
+
+  const sections = [
+    { title: `Price changes ${period}`, items: priceChanges, line: changeLine },
+    { title: 'New all-time lows', items: allTimeLows, line: lowLine },
+    { title: 'Upcoming predicted drops', items: predictedDrops, line: dropLine }
+  ].filter(section => section.items.length);
+
+  const summary = `${stats.totalProducts} watched products, ${stats.priceChanges.decreased} cheaper and ${stats.priceChanges.increased} more expensive since their previous price.`;
+
+  const text = [
+    heading,
+    '',
+    `Hello ${user.name},`,
+    summary,
+    ...sections.flatMap(section => ['', `${section.title}:`, ...section.items.map(item => `- ${section.line(item)}`)]),
+    '',
+    'You are receiving this digest because you enabled it in your SaleSnipe settings.'
+  ].join('\n');
+
+  const htmlSections = sections.map(section => `
+          <h3 style="color: #4a5568;">${section.title}</h3>
+          <ul>
+            ${section.items.map(item => `<li><a href="${item.product.url}">${section.line(item)}</a></li>`).join('\n            ')}
+          </ul>`).join('\n');
+
+  const html = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #4a5568;">${heading}</h2>
+          <p>Hello ${user.name},</p>
+          <div style="background-color: #f7fafc; padding: 15px; border-radius: 5px; margin: 20px 0;">
+            <p>${summary}</p>
+          </div>
+          ${htmlSections}
+
+          <p>Happy shopping!</p>
+          <p>The SaleSnipe Team</p>
+
+          <hr style="border: 1px solid #edf2f7; margin: 20px 0;" />
+          <p style="color: #718096; font-size: 12px;">
+            You're receiving this digest because you enabled it in SaleSnipe.
+            To change how often it arrives, visit your account settings.
+          </p>
+        </div>
+      `;
+
+  return {
+    event: 'digest',
+    title: `${heading}: ${priceChanges.length} price changes ${period}`,
+    text,
+    html
+  };
+};
+
+/**
+ * Build and email a digest for one user
+ * @param {Object} user - User document with watchlist.productId populated
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - { sent, reason?, error? }
+ */
+exports.sendDigest = async (user, now = new Date()) => {
+  const frequency = user.preferences.digest.frequency;
+  const since = user.lastDigestSentAt || new Date(now - PERIOD_MS[frequency]);
+  const digest = exports.buildDigest(user, since, now);
+
+  // Nothing to report; keep the window open so the next digest covers it
+  if (!digest.priceChanges.length && !digest.allTimeLows.length && !digest.predictedDrops.length) {
+    return { sent: false, reason: 'No watchlist movements' };
+  }
+
+  const channel = new EmailChannel({ to: user.email });
+  const result = await channel.deliver(exports.renderDigest(user, digest, frequency));
+
+  if (!result.success) {
+    return { sent: false, error: result.error };
+  }
+
+  await User.updateOne({ _id: user._id }, { $set: { lastDigestSentAt: now } });
+  return { sent: true };
+};
+
+/**
+ * Send digests to every user whose chosen digest time is now
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - Counts of sent, skipped and failed digests
+ */
+exports.sendDueDigests = async (now = new Date()) => {
+  const users = await User.find({ 'preferences.digest.frequency': { $in: ['daily', 'weekly'] } })
+    .populate({
+      path: 'watchlist.productId',
+      select: 'title url currency currentPrice priceHistory pricePrediction'
+    });
+
+  const results = { due: 0, sent: 0, skipped: 0, failed: 0 };
+
+  for (const user of users) {
+    if (!exports.isDigestDue(user, now)) continue;
+    results.due++;
+
+    try {
+      const result = await exports.sendDigest(user, now);
+
+      if (result.sent) {
+        results.sent++;
+      } else if (result.error) {
+        results.failed++;
+      } else {
+        results.skipped++;
+      }
+    } catch (error) {
+      console.error(`Error sending digest to user ${user._id}:`, error);
+      results.failed++;
+    }
+  }
+
+  return results;
+};
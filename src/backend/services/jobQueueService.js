@@ -0,0 +1,405 @@
+const PriceUpdateJob = require('../models/PriceUpdateJob');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const scraperService = require('./scraperService');
+const refreshScheduler = require('./refreshScheduler');
+const scraperHealthService = require('./scraperHealthService');
+
+// Per-source limits: parallel jobs and minimum gap between job starts.
+// Each source has one scraper driving one browser page, so its jobs run one at a time.
+const DEFAULT_SOURCE_LIMITS = { concurrency: 1, minIntervalMs: 3000 };
+const SOURCE_LIMITS = {
+  amazon: { concurrency: 1, minIntervalMs: 3000 },
+  amazon_in: { concurrency: 1, minIntervalMs: 3000 },
+  ebay: { concurrency: 1, minIntervalMs: 1500 },
+  flipkart: { concurrency: 1, minIntervalMs: 3000 }
+};
+
+// Priority boosts, added together for products that are both watched and alerted
+const PRIORITY = {
+  WATCHED: 10,
+  ALERTED: 20
+};
+
+// Retry backoff: 1, 2, 4, 8... minutes, capped at one hour
+const BACKOFF_BASE_MS = 60 * 1000;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+
+// A price update that hasn't settled by now is aborted, which closes its browser, and failed
+const JOB_TIMEOUT_MS = 10 * 60 * 1000;
+
+// How long an aborted update gets to unwind before its job is failed anyway.
+// Its source stays busy until it really ends, so a retry never overlaps it.
+const ABORT_GRACE_MS = 60 * 1000;
+
+// Running jobs older than this (longer than any job may take) were orphaned and are requeued
+const STALE_JOB_MS = 15 * 60 * 1000;
+
+const POLL_INTERVAL_MS = 1000;
+
+// Utility function for better logging
+function logQueueStatus(message, details = {}) {
+  const timestamp = new Date().toISOString();
+  const detailsStr = Object.keys(details).length > 0
+    ? `\n  Details: ${JSON.stringify(details, null, 2)}`
+    : '';
+
+  console.log(`[${timestamp}] [JobQueue] ${message}${detailsStr}`);
+}
+
+const getSourceLimits = (source) => SOURCE_LIMITS[source] || DEFAULT_SOURCE_LIMITS;
+
+const getBackoffMs = (attempts) => Math.min(BACKOFF_BASE_MS * Math.pow(2, attempts - 1), BACKOFF_MAX_MS);
+
+// Resolve with the promise's result, or with fallback if it hasn't settled within ms
+const settleWithin = (promise, ms, fallback) => {
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => resolve(fallback), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Mongo-backed queue for scheduled price updates.
+ * Jobs survive restarts; the worker polls for due jobs and respects per-source limits.
+ */
+class JobQueueService {
+  constructor() {
+    this.timer = null;
+    this.ticking = false;
+    this.running = {}; // source -> number of jobs in flight
+    this.lastStartedAt = {}; // source -> timestamp of last job start
+    this.inFlight = new Map(); // job id string -> promise settling when the job is done
+  }
+
+  /**
+   * Compute queue priority for each product from watchlists and active alerts
+   * @returns {Promise<Map>} - productId string -> priority
+   */
+  async getProductPriorities() {
+    const [watched, alerted] = await Promise.all([
+      User.distinct('watchlist.productId'),
+      User.aggregate([
+        { $unwind: '$alerts' },
+        { $match: { 'alerts.active': true } },
+        { $group: { _id: '$alerts.productId' } }
+      ])
+    ]);
+
+    const priorities = new Map();
+    const boost = (productId, amount) => {
+      if (!productId) return;
+      const key = productId.toString();
+      priorities.set(key, (priorities.get(key) || 0) + amount);
+    };
+
+    watched.forEach(productId => boost(productId, PRIORITY.WATCHED));
+    alerted.forEach(({ _id }) => boost(_id, PRIORITY.ALERTED));
+
+    return priorities;
+  }
+
+  /**
+   * Queue a price update for each product that doesn't already have one pending.
+   * Pending jobs are bumped if the product's priority has gone up.
+   * @param {Object} filter - Product query selecting what to update (default: all)
+   * @returns {Promise<Object>} - { total, queued, alreadyPending }
+   */
+  async enqueueProductUpdates(filter = {}) {
+    const products = await Product.find(filter).select('_id source');
+    const priorities = await this.getProductPriorities();
+
+    if (products.length === 0) {
+      return { total: 0, queued: 0, alreadyPending: 0 };
+    }
+
+    const operations = products.map(product => ({
+      updateOne: {
+        filter: { product: product._id, pending: true },
+        update: {
+          $setOnInsert: {
+            product: product._id,
+            source: product.source,
+            status: 'queued',
+            attempts: 0,
+            runAfter: new Date()
+          },
+          $max: { priority: priorities.get(product._id.toString()) || 0 }
+        },
+        upsert: true
+      }
+    }));
+
+    const result = await PriceUpdateJob.bulkWrite(operations, { ordered: false });
+    const summary = {
+      total: products.length,
+      queued: result.upsertedCount,
+      alreadyPending: products.length - result.upsertedCount
+    };
+
+    logQueueStatus('Enqueued price updates', summary);
+    return summary;
+  }
+
+  /**
+   * Start the worker loop
+   */
+  async start() {
+    if (this.timer) return;
+
+    // One worker process runs the queue, so every running job was left by a previous one
+    // and will never finish on its own
+    const requeued = await this.requeueRunningJobs({}, 'Requeued after worker restart');
+    if (requeued > 0) {
+      logQueueStatus(`Requeued ${requeued} running jobs from the previous worker`);
+    }
+
+    this.timer = setInterval(() => {
+      this.tick().catch(error => {
+        logQueueStatus('Error in queue tick', { error: error.message });
+      });
+    }, POLL_INTERVAL_MS);
+
+    logQueueStatus('Price update worker started');
+  }
+
+  /**
+   * Stop claiming new jobs and wait for the jobs in flight to finish
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logQueueStatus('Price update worker stopped');
+    }
+
+    if (this.inFlight.size > 0) {
+      logQueueStatus(`Waiting for ${this.inFlight.size} running jobs to finish`);
+      await Promise.allSettled(this.inFlight.values());
+    }
+  }
+
+  /**
+   * Put running jobs back in the queue, except those this worker is still processing
+   * @param {Object} filter - Extra conditions on the jobs to requeue
+   * @param {string} reason - Recorded as the jobs' lastError
+   * @returns {Promise<number>} - Number of jobs requeued
+   */
+  async requeueRunningJobs(filter, reason) {
+    const inFlightIds = [...this.inFlight.keys()];
+    const result = await PriceUpdateJob.updateMany(
+      { ...filter, status: 'running', _id: { $nin: inFlightIds } },
+      { $set: { status: 'queued', runAfter: new Date(), lastError: reason } }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Claim and start due jobs for every source that has spare capacity
+   */
+  async tick() {
+    // Skip if the previous tick is still claiming
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      // Catch jobs whose worker lost track of them, which would otherwise block their product for good
+      const requeued = await this.requeueRunningJobs(
+        { startedAt: { $lt: new Date(Date.now() - STALE_JOB_MS) } },
+        'Requeued after running too long'
+      );
+      if (requeued > 0) {
+        logQueueStatus(`Requeued ${requeued} stale running jobs`);
+      }
+
+      const sources = await PriceUpdateJob.distinct('source', {
+        status: 'queued',
+        runAfter: { $lte: new Date() }
+      });
+
+      for (const source of sources) {
+        const limits = getSourceLimits(source);
+        const inFlight = this.running[source] || 0;
+        const sinceLastStart = Date.now() - (this.lastStartedAt[source] || 0);
+
+        if (inFlight >= limits.concurrency || sinceLastStart < limits.minIntervalMs) {
+          continue;
+        }
+
+        // Jobs for a disabled source wait in the queue instead of burning retries
+        if (!(await scraperHealthService.isSourceEnabled(source))) {
+          continue;
+        }
+
+        const job = await this.claimNextJob(source);
+        if (!job) continue;
+
+        this.running[source] = inFlight + 1;
+        this.lastStartedAt[source] = Date.now();
+
+        const jobId = job._id.toString();
+        const processing = this.processJob(job)
+          .catch(error => {
+            logQueueStatus('Unexpected error processing job', { jobId: job._id, error: error.message });
+          })
+          .finally(() => {
+            this.running[source] = Math.max((this.running[source] || 1) - 1, 0);
+            this.inFlight.delete(jobId);
+          });
+        this.inFlight.set(jobId, processing);
+      }
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Atomically mark the highest-priority due job of a source as running
+   * @param {string} source - Product source
+   * @returns {Promise<Object|null>} - Claimed job
+   */
+  async claimNextJob(source) {
+    const now = new Date();
+
+    return PriceUpdateJob.findOneAndUpdate(
+      { status: 'queued', source, runAfter: { $lte: now } },
+      { $set: { status: 'running', startedAt: now }, $inc: { attempts: 1 } },
+      { sort: { priority: -1, runAfter: 1, createdAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Run one price update and record the outcome, scheduling a retry on failure.
+   * An update still running after JOB_TIMEOUT_MS is aborted, closing its browser page.
+   * @param {Object} job - Claimed PriceUpdateJob document
+   */
+  async processJob(job) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), JOB_TIMEOUT_MS);
+
+    const update = scraperService.updateProductPrice(job.product, { signal: controller.signal })
+      .catch(error => ({ success: false, message: error.message }))
+      .finally(() => clearTimeout(timer));
+
+    const timedOut = { success: false, message: `Timed out after ${Math.round(JOB_TIMEOUT_MS / 1000)}s` };
+    let result = await settleWithin(update, JOB_TIMEOUT_MS + ABORT_GRACE_MS, timedOut);
+    if (controller.signal.aborted) {
+      result = timedOut;
+    }
+
+    try {
+      await this.recordOutcome(job, result);
+    } finally {
+      // Hold the source's slot until an update that outlived its grace period really ends
+      await update;
+    }
+  }
+
+  /**
+   * Mark a job completed, queued for retry or failed
+   * @param {Object} job - Claimed PriceUpdateJob document
+   * @param {Object} result - { success, message } from the price update
+   */
+  async recordOutcome(job, result) {
+
+    if (result.success) {
+      job.status = 'completed';
+      job.pending = false;
+      job.finishedAt = new Date();
+      job.result = result;
+      job.lastError = undefined;
+      await job.save();
+      return;
+    }
+
+    // A product, or a product page, that no longer exists won't come back on retry
+    const retryable = result.message !== 'Product not found' && result.code !== 'EPRODUCTNOTFOUND';
+
+    if (retryable && job.attempts < job.maxAttempts) {
+      const delay = getBackoffMs(job.attempts);
+      job.status = 'queued';
+      job.runAfter = new Date(Date.now() + delay);
+      job.lastError = result.message;
+      await job.save();
+
+      logQueueStatus(`Job failed, retrying in ${Math.round(delay / 1000)}s`, {
+        jobId: job._id,
+        productId: job.product,
+        attempt: job.attempts,
+        error: result.message
+      });
+      return;
+    }
+
+    job.status = 'failed';
+    job.pending = false;
+    job.finishedAt = new Date();
+    job.lastError = result.message;
+    await job.save();
+
+    // Back off from now rather than the last successful check, which may already be due
+    await refreshScheduler.scheduleNextCheck(job.product, { from: new Date() }).catch(error => {
+      logQueueStatus('Error rescheduling failed product', { productId: job.product, error: error.message });
+    });
+
+    logQueueStatus('Job failed permanently', {
+      jobId: job._id,
+      productId: job.product,
+      attempts: job.attempts,
+      error: result.message
+    });
+  }
+
+  /**
+   * Summarize queue state for the status endpoint
+   * @param {Object} options - { limit } number of running and failed jobs to list
+   * @returns {Promise<Object>}
+   */
+  async getStatus({ limit = 20 } = {}) {
+    const [counts, running, failed] = await Promise.all([
+      PriceUpdateJob.aggregate([
+        { $group: { _id: { source: '$source', status: '$status' }, count: { $sum: 1 } } }
+      ]),
+      PriceUpdateJob.find({ status: 'running' })
+        .sort({ startedAt: 1 })
+        .limit(limit)
+        .populate('product', 'title source url'),
+      PriceUpdateJob.find({ status: 'failed' })
+        .sort({ finishedAt: -1 })
+        .limit(limit)
+        .populate('product', 'title source url')
+    ]);
+
+    const totals = { queued: 0, running: 0, completed: 0, failed: 0 };
+    const sources = {};
+
+    counts.forEach(({ _id, count }) => {
+      totals[_id.status] += count;
+
+      if (!sources[_id.source]) {
+        sources[_id.source] = {
+          queued: 0,
+          running: 0,
+          completed: 0,
+          failed: 0,
+          limits: getSourceLimits(_id.source)
+        };
+      }
+      sources[_id.source][_id.status] = count;
+    });
+
+    return {
+      workerRunning: Boolean(this.timer),
+      totals,
+      sources,
+      running,
+      recentFailures: failed
+    };
+  }
+}
+
+// Export the service instance
+const jobQueueServiceInstance = new JobQueueService();
+module.exports = jobQueueServiceInstance;
@@ -0,0 +1,88 @@
+/**
+ * Landed cost: what a listing costs delivered to the buyer, i.e. its price plus
+ * shipping, plus import charges when it ships from another country.
+ * Users opt in with preferences.useLandedCost; their preferences.deliveryCountry
+ * decides which listings cross a border.
+ */
+
+// Home country of each built-in scraper's store
+const SOURCE_COUNTRIES = {
+  amazon: 'US',
+  amazon_in: 'IN',
+  ebay: 'US',
+  flipkart: 'IN'
+};
+
+// Two-letter domains that are used as generic ones rather than for their country
+const GENERIC_TLDS = ['ai', 'cc', 'co', 'fm', 'io', 'me', 'tv'];
+
+const COUNTRY_CODE = /^[A-Z]{2}$/;
+
+const isCountryCode = (value) => typeof value === 'string' && COUNTRY_CODE.test(value);
+
+/**
+ * Country a listing ships from
+ * @param {string} source - Scraper source, or a shop hostname for generic scrapes
+ * @returns {string|null} - ISO 3166-1 alpha-2 code, or null when unknown
+ */
+const getSourceCountry = (source) => {
+  if (SOURCE_COUNTRIES[source]) return SOURCE_COUNTRIES[source];
+  if (typeof source !== 'string' || !source.includes('.')) return null;
+
+  // Shop hostnames on a country domain, e.g. currys.co.uk or mediamarkt.de
+  const tld = source.split('.').pop().toLowerCase();
+  if (tld.length !== 2 || GENERIC_TLDS.includes(tld)) return null;
+  return tld === 'uk' ? 'GB' : tld.toUpperCase();
+};
+
+// Listings from an unknown country are treated as domestic
+const isCrossBorder = (source, deliveryCountry) => {
+  const country = getSourceCountry(source);
+  return Boolean(country && deliveryCountry && country !== deliveryCountry);
+};
+
+/**
+ * Price plus the charges a buyer in deliveryCountry pays on top.
+ * All amounts are in the listing's currency.
+ * @param {Object} costs - { price, shippingCost, importCharges } as scraped
+ * @param {string} source - Listing source
+ * @param {string} deliveryCountry - Buyer's country code
+ * @returns {Object} - { total, shippingCost, importCharges, crossBorder, complete }
+ */
+const getLandedCost = ({ price, shippingCost, importCharges }, source, deliveryCountry) => {
+  const crossBorder = isCrossBorder(source, deliveryCountry);
+  const shipping = shippingCost > 0 ? shippingCost : 0;
+  const imports = crossBorder && importCharges > 0 ? importCharges : 0;
+
+  return {
+    total: Math.round((price + shipping + imports) * 100) / 100,
+    shippingCost: shipping,
+    importCharges: imports,
+    crossBorder,
+    // False when the page didn't show shipping, or import charges on a cross-border listing
+    complete: typeof shippingCost === 'number' && (!crossBorder || typeof importCharges === 'number')
+  };
+};
+
+/**
+ * Landed cost of a product's headline price, or of one of its seller offers
+ * @param {Object} product - Product document or plain object
+ * @param {string} deliveryCountry - Buyer's country code
+ * @param {Object} offer - Seller offer to price instead of the featured one
+ * @returns {Object} - See getLandedCost
+ */
+const getProductLandedCost = (product, deliveryCountry, offer = null) =>
+  getLandedCost(offer || {
+    price: product.currentPrice,
+    shippingCost: product.shippingCost,
+    importCharges: product.importCharges
+  }, product.source, deliveryCountry);
+
+module.exports = {
+  SOURCE_COUNTRIES,
+  isCountryCode,
+  getSourceCountry,
+  isCrossBorder,
+  getLandedCost,
+  getProductLandedCost
+};
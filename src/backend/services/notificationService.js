@@ -1,63 +1,108 @@
-const nodemailer = require('nodemailer');
 const User = require('../models/User');
 const Product = require('../models/Product');
+const Notification = require('../models/Notification');
+const websocketService = require('./websocketService');
+const alertConditions = require('./alertConditions');
+const channels = require('./channels');
 
-// Configure nodemailer transporter
-const createTransporter = () => {
-  // For development, use a local test account
-  if (process.env.NODE_ENV === 'development') {
-    console.log('Using development email configuration');
-    return nodemailer.createTransport({
-      host: process.env.EMAIL_HOST || 'localhost',
-      port: process.env.EMAIL_PORT || 1025,
-      secure: false,
-      ignoreTLS: true
-    });
+// Email headings for each alert condition
+const ALERT_HEADINGS = {
+  target_price: 'Price Drop Alert',
+  percentage_drop: 'Price Drop Alert',
+  all_time_low: 'All-Time Low Alert',
+  price_rise: 'Price Rise Alert',
+  predicted_drop: 'Predicted Price Drop Alert',
+  back_in_stock: 'Back in Stock Alert'
+};
+
+/**
+ * Build the condition-specific rows shown in the alert email
+ * @param {Object} product - Product document
+ * @param {Object} alert - Alert object
+ * @param {Object} evaluation - Result of alertConditions.evaluateAlert
+ * @returns {Array} - [label, value] pairs
+ */
+const getAlertDetailRows = (product, alert, evaluation) => {
+  const details = evaluation.details || {};
+  const currency = product.currency;
+
+  switch (alert.type) {
+    case 'percentage_drop':
+      return [
+        ['Price When Alert Was Set', `${currency} ${details.referencePrice}`],
+        ['Drop So Far', `${details.percentageChange}% (your threshold: ${details.percentage}%)`]
+      ];
+    case 'all_time_low':
+      return [['Previous All-Time Low', `${currency} ${details.previousLow}`]];
+    case 'price_rise':
+      return [['Your Threshold', `${currency} ${details.targetPrice}`]];
+    case 'predicted_drop':
+      return [
+        ['Predicted Price', `${currency} ${details.predictedPrice}`],
+        ['Predicted Date', new Date(details.predictedDate).toDateString()]
+      ];
+    case 'back_in_stock':
+      return [
+        ['Availability', details.availability === 'limited' ? 'Limited stock' : 'In stock'],
+        ...(details.deliveryEstimate ? [['Delivery', details.deliveryEstimate]] : [])
+      ];
+    default:
+      return [
+        ['Your Target Price', `${currency} ${details.targetPrice}`],
+        ['Savings', `${currency} ${(details.savings || 0).toFixed(2)}`]
+      ];
   }
-  
-  // For production, use configured SMTP server
-  return nodemailer.createTransport({
-    host: process.env.EMAIL_HOST,
-    port: process.env.EMAIL_PORT,
-    secure: process.env.EMAIL_SECURE === 'true',
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASSWORD
-    }
-  });
 };
 
 /**
- * Send email notification for price alert
+ * Build the channel-neutral message for a triggered price alert
  * @param {Object} user - User document
  * @param {Object} product - Product document
  * @param {Object} alert - Alert object
- * @returns {Promise} - Email sending result
+ * @param {Object} evaluation - Result of alertConditions.evaluateAlert
+ * @returns {Object} - Message accepted by every notification channel
  */
-exports.sendPriceAlertEmail = async (user, product, alert) => {
-  try {
-    if (!user.preferences.emailNotifications) {
-      console.log(`Email notifications disabled for user ${user._id}`);
-      return { success: false, message: 'Email notifications disabled by user' };
-    }
-    
-    const transporter = createTransporter();
-    
-    const emailContent = {
-      from: process.env.EMAIL_FROM || 'alerts@salesnipe.local',
-      to: user.email,
-      subject: `Price Alert: ${product.title} is now ${product.currency} ${product.currentPrice}`,
-      html: `
+const buildAlertMessage = (user, product, alert, evaluation) => {
+  const heading = ALERT_HEADINGS[alert.type] || ALERT_HEADINGS.target_price;
+  const rows = getAlertDetailRows(product, alert, evaluation);
+  if (evaluation.details && evaluation.details.variant) {
+    rows.push(['Variant', evaluation.details.variant]);
+  }
+  if (evaluation.details && evaluation.details.seller) {
+    rows.push(['Sold By', `${evaluation.details.seller} (${evaluation.details.condition})`]);
+  }
+  // Users comparing landed costs are sent the delivered price; list what it includes
+  if (evaluation.details && evaluation.details.shippingCost !== undefined) {
+    const { shippingCost, importCharges, landedCostComplete } = evaluation.details;
+    const charges = [`${product.currency} ${shippingCost} shipping`];
+    if (importCharges > 0) charges.push(`${product.currency} ${importCharges} import charges`);
+    rows.push(['Delivered Price', `Includes ${charges.join(' and ')}` +
+      (landedCostComplete ? '' : '; charges the retailer didn\'t show are not included')]);
+  }
+  const detailRows = rows
+    .map(([label, value]) => `<p><strong>${label}:</strong> ${value}</p>`)
+    .join('\n            ');
+  // Alerts restricted to certain offers or a variant report that price, landed cost alerts the delivered price
+  const price = `${product.currency} ${evaluation.price || product.currentPrice}`;
+
+  return {
+    event: 'price_alert',
+    title: `${heading}: ${product.title} is now ${price}`,
+    text: [
+      `${product.title} is now ${price}.`,
+      evaluation.reason,
+      ...rows.map(([label, value]) => `${label}: ${value}`)
+    ].filter(Boolean).join('\n'),
+    html: `
         <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2 style="color: #4a5568;">Price Drop Alert</h2>
+          <h2 style="color: #4a5568;">${heading}</h2>
           <p>Hello ${user.name},</p>
-          <p>Good news! The price for <strong>${product.title}</strong> has dropped below your target price.</p>
+          <p>Your alert for <strong>${product.title}</strong> has been triggered. ${evaluation.reason || ''}</p>
           
           <div style="background-color: #f7fafc; padding: 15px; border-radius: 5px; margin: 20px 0;">
             <p><strong>Product:</strong> ${product.title}</p>
-            <p><strong>Current Price:</strong> ${product.currency} ${product.currentPrice}</p>
-            <p><strong>Your Target Price:</strong> ${product.currency} ${alert.targetPrice}</p>
-            <p><strong>Savings:</strong> ${product.currency} ${(alert.targetPrice - product.currentPrice).toFixed(2)}</p>
+            <p><strong>Current Price:</strong> ${price}</p>
+            ${detailRows}
           </div>
           
           <p><a href="${product.url}" style="background-color: #4299e1; color: white; padding: 10px 15px; text-decoration: none; border-radius: 5px; display: inline-block;">View Product</a></p>
@@ -71,15 +116,154 @@ exports.sendPriceAlertEmail = async (user, product, alert) => {
             To manage your notification preferences, visit your account settings.
           </p>
         </div>
-      `
-    };
+      `,
+    url: product.url,
+    priority: alert.type === alertConditions.ALERT_TYPES.ALL_TIME_LOW ? 'high' : 'default',
+    data: {
+      alertId: alert._id,
+      alertType: alert.type,
+      productId: product._id,
+      productTitle: product.title,
+      currentPrice: evaluation.price || product.currentPrice,
+      currency: product.currency,
+      source: product.source,
+      reason: evaluation.reason,
+      ...evaluation.details
+    }
+  };
+};
+
+/**
+ * Send email notification for price alert
+ * @param {Object} user - User document
+ * @param {Object} product - Product document
+ * @param {Object} alert - Alert object
+ * @param {Object} evaluation - Result of alertConditions.evaluateAlert explaining which condition fired
+ * @returns {Promise} - Email sending result
+ */
+exports.sendPriceAlertEmail = async (user, product, alert, evaluation = alertConditions.evaluateAlert(alert, product, user.preferences)) => {
+  if (!user.preferences.emailNotifications) {
+    console.log(`Email notifications disabled for user ${user._id}`);
+    return { success: false, message: 'Email notifications disabled by user' };
+  }
+
+  const channel = new channels.EmailChannel({ to: user.email });
+  return channel.deliver(buildAlertMessage(user, product, alert, evaluation));
+};
+
+/**
+ * Deliver a triggered price alert through every external channel the user has enabled
+ * (email plus configured webhook, chat and push channels)
+ * @param {Object} user - User document
+ * @param {Object} product - Product document
+ * @param {Object} alert - Alert object
+ * @param {Object} evaluation - Result of alertConditions.evaluateAlert
+ * @returns {Promise<Array>} - { channel, success, error? } per channel
+ */
+exports.sendAlertToChannels = async (user, product, alert, evaluation) => {
+  const message = buildAlertMessage(user, product, alert, evaluation);
+  const results = [];
+
+  for (const channel of channels.getUserChannels(user)) {
+    results.push(await channel.deliver(message));
+  }
+
+  return results;
+};
+
+/**
+ * Send a test message through one or all of a user's channels
+ * @param {Object} user - User document
+ * @param {string} [channelId] - Configured channel id, 'email', or omitted for all enabled channels
+ * @returns {Promise<Array|null>} - Delivery results, or null if the channel doesn't exist
+ */
+exports.sendTestNotification = async (user, channelId) => {
+  let targets;
+
+  if (!channelId) {
+    targets = channels.getUserChannels(user);
+  } else if (channelId === 'email') {
+    targets = [new channels.EmailChannel({ to: user.email })];
+  } else {
+    const config = user.preferences.notificationChannels.id(channelId);
+    if (!config) return null;
+    targets = [channels.createChannel(config)];
+  }
+
+  const message = {
+    event: 'test',
+    title: 'SaleSnipe test notification',
+    text: `Hello ${user.name}, this is a test notification from SaleSnipe. If you can read this, the channel is set up correctly.`,
+    html: `<p>Hello ${user.name},</p><p>This is a test notification from SaleSnipe. If you can read this, the channel is set up correctly.</p>`,
+    priority: 'low',
+    data: { userId: user._id }
+  };
+
+  const results = [];
+  for (const channel of targets) {
+    results.push(await channel.deliver(message));
+  }
+  return results;
+};
+
+/**
+ * Create an in-app notification record for a triggered price alert
+ * @param {Object} user - User document
+ * @param {Object} product - Product document
+ * @param {Object} alert - Alert object
+ * @param {Object} evaluation - Result of alertConditions.evaluateAlert
+ * @returns {Promise} - Created notification document, or null on failure
+ */
+exports.createAlertNotification = async (user, product, alert, evaluation = {}) => {
+  try {
+    // Compare against the previous recorded price to report the size of the drop
+    const history = product.priceHistory || [];
+    const previousPrice = history.length > 1
+      ? history[history.length - 2].price
+      : null;
+    const percentageChange = previousPrice
+      ? parseFloat((((previousPrice - product.currentPrice) / previousPrice) * 100).toFixed(2))
+      : null;
+
+    const notification = await Notification.create({
+      user: user._id,
+      type: evaluation.notificationType || 'price_drop',
+      productId: product._id,
+      alertId: alert._id,
+      data: {
+        alertType: alert.type,
+        targetPrice: alert.targetPrice,
+        currentPrice: product.currentPrice,
+        currency: product.currency,
+        previousPrice,
+        percentageChange,
+        reason: evaluation.reason,
+        ...evaluation.details
+      }
+    });
+
+    console.log(`In-app notification ${notification._id} created for user ${user._id}`);
     
-    const result = await transporter.sendMail(emailContent);
-    console.log(`Email sent to ${user.email} for product ${product._id}`);
-    return { success: true, messageId: result.messageId };
+    // Let the notification bell update without waiting for its next poll
+    websocketService.publish(`user:${user._id}:alerts`, {
+      type: 'alert_triggered',
+      // Lets the client decide whether to raise a browser notification
+      desktop: Boolean(user.preferences.desktopNotifications),
+      notification: {
+        ...notification.toJSON(),
+        product: {
+          _id: product._id,
+          title: product.title,
+          currentPrice: product.currentPrice,
+          currency: product.currency,
+          imageUrl: product.imageUrl
+        }
+      }
+    });
+    return notification;
   } catch (error) {
-    console.error('Error sending price alert email:', error);
-    return { success: false, error: error.message };
+    console.error('Error creating in-app notification:', error);
+    return null;
   }
 };
 
@@ -103,37 +287,80 @@ exports.checkPriceAlerts = async () => {
     for (const user of users) {
       console.log(`Checking ${user.alerts.length} alerts for user ${user._id}`);
       
+      const now = new Date();
+      let userModified = false;
+      
       for (const alert of user.alerts) {
-        // Skip inactive alerts or already notified
-        if (!alert.active || alert.notificationSent) {
+        // Skip inactive alerts
+        if (!alert.active) {
+          continue;
+        }
+        
+        // Expired alerts are switched off rather than checked
+        if (alert.isExpired(now)) {
+          console.log(`Alert ${alert._id} expired at ${alert.expiresAt.toISOString()}, deactivating`);
+          alert.active = false;
+          userModified = true;
           continue;
         }
         
         const product = alert.productId;
         
-        // Check if product exists and price has dropped below target
-        if (product && product.currentPrice <= alert.targetPrice) {
-          console.log(`Alert triggered for product ${product._id}, price: ${product.currentPrice}, target: ${alert.targetPrice}`);
+        // Check if product exists and the alert's condition is met
+        const evaluation = product ? alertConditions.evaluateAlert(alert, product, user.preferences) : { triggered: false };
+        
+        if (alert.notificationSent) {
+          // Recurring alerts re-arm once the condition stops holding (e.g. the price rebounds)
+          if (alert.mode === 'recurring' && product && !evaluation.triggered) {
+            console.log(`Re-arming recurring alert ${alert._id} for product ${product._id}`);
+            alert.notificationSent = false;
+            userModified = true;
+          }
+          continue;
+        }
+        
+        if (evaluation.triggered) {
+          if (alert.isInCooldown(now)) {
+            console.log(`Alert ${alert._id} is within its ${alert.cooldownHours}h cooldown since ${alert.lastTriggeredAt.toISOString()}`);
+            continue;
+          }
+          
+          console.log(`Alert triggered for product ${product._id}, type: ${alert.type}, price: ${product.currentPrice}`);
+          const channelResults = [];
+          
+          // Always record an in-app notification for the bell
+          const notification = await exports.createAlertNotification(user, product, alert, evaluation);
+          channelResults.push({ channel: 'in_app', success: Boolean(notification) });
           
-          // Send email notification
-          if (user.preferences.emailNotifications) {
-            const emailResult = await exports.sendPriceAlertEmail(user, product, alert);
+          // Email and any configured webhook, chat or push channels
+          const deliveries = await exports.sendAlertToChannels(user, product, alert, evaluation);
+          channelResults.push(...deliveries.map(({ channel, success }) => ({ channel, success })));
+          
+          channelResults.forEach(({ channel, success }) => {
             results.push({
               userId: user._id,
               productId: product._id,
               alertId: alert._id,
-              type: 'email',
-              success: emailResult.success
+              type: channel,
+              success
             });
-          }
+          });
           
-          // Mark alert as notified
-          alert.notificationSent = true;
+          // A recurring all-time-low alert should next fire on a lower low
+          if (alert.type === alertConditions.ALERT_TYPES.ALL_TIME_LOW) {
+            alert.referencePrice = evaluation.price;
+          }
           
-          // Save changes to user document
-          await user.save();
+          // Record the trigger and mark alert as notified
+          alert.recordTrigger(evaluation.price, product.currency, channelResults, now);
+          userModified = true;
         }
       }
+      
+      // Save changes to user document
+      if (userModified) {
+        await user.save();
+      }
     }
     
     console.log(`Completed alert check, processed ${results.length} notifications`);
@@ -0,0 +1,43 @@
+/**
+ * Price volatility: root mean square of the percentage change between
+ * consecutive prices. Kept free of the TensorFlow dependency so schedulers
+ * can use it without loading the prediction model.
+ * @param {Array<number>} prices - Prices in chronological order
+ * @returns {number} - Volatility in percent, 0 with fewer than two prices
+ */
+exports.calculateVolatility = (prices) => {
+  if (!prices || prices.length < 2) return 0;
+
+  const priceChanges = prices.slice(1).map((price, i) =>
+    ((price - prices[i]) / prices[i]) * 100
+  );
+
+  return Math.sqrt(
+    priceChanges.reduce((sum, change) => sum + change * change, 0) / priceChanges.length
+  );
+};
+
+/**
+ * Median of a list of numbers
+ * @param {Array<number>} values
+ * @returns {number|null} - null for an empty list
+ */
+exports.median = (values) => {
+  if (!values || values.length === 0) return null;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Median absolute deviation: the median distance of each value from the median.
+ * Unlike the standard deviation, a few wild prices barely move it.
+ * @param {Array<number>} values
+ * @returns {number|null} - null for an empty list
+ */
+exports.medianAbsoluteDeviation = (values) => {
+  const center = exports.median(values);
+  if (center === null) return null;
+  return exports.median(values.map(value => Math.abs(value - center)));
+};
@@ -0,0 +1,288 @@
+const Product = require('../models/Product');
+const QuarantinedPrice = require('../models/QuarantinedPrice');
+const currencyService = require('./currencyService');
+const priceStatistics = require('./priceStatistics');
+const { getSelectedVariant } = require('./productVariants');
+
+// Robust z-score above which a scraped price is held back (Iglewicz and Hoaglin's cut-off)
+const OUTLIER_THRESHOLD = parseFloat(process.env.PRICE_OUTLIER_THRESHOLD) || 3.5;
+
+// Scales the median absolute deviation to a standard deviation for normally distributed prices
+const MAD_SCALE = 0.6745;
+
+// Floor for the deviation as a share of the median, so a product whose price never moved
+// doesn't quarantine every change; at 10% a flat price may move about 50% before it's held back
+const MIN_RELATIVE_DEVIATION = 0.1;
+
+// Only recent prices say what the product normally costs
+const HISTORY_WINDOW = 30;
+
+// Scrapes that must report a quarantined price before it is accepted without an admin
+const CONFIRMATIONS_REQUIRED = parseInt(process.env.PRICE_CONFIRMATIONS_REQUIRED) || 2;
+
+// Re-scraped prices within this share of a quarantined one count as seeing it again
+const SAME_PRICE_TOLERANCE = 0.01;
+
+// A product with a quarantined price is checked again this soon rather than at its usual interval
+const RECHECK_MINUTES = parseInt(process.env.PRICE_QUARANTINE_RECHECK_MINUTES) || 30;
+
+// Utility function for better logging
+function logValidationStatus(message, details = {}) {
+  const timestamp = new Date().toISOString();
+  const detailsStr = Object.keys(details).length > 0
+    ? `\n  Details: ${JSON.stringify(details, null, 2)}`
+    : '';
+
+  console.log(`[${timestamp}] [PriceValidation] ${message}${detailsStr}`);
+}
+
+// Recent history prices in a currency, from the selected variant when the history records it
+const getComparablePrices = (product, currency) => {
+  let history = (product.priceHistory || []).filter(entry => entry.currency === currency);
+
+  const selectedVariant = getSelectedVariant(product);
+  if (selectedVariant && history.some(entry => entry.variantId === selectedVariant.variantId)) {
+    history = history.filter(entry => entry.variantId === selectedVariant.variantId);
+  }
+
+  const prices = history.slice(-HISTORY_WINDOW).map(entry => entry.price);
+  if (prices.length === 0 && product.currency === currency && product.currentPrice > 0) {
+    prices.push(product.currentPrice);
+  }
+  return prices;
+};
+
+class PriceValidationService {
+  /**
+   * Check a first price for a product that isn't stored yet
+   * @param {number} price - Scraped price
+   * @param {string} currency - Scraped currency
+   * @returns {boolean}
+   */
+  isValidNewProductPrice(price, currency = 'USD') {
+    return price > 0 && currencyService.isPriceReasonable(price, currency);
+  }
+
+  /**
+   * Score a price against the product's own history using the median absolute deviation
+   * @param {Object} product - Product document or plain object
+   * @param {number} price - Scraped price
+   * @param {string} currency - Scraped currency
+   * @returns {Object} - { score, median, outlier }; score is 0 when there is nothing to compare with
+   */
+  scorePrice(product, price, currency = product.currency) {
+    const prices = getComparablePrices(product, currency);
+    if (prices.length === 0) {
+      return { score: 0, median: null, outlier: false };
+    }
+
+    const median = priceStatistics.median(prices);
+    const deviation = Math.max(priceStatistics.medianAbsoluteDeviation(prices), median * MIN_RELATIVE_DEVIATION);
+    const score = Math.round(MAD_SCALE * Math.abs(price - median) / deviation * 100) / 100;
+
+    return { score, median, outlier: score > OUTLIER_THRESHOLD };
+  }
+
+  /**
+   * Decide whether a scraped price may replace a product's current one.
+   * A new featured seller or selected variant explains any jump, so those are accepted as they are.
+   * Outliers are quarantined, and accepted once enough scrapes have reported the same price.
+   * Call before the scrape's seller offers and variants are merged into the product.
+   * Once a price is accepted, the product's other pending quarantined prices are closed.
+   * @param {Object} product - Stored product document
+   * @param {Object} scraped - Scraped product: { currentPrice, currency, originalPrice, sellerOffers, variants }
+   * @returns {Promise<Object>} - { accepted, reason, score, quarantined, recheckAt }; reason is one of
+   *   'seller_changed', 'variant_changed', 'in_range', 'confirmed' or 'quarantined', and
+   *   recheckAt is when a quarantined price should be scraped again
+   */
+  async reviewPriceChange(product, scraped) {
+    const featuredOffer = scraped.sellerOffers && scraped.sellerOffers[0];
+    if (product.isNewFeaturedSeller(featuredOffer)) {
+      await this.closePendingPrices(product._id);
+      return { accepted: true, reason: 'seller_changed' };
+    }
+    if (product.isNewSelectedVariant(scraped.variants)) {
+      await this.closePendingPrices(product._id);
+      return { accepted: true, reason: 'variant_changed' };
+    }
+
+    const currency = scraped.currency || product.currency;
+    const { score, median, outlier } = this.scorePrice(product, scraped.currentPrice, currency);
+    if (!outlier) {
+      await this.closePendingPrices(product._id);
+      return { accepted: true, reason: 'in_range', score };
+    }
+
+    const now = new Date();
+    const pending = await QuarantinedPrice.find({ product: product._id, status: 'pending', currency });
+    let quarantined = pending.find(entry =>
+      Math.abs(entry.price - scraped.currentPrice) <= entry.price * SAME_PRICE_TOLERANCE
+    );
+
+    if (quarantined) {
+      quarantined.timesSeen += 1;
+      quarantined.lastSeen = now;
+      quarantined.price = scraped.currentPrice;
+      quarantined.score = score;
+    } else {
+      quarantined = new QuarantinedPrice({
+        product: product._id,
+        price: scraped.currentPrice,
+        currency,
+        originalPrice: scraped.originalPrice > 0 ? scraped.originalPrice : undefined,
+        seller: featuredOffer && featuredOffer.seller,
+        previousPrice: product.currentPrice,
+        score,
+        median,
+        firstSeen: now,
+        lastSeen: now
+      });
+    }
+
+    if (quarantined.timesSeen >= CONFIRMATIONS_REQUIRED) {
+      quarantined.status = 'confirmed';
+      quarantined.reviewedAt = now;
+    }
+    await quarantined.save();
+
+    const accepted = quarantined.status === 'confirmed';
+    logValidationStatus(accepted ? 'Outlier price confirmed by re-scrape' : 'Quarantined outlier price', {
+      productId: product._id,
+      price: `${currency} ${scraped.currentPrice}`,
+      median,
+      score,
+      timesSeen: quarantined.timesSeen
+    });
+
+    if (accepted) {
+      await this.closePendingPrices(product._id, quarantined._id);
+      return { accepted, reason: 'confirmed', score, quarantined };
+    }
+
+    const recheckAt = new Date(now.getTime() + RECHECK_MINUTES * 60 * 1000);
+    return { accepted, reason: 'quarantined', score, quarantined, recheckAt };
+  }
+
+  /**
+   * Close a product's pending quarantined prices once its price has settled, either on a
+   * confirmed outlier or on a scrape back in the usual range, so they don't wait for review
+   * @param {string} productId - Product id
+   * @param {string} exceptId - Quarantined price to leave open
+   * @returns {Promise<number>} - Number of prices closed
+   */
+  async closePendingPrices(productId, exceptId = null) {
+    const filter = { product: productId, status: 'pending' };
+    if (exceptId) filter._id = { $ne: exceptId };
+
+    const result = await QuarantinedPrice.updateMany(filter, {
+      $set: { status: 'superseded', reviewedAt: new Date() }
+    });
+
+    if (result.modifiedCount > 0) {
+      logValidationStatus('Closed superseded quarantined prices', { productId, closed: result.modifiedCount });
+    }
+    return result.modifiedCount;
+  }
+
+  /**
+   * Quarantined prices for admin review, most recently seen first
+   * @param {Object} options - { status, productId, page, limit }
+   * @returns {Promise<Object>} - { quarantined, total, page, totalPages } or { error }
+   */
+  async listQuarantinedPrices({ status = 'pending', productId, page = 1, limit = 20 } = {}) {
+    const statuses = QuarantinedPrice.schema.path('status').enumValues;
+    if (!statuses.includes(status)) {
+      return { error: `status must be one of: ${statuses.join(', ')}` };
+    }
+
+    const filter = { status };
+    if (productId) filter.product = productId;
+
+    const [quarantined, total] = await Promise.all([
+      QuarantinedPrice.find(filter)
+        .populate('product', 'title url source currentPrice currency lastUpdated')
+        .sort({ lastSeen: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      QuarantinedPrice.countDocuments(filter)
+    ]);
+
+    return { quarantined, total, page, totalPages: Math.ceil(total / limit) };
+  }
+
+  /**
+   * Accept a quarantined price. It becomes the product's current price unless a later
+   * price has been recorded since, in which case it only goes into the history.
+   * @param {string} id - Quarantined price id
+   * @param {string} userId - Reviewing admin
+   * @returns {Promise<Object|null>} - { quarantined, product } or { error }; null if it doesn't exist
+   */
+  async approveQuarantinedPrice(id, userId) {
+    const quarantined = await QuarantinedPrice.findById(id);
+    if (!quarantined) return null;
+    if (quarantined.status !== 'pending') {
+      return { error: `Price is already ${quarantined.status}` };
+    }
+
+    const product = await Product.findById(quarantined.product);
+    if (!product) {
+      return { error: 'The product this price was scraped for no longer exists' };
+    }
+
+    const superseded = product.priceHistory.some(entry => entry.date > quarantined.lastSeen);
+    if (superseded) {
+      product.priceHistory.push({
+        price: quarantined.price,
+        currency: quarantined.currency,
+        originalPrice: quarantined.originalPrice,
+        seller: quarantined.seller,
+        date: quarantined.lastSeen
+      });
+      product.priceHistory.sort((a, b) => a.date - b.date);
+      await product.save();
+    } else {
+      await product.addPriceToHistory(
+        quarantined.price, quarantined.currency, quarantined.originalPrice, quarantined.seller
+      );
+    }
+
+    quarantined.status = 'approved';
+    quarantined.reviewedBy = userId;
+    quarantined.reviewedAt = new Date();
+    await quarantined.save();
+
+    // An approved price that became the current one settles the others
+    if (!superseded) {
+      await this.closePendingPrices(product._id, quarantined._id);
+    }
+
+    logValidationStatus('Approved quarantined price', { id, productId: product._id, superseded });
+    return { quarantined, product };
+  }
+
+  /**
+   * Discard a quarantined price; the product is left as it is
+   * @param {string} id - Quarantined price id
+   * @param {string} userId - Reviewing admin
+   * @returns {Promise<Object|null>} - { quarantined } or { error }; null if it doesn't exist
+   */
+  async rejectQuarantinedPrice(id, userId) {
+    const quarantined = await QuarantinedPrice.findById(id);
+    if (!quarantined) return null;
+    if (quarantined.status !== 'pending') {
+      return { error: `Price is already ${quarantined.status}` };
+    }
+
+    quarantined.status = 'rejected';
+    quarantined.reviewedBy = userId;
+    quarantined.reviewedAt = new Date();
+    await quarantined.save();
+
+    logValidationStatus('Rejected quarantined price', { id, productId: quarantined.product });
+    return { quarantined };
+  }
+}
+
+// Export the service instance
+const priceValidationServiceInstance = new PriceValidationService();
+module.exports = priceValidationServiceInstance;
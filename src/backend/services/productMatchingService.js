@@ -0,0 +1,458 @@
+const Product = require('../models/Product');
+const CanonicalProduct = require('../models/CanonicalProduct');
+
+// Lowest title similarity (0-1) accepted as the same product
+const TITLE_MATCH_THRESHOLD = parseFloat(process.env.PRODUCT_MATCH_THRESHOLD) || 0.8;
+
+// Canonical products compared against a listing's title
+const CANDIDATE_LIMIT = 20;
+
+const STOPWORDS = new Set(['a', 'an', 'and', 'by', 'for', 'in', 'new', 'of', 'on', 'the', 'to', 'with']);
+
+// Words that name a different model of the same line (iPhone 15 vs iPhone 15 Pro)
+const VARIANT_WORDS = new Set(['pro', 'max', 'plus', 'ultra', 'mini', 'lite', 'se', 'fe', 'air']);
+
+const COLORS = new Set([
+  'black', 'white', 'silver', 'gold', 'gray', 'blue', 'red', 'green', 'yellow', 'purple',
+  'pink', 'orange', 'brown', 'beige', 'graphite', 'midnight', 'starlight', 'titanium'
+]);
+
+// Utility function for better logging
+function logMatchingStatus(message, details = {}) {
+  const timestamp = new Date().toISOString();
+  const detailsStr = Object.keys(details).length > 0
+    ? `\n  Details: ${JSON.stringify(details, null, 2)}`
+    : '';
+
+  console.log(`[${timestamp}] [ProductMatching] ${message}${detailsStr}`);
+}
+
+// GTIN-8/12/13/14 padded to 14 digits so UPC and EAN forms of a code compare equal
+const normalizeGtin = (gtin) => {
+  const digits = String(gtin || '').replace(/\D/g, '');
+  return digits.length >= 8 && digits.length <= 14 ? digits.padStart(14, '0') : null;
+};
+
+const normalizeModelNumber = (modelNumber) => {
+  const model = String(modelNumber || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return model.length >= 3 ? model : null;
+};
+
+const normalizeBrand = (brand) => String(brand || '').toLowerCase().replace(/[^a-z0-9]/g, '') || null;
+
+// Lowercase, join hyphenated codes (SM-S911B -> sms911b) and attach units (128 GB -> 128gb)
+const normalizeTitle = (title) => String(title || '')
+  .toLowerCase()
+  .replace(/\bgrey\b/g, 'gray')
+  .replace(/([a-z0-9])-(?=[a-z0-9])/g, '$1')
+  .replace(/(\d+(?:\.\d+)?)\s+(gb|tb)\b/g, '$1$2')
+  .replace(/[^a-z0-9.\s]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const toGigabytes = (capacity) => {
+  const [, amount, unit] = capacity.match(/^(\d+(?:\.\d+)?)(gb|tb)$/);
+  return parseFloat(amount) * (unit === 'tb' ? 1024 : 1);
+};
+
+/**
+ * Tokens and attributes of a title used for fuzzy matching
+ * @param {string} title - Listing or canonical title
+ * @param {string} brand - Brand, when known
+ * @returns {Object} - { tokens, modelTokens, variants, capacities, color, brand }
+ */
+const buildProfile = (title, brand) => {
+  const tokens = normalizeTitle(title).split(' ').filter(token => token && !STOPWORDS.has(token));
+  const capacities = [...new Set(tokens.filter(token => /^\d+(?:\.\d+)?(gb|tb)$/.test(token)))];
+  const colors = [...new Set(tokens.filter(token => COLORS.has(token)))];
+
+  return {
+    tokens: new Set(tokens),
+    // Codes like s23 or a2849 usually name the exact model
+    modelTokens: new Set(tokens.filter(token =>
+      token.length >= 3 && /[a-z]/.test(token) && /\d/.test(token) && !capacities.includes(token))),
+    variants: tokens.filter(token => VARIANT_WORDS.has(token)).sort().join(' '),
+    capacities,
+    // Several colour words usually mean a list of options, not this item's colour
+    color: colors.length === 1 ? colors[0] : null,
+    brand: normalizeBrand(brand)
+  };
+};
+
+// Brand, storage and colour must agree when both sides state them; model variants must always agree
+const hasConflict = (a, b) => {
+  if (a.variants !== b.variants) return true;
+  if (a.brand && b.brand && a.brand !== b.brand) return true;
+  if (a.color && b.color && a.color !== b.color) return true;
+
+  // Titles often add RAM to the storage size, so compare the largest capacity
+  if (a.capacities.length > 0 && b.capacities.length > 0) {
+    const largest = profile => Math.max(...profile.capacities.map(toGigabytes));
+    if (largest(a) !== largest(b)) return true;
+  }
+
+  return false;
+};
+
+// A listing whose GTIN or model number isn't among a canonical product's known ones is a different item.
+// Retailers append region and colour codes to model numbers (SM-S911B vs SM-S911BZKCINS), so a
+// model number that extends a known one, or is extended by it, still agrees.
+const hasIdentifierConflict = ({ gtin, modelNumber }, canonical) => {
+  const gtins = canonical.gtins || [];
+  if (gtin && gtins.length > 0 && !gtins.includes(gtin)) return true;
+
+  const modelNumbers = canonical.modelNumbers || [];
+  return Boolean(modelNumber) && modelNumbers.length > 0 && !modelNumbers.some(known =>
+    known.startsWith(modelNumber) || modelNumber.startsWith(known));
+};
+
+/**
+ * Similarity of two title profiles from 0 to 1
+ * @param {Object} a - Profile from buildProfile
+ * @param {Object} b - Profile from buildProfile
+ * @returns {number}
+ */
+const titleSimilarity = (a, b) => {
+  if (hasConflict(a, b) || a.tokens.size === 0 || b.tokens.size === 0) return 0;
+
+  const shared = [...a.tokens].filter(token => b.tokens.has(token)).length;
+  const dice = (2 * shared) / (a.tokens.size + b.tokens.size);
+  // Retailers pad titles with specs, so also credit a short title fully contained in a long one
+  const overlap = shared / Math.min(a.tokens.size, b.tokens.size);
+  const score = (dice + overlap) / 2;
+
+  if (a.modelTokens.size > 0 && b.modelTokens.size > 0) {
+    const sameModel = [...a.modelTokens].some(token => b.modelTokens.has(token));
+    return 0.7 * score + 0.3 * (sameModel ? 1 : 0);
+  }
+
+  return score;
+};
+
+const canonicalProfile = (canonical) => {
+  const profile = buildProfile(canonical.title, canonical.brand);
+  const attributes = canonical.attributes || {};
+  if (attributes.capacities && attributes.capacities.length > 0) profile.capacities = attributes.capacities;
+  if (attributes.color) profile.color = attributes.color;
+  return profile;
+};
+
+const manualMatch = () => ({ method: 'manual', confidence: 1, matchedAt: new Date(), locked: true });
+
+/**
+ * Groups retailer listings of the same item into canonical products.
+ * Listings match on GTIN first, then brand and model number, then a fuzzy title
+ * comparison in which brand, storage, colour and any known GTIN or model number
+ * must not disagree. Admins can merge and split the groups; manually placed
+ * listings are never rematched.
+ */
+class ProductMatchingService {
+  constructor() {
+    // Matches run one after another so two listings of a new item can't both create it
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Match a listing in the background
+   * @param {Object} product - Product document
+   * @returns {Promise} - Settles once the listing has been matched
+   */
+  queueMatch(product) {
+    this.queue = this.queue
+      .then(() => this.matchProduct(product))
+      .catch(error => {
+        logMatchingStatus('Error matching product', { productId: product._id, error: error.message });
+      });
+    return this.queue;
+  }
+
+  /**
+   * Find or create the canonical product for a listing
+   * @param {Object} product - Product document
+   * @returns {Promise<Object|null>} - { canonical, method, confidence }, or null for locked listings
+   */
+  async matchProduct(product) {
+    if (product.match && product.match.locked) {
+      return null;
+    }
+
+    const profile = buildProfile(product.title, product.brand);
+    let match = await this.findIdentifierMatch(product, profile);
+
+    if (!match) {
+      match = await this.findTitleMatch(product, profile);
+    }
+
+    if (!match) {
+      const canonical = await CanonicalProduct.create({
+        title: product.title,
+        brand: product.brand,
+        attributes: { capacities: profile.capacities, color: profile.color }
+      });
+      match = { canonical, method: 'new', confidence: 1 };
+    }
+
+    await this.assignListing(product, match);
+    return match;
+  }
+
+  async findIdentifierMatch(product, profile) {
+    const gtin = normalizeGtin(product.gtin);
+    if (gtin) {
+      const canonical = await CanonicalProduct.findOne({ gtins: gtin });
+      if (canonical) return { canonical, method: 'gtin', confidence: 1 };
+    }
+
+    const modelNumber = normalizeModelNumber(product.modelNumber);
+    if (modelNumber) {
+      const candidates = await CanonicalProduct.find({ modelNumbers: modelNumber });
+      const canonical = candidates.find(candidate =>
+        !profile.brand || !candidate.brand || normalizeBrand(candidate.brand) === profile.brand);
+      if (canonical) return { canonical, method: 'model', confidence: 0.95 };
+    }
+
+    return null;
+  }
+
+  async findTitleMatch(product, profile = buildProfile(product.title, product.brand)) {
+    const identifiers = {
+      gtin: normalizeGtin(product.gtin),
+      modelNumber: normalizeModelNumber(product.modelNumber)
+    };
+    const candidates = await CanonicalProduct.find(
+      { $text: { $search: normalizeTitle(product.title) } },
+      { score: { $meta: 'textScore' } }
+    )
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(CANDIDATE_LIMIT);
+
+    let best = null;
+    candidates.forEach(canonical => {
+      if (hasIdentifierConflict(identifiers, canonical)) return;
+
+      const score = titleSimilarity(profile, canonicalProfile(canonical));
+      if (score >= TITLE_MATCH_THRESHOLD && (!best || score > best.confidence)) {
+        best = { canonical, method: 'title', confidence: Math.round(score * 100) / 100 };
+      }
+    });
+
+    return best;
+  }
+
+  async assignListing(product, { canonical, method, confidence }) {
+    const previous = product.canonicalProduct;
+    const match = { method, confidence, matchedAt: new Date(), locked: false };
+
+    // updateOne so a concurrent price update on the same document isn't overwritten
+    await Product.updateOne({ _id: product._id }, { $set: { canonicalProduct: canonical._id, match } });
+    product.canonicalProduct = canonical._id;
+    product.match = match;
+
+    await this.refreshCanonical(canonical._id);
+    if (previous && !previous.equals(canonical._id)) {
+      await this.refreshCanonical(previous);
+    }
+
+    logMatchingStatus('Matched product', {
+      productId: product._id,
+      canonicalProductId: canonical._id,
+      method,
+      confidence
+    });
+  }
+
+  /**
+   * Recompute a canonical product's identifiers and listing count from its listings.
+   * Canonical products left without listings are deleted.
+   * @param {ObjectId} canonicalId - Canonical product id
+   * @returns {Promise<Object|null>} - Updated canonical product, or null if it was deleted
+   */
+  async refreshCanonical(canonicalId) {
+    const [canonical, listings] = await Promise.all([
+      CanonicalProduct.findById(canonicalId),
+      Product.find({ canonicalProduct: canonicalId }, 'title brand gtin modelNumber')
+    ]);
+
+    if (!canonical) return null;
+
+    if (listings.length === 0) {
+      await CanonicalProduct.deleteOne({ _id: canonicalId });
+      return null;
+    }
+
+    const unique = values => [...new Set(values.filter(Boolean))];
+    canonical.gtins = unique(listings.map(listing => normalizeGtin(listing.gtin)));
+    canonical.modelNumbers = unique(listings.map(listing => normalizeModelNumber(listing.modelNumber)));
+    canonical.listingCount = listings.length;
+    if (!canonical.brand) {
+      canonical.brand = (listings.find(listing => listing.brand) || {}).brand;
+    }
+
+    await canonical.save();
+    return canonical;
+  }
+
+  /**
+   * Match listings that have no canonical product yet
+   * @param {Object} options
+   * @param {boolean} options.all - Rematch every listing that wasn't placed manually
+   * @param {number} options.limit - Most listings to process in one run
+   * @returns {Promise<Object>} - Processed count and matches by method
+   */
+  async matchProducts({ all = false, limit = 1000 } = {}) {
+    const filter = all ? { 'match.locked': { $ne: true } } : { canonicalProduct: null };
+    const cursor = Product.find(filter, 'title brand gtin modelNumber canonicalProduct match')
+      .sort({ _id: 1 })
+      .limit(limit)
+      .cursor();
+
+    const result = { processed: 0, byMethod: {} };
+    for await (const product of cursor) {
+      const match = await this.matchProduct(product);
+      result.processed++;
+      if (match) {
+        result.byMethod[match.method] = (result.byMethod[match.method] || 0) + 1;
+      }
+    }
+
+    logMatchingStatus('Matched products', { all, ...result });
+    return result;
+  }
+
+  /**
+   * Every stored listing of the same item, including the product itself.
+   * A product that hasn't been matched yet is matched first.
+   * @param {Object} product - Product document
+   * @returns {Promise<Array<Object>>} - Product documents
+   */
+  async findOffers(product) {
+    if (!product.canonicalProduct) {
+      await this.queueMatch(product);
+    }
+    if (!product.canonicalProduct) {
+      return [product];
+    }
+
+    return Product.find({ canonicalProduct: product.canonicalProduct });
+  }
+
+  /**
+   * Canonical products, most listings first
+   * @param {Object} options
+   * @param {string} options.query - Text to search titles for
+   * @param {number} options.minListings - Only groups with at least this many listings
+   * @param {number} options.page - Page number
+   * @param {number} options.limit - Page size
+   * @returns {Promise<Object>} - { canonicalProducts, total, page, totalPages }
+   */
+  async listCanonicalProducts({ query, minListings = 1, page = 1, limit = 20 } = {}) {
+    const filter = { listingCount: { $gte: minListings } };
+    if (query) filter.$text = { $search: query };
+
+    const [canonicalProducts, total] = await Promise.all([
+      CanonicalProduct.find(filter)
+        .sort({ listingCount: -1, updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      CanonicalProduct.countDocuments(filter)
+    ]);
+
+    return { canonicalProducts, total, page, totalPages: Math.ceil(total / limit) };
+  }
+
+  /**
+   * A canonical product and its listings
+   * @param {string} canonicalId - Canonical product id
+   * @returns {Promise<Object|null>} - { canonical, listings }
+   */
+  async getCanonicalProduct(canonicalId) {
+    const canonical = await CanonicalProduct.findById(canonicalId);
+    if (!canonical) return null;
+
+    const listings = await Product.find(
+      { canonicalProduct: canonical._id },
+      'title currentPrice currency url imageUrl source siteProductId rating brand gtin modelNumber match lastUpdated'
+    ).sort({ currentPrice: 1 });
+
+    return { canonical, listings };
+  }
+
+  /**
+   * Move every listing of the source canonical products into the target and delete the sources
+   * @param {string} targetId - Canonical product to keep
+   * @param {Array<string>} sourceIds - Canonical products to fold into it
+   * @returns {Promise<Object|null>} - { canonical } or { error }; null if a canonical product doesn't exist
+   */
+  async mergeCanonicalProducts(targetId, sourceIds) {
+    const ids = [...new Set(sourceIds.map(String))].filter(id => id !== String(targetId));
+    if (ids.length === 0) {
+      return { error: 'Give at least one canonical product to merge into the target' };
+    }
+
+    const [target, sources] = await Promise.all([
+      CanonicalProduct.findById(targetId),
+      CanonicalProduct.find({ _id: { $in: ids } })
+    ]);
+    if (!target || sources.length !== ids.length) {
+      return null;
+    }
+
+    // Every listing in the merged group has now been confirmed by an admin
+    await Product.updateMany(
+      { canonicalProduct: { $in: [target._id, ...sources.map(source => source._id)] } },
+      { $set: { canonicalProduct: target._id, match: manualMatch() } }
+    );
+    await CanonicalProduct.deleteMany({ _id: { $in: sources.map(source => source._id) } });
+
+    logMatchingStatus('Merged canonical products', { targetId: target._id, merged: ids });
+    return { canonical: await this.refreshCanonical(target._id) };
+  }
+
+  /**
+   * Move some listings of a canonical product into a new canonical product of their own
+   * @param {string} canonicalId - Canonical product to split
+   * @param {Array<string>} productIds - Listings to move out
+   * @returns {Promise<Object|null>} - { canonical, split } or { error }; null if the canonical product doesn't exist
+   */
+  async splitCanonicalProduct(canonicalId, productIds) {
+    const canonical = await CanonicalProduct.findById(canonicalId);
+    if (!canonical) return null;
+
+    const ids = [...new Set(productIds.map(String))];
+    const [listings, listingCount] = await Promise.all([
+      Product.find({ _id: { $in: ids }, canonicalProduct: canonical._id }, 'title brand'),
+      Product.countDocuments({ canonicalProduct: canonical._id })
+    ]);
+
+    if (listings.length === 0 || listings.length !== ids.length) {
+      return { error: 'Every product must be a listing of this canonical product' };
+    }
+    if (listings.length === listingCount) {
+      return { error: 'At least one listing must stay with the canonical product' };
+    }
+
+    const profile = buildProfile(listings[0].title, listings[0].brand);
+    const split = await CanonicalProduct.create({
+      title: listings[0].title,
+      brand: listings[0].brand,
+      attributes: { capacities: profile.capacities, color: profile.color }
+    });
+
+    // Lock both groups so automatic matching doesn't undo the split
+    await Product.updateMany(
+      { _id: { $in: listings.map(listing => listing._id) } },
+      { $set: { canonicalProduct: split._id, match: manualMatch() } }
+    );
+    await Product.updateMany({ canonicalProduct: canonical._id }, { $set: { match: manualMatch() } });
+
+    logMatchingStatus('Split canonical product', { canonicalId: canonical._id, splitId: split._id, listings: ids });
+    return {
+      canonical: await this.refreshCanonical(canonical._id),
+      split: await this.refreshCanonical(split._id)
+    };
+  }
+}
+
+// Export the service instance
+const productMatchingServiceInstance = new ProductMatchingService();
+module.exports = productMatchingServiceInstance;
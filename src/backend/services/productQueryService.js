@@ -0,0 +1,268 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const currencyService = require('./currencyService');
+const { isCountryCode, isCrossBorder } = require('./landedCost');
+
+const SORT_FIELDS = ['price', 'rating', 'discount', 'lastUpdated', 'relevance'];
+
+// Direction used when the request doesn't give one
+const DEFAULT_SORT_ORDER = {
+  price: 1,
+  rating: -1,
+  discount: -1,
+  lastUpdated: -1,
+  relevance: 1
+};
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Price facet bucket boundaries in USD, scaled to the requested currency
+const PRICE_BUCKETS_USD = [0, 25, 50, 100, 250, 500, 1000, 2500];
+
+// Round a converted boundary to one significant digit so buckets read naturally (e.g. 2000, not 2087.5)
+const roundBoundary = (value) => {
+  if (value <= 0) return 0;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+  return Math.round(value / magnitude) * magnitude;
+};
+
+const parseNumber = (value) => (value === undefined || value === '' ? undefined : Number(value));
+
+// Accept sources[]=a&sources[]=b as well as sources=a,b
+const parseList = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const items = (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+  return items.length > 0 ? items : undefined;
+};
+
+/**
+ * Read paging, filter and sort options from a request's query string
+ * @param {Object} query - req.query
+ * @returns {{error: string}|{options: Object}}
+ */
+const parseListOptions = (query) => {
+  const page = parseNumber(query.page) ?? 1;
+  const limit = parseNumber(query.limit) ?? DEFAULT_LIMIT;
+  const minPrice = parseNumber(query.minPrice);
+  const maxPrice = parseNumber(query.maxPrice);
+  const minRating = parseNumber(query.minRating);
+  const minDiscount = parseNumber(query.minDiscount);
+  const sort = query.sort || 'relevance';
+  const deliveryCountry = query.deliveryCountry ? String(query.deliveryCountry).toUpperCase() : undefined;
+
+  if (!Number.isInteger(page) || page < 1) {
+    return { error: 'page must be a positive integer' };
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `limit must be an integer between 1 and ${MAX_LIMIT}` };
+  }
+  if ([minPrice, maxPrice].some(price => price !== undefined && (isNaN(price) || price < 0))) {
+    return { error: 'minPrice and maxPrice must be non-negative numbers' };
+  }
+  if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) {
+    return { error: 'minPrice cannot be greater than maxPrice' };
+  }
+  if (minRating !== undefined && (isNaN(minRating) || minRating < 0 || minRating > 5)) {
+    return { error: 'minRating must be between 0 and 5' };
+  }
+  if (minDiscount !== undefined && (isNaN(minDiscount) || minDiscount < 0 || minDiscount > 100)) {
+    return { error: 'minDiscount must be between 0 and 100' };
+  }
+  if (!SORT_FIELDS.includes(sort)) {
+    return { error: `sort must be one of: ${SORT_FIELDS.join(', ')}` };
+  }
+  if (query.order !== undefined && !['asc', 'desc'].includes(query.order)) {
+    return { error: 'order must be asc or desc' };
+  }
+  if (deliveryCountry !== undefined && !isCountryCode(deliveryCountry)) {
+    return { error: 'deliveryCountry must be a two-letter country code' };
+  }
+
+  return {
+    options: {
+      page,
+      limit,
+      sources: parseList(query.sources),
+      minPrice,
+      maxPrice,
+      minRating,
+      minDiscount,
+      sort,
+      order: query.order ? (query.order === 'asc' ? 1 : -1) : DEFAULT_SORT_ORDER[sort],
+      currency: (query.currency || 'USD').toUpperCase(),
+      landedCost: query.landedCost === 'true',
+      deliveryCountry
+    }
+  };
+};
+
+/**
+ * Aggregation expression for a listing's landed cost in its own currency:
+ * price plus shipping, plus import charges for listings from outside deliveryCountry
+ */
+const buildLandedCostExpression = async (deliveryCountry) => {
+  const sources = await Product.distinct('source');
+  const crossBorderSources = sources.filter(source => isCrossBorder(source, deliveryCountry));
+
+  return {
+    $add: [
+      '$currentPrice',
+      { $ifNull: ['$shippingCost', 0] },
+      { $cond: [{ $in: ['$source', crossBorderSources] }, { $ifNull: ['$importCharges', 0] }, 0] }
+    ]
+  };
+};
+
+/**
+ * Aggregation expression for a product's price in the target currency.
+ * Products in a currency we have no rate for get a null price and drop out of price filters.
+ * @param {string} currency - Target currency
+ * @param {*} priceExpression - Price in the product's own currency
+ */
+const buildPriceExpression = async (currency, priceExpression = '$currentPrice') => {
+  const currencies = (await Product.distinct('currency')).filter(Boolean);
+
+  const rates = await Promise.all(currencies.map(async (from) => {
+    try {
+      return await currencyService.getExchangeRate(from, currency);
+    } catch (error) {
+      console.error(`No exchange rate from ${from} to ${currency}, leaving those prices out of price filters`);
+      return null;
+    }
+  }));
+
+  const branches = currencies
+    .map((from, i) => ({ case: { $eq: ['$currency', from] }, then: rates[i] }))
+    .filter(branch => branch.case.$eq[1] !== currency);
+
+  if (branches.length === 0) {
+    return priceExpression;
+  }
+
+  return { $multiply: [priceExpression, { $switch: { branches, default: 1 } }] };
+};
+
+const getSortStage = (sort, order, hasOrderedIds) => {
+  switch (sort) {
+    case 'price':
+      return { priceInCurrency: order, _id: 1 };
+    case 'rating':
+      return { rating: order, _id: 1 };
+    case 'discount':
+      return { discountPercent: order, _id: 1 };
+    case 'relevance':
+      if (hasOrderedIds) {
+        return { relevanceRank: order, _id: 1 };
+      }
+      return { lastUpdated: -1, _id: 1 };
+    default:
+      return { lastUpdated: order, _id: 1 };
+  }
+};
+
+/**
+ * Page through products with filters, sorting and facet counts.
+ * Price filters, price sorting and price buckets all work in the requested currency,
+ * on the landed cost (see services/landedCost) when options.landedCost is set.
+ * @param {Object} options - From parseListOptions
+ * @param {Object} scope
+ * @param {Array} scope.ids - Restrict to these product ids; their order is the relevance order
+ * @returns {Promise<Object>} - { products, total, page, limit, totalPages, facets }
+ */
+const listProducts = async (options, { ids: rawIds } = {}) => {
+  // Aggregation stages aren't cast by mongoose
+  const ids = rawIds ? rawIds.map(id => new mongoose.Types.ObjectId(id.toString())) : null;
+  const { page, limit, sources, minPrice, maxPrice, minRating, minDiscount, sort, order, currency } = options;
+  const priceExpression = options.landedCost
+    ? await buildLandedCostExpression(options.deliveryCountry)
+    : '$currentPrice';
+
+  const priceFilter = {};
+  if (minPrice !== undefined) priceFilter.$gte = minPrice;
+  if (maxPrice !== undefined) priceFilter.$lte = maxPrice;
+
+  // Each facet ignores its own filter so the other choices stay visible
+  const filters = {
+    source: sources ? { source: { $in: sources } } : {},
+    price: Object.keys(priceFilter).length > 0 ? { priceInCurrency: priceFilter } : {},
+    rating: minRating !== undefined ? { rating: { $gte: minRating } } : {},
+    discount: minDiscount !== undefined ? { discountPercent: { $gte: minDiscount } } : {}
+  };
+  const allFilters = { ...filters.source, ...filters.price, ...filters.rating, ...filters.discount };
+
+  const rate = await currencyService.getExchangeRate('USD', currency).catch(() => 1);
+  const boundaries = [...new Set(PRICE_BUCKETS_USD.map(boundary => roundBoundary(boundary * rate)))];
+
+  const pipeline = [
+    { $match: ids ? { _id: { $in: ids } } : {} },
+    {
+      $addFields: {
+        priceInCurrency: await buildPriceExpression(currency, priceExpression),
+        // Saved off the list price; products stored before list prices were scraped have none
+        discountPercent: { $ifNull: ['$discountPercent', 0] },
+        ...(ids ? { relevanceRank: { $indexOfArray: [ids, '$_id'] } } : {})
+      }
+    },
+    {
+      $facet: {
+        results: [
+          { $match: allFilters },
+          { $sort: getSortStage(sort, order, Boolean(ids)) },
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          { $project: { priceInCurrency: 0, relevanceRank: 0 } }
+        ],
+        total: [
+          { $match: allFilters },
+          { $count: 'count' }
+        ],
+        sources: [
+          { $match: { ...filters.price, ...filters.rating, ...filters.discount } },
+          { $group: { _id: '$source', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } }
+        ],
+        priceBuckets: [
+          { $match: { ...filters.source, ...filters.rating, ...filters.discount, priceInCurrency: { $ne: null } } },
+          {
+            $bucket: {
+              groupBy: '$priceInCurrency',
+              boundaries: [...boundaries, Number.MAX_SAFE_INTEGER],
+              default: 'unknown',
+              output: { count: { $sum: 1 } }
+            }
+          }
+        ]
+      }
+    }
+  ];
+
+  const [result] = await Product.aggregate(pipeline);
+  const total = result.total.length > 0 ? result.total[0].count : 0;
+
+  return {
+    products: result.results.map(product => Product.hydrate(product)),
+    total,
+    page,
+    limit,
+    totalPages: Math.ceil(total / limit),
+    facets: {
+      currency,
+      sources: result.sources.map(({ _id, count }) => ({ source: _id, count })),
+      priceBuckets: result.priceBuckets
+        .filter(bucket => bucket._id !== 'unknown')
+        .map(({ _id, count }) => {
+          const next = boundaries[boundaries.indexOf(_id) + 1];
+          return { min: _id, max: next === undefined ? null : next, count };
+        })
+    }
+  };
+};
+
+module.exports = {
+  SORT_FIELDS,
+  parseListOptions,
+  listProducts
+};
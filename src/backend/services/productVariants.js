@@ -0,0 +1,85 @@
+/**
+ * Variants of a single listing, e.g. "iPhone 15 128GB" and "256GB" under one URL.
+ * Scrapers report each variant they can see with its own id and, when shown, its
+ * price; the page's headline price is the selected variant's. Product.variants
+ * keeps every variant seen with its own price history, so watchlist entries and
+ * alerts can follow one variant instead of whichever is the default.
+ */
+
+// Dimensions a variant can differ in
+const VARIANT_ATTRIBUTES = ['color', 'size', 'capacity'];
+
+/**
+ * Readable name for a variant from its attributes, e.g. "Blue / 256GB"
+ * @param {Object} attributes - { color, size, capacity }
+ * @returns {string}
+ */
+const describeVariant = (attributes = {}) =>
+  VARIANT_ATTRIBUTES.map(name => attributes[name]).filter(Boolean).join(' / ');
+
+const samePrice = (variant, scraped) =>
+  variant.currentPrice === scraped.price && variant.currency === scraped.currency;
+
+/**
+ * Merge freshly scraped variants into a product's stored ones.
+ * A scraped price different from the stored one is added to that variant's history.
+ * Variants missing from the scrape are kept (pages often show only some of them)
+ * but lose the selected flag when the scrape reports a selected variant.
+ * @param {Array} existing - Stored variants
+ * @param {Array} scraped - { variantId, label, attributes, price, currency, availability, url, selected }
+ * @param {Date} now - Time of the scrape
+ * @returns {Array} - Variants to store
+ */
+const mergeVariants = (existing = [], scraped = [], now = new Date()) => {
+  if (scraped.length === 0) return existing;
+
+  const hasSelected = scraped.some(variant => variant.selected);
+  const merged = new Map(existing.map(variant => [
+    variant.variantId,
+    { ...variant, selected: hasSelected ? false : variant.selected }
+  ]));
+
+  scraped.forEach(variant => {
+    const stored = merged.get(variant.variantId) || { variantId: variant.variantId, priceHistory: [] };
+    const attributes = { ...stored.attributes, ...variant.attributes };
+    const next = {
+      ...stored,
+      label: variant.label || stored.label || describeVariant(attributes),
+      attributes,
+      availability: variant.availability || stored.availability,
+      url: variant.url || stored.url,
+      selected: Boolean(variant.selected),
+      lastSeen: now
+    };
+
+    if (variant.price > 0 && !samePrice(stored, variant)) {
+      next.currentPrice = variant.price;
+      next.currency = variant.currency;
+      next.priceHistory = [...stored.priceHistory, { price: variant.price, currency: variant.currency, date: now }];
+    }
+
+    merged.set(variant.variantId, next);
+  });
+
+  return [...merged.values()];
+};
+
+/**
+ * Stored variant with the given id
+ * @param {Object} product - Product document or plain object
+ * @param {string} variantId - Retailer's variant id
+ * @returns {Object|null}
+ */
+const findVariant = (product, variantId) =>
+  (product.variants || []).find(variant => variant.variantId === variantId) || null;
+
+const getSelectedVariant = (product) =>
+  (product.variants || []).find(variant => variant.selected) || null;
+
+module.exports = {
+  VARIANT_ATTRIBUTES,
+  describeVariant,
+  mergeVariants,
+  findVariant,
+  getSelectedVariant
+};
@@ -0,0 +1,161 @@
+const Product = require('../models/Product');
+const User = require('../models/User');
+const priceStatistics = require('./priceStatistics');
+
+// Interval for an average product, matching the old fixed cron cadence
+const BASE_INTERVAL_HOURS = 4;
+const MIN_INTERVAL_HOURS = 1;
+const MAX_INTERVAL_HOURS = 72;
+
+// Only recent movement says much about how soon the price will move again
+const VOLATILITY_WINDOW = 30;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * Get the date of the most recent price change
+ * @param {Array} priceHistory - Product price history
+ * @returns {Date|null} - Date of the last entry that differs from its predecessor,
+ *   the first entry if the price never changed, or null without history
+ */
+const getLastChangeDate = (priceHistory) => {
+  if (!priceHistory || priceHistory.length === 0) return null;
+
+  const history = [...priceHistory].sort((a, b) => new Date(a.date) - new Date(b.date));
+  for (let i = history.length - 1; i > 0; i--) {
+    if (history[i].price !== history[i - 1].price) {
+      return new Date(history[i].date);
+    }
+  }
+  return new Date(history[0].date);
+};
+
+/**
+ * Work out how long to wait before re-scraping a product.
+ * Volatile, watched, alerted or recently changed products are checked more often;
+ * products whose price hasn't moved in weeks back off towards the maximum.
+ * @param {Object} factors - { volatility, watchers, activeAlerts, hoursSinceChange }
+ * @returns {number} - Interval in hours
+ */
+exports.computeCheckInterval = ({ volatility = null, watchers = 0, activeAlerts = 0, hoursSinceChange = null }) => {
+  // 2x slower for a flat price, 2x faster at ~6% average moves, 4x at ~14%
+  const volatilityFactor = volatility === null
+    ? 1
+    : clamp(2 / (1 + volatility / 2), 0.25, 2);
+
+  // Each watcher and (more strongly) each active alert pulls the next check closer
+  const interestFactor = Math.max(1 / (1 + 0.5 * watchers + activeAlerts), 0.25);
+
+  let stalenessFactor = 1;
+  if (hoursSinceChange !== null) {
+    if (hoursSinceChange < 24) {
+      stalenessFactor = 0.75;
+    } else if (hoursSinceChange > 30 * 24) {
+      stalenessFactor = 4;
+    } else if (hoursSinceChange > 7 * 24) {
+      stalenessFactor = 2;
+    }
+  }
+
+  const hours = BASE_INTERVAL_HOURS * volatilityFactor * interestFactor * stalenessFactor;
+  return parseFloat(clamp(hours, MIN_INTERVAL_HOURS, MAX_INTERVAL_HOURS).toFixed(2));
+};
+
+/**
+ * Count watchers and active alerts for products
+ * @param {Array} productIds - Product ids
+ * @returns {Promise<Map>} - productId string -> { watchers, activeAlerts }
+ */
+exports.getProductInterest = async (productIds) => {
+  const [watchers, alerts] = await Promise.all([
+    User.aggregate([
+      { $unwind: '$watchlist' },
+      { $match: { 'watchlist.productId': { $in: productIds } } },
+      { $group: { _id: '$watchlist.productId', count: { $sum: 1 } } }
+    ]),
+    User.aggregate([
+      { $unwind: '$alerts' },
+      { $match: { 'alerts.productId': { $in: productIds }, 'alerts.active': true } },
+      { $group: { _id: '$alerts.productId', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const interest = new Map(productIds.map(id => [id.toString(), { watchers: 0, activeAlerts: 0 }]));
+  watchers.forEach(({ _id, count }) => {
+    if (interest.has(_id.toString())) interest.get(_id.toString()).watchers = count;
+  });
+  alerts.forEach(({ _id, count }) => {
+    if (interest.has(_id.toString())) interest.get(_id.toString()).activeAlerts = count;
+  });
+
+  return interest;
+};
+
+/**
+ * Compute when a product should next be checked
+ * @param {Object} product - Product with priceHistory and lastUpdated
+ * @param {Object} interest - { watchers, activeAlerts }
+ * @param {Object} options - { now, from } where `from` overrides the last check time
+ * @returns {Object} - { nextCheckAt, intervalHours, factors }
+ */
+exports.computeNextCheckAt = (product, interest = {}, { now = new Date(), from } = {}) => {
+  const history = [...(product.priceHistory || [])]
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+  const prices = history.slice(-VOLATILITY_WINDOW).map(entry => entry.price);
+  const lastChange = getLastChangeDate(history);
+
+  const factors = {
+    volatility: prices.length > 1 ? priceStatistics.calculateVolatility(prices) : null,
+    watchers: interest.watchers || 0,
+    activeAlerts: interest.activeAlerts || 0,
+    hoursSinceChange: lastChange ? (now - lastChange) / HOUR_MS : null
+  };
+
+  const intervalHours = exports.computeCheckInterval(factors);
+
+  // Measured from the last check so a rise in interest can pull the date forward
+  const lastChecked = from || (product.lastUpdated ? new Date(product.lastUpdated) : now);
+
+  return {
+    nextCheckAt: new Date(lastChecked.getTime() + intervalHours * HOUR_MS),
+    intervalHours,
+    factors
+  };
+};
+
+/**
+ * Recompute and store nextCheckAt for a product.
+ * Call after a refresh and whenever its watchers or alerts change.
+ * @param {string} productId - Product id
+ * @param {Object} options - { from } to schedule from a time other than the last successful check,
+ *   { before } to check again no later than that time
+ * @returns {Promise<Object|null>} - Schedule, or null if the product doesn't exist
+ */
+exports.scheduleNextCheck = async (productId, { from, before } = {}) => {
+  const product = await Product.findById(productId).select('priceHistory lastUpdated');
+  if (!product) return null;
+
+  const interest = await exports.getProductInterest([product._id]);
+  const schedule = exports.computeNextCheckAt(product, interest.get(product._id.toString()), { from });
+  if (before && before < schedule.nextCheckAt) {
+    schedule.nextCheckAt = before;
+  }
+
+  await Product.updateOne({ _id: product._id }, { $set: { nextCheckAt: schedule.nextCheckAt } });
+  return schedule;
+};
+
+/**
+ * Query for products whose next check is due
+ * @param {Date} now - Current time
+ * @returns {Object} - Mongo filter
+ */
+exports.getDueFilter = (now = new Date()) => ({
+  $or: [
+    { nextCheckAt: { $lte: now } },
+    // Products stored before adaptive scheduling existed
+    { nextCheckAt: { $exists: false } }
+  ]
+});
@@ -0,0 +1,284 @@
+const ScraperRun = require('../models/ScraperRun');
+const ScraperSourceStatus = require('../models/ScraperSourceStatus');
+
+// A source is disabled when at least MIN_RUNS runs in the window fail at this rate.
+// Product-page problems and repeat refreshes of the same page don't count (see countedRuns).
+const FAILURE_RATE_THRESHOLD = parseFloat(process.env.SCRAPER_FAILURE_THRESHOLD) || 0.7;
+const MIN_RUNS = 5;
+const WINDOW_MS = 60 * 60 * 1000;
+
+// Disable period, doubled for each consecutive disable up to the maximum
+const DISABLE_BASE_MS = 30 * 60 * 1000;
+const DISABLE_MAX_MS = 6 * 60 * 60 * 1000;
+
+// How long cached source states are trusted before re-reading MongoDB
+const STATE_CACHE_MS = 30 * 1000;
+
+// Utility function for better logging
+function logHealthStatus(message, details = {}) {
+  const timestamp = new Date().toISOString();
+  const detailsStr = Object.keys(details).length > 0
+    ? `\n  Details: ${JSON.stringify(details, null, 2)}`
+    : '';
+
+  console.log(`[${timestamp}] [ScraperHealth] ${message}${detailsStr}`);
+}
+
+/**
+ * Runs that say something about the source as a whole. Failures caused by the product
+ * (a delisted page) are dropped, and each product page counts once, with its latest outcome,
+ * so a few dead listings retried by the queue can't disable a working source.
+ * @param {Array<Object>} runs - Runs in the window, oldest first
+ * @returns {Array<Object>}
+ */
+const countedRuns = (runs) => {
+  const counted = new Map();
+  runs
+    .filter(run => !run.productIssue)
+    .forEach((run, i) => {
+      const key = run.operation === 'details' && run.url ? `details:${run.url}` : `run:${i}`;
+      counted.set(key, run);
+    });
+  return [...counted.values()];
+};
+
+class ScraperHealthService {
+  constructor() {
+    this.states = new Map(); // source -> ScraperSourceStatus document
+    this.statesLoadedAt = 0;
+  }
+
+  async loadStates(force = false) {
+    if (!force && Date.now() - this.statesLoadedAt < STATE_CACHE_MS) {
+      return this.states;
+    }
+
+    const statuses = await ScraperSourceStatus.find({});
+    this.states = new Map(statuses.map(status => [status.source, status]));
+    this.statesLoadedAt = Date.now();
+    return this.states;
+  }
+
+  /**
+   * Check whether a source may be scraped right now.
+   * Fails open: if the state can't be read, scraping continues.
+   * @param {string} source - Scraper source
+   * @returns {Promise<boolean>}
+   */
+  async isSourceEnabled(source) {
+    try {
+      const states = await this.loadStates();
+      const status = states.get(source);
+      return !status || !status.isDisabled();
+    } catch (error) {
+      logHealthStatus('Error reading source state', { source, error: error.message });
+      return true;
+    }
+  }
+
+  /**
+   * Store the outcome of a scraper run and disable the source if it is failing
+   * @param {Object} run - { source, operation, success, productsFound, emptyResult, parseFailures, captchaHits,
+   *   latencyMs, method, error, url, productIssue }
+   */
+  async recordRun(run) {
+    try {
+      await ScraperRun.create(run);
+      await this.evaluateSource(run.source);
+    } catch (error) {
+      logHealthStatus('Error recording scraper run', { source: run.source, error: error.message });
+    }
+  }
+
+  /**
+   * Disable a source whose recent failure rate crosses the threshold
+   * @param {string} source - Scraper source
+   * @returns {Promise<Object|null>} - Updated status when the source was disabled
+   */
+  async evaluateSource(source, now = new Date()) {
+    const states = await this.loadStates();
+    let status = states.get(source);
+
+    if (status && status.isDisabled(now)) {
+      return null;
+    }
+
+    // Runs from before the last disable ended don't count against the source again
+    const since = new Date(Math.max(
+      now.getTime() - WINDOW_MS,
+      status && status.windowStart ? status.windowStart.getTime() : 0
+    ));
+
+    const runs = countedRuns(await ScraperRun.find({ source, createdAt: { $gte: since } })
+      .select('operation url productIssue success captchaHits')
+      .sort({ createdAt: 1 }));
+    if (runs.length < MIN_RUNS) {
+      return null;
+    }
+
+    const failures = runs.filter(run => !run.success).length;
+    const failureRate = failures / runs.length;
+
+    if (failureRate < FAILURE_RATE_THRESHOLD) {
+      // A healthy window resets the disable backoff
+      if (status && status.disableCount > 0) {
+        status.disableCount = 0;
+        await status.save();
+      }
+      return null;
+    }
+
+    const captchaHits = runs.reduce((total, run) => total + (run.captchaHits || 0), 0);
+
+    if (!status) {
+      status = new ScraperSourceStatus({ source });
+    }
+
+    const disableMs = Math.min(DISABLE_BASE_MS * Math.pow(2, status.disableCount), DISABLE_MAX_MS);
+    status.disabledUntil = new Date(now.getTime() + disableMs);
+    status.windowStart = status.disabledUntil;
+    status.disableCount += 1;
+    status.disabledReason = `${Math.round(failureRate * 100)}% of ${runs.length} runs failed` +
+      (captchaHits > 0 ? ` (${captchaHits} captcha hits)` : '');
+    await status.save();
+
+    this.states.set(source, status);
+
+    logHealthStatus(`Source ${source} disabled until ${status.disabledUntil.toISOString()}`, {
+      reason: status.disabledReason
+    });
+
+    return status;
+  }
+
+  /**
+   * Re-enable a source before its disable period ends
+   * @param {string} source - Scraper source
+   * @returns {Promise<Object|null>} - Updated status, or null if the source was never disabled
+   */
+  async enableSource(source) {
+    const status = await ScraperSourceStatus.findOne({ source });
+    if (!status) return null;
+
+    const now = new Date();
+    status.disabledUntil = undefined;
+    status.disabledReason = undefined;
+    status.disableCount = 0;
+    status.windowStart = now;
+    await status.save();
+
+    this.states.set(source, status);
+    logHealthStatus(`Source ${source} re-enabled manually`);
+    return status;
+  }
+
+  /**
+   * Summarize scraper health per source
+   * @param {Object} options - { hours, bucketHours }
+   * @returns {Promise<Object>} - Totals and a success-rate timeline per source
+   */
+  async getHealth({ hours = 24, bucketHours = 1 } = {}) {
+    const now = new Date();
+    const since = new Date(now.getTime() - hours * 60 * 60 * 1000);
+    const bucketMs = bucketHours * 60 * 60 * 1000;
+
+    const [totals, timeline] = await Promise.all([
+      ScraperRun.aggregate([
+        { $match: { createdAt: { $gte: since } } },
+        {
+          $group: {
+            _id: { source: '$source', operation: '$operation' },
+            runs: { $sum: 1 },
+            successes: { $sum: { $cond: ['$success', 1, 0] } },
+            productsFound: { $sum: '$productsFound' },
+            emptyResults: { $sum: { $cond: ['$emptyResult', 1, 0] } },
+            productIssues: { $sum: { $cond: ['$productIssue', 1, 0] } },
+            parseFailures: { $sum: '$parseFailures' },
+            captchaHits: { $sum: '$captchaHits' },
+            avgLatencyMs: { $avg: '$latencyMs' },
+            lastRunAt: { $max: '$createdAt' }
+          }
+        }
+      ]),
+      ScraperRun.aggregate([
+        { $match: { createdAt: { $gte: since } } },
+        {
+          $group: {
+            _id: {
+              source: '$source',
+              bucket: { $subtract: [{ $toLong: '$createdAt' }, { $mod: [{ $toLong: '$createdAt' }, bucketMs] }] }
+            },
+            runs: { $sum: 1 },
+            successes: { $sum: { $cond: ['$success', 1, 0] } },
+            captchaHits: { $sum: '$captchaHits' }
+          }
+        },
+        { $sort: { '_id.bucket': 1 } }
+      ])
+    ]);
+
+    const states = await this.loadStates(true);
+    const sources = {};
+
+    const getSource = (source) => {
+      if (!sources[source]) {
+        const status = states.get(source);
+        sources[source] = {
+          disabled: Boolean(status && status.isDisabled(now)),
+          disabledUntil: status && status.isDisabled(now) ? status.disabledUntil : null,
+          disabledReason: status && status.isDisabled(now) ? status.disabledReason : null,
+          runs: 0,
+          successes: 0,
+          successRate: null,
+          operations: {},
+          timeline: []
+        };
+      }
+      return sources[source];
+    };
+
+    totals.forEach(({ _id, ...stats }) => {
+      const entry = getSource(_id.source);
+      entry.runs += stats.runs;
+      entry.successes += stats.successes;
+      entry.operations[_id.operation] = {
+        ...stats,
+        successRate: parseFloat((stats.successes / stats.runs).toFixed(3)),
+        avgLatencyMs: Math.round(stats.avgLatencyMs || 0)
+      };
+    });
+
+    timeline.forEach(({ _id, runs, successes, captchaHits }) => {
+      getSource(_id.source).timeline.push({
+        start: new Date(_id.bucket),
+        runs,
+        successRate: parseFloat((successes / runs).toFixed(3)),
+        captchaHits
+      });
+    });
+
+    // Sources with a status but no recent runs still show up (e.g. while disabled)
+    states.forEach((status, source) => getSource(source));
+
+    Object.values(sources).forEach(entry => {
+      if (entry.runs > 0) {
+        entry.successRate = parseFloat((entry.successes / entry.runs).toFixed(3));
+      }
+    });
+
+    return {
+      since,
+      bucketHours,
+      thresholds: {
+        failureRate: FAILURE_RATE_THRESHOLD,
+        minRuns: MIN_RUNS,
+        windowMinutes: WINDOW_MS / 60000
+      },
+      sources
+    };
+  }
+}
+
+// Export the service instance
+const scraperHealthServiceInstance = new ScraperHealthService();
+module.exports = scraperHealthServiceInstance;
@@ -3,6 +3,14 @@ const AmazonScraper = require('./scrapers/AmazonScraper');
 const EbayScraper = require('./scrapers/EbayScraper');
 const FlipkartScraper = require('./scrapers/FlipkartScraper');
 const AmazonIndiaScraper = require('./scrapers/AmazonIndiaScraper');
+const GenericScraper = require('./scrapers/GenericScraper');
+const urlSafety = require('./urlSafety');
+const refreshScheduler = require('./refreshScheduler');
+const scraperHealthService = require('./scraperHealthService');
+const productMatchingService = require('./productMatchingService');
+const priceValidationService = require('./priceValidationService');
+const { getSelectedVariant } = require('./productVariants');
+const { isUnavailable } = require('./availability');
 
 // Utility function for better logging
 function logScraperStatus(message, details = {}) {
@@ -26,61 +34,117 @@ class ScraperService {
       new AmazonIndiaScraper()
       // Add more scrapers as needed
     ];
+    // Reads schema.org data from shops without a dedicated scraper; details only, never searched
+    this.genericScraper = new GenericScraper();
   }
 
-  async searchAllProducts(query) {
-    logScraperStatus(`Starting product search`, { query });
+  // Counter snapshot so a run's captcha hits and parse failures can be diffed afterwards
+  getRunCounters(scraper) {
+    return { captchaHits: scraper.captchaHits, parseFailures: scraper.parseFailures };
+  }
+
+  recordScraperRun(scraper, operation, startedAt, counters, outcome) {
+    // Fire-and-forget: health bookkeeping must never hold up a scrape
+    scraperHealthService.recordRun({
+      source: scraper.source,
+      operation,
+      latencyMs: Date.now() - startedAt,
+      captchaHits: scraper.captchaHits - counters.captchaHits,
+      parseFailures: scraper.parseFailures - counters.parseFailures,
+      ...outcome
+    });
+  }
+
+  // One search with a single retry; throws if both attempts fail
+  async runSearch(scraper, query) {
+    logScraperStatus(`Using ${scraper.constructor.name} to search`, { query });
+    
+    // Always use non-headless mode for better results
+    try {
+      // Force close any existing browser instances first
+      await scraper.close().catch(() => {});
+      
+      // Run the search with non-headless mode
+      const products = await scraper.searchProducts(query);
+      
+      logScraperStatus(`Found ${products.length} products with ${scraper.constructor.name}`, { 
+        count: products.length,
+        source: scraper.source
+      });
+      
+      return products;
+    } catch (searchError) {
+      logScraperStatus(`Error searching with ${scraper.constructor.name}`, { 
+        error: searchError.message,
+        source: scraper.source
+      });
+      
+      // If first attempt fails, try one more time after a short delay
+      await new Promise(resolve => setTimeout(resolve, 2000));
+      
+      logScraperStatus(`Retrying search with ${scraper.constructor.name}`, { 
+        query,
+        source: scraper.source
+      });
+      
+      // Force close any existing browser instances
+      await scraper.close().catch(() => {});
+      
+      // Try once more
+      const retryProducts = await scraper.searchProducts(query);
+      
+      logScraperStatus(`Retry found ${retryProducts.length} products with ${scraper.constructor.name}`, { 
+        count: retryProducts.length,
+        source: scraper.source
+      });
+      
+      return retryProducts;
+    }
+  }
+
+  /**
+   * Search every enabled source in parallel
+   * @param {string} query - Search text
+   * @param {Object} options
+   * @param {Array<string>} options.sources - Only search these sources (default: all)
+   * @param {Function} options.onSourceComplete - Called with { source, products, error, skipped }
+   *   as each source finishes, before the others are done
+   * @returns {Promise<Array>} - Products from all sources
+   */
+  async searchAllProducts(query, { sources, onSourceComplete } = {}) {
+    logScraperStatus(`Starting product search`, { query, sources });
     
     const results = [];
     const errors = [];
-    
-    // Run all scrapers in parallel
-    const scraperPromises = this.scrapers.map(async (scraper) => {
+
+    const reportSource = async (result) => {
+      if (!onSourceComplete) return;
       try {
-        logScraperStatus(`Using ${scraper.constructor.name} to search`, { query });
-        
-        // Always use non-headless mode for better results
-        try {
-          // Force close any existing browser instances first
-          await scraper.close().catch(() => {});
-          
-          // Run the search with non-headless mode
-          const products = await scraper.searchProducts(query);
-          
-          logScraperStatus(`Found ${products.length} products with ${scraper.constructor.name}`, { 
-            count: products.length,
-            source: scraper.source
-          });
-          
-          return products;
-        } catch (searchError) {
-          logScraperStatus(`Error searching with ${scraper.constructor.name}`, { 
-            error: searchError.message,
-            source: scraper.source
-          });
-          
-          // If first attempt fails, try one more time after a short delay
-          await new Promise(resolve => setTimeout(resolve, 2000));
-          
-          logScraperStatus(`Retrying search with ${scraper.constructor.name}`, { 
-            query,
-            source: scraper.source
-          });
-          
-          // Force close any existing browser instances
-          await scraper.close().catch(() => {});
-          
-          // Try once more
-          const retryProducts = await scraper.searchProducts(query);
-          
-          logScraperStatus(`Retry found ${retryProducts.length} products with ${scraper.constructor.name}`, { 
-            count: retryProducts.length,
-            source: scraper.source
-          });
-          
-          return retryProducts;
-        }
+        await onSourceComplete(result);
       } catch (error) {
+        logScraperStatus(`Error handling ${result.source} search results`, { error: error.message });
+      }
+    };
+    
+    const scrapers = sources
+      ? this.scrapers.filter(scraper => sources.includes(scraper.source))
+      : this.scrapers;
+
+    // Run all scrapers in parallel
+    const scraperPromises = scrapers.map(async (scraper) => {
+      if (!(await scraperHealthService.isSourceEnabled(scraper.source))) {
+        logScraperStatus(`Skipping disabled source`, { source: scraper.source });
+        await reportSource({ source: scraper.source, products: [], skipped: true });
+        return [];
+      }
+
+      const startedAt = Date.now();
+      const counters = this.getRunCounters(scraper);
+
+      let searchError = null;
+      // Searches share the scraper's page with product refreshes, so they take turns with them
+      const products = await scraper.runExclusive(() => this.runSearch(scraper, query)).catch(error => {
+        searchError = error;
         logScraperStatus(`Error with ${scraper.constructor.name}`, { 
           error: error.message,
           source: scraper.source
@@ -89,8 +153,30 @@ class ScraperService {
           scraper: scraper.constructor.name,
           error: error.message
         });
-        return [];
+        this.recordScraperRun(scraper, 'search', startedAt, counters, {
+          success: false,
+          productsFound: 0,
+          error: error.message
+        });
+        return null;
+      });
+
+      // Only errors and captchas say the source is unhealthy; a query may have no matches
+      if (products) {
+        this.recordScraperRun(scraper, 'search', startedAt, counters, {
+          success: scraper.captchaHits === counters.captchaHits,
+          productsFound: products.length,
+          emptyResult: products.length === 0
+        });
       }
+
+      await reportSource({
+        source: scraper.source,
+        products: products || [],
+        error: searchError ? searchError.message : undefined
+      });
+
+      return products || [];
     });
     
     // Wait for all scrapers to complete
@@ -109,11 +195,108 @@ class ScraperService {
     return results;
   }
 
+  /**
+   * Store scraped search results, updating prices of products we already have
+   * @param {Array<Object>} products - Products returned by searchAllProducts
+   * @returns {Promise<Array<Object>>} - Saved product documents; rejected products are left out
+   */
+  async saveSearchResults(products) {
+    const Product = require('../models/Product');
+
+    const savedProducts = await Promise.all(
+      products.map(async (product) => {
+        try {
+          // Find existing product by source and site-specific ID
+          const existingProduct = await Product.findOne({
+            source: product.source,
+            siteProductId: product.siteProductId
+          });
+          
+          if (existingProduct) {
+            existingProduct.setAvailability(product.availability, product.deliveryEstimate);
+            const featuredOffer = product.sellerOffers && product.sellerOffers[0];
+
+            // Check for price changes; outliers are quarantined until confirmed or approved
+            if (existingProduct.currentPrice !== product.currentPrice) {
+              const percentChange = Math.abs((product.currentPrice - existingProduct.currentPrice) / existingProduct.currentPrice) * 100;
+              const review = await priceValidationService.reviewPriceChange(existingProduct, product);
+              if (review.accepted) {
+                logScraperStatus(`Updating price for existing product`, { 
+                  title: existingProduct.title,
+                  oldPrice: existingProduct.currentPrice, 
+                  newPrice: product.currentPrice,
+                  percentChange: `${percentChange.toFixed(2)}%`,
+                  reason: review.reason,
+                  ...(review.reason === 'seller_changed' ? { seller: featuredOffer.seller } : {}),
+                  ...(review.reason === 'variant_changed' ? { variant: product.variants.find(variant => variant.selected).label } : {})
+                });
+                existingProduct.updateSellerOffers(product.sellerOffers);
+                existingProduct.updateVariants(product.variants);
+                await existingProduct.addPriceToHistory(
+                  product.currentPrice, product.currency, product.originalPrice, featuredOffer && featuredOffer.seller
+                );
+              } else {
+                await this.scheduleNextCheck(existingProduct, { before: review.recheckAt });
+              }
+            } else {
+              await priceValidationService.closePendingPrices(existingProduct._id);
+              existingProduct.updateSellerOffers(product.sellerOffers);
+              existingProduct.updateVariants(product.variants);
+              if (product.originalPrice > 0 && existingProduct.originalPrice !== product.originalPrice) {
+                existingProduct.originalPrice = product.originalPrice;
+              }
+            }
+
+            // List price, availability, seller or variant changes that came without a price change
+            if (existingProduct.isModified()) {
+              await existingProduct.save();
+            }
+            return existingProduct;
+          }
+          
+          // Validate initial price for new products
+          if (!priceValidationService.isValidNewProductPrice(product.currentPrice, product.currency)) {
+            logScraperStatus(`Rejected new product with invalid price`, { 
+              title: product.title,
+              price: product.currentPrice,
+              currency: product.currency
+            });
+            return null;
+          }
+
+          // Create and save new product
+          logScraperStatus(`Creating new product`, { title: product.title, source: product.source });
+          const { sellerOffers, variants, ...fields } = product;
+          const newProduct = new Product({
+            ...fields,
+            priceHistory: [{
+              price: product.currentPrice,
+              currency: product.currency,
+              originalPrice: product.originalPrice,
+              seller: sellerOffers && sellerOffers[0].seller
+            }],
+            lastUpdated: new Date()
+          });
+          newProduct.updateSellerOffers(sellerOffers);
+          newProduct.updateVariants(variants);
+          await newProduct.save();
+          productMatchingService.queueMatch(newProduct);
+          return newProduct;
+        } catch (error) {
+          logScraperStatus(`Error processing product`, { title: product.title, error: error.message });
+          return null;
+        }
+      })
+    );
+
+    return savedProducts.filter(product => product !== null);
+  }
+
   async getProductDetails(url, source) {
     logScraperStatus(`Getting product details`, { url, source });
     
     // Find the appropriate scraper
-    const scraper = this.scrapers.find(s => s.source === source);
+    const scraper = source ? this.getScraperForSource(source) : this.getScraperForUrl(url);
     if (!scraper) {
       logScraperStatus(`No scraper found for source`, { source });
       throw new Error(`No scraper found for source: ${source}`);
@@ -138,7 +321,278 @@ class ScraperService {
     }
   }
 
-  async updateProductPrice(productId) {
+  // Sources that can be searched
+  getSearchSources() {
+    return this.scrapers.map(scraper => scraper.source);
+  }
+
+  getScraperForSource(source) {
+    const scraper = this.scrapers.find(s => s.source === source);
+    if (scraper) return scraper;
+
+    // Products from unknown shops are stored with their hostname as the source
+    return urlSafety.isPublicHostname(source) ? this.genericScraper : null;
+  }
+
+  /**
+   * Pick the scraper for a product URL by its domain
+   * @param {string} url - Product page URL
+   * @returns {Object|null} - Dedicated scraper for the shop, the generic one, or null
+   *   when the URL points at a local or private host that must not be fetched
+   */
+  getScraperForUrl(url) {
+    const host = GenericScraper.getSourceForUrl(url);
+
+    const scraper = this.scrapers.find(s => {
+      const scraperHost = new URL(s.baseUrl).hostname.replace(/^www\./, '');
+      return host === scraperHost || host.endsWith(`.${scraperHost}`);
+    });
+    if (scraper) return scraper;
+
+    return urlSafety.getUrlProblem(url) ? null : this.genericScraper;
+  }
+
+  /**
+   * Work out which scraper handles a product URL and the identity it is stored under
+   * @param {string} url - Product page URL
+   * @returns {{scraper: Object, source: string, siteProductId: string|null}|null} - null if no scraper may fetch it
+   */
+  resolveProductUrl(url) {
+    const scraper = this.getScraperForUrl(url);
+    if (!scraper) return null;
+
+    return {
+      scraper,
+      source: scraper === this.genericScraper ? GenericScraper.getSourceForUrl(url) : scraper.source,
+      siteProductId: scraper.extractProductId(url) || null
+    };
+  }
+
+  /**
+   * Fetch fresh details for one product page from its own source scraper
+   * @param {string} url - Product page URL
+   * @param {string} source - Product source (e.g. 'amazon')
+   * @param {Object} options - { signal } AbortSignal that ends the scrape
+   * @returns {Promise<Object>} - Normalized product details
+   */
+  async refreshProductDetails(url, source, options = {}) {
+    const scraper = this.getScraperForSource(source);
+    if (!scraper) {
+      throw new Error(`No scraper found for source: ${source}`);
+    }
+
+    if (!(await scraperHealthService.isSourceEnabled(source))) {
+      throw new Error(`Source ${source} is temporarily disabled`);
+    }
+
+    return this.runDetailsRefresh(scraper, url, options);
+  }
+
+  /**
+   * Refresh a product page and record the run for scraper health
+   * @param {Object} scraper - Source scraper
+   * @param {string} url - Product page URL
+   * @param {Object} options - { signal } AbortSignal that ends the scrape
+   * @returns {Promise<Object>} - Normalized product details
+   */
+  async runDetailsRefresh(scraper, url, options = {}) {
+    // Stored URLs predating the tracking checks may still point at a local host or port;
+    // refusing them says nothing about the scraper, so no run is recorded
+    const urlProblem = urlSafety.getUrlProblem(url);
+    if (urlProblem) {
+      throw new Error(`${urlProblem}: ${url}`);
+    }
+
+    const startedAt = Date.now();
+    const counters = this.getRunCounters(scraper);
+
+    try {
+      const details = await scraper.refreshProductDetails(url, options);
+      const success = scraper.hasUsableDetails(details);
+
+      this.recordScraperRun(scraper, 'details', startedAt, counters, {
+        success,
+        productsFound: success ? 1 : 0,
+        method: details && details.method,
+        url
+      });
+      return details;
+    } catch (error) {
+      this.recordScraperRun(scraper, 'details', startedAt, counters, {
+        success: false,
+        productsFound: 0,
+        error: error.message,
+        url,
+        productIssue: error.code === 'EPRODUCTNOTFOUND'
+      });
+      throw error;
+    }
+  }
+
+  // A failed reschedule shouldn't fail the refresh that triggered it
+  async scheduleNextCheck(product, options = {}) {
+    try {
+      const schedule = await refreshScheduler.scheduleNextCheck(product._id, options);
+      if (schedule) {
+        logScraperStatus(`Next check scheduled`, {
+          productId: product._id,
+          nextCheckAt: schedule.nextCheckAt,
+          intervalHours: schedule.intervalHours
+        });
+      }
+    } catch (error) {
+      logScraperStatus(`Error scheduling next check`, { productId: product._id, error: error.message });
+    }
+  }
+
+  // A newly found GTIN or model number can match a listing more reliably than its title did
+  rematchIfIdentified(product, addedIdentifiers) {
+    if (addedIdentifiers.some(field => field === 'gtin' || field === 'modelNumber')) {
+      productMatchingService.queueMatch(product);
+    }
+  }
+
+  // Record freshly scraped details against a stored product.
+  // Sold-out and pre-order pages often show no price; they update availability and keep the stored price.
+  async applyRefreshedDetails(product, details) {
+    const hasPrice = Boolean(details && details.currentPrice > 0);
+    if (!hasPrice && !(details && isUnavailable(details.availability))) {
+      logScraperStatus(`Failed to get valid price for product`, {
+        productId: product._id,
+        method: details && details.method
+      });
+
+      return {
+        success: false,
+        message: 'Could not get valid price'
+      };
+    }
+
+    // Keep identifiers from structured data the product was first saved without
+    const addedIdentifiers = ['brand', 'gtin', 'modelNumber'].filter(field => details[field] && !product[field]);
+    addedIdentifiers.forEach(field => { product[field] = details[field]; });
+
+    const previousAvailability = product.availability;
+    if (product.setAvailability(details.availability, details.deliveryEstimate)) {
+      logScraperStatus(`Availability changed for product`, {
+        productId: product._id,
+        from: previousAvailability || 'unknown',
+        to: product.availability
+      });
+    }
+
+    if (!hasPrice) {
+      logScraperStatus(`No price shown while unavailable, keeping stored price`, {
+        productId: product._id,
+        method: details.method,
+        availability: product.availability
+      });
+
+      product.lastUpdated = new Date();
+      await product.save();
+      await this.scheduleNextCheck(product);
+      this.rematchIfIdentified(product, addedIdentifiers);
+
+      return {
+        success: true,
+        priceChanged: false,
+        method: details.method,
+        price: product.currentPrice,
+        availability: product.availability
+      };
+    }
+
+    const priceChanged = product.currentPrice !== details.currentPrice;
+    const featuredOffer = details.sellerOffers && details.sellerOffers[0];
+    const review = priceChanged ? await priceValidationService.reviewPriceChange(product, details) : null;
+
+    if (review && !review.accepted) {
+      // Keep the stored price, offers and variants until the new price is confirmed or approved,
+      // and look again soon so a real price change isn't held back for a whole interval
+      product.lastUpdated = new Date();
+      await product.save();
+      await this.scheduleNextCheck(product, { before: review.recheckAt });
+      this.rematchIfIdentified(product, addedIdentifiers);
+
+      return {
+        success: true,
+        priceChanged: false,
+        quarantined: true,
+        method: details.method,
+        price: product.currentPrice,
+        quarantinedPrice: details.currentPrice,
+        availability: product.availability
+      };
+    }
+
+    product.updateSellerOffers(details.sellerOffers);
+    product.updateVariants(details.variants);
+
+    if (priceChanged) {
+      logScraperStatus(`Price changed for product`, {
+        productId: product._id,
+        method: details.method,
+        oldPrice: `${product.currency} ${product.currentPrice}`,
+        newPrice: `${details.currency} ${details.currentPrice}`,
+        percentChange: `${((details.currentPrice - product.currentPrice) / product.currentPrice * 100).toFixed(2)}%`,
+        reason: review.reason,
+        ...(review.reason === 'seller_changed' ? { seller: featuredOffer.seller } : {}),
+        ...(review.reason === 'variant_changed' ? { variant: getSelectedVariant(product).label } : {})
+      });
+
+      const oldPrice = product.currentPrice;
+
+      // Update price history
+      await product.addPriceToHistory(
+        details.currentPrice, details.currency, details.originalPrice, featuredOffer && featuredOffer.seller
+      );
+      await this.scheduleNextCheck(product);
+      this.rematchIfIdentified(product, addedIdentifiers);
+
+      return {
+        success: true,
+        priceChanged: true,
+        method: details.method,
+        oldPrice,
+        newPrice: details.currentPrice,
+        availability: product.availability
+      };
+    }
+
+    logScraperStatus(`Price unchanged for product`, {
+      productId: product._id,
+      method: details.method,
+      price: `${product.currency} ${product.currentPrice}`
+    });
+
+    // The usual price is back, so any outlier seen in between was a blip
+    await priceValidationService.closePendingPrices(product._id);
+
+    // Update lastUpdated timestamp, and the list price if the retailer changed it
+    if (details.originalPrice > 0) {
+      product.originalPrice = details.originalPrice;
+    }
+    product.lastUpdated = new Date();
+    await product.save();
+    await this.scheduleNextCheck(product);
+    this.rematchIfIdentified(product, addedIdentifiers);
+
+    return {
+      success: true,
+      priceChanged: false,
+      method: details.method,
+      price: product.currentPrice,
+      availability: product.availability
+    };
+  }
+
+  /**
+   * Refresh one stored product from its product page
+   * @param {string} productId - Product id
+   * @param {Object} options - { signal } AbortSignal that ends the scrape, e.g. when a queued job times out
+   * @returns {Promise<Object>} - Outcome from applyRefreshedDetails, or { success: false, message }
+   */
+  async updateProductPrice(productId, options = {}) {
     try {
       // Find the product in the database
       const Product = require('../models/Product');
@@ -158,139 +612,13 @@ class ScraperService {
         source: product.source,
         url: product.url
       });
-      
-      try {
-        // Get the latest product details by searching for the product title
-        // Instead of searching for "pricedrop", use the product's actual title
-        const searchTerm = product.title;
-        const searchResults = await this.searchAllProducts(searchTerm);
-        
-        // Try to find the exact product in the search results
-        const updatedProductData = searchResults.find(result => 
-          result.source === product.source && 
-          (
-            result.siteProductId === product.siteProductId ||
-            result.url === product.url
-          )
-        );
-        
-        // If found, update the price
-        if (updatedProductData && updatedProductData.currentPrice > 0) {
-          // Check if price has changed
-          const priceChanged = product.currentPrice !== updatedProductData.currentPrice;
-          
-          if (priceChanged) {
-            logScraperStatus(`Price changed for product`, {
-              productId: product._id,
-              oldPrice: `${product.currency} ${product.currentPrice}`,
-              newPrice: `${updatedProductData.currency} ${updatedProductData.currentPrice}`,
-              percentChange: `${((updatedProductData.currentPrice - product.currentPrice) / product.currentPrice * 100).toFixed(2)}%`
-            });
-            
-            // Update price history
-            await product.addPriceToHistory(updatedProductData.currentPrice, updatedProductData.currency);
-            
-            return {
-              success: true,
-              priceChanged: true,
-              oldPrice: product.currentPrice,
-              newPrice: updatedProductData.currentPrice
-            };
-          } else {
-            logScraperStatus(`Price unchanged for product`, {
-              productId: product._id,
-              price: `${product.currency} ${product.currentPrice}`
-            });
-            
-            // Update lastUpdated timestamp
-            product.lastUpdated = new Date();
-            await product.save();
-            
-            return {
-              success: true,
-              priceChanged: false,
-              price: product.currentPrice
-            };
-          }
-        } else {
-          // If not found in search, try to fetch directly using the URL
-          logScraperStatus(`Product not found in search results, trying direct URL fetch`, {
-            productId: product._id,
-            url: product.url
-          });
-          
-          try {
-            const directData = await this.getProductDetails(product.url, product.source);
-            
-            if (directData && directData.currentPrice > 0) {
-              const priceChanged = product.currentPrice !== directData.currentPrice;
-              
-              if (priceChanged) {
-                logScraperStatus(`Price changed (direct fetch) for product`, {
-                  productId: product._id,
-                  oldPrice: `${product.currency} ${product.currentPrice}`,
-                  newPrice: `${directData.currency} ${directData.currentPrice}`,
-                  percentChange: `${((directData.currentPrice - product.currentPrice) / product.currentPrice * 100).toFixed(2)}%`
-                });
-                
-                // Update price history
-                await product.addPriceToHistory(directData.currentPrice, directData.currency);
-                
-                return {
-                  success: true,
-                  priceChanged: true,
-                  oldPrice: product.currentPrice,
-                  newPrice: directData.currentPrice
-                };
-              } else {
-                logScraperStatus(`Price unchanged (direct fetch) for product`, {
-                  productId: product._id,
-                  price: `${product.currency} ${product.currentPrice}`
-                });
-                
-                // Update lastUpdated timestamp
-                product.lastUpdated = new Date();
-                await product.save();
-                
-                return {
-                  success: true,
-                  priceChanged: false,
-                  price: product.currentPrice
-                };
-              }
-            } else {
-              logScraperStatus(`Failed to get valid price from direct fetch`, {
-                productId: product._id
-              });
-              
-              return {
-                success: false,
-                message: 'Could not get valid price'
-              };
-            }
-          } catch (directError) {
-            logScraperStatus(`Error in direct fetch for product`, {
-              productId: product._id,
-              error: directError.message
-            });
-            
-            return {
-              success: false,
-              message: directError.message
-            };
-          }
-        }
-      } catch (searchError) {
-        logScraperStatus(`Error searching for product`, {
-          productId: product._id,
-          error: searchError.message
-        });
-        
-        return {
-          success: false,
-          message: searchError.message
-        };
+
+      // Go straight to the product page instead of re-searching by title
+      const details = await this.refreshProductDetails(product.url, product.source, options);
+      if (options.signal && options.signal.aborted) {
+        return { success: false, message: 'Product refresh was aborted' };
       }
+      return await this.applyRefreshedDetails(product, details);
     } catch (error) {
       logScraperStatus(`Error updating product price`, {
         productId,
@@ -299,10 +627,116 @@ class ScraperService {
       
       return {
         success: false,
-        message: error.message
+        message: error.message,
+        ...(error.code ? { code: error.code } : {})
       };
     }
   }
+
+  /**
+   * Refresh many products, one browser per source.
+   * Sources are processed in parallel; products of the same source run
+   * sequentially and share the scraper's browser for Puppeteer fallbacks.
+   * @param {Array} productIds - Product ids to refresh
+   * @param {Object} options - { delayMs } pause between products of the same source
+   * @returns {Promise<Object>} - Totals plus a result per product
+   */
+  async updateProductPrices(productIds, options = {}) {
+    const { delayMs = 2000 } = options;
+    const Product = require('../models/Product');
+    const products = await Product.find({ _id: { $in: productIds } });
+
+    const summary = {
+      total: productIds.length,
+      successful: 0,
+      failed: 0,
+      changed: 0,
+      unchanged: 0,
+      quarantined: 0,
+      results: []
+    };
+
+    // Ids that didn't resolve to a product
+    const foundIds = new Set(products.map(product => product._id.toString()));
+    productIds
+      .filter(id => !foundIds.has(id.toString()))
+      .forEach(id => {
+        summary.failed++;
+        summary.results.push({ productId: id, success: false, message: 'Product not found' });
+      });
+
+    const bySource = products.reduce((groups, product) => {
+      (groups[product.source] = groups[product.source] || []).push(product);
+      return groups;
+    }, {});
+
+    await Promise.all(Object.entries(bySource).map(async ([source, sourceProducts]) => {
+      const scraper = this.getScraperForSource(source);
+
+      if (!scraper) {
+        sourceProducts.forEach(product => {
+          summary.failed++;
+          summary.results.push({ productId: product._id, success: false, message: `No scraper found for source: ${source}` });
+        });
+        return;
+      }
+
+      if (!(await scraperHealthService.isSourceEnabled(source))) {
+        sourceProducts.forEach(product => {
+          summary.failed++;
+          summary.results.push({ productId: product._id, success: false, message: `Source ${source} is temporarily disabled` });
+        });
+        return;
+      }
+
+      logScraperStatus(`Refreshing ${sourceProducts.length} products`, { source });
+
+      await scraper.withBrowserSession(async () => {
+        for (let i = 0; i < sourceProducts.length; i++) {
+          const product = sourceProducts[i];
+          let result;
+
+          try {
+            const details = await this.runDetailsRefresh(scraper, product.url);
+            result = await this.applyRefreshedDetails(product, details);
+          } catch (error) {
+            logScraperStatus(`Error refreshing product`, { productId: product._id, source, error: error.message });
+            result = { success: false, message: error.message };
+          }
+
+          summary.results.push({ productId: product._id, ...result });
+          if (result.success) {
+            summary.successful++;
+            if (result.priceChanged) {
+              summary.changed++;
+            } else {
+              summary.unchanged++;
+            }
+            if (result.quarantined) {
+              summary.quarantined++;
+            }
+          } else {
+            summary.failed++;
+          }
+
+          // Pace requests to the same site
+          if (delayMs && i < sourceProducts.length - 1) {
+            await new Promise(resolve => setTimeout(resolve, delayMs));
+          }
+        }
+      });
+    }));
+
+    logScraperStatus(`Batch refresh completed`, {
+      total: summary.total,
+      successful: summary.successful,
+      failed: summary.failed,
+      changed: summary.changed,
+      quarantined: summary.quarantined
+    });
+
+    return summary;
+  }
 }
 
 // Export the service instance
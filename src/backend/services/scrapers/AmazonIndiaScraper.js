@@ -42,8 +42,7 @@ class AmazonIndiaScraper extends BaseScraper {
   }
 
   async randomDelay(min, max) {
-    const delay = Math.floor(Math.random() * (max - min + 1)) + min;
-    await new Promise(resolve => setTimeout(resolve, delay));
+    await this.addRandomDelay(min, max);
   }
 
   // Add a helper method to wait for content to load
@@ -132,7 +131,7 @@ class AmazonIndiaScraper extends BaseScraper {
       // Navigate to search page with better error handling
       try {
         logScraperStatus(`Navigating to Amazon India search page`, { url: searchUrl });
-        await this.page.goto(searchUrl, { 
+        await this.navigateToPage(this.page, searchUrl, { 
           waitUntil: 'networkidle2', // Wait for network to be idle
           timeout: 60000 // 60 seconds timeout
         });
@@ -165,6 +164,7 @@ class AmazonIndiaScraper extends BaseScraper {
       });
       
       if (hasCaptcha) {
+        this.recordCaptcha(searchUrl);
         logScraperStatus(`CAPTCHA detected on Amazon India`, { url: searchUrl });
         
         // Take a screenshot of the CAPTCHA page for debugging
@@ -272,8 +272,11 @@ class AmazonIndiaScraper extends BaseScraper {
       // Take a final screenshot before extraction
       await this.page.screenshot({ path: 'amazon-india-before-extraction.png' });
       
-      // Extract products from the page
-      const products = await this.extractProductsFromPage(query);
+      // Extract products from the page, preferring the selector config
+      let products = await this.extractProductsFromConfig(query);
+      if (products.length === 0) {
+        products = await this.extractProductsFromPage(query);
+      }
       
       logScraperStatus(`Found ${products.length} products on Amazon India`, { query: refinedQuery });
       return products;
@@ -714,6 +717,7 @@ class AmazonIndiaScraper extends BaseScraper {
       });
       
       if (hasCaptcha) {
+        this.recordCaptcha(url);
         logScraperStatus(`CAPTCHA detected on Amazon India product page`, { url });
         await this.page.waitForTimeout(30000);
       }
@@ -747,6 +751,9 @@ class AmazonIndiaScraper extends BaseScraper {
       const imageUrl = imageElement ? 
         await this.extractAttribute(imageElement, 'img', 'src') : null;
       
+      // Read variants before the reviews link navigates away
+      const variants = await this.extractPageVariants();
+      
       // Extract reviews
       const reviews = await this.extractReviews();
       
@@ -761,6 +768,7 @@ class AmazonIndiaScraper extends BaseScraper {
         rating,
         reviewCount,
         imageUrl,
+        variants,
         reviews,
         lastUpdated: new Date()
       };
@@ -1,5 +1,6 @@
 const cheerio = require('cheerio');
 const BaseScraper = require('./BaseScraper');
+const fixtureStore = require('./fixtureStore');
 const puppeteer = require('puppeteer');
 
 // Utility function for better logging
@@ -229,7 +230,8 @@ class AmazonScraper extends BaseScraper {
         // First try the structured price format
         const priceElement = $(element).find('.a-price:not(.a-text-price)').first();
         if (priceElement.length > 0) {
-          const priceWhole = priceElement.find('.a-price-whole').first().text().trim();
+          // The whole part ends with the decimal point and may carry thousands separators
+          const priceWhole = priceElement.find('.a-price-whole').first().text().replace(/\D/g, '');
           const priceFraction = priceElement.find('.a-price-fraction').first().text().trim() || '00';
           price = parseFloat(`${priceWhole || '0'}.${priceFraction}`);
         } else {
@@ -323,7 +325,7 @@ class AmazonScraper extends BaseScraper {
             title,
             currentPrice: price,
             currency,
-            url: this.baseUrl + url,
+            url,
             source: this.source,
             siteProductId: productId,
             imageUrl: imageUrl || '',
@@ -392,6 +394,7 @@ class AmazonScraper extends BaseScraper {
       });
       
       if (hasCaptcha) {
+        this.recordCaptcha(searchUrl);
         logScraperStatus(`CAPTCHA detected on Amazon. Waiting for manual solution...`);
         // Alert the user to manually solve the CAPTCHA
         await this.page.evaluate(() => {
@@ -430,6 +433,12 @@ class AmazonScraper extends BaseScraper {
   }
 
   async extractProductsUsingMultipleMethods(query) {
+    // The selector config covers current markup; the methods below handle older layouts
+    const configProducts = await this.extractProductsFromConfig(query);
+    if (configProducts.length > 0) {
+      return configProducts;
+    }
+    
     const products = [];
     
     try {
@@ -570,7 +579,6 @@ class AmazonScraper extends BaseScraper {
             source: 'amazon',
             siteProductId: productId,
             currency: 'USD',
-            availability: true,
             lastUpdated: new Date()
           };
           
@@ -670,7 +678,6 @@ class AmazonScraper extends BaseScraper {
           products.push({
             ...product,
             source: 'amazon',
-            availability: true,
             lastUpdated: new Date()
           });
           logScraperStatus(`Added product (direct extraction): ${product.title}`);
@@ -686,7 +693,7 @@ class AmazonScraper extends BaseScraper {
   async getProductDetails(url) {
     try {
       await this.initialize();
-      await this.page.goto(url, { waitUntil: 'networkidle0' });
+      await this.navigateToPage(this.page, url, { waitUntil: 'networkidle0' });
       
       // Wait for product title
       await this.waitForSelector('#productTitle');
@@ -783,6 +790,9 @@ class AmazonScraper extends BaseScraper {
       
       const imageUrl = await this.extractAttribute('#landingImage', 'src');
       
+      // Read variants before the reviews link navigates away
+      const variants = await this.extractPageVariants();
+      
       // Extract reviews
       const reviews = await this.extractReviews();
       
@@ -795,6 +805,7 @@ class AmazonScraper extends BaseScraper {
         rating,
         reviewCount,
         imageUrl,
+        variants,
         reviews,
         source: this.source
       };
@@ -867,6 +878,10 @@ class AmazonScraper extends BaseScraper {
   async initialize(headless = true) {
     if (this.browser) return;
 
+    if (fixtureStore.isReplaying()) {
+      headless = true;
+    }
+
     try {
       logScraperStatus(`Initializing Amazon scraper in ${headless ? 'headless' : 'non-headless'} mode`);
       
@@ -914,6 +929,7 @@ class AmazonScraper extends BaseScraper {
       });
       
       this.page = await this.browser.newPage();
+      await this.enableFixtureReplay(this.page);
       
       // Set a random user agent
       const userAgent = this.userAgents[Math.floor(Math.random() * this.userAgents.length)];
@@ -979,6 +995,8 @@ class AmazonScraper extends BaseScraper {
       // Set up request interception to block unnecessary resources
       await this.page.setRequestInterception(true);
       this.page.on('request', (request) => {
+        if (request.isInterceptResolutionHandled()) return;
+
         const resourceType = request.resourceType();
         // Block unnecessary resources to speed up page loading
         if (['image', 'stylesheet', 'font', 'media'].includes(resourceType)) {
@@ -996,7 +1014,7 @@ class AmazonScraper extends BaseScraper {
   }
 
   async checkForCaptcha() {
-    return await this.page.evaluate(() => {
+    const detected = await this.page.evaluate(() => {
       const pageText = document.body.innerText.toLowerCase();
       return pageText.includes('enter the characters you see below') ||
              pageText.includes('type the characters you see in this image') ||
@@ -1008,6 +1026,11 @@ class AmazonScraper extends BaseScraper {
              pageText.includes('unusual traffic') ||
              pageText.includes('robot check');
     });
+
+    if (detected) {
+      this.recordCaptcha(this.page.url());
+    }
+    return detected;
   }
 
   async simulateHumanScrolling() {
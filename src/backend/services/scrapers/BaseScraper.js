@@ -1,4 +1,15 @@
 const puppeteer = require('puppeteer');
+const axios = require('axios');
+const cheerio = require('cheerio');
+const fixtureStore = require('./fixtureStore');
+const selectorConfigService = require('../selectorConfigService');
+const { normalizeAvailability, isUnavailable } = require('../availability');
+const { normalizeCondition } = require('../sellerOffers');
+const { describeVariant } = require('../productVariants');
+const currencyService = require('../currencyService');
+
+// HTTP statuses meaning a product page no longer exists
+const PAGE_GONE_STATUSES = [404, 410];
 
 // Utility function for better logging
 function logScraperStatus(message, details = {}) {
@@ -20,6 +31,13 @@ class BaseScraper {
     this.maxProducts = 20; // Maximum products to fetch across all pages
     this.maxPages = 3; // Maximum pages to scrape
     this.lastRequest = null;
+    this.holdBrowser = false; // Set while a batch session keeps the browser open between products
+    this.browserLock = Promise.resolve(); // Serializes work on the shared browser page
+    // Running counters read by scraperService to report health metrics
+    this.captchaHits = 0;
+    this.parseFailures = 0;
+    // Extra axios options for plain HTTP fetches
+    this.httpRequestOptions = {};
     this.userAgents = [
       'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
       'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/14.1.1 Safari/605.1.15',
@@ -34,6 +52,11 @@ class BaseScraper {
       return;
     }
 
+    // Replays never need a visible browser, e.g. on CI
+    if (fixtureStore.isReplaying()) {
+      headless = true;
+    }
+
     try {
       logScraperStatus(`Initializing ${this.constructor.name} with headless=${headless}`);
       
@@ -62,6 +85,7 @@ class BaseScraper {
       });
       
       this.page = await this.browser.newPage();
+      await this.enableFixtureReplay(this.page);
       
       // Set a reasonable viewport
       await this.page.setViewport({ width: 1280, height: 800 });
@@ -116,6 +140,8 @@ class BaseScraper {
       // Set up request interception with smarter filtering
       await this.page.setRequestInterception(true);
       this.page.on('request', (request) => {
+        if (request.isInterceptResolutionHandled()) return;
+
         const resourceType = request.resourceType();
         const url = request.url();
         
@@ -143,6 +169,11 @@ class BaseScraper {
   }
 
   async close() {
+    // Batch sessions close the browser themselves once every product is done
+    if (this.holdBrowser) {
+      return;
+    }
+
     if (this.browser) {
       await this.browser.close();
       this.browser = null;
@@ -151,13 +182,31 @@ class BaseScraper {
     }
   }
 
+  /**
+   * Close the browser even inside a batch session, to end page work that has hung.
+   * Page operations in progress reject, and the next browser call opens a fresh browser.
+   */
+  async forceClose() {
+    const browser = this.browser;
+    this.browser = null;
+    this.page = null;
+
+    if (browser) {
+      await browser.close();
+      logScraperStatus(`${this.constructor.name} browser closed to end hung work`);
+    }
+  }
+
   async createPage() {
     await this.initialize();
     const page = await this.browser.newPage();
+    await this.enableFixtureReplay(page);
     
     // Add random delay between requests to avoid being blocked
     await page.setRequestInterception(true);
     page.on('request', async (request) => {
+      if (request.isInterceptResolutionHandled()) return;
+
       const resourceType = request.resourceType();
       const url = request.url();
       
@@ -207,6 +256,579 @@ class BaseScraper {
     throw new Error('getProductDetails method must be implemented by subclasses');
   }
 
+  // Parse a product page fetched without a browser using the source's selector config.
+  // Returns { title, currentPrice, currency, ... } or null when the markup isn't recognised
+  parseProductDetails($, url) {
+    const config = this.getSelectorConfig();
+    if (!config || !config.details) return null;
+
+    const details = this.extractConfigFields($, null, config.details.fields);
+    if (!details.title) return null;
+
+    const variants = this.extractConfigVariants($);
+    return variants ? { ...details, variants, url } : { ...details, url };
+  }
+
+  /**
+   * Extract the listing's variants using the details.variants section of the selector config.
+   * An element found under several attributes (e.g. the selected colour and the selected size)
+   * is one variant with all of those attributes.
+   * @param {Function} $ - Cheerio document of a product page
+   * @returns {Array|undefined} - { variantId, label, attributes, price, currency, availability, url, selected },
+   *   or undefined when the page shows no variants
+   */
+  extractConfigVariants($) {
+    const config = this.getSelectorConfig();
+    const rules = config && config.details && config.details.variants;
+    if (!rules) return undefined;
+
+    const fields = rules.fields || {};
+    const variants = new Map();
+
+    Object.entries(rules.attributes).forEach(([attribute, selectors]) => {
+      const selector = selectors.find(candidate => $(candidate).length > 0);
+      if (!selector) return;
+
+      $(selector).each((i, element) => {
+        const $element = $(element);
+        const variantId = (rules.idAttribute && $element.attr(rules.idAttribute)) ||
+          (fields.variantId && this.extractConfigField($, element, fields.variantId));
+        if (!variantId) return;
+
+        const value = (fields.value && this.extractConfigField($, element, fields.value)) ||
+          ((rules.valueAttribute && $element.attr(rules.valueAttribute)) || $element.text()).replace(/\s+/g, ' ').trim();
+        const variant = variants.get(variantId) || { variantId, attributes: {}, selected: false };
+
+        if (value) variant.attributes[attribute] = value;
+        if (variant.price === undefined && fields.price) {
+          const price = this.extractConfigField($, element, fields.price);
+          if (price) {
+            variant.price = price.price;
+            variant.currency = price.currency;
+          }
+        }
+        ['availability', 'url'].forEach(field => {
+          if (variant[field] === undefined && fields[field]) {
+            variant[field] = this.extractConfigField($, element, fields[field]) || undefined;
+          }
+        });
+        variant.selected = variant.selected || (rules.selected || []).some(
+          candidate => $element.is(candidate) || $element.find(candidate).length > 0
+        );
+
+        variants.set(variantId, variant);
+      });
+    });
+
+    if (variants.size === 0) return undefined;
+    return [...variants.values()].map(variant => ({ ...variant, label: describeVariant(variant.attributes) }));
+  }
+
+  /**
+   * Read variants from the page open in the browser with the same config rules as HTTP refreshes.
+   * Call before anything navigates away from the product page.
+   */
+  async extractPageVariants() {
+    try {
+      return this.extractConfigVariants(cheerio.load(await this.page.content()));
+    } catch (error) {
+      logScraperStatus(`Could not read ${this.source} variants`, { error: error.message });
+      return undefined;
+    }
+  }
+
+  getSelectorConfig() {
+    return selectorConfigService.getConfig(this.source);
+  }
+
+  getConfigCurrency() {
+    const config = this.getSelectorConfig();
+    return (config && config.currency) || this.currency;
+  }
+
+  /**
+   * Convert a raw extracted string to a field rule's type
+   * @returns {*} - Converted value, or null when the string isn't usable as that type
+   */
+  convertConfigValue(raw, type = 'text') {
+    switch (type) {
+      case 'price': {
+        const { price, currency } = this.extractPriceAndCurrency(raw, this.getConfigCurrency());
+        return this.isValidPrice(price, currency) ? { price, currency } : null;
+      }
+      // Delivery and import charges, where "Free" is a real answer
+      case 'shipping': {
+        if (/\bfree\b/i.test(raw)) return 0;
+        const { price, currency } = this.extractPriceAndCurrency(raw, this.getConfigCurrency());
+        return this.isValidPrice(price, currency) ? price : null;
+      }
+      case 'number': {
+        const match = raw.match(/\d+(?:\.\d+)?/);
+        return match ? parseFloat(match[0]) : null;
+      }
+      case 'integer': {
+        const match = raw.match(/\d+(?:,\d+)*/);
+        return match ? parseInt(match[0].replace(/,/g, '')) : null;
+      }
+      case 'availability':
+        return normalizeAvailability(raw);
+      case 'url':
+        try {
+          return new URL(raw, this.baseUrl).href;
+        } catch (error) {
+          return null;
+        }
+      default:
+        return raw;
+    }
+  }
+
+  /**
+   * Extract one field, trying the rule's selectors in order until one yields a usable value
+   * @param {Function} $ - Cheerio document
+   * @param {Object|null} scope - Element to search within, or null for the whole page
+   * @param {Object} rule - Field rule from the selector config
+   * @returns {*} - Extracted value or null
+   */
+  extractConfigField($, scope, rule) {
+    for (const entry of rule.selectors) {
+      const selector = typeof entry === 'string' ? entry : entry.selector;
+      const attribute = (typeof entry === 'object' && entry.attribute) || rule.attribute;
+      const element = (scope ? $(scope).find(selector) : $(selector)).first();
+      if (element.length === 0) continue;
+
+      let raw = (attribute ? element.attr(attribute) : element.text()) || '';
+      raw = raw.replace(/\s+/g, ' ').trim();
+      if (!raw) continue;
+
+      if (rule.reject && new RegExp(rule.reject, 'i').test(raw)) {
+        return null;
+      }
+
+      if (rule.pattern) {
+        const match = raw.match(new RegExp(rule.pattern));
+        if (!match) continue;
+        raw = match[1] !== undefined ? match[1] : match[0];
+      }
+
+      const value = this.convertConfigValue(raw, rule.type);
+      if (value !== null) return value;
+    }
+
+    return null;
+  }
+
+  /**
+   * Extract every configured field into a product-shaped object.
+   * The price rule supplies currentPrice and, unless a currency field is configured, currency.
+   */
+  extractConfigFields($, scope, fields) {
+    const product = {};
+
+    Object.entries(fields).forEach(([field, rule]) => {
+      const value = this.extractConfigField($, scope, rule);
+      if (value === null) return;
+
+      if (rule.type === 'price' && field === 'price') {
+        product.currentPrice = value.price;
+        product.currency = product.currency || value.currency;
+      } else if (rule.type === 'price') {
+        product[field] = value.price;
+      } else {
+        product[field] = value;
+      }
+    });
+
+    // A list price at or below the selling price is a stale or misread label, not a discount
+    if (product.originalPrice !== undefined && !(product.originalPrice > product.currentPrice)) {
+      delete product.originalPrice;
+    }
+
+    if (!product.currency) {
+      product.currency = this.getConfigCurrency();
+    }
+    return product;
+  }
+
+  /**
+   * Extract search results from one page using the source's selector config
+   * @param {Function} $ - Cheerio document of a search results page
+   * @param {string} query - Search query, for configs that require matching titles
+   * @returns {Array} - Valid products found on the page
+   */
+  extractProductsWithConfig($, query) {
+    const config = this.getSelectorConfig();
+    const search = config && config.search;
+    if (!search) return [];
+
+    let cards = [];
+    for (const selector of search.container) {
+      cards = $(selector);
+      if (cards.length > 0) break;
+    }
+
+    const products = [];
+    const excludeTitles = (search.excludeTitles || []).map(title => title.toLowerCase());
+
+    cards.each((i, card) => {
+      if (search.exclude && search.exclude.some(selector => $(card).find(selector).length > 0)) {
+        return;
+      }
+
+      const product = this.withFeaturedOffer(this.extractConfigFields($, card, search.fields));
+      if (!product.title || !product.url) return;
+
+      if (excludeTitles.some(title => product.title.toLowerCase().includes(title))) return;
+      if (search.matchQuery && !this.containsAllSearchWords(product.title, query)) return;
+
+      product.source = this.source;
+      if (this.extractProductId) {
+        product.siteProductId = this.extractProductId(product.url);
+        if (!product.siteProductId) return;
+      }
+
+      if (this.validateProduct(product)) {
+        products.push(product);
+      }
+    });
+
+    return products;
+  }
+
+  getNextPageUrl($, pagination) {
+    if (!pagination) return null;
+
+    for (const entry of pagination.nextPage) {
+      const selector = typeof entry === 'string' ? entry : entry.selector;
+      const href = $(selector).first().attr((typeof entry === 'object' && entry.attribute) || 'href');
+      if (href) return this.convertConfigValue(href, 'url');
+    }
+    return null;
+  }
+
+  /**
+   * Extract search results from the current browser page with the selector config,
+   * following configured pagination until maxProducts is reached.
+   * Returns an empty array (leaving the first page loaded) when the config finds nothing,
+   * so scrapers can fall back to their built-in extraction.
+   * @param {string} query - Search query
+   * @returns {Promise<Array>}
+   */
+  async extractProductsFromConfig(query) {
+    const config = this.getSelectorConfig();
+    if (!config || !config.search || !this.page) return [];
+
+    const { pagination } = config.search;
+    const maxPages = Math.min((pagination && pagination.maxPages) || 1, this.maxPages);
+    const products = [];
+    const seen = new Set();
+
+    try {
+      for (let pageNumber = 1; pageNumber <= maxPages; pageNumber++) {
+        const $ = cheerio.load(await this.page.content());
+        const pageProducts = this.extractProductsWithConfig($, query)
+          .filter(product => {
+            const key = product.siteProductId || product.url;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+          });
+
+        products.push(...pageProducts.slice(0, this.maxProducts - products.length));
+
+        if (pageProducts.length === 0 || products.length >= this.maxProducts || pageNumber === maxPages) {
+          break;
+        }
+
+        const nextUrl = this.getNextPageUrl($, pagination);
+        if (!nextUrl) break;
+
+        await this.addRandomDelay(1500, 3000);
+        await this.navigateToPage(this.page, nextUrl);
+      }
+    } catch (error) {
+      logScraperStatus(`Error extracting products with selector config`, { source: this.source, error: error.message });
+    }
+
+    logScraperStatus(`Selector config found ${products.length} products`, { source: this.source });
+    return products;
+  }
+
+  async fetchPageHtml(url, { signal } = {}) {
+    if (fixtureStore.isReplaying()) {
+      const html = fixtureStore.loadFixture(this.source, url);
+      if (!html) {
+        throw new Error(`No fixture recorded for ${url}`);
+      }
+      return html;
+    }
+
+    const userAgent = this.userAgents[Math.floor(Math.random() * this.userAgents.length)];
+    const response = await axios.get(url, {
+      headers: {
+        'User-Agent': userAgent,
+        'Accept-Language': 'en-US,en;q=0.9',
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8'
+      },
+      timeout: 15000,
+      maxRedirects: 5,
+      signal,
+      ...this.httpRequestOptions
+    });
+
+    if (fixtureStore.isRecording()) {
+      fixtureStore.saveFixture(this.source, url, response.data);
+    }
+
+    return response.data;
+  }
+
+  /**
+   * In fixture replay mode, answer page loads with recorded HTML and block every other request.
+   * Must be called before any other request handler is added to the page; those handlers
+   * skip requests this one has already resolved.
+   * @param {Object} page - Puppeteer page
+   */
+  async enableFixtureReplay(page) {
+    if (!fixtureStore.isReplaying()) return;
+
+    // Recordings are the rendered DOM, so re-running page scripts would only add noise
+    await page.setJavaScriptEnabled(false);
+    await page.setRequestInterception(true);
+
+    page.on('request', (request) => {
+      if (request.resourceType() !== 'document') {
+        request.abort();
+        return;
+      }
+
+      const html = fixtureStore.loadFixture(this.source, request.url());
+      if (!html) {
+        logScraperStatus(`No fixture recorded for ${request.url()}`, { source: this.source });
+      }
+
+      request.respond({
+        status: html ? 200 : 404,
+        contentType: 'text/html; charset=utf-8',
+        body: html || `No fixture recorded for ${request.url()}`
+      });
+    });
+  }
+
+  async recordFixture(page, url) {
+    if (!fixtureStore.isRecording()) return;
+
+    try {
+      const fixturePath = fixtureStore.saveFixture(this.source, url, await page.content());
+      logScraperStatus(`Recorded fixture`, { url, path: fixturePath });
+    } catch (error) {
+      logScraperStatus(`Error recording fixture`, { url, error: error.message });
+    }
+  }
+
+  recordCaptcha(url) {
+    this.captchaHits++;
+    logScraperStatus(`CAPTCHA recorded for ${this.source}`, { url, total: this.captchaHits });
+  }
+
+  isCaptchaPage(html) {
+    const text = (html || '').toLowerCase();
+    return text.includes('captcha') ||
+      text.includes('robot check') ||
+      text.includes('enter the characters you see below') ||
+      text.includes('verify you are a human');
+  }
+
+  /**
+   * Whether a seller or shipper name is the retailer itself, per the config's retailerSeller pattern
+   * @param {string} name - Seller name as shown on the page
+   * @returns {boolean}
+   */
+  isRetailerSeller(name) {
+    const config = this.getSelectorConfig();
+    return Boolean(name && config && config.retailerSeller && new RegExp(config.retailerSeller, 'i').test(name));
+  }
+
+  /**
+   * Move the featured offer's seller, condition, fulfilment, shippingCost and importCharges
+   * fields into a one-entry sellerOffers list. Scrapers that read several offers set sellerOffers themselves.
+   * @param {Object} product - Extracted product
+   * @returns {Object} - Product without the flat offer fields
+   */
+  withFeaturedOffer(product) {
+    const { seller, condition, fulfilment, shippingCost, importCharges, ...rest } = product;
+    if (rest.sellerOffers || !this.isValidPrice(rest.currentPrice, rest.currency)) return rest;
+
+    rest.sellerOffers = [{
+      seller: seller || undefined,
+      soldByRetailer: this.isRetailerSeller(seller),
+      // Listings rarely say "new"; renewed and used items usually say so in the title
+      condition: normalizeCondition(condition) || normalizeCondition(rest.title) || 'new',
+      fulfilment: fulfilment ? (this.isRetailerSeller(fulfilment) ? 'retailer' : 'seller') : undefined,
+      price: rest.currentPrice,
+      currency: rest.currency,
+      shippingCost,
+      importCharges
+    }];
+    return rest;
+  }
+
+  /**
+   * Give the selected variant the page's headline price and stock status.
+   * When no variant is marked selected, the one whose id is the listing's id or appears in its URL is.
+   * @param {Object} product - Normalized product
+   * @returns {Object} - Product with variants completed
+   */
+  withSelectedVariant(product) {
+    if (!product.variants || product.variants.length === 0) return product;
+
+    const marked = product.variants.some(variant => variant.selected);
+    product.variants = product.variants.map(variant => {
+      const selected = marked ? variant.selected : variant.variantId === product.siteProductId ||
+        Boolean(product.url && product.url.includes(variant.variantId));
+      if (!selected) return variant;
+
+      const hasPrice = this.isValidPrice(product.currentPrice, product.currency);
+      return {
+        ...variant,
+        selected,
+        price: hasPrice ? product.currentPrice : variant.price,
+        currency: hasPrice ? product.currency : variant.currency,
+        availability: product.availability || variant.availability
+      };
+    });
+    return product;
+  }
+
+  // Detail scrapers disagree on `price` vs `currentPrice`; callers rely on currentPrice
+  normalizeProductDetails(details, url) {
+    if (!details) return null;
+
+    const { price, ...rest } = details;
+    return this.withSelectedVariant(this.withFeaturedOffer({
+      ...rest,
+      url: details.url || url,
+      currentPrice: details.currentPrice !== undefined ? details.currentPrice : price,
+      // Browser scrapers may hand back the raw stock text
+      availability: normalizeAvailability(details.availability) || undefined,
+      currency: details.currency || this.currency,
+      source: this.source,
+      siteProductId: details.siteProductId || (this.extractProductId ? this.extractProductId(url) : undefined)
+    }));
+  }
+
+  /**
+   * Fetch current product details straight from the product page.
+   * Tries a plain HTTP fetch parsed with cheerio first and only falls back
+   * to the Puppeteer-based getProductDetails when that yields no valid price.
+   * @param {string} url - Product page URL
+   * @param {Object} options - { signal } AbortSignal that cancels the fetch and closes the browser
+   * @returns {Promise<Object>} - Normalized product details with `method` ('http' or 'browser')
+   */
+  async refreshProductDetails(url, { signal } = {}) {
+    try {
+      const html = await this.fetchPageHtml(url, { signal });
+      const details = this.normalizeProductDetails(this.parseProductDetails(cheerio.load(html), url), url);
+
+      if (this.hasUsableDetails(details)) {
+        logScraperStatus(`Refreshed ${this.source} product over HTTP`, {
+          url,
+          price: details.currentPrice > 0 ? `${details.currency} ${details.currentPrice}` : null,
+          availability: details.availability
+        });
+        return { ...details, method: 'http' };
+      }
+
+      if (this.isCaptchaPage(html)) {
+        this.recordCaptcha(url);
+      } else {
+        this.parseFailures++;
+      }
+
+      logScraperStatus(`HTTP fetch gave no valid price, falling back to browser`, { url, source: this.source });
+    } catch (error) {
+      if (signal && signal.aborted) throw error;
+
+      // The retailer says the listing is gone; the browser would only load the same error page
+      if (error.response && PAGE_GONE_STATUSES.includes(error.response.status)) {
+        const notFound = new Error(`Product page not found (HTTP ${error.response.status}): ${url}`);
+        notFound.code = 'EPRODUCTNOTFOUND';
+        throw notFound;
+      }
+      logScraperStatus(`HTTP fetch failed, falling back to browser`, { url, source: this.source, error: error.message });
+    }
+
+    const details = this.normalizeProductDetails(
+      await this.runExclusive(() => this.getProductDetails(url), signal),
+      url
+    );
+
+    if (!this.hasUsableDetails(details)) {
+      this.parseFailures++;
+    }
+    return { ...details, method: 'browser' };
+  }
+
+  /**
+   * Whether parsed details describe the product: a title and a valid price, or no price
+   * because the item can't be bought right now (sold-out pages usually show none)
+   * @param {Object|null} details - Normalized product details
+   * @returns {boolean}
+   */
+  hasUsableDetails(details) {
+    if (!details || !details.title) return false;
+    return this.isValidPrice(details.currentPrice, details.currency) || isUnavailable(details.availability);
+  }
+
+  /**
+   * Run browser work once any earlier browser work on this scraper has finished.
+   * Scrapers drive a single shared page, so searches, refreshes and session teardown must take turns.
+   * @param {Function} fn - Async browser work
+   * @param {AbortSignal} signal - Optional: aborting it while fn runs closes the browser so fn ends
+   * @returns {Promise<*>} - Result of fn
+   */
+  runExclusive(fn, signal) {
+    const run = this.browserLock.then(async () => {
+      if (signal && signal.aborted) {
+        throw new Error('Browser work aborted before it started');
+      }
+
+      // Only this work holds the page now, so closing the browser can't disturb anyone else's
+      const abort = () => {
+        this.forceClose().catch(error => {
+          logScraperStatus(`Error closing browser after abort`, { error: error.message });
+        });
+      };
+      if (signal) signal.addEventListener('abort', abort, { once: true });
+
+      try {
+        return await fn();
+      } finally {
+        if (signal) signal.removeEventListener('abort', abort);
+      }
+    });
+    this.browserLock = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Run several page operations against one browser instance
+   * @param {Function} fn - Async work to run while the browser is held open
+   * @returns {Promise<*>} - Result of fn
+   */
+  async withBrowserSession(fn) {
+    this.holdBrowser = true;
+    try {
+      return await fn();
+    } finally {
+      this.holdBrowser = false;
+      // Wait for the page to be free so a search using it isn't cut off
+      await this.runExclusive(() => this.close()).catch(error => {
+        logScraperStatus(`Error closing browser after session`, { error: error.message });
+      });
+    }
+  }
+
   // Helper method to extract price and currency from text
   extractPriceAndCurrency(priceText, defaultCurrency = 'USD') {
     if (!priceText) {
@@ -301,9 +923,11 @@ class BaseScraper {
       }
       // Handle format with only comma as decimal separator (e.g., 1234,56)
       else if (priceText.includes(',') && !priceText.includes('.')) {
-        // Check if comma is likely a decimal separator (usually has 2 digits after it)
-        const afterComma = priceText.split(',')[1];
-        if (afterComma && afterComma.length <= 2) {
+        // A single comma followed by up to 2 digits is likely a decimal separator; several commas
+        // are always separators, including Indian lakh grouping (e.g. 1,48,900)
+        const groups = priceText.split(',');
+        const afterComma = groups[1];
+        if (groups.length === 2 && afterComma && afterComma.length <= 2) {
           price = parseFloat(priceText.replace(',', '.'));
         } else {
           // Comma is likely a thousands separator
@@ -349,7 +973,7 @@ class BaseScraper {
       }
       
       // Validate the price is reasonable
-      if (price > 1000000) { // More than a million units of currency is suspicious
+      if (price > 0 && !currencyService.isPriceReasonable(price, currency)) {
         logScraperStatus(`Extremely high price detected, may be an error`, { 
           originalText: priceText,
           extractedPrice: price
@@ -444,8 +1068,9 @@ class BaseScraper {
     return parseFloat(cleanPrice);
   }
 
-  isValidPrice(price) {
-    return !isNaN(price) && price > 0 && price < 100000; // Add upper limit for sanity check
+  // Sanity ceilings depend on the currency: ₹1,50,000 is an ordinary phone, $150,000 is not
+  isValidPrice(price, currency = this.currency) {
+    return !isNaN(price) && price > 0 && currencyService.isPriceReasonable(price, currency);
   }
 
   async navigateToPage(page, url, options = {}) {
@@ -456,6 +1081,13 @@ class BaseScraper {
 
     const mergedOptions = { ...defaultOptions, ...options };
     
+    // Recorded pages load instantly, so none of the live-site waiting applies
+    if (fixtureStore.isReplaying()) {
+      logScraperStatus(`Replaying fixture for: ${url}`);
+      await page.goto(url, { waitUntil: 'domcontentloaded' });
+      return true;
+    }
+    
     try {
       logScraperStatus(`Navigating to: ${url}`, { options: mergedOptions });
       
@@ -477,6 +1109,7 @@ class BaseScraper {
         logScraperStatus(`Network didn't reach idle state, but continuing: ${err.message}`);
       });
       
+      await this.recordFixture(page, url);
       return true;
     } catch (error) {
       logScraperStatus(`Navigation error for ${url}: ${error.message}`);
@@ -487,6 +1120,7 @@ class BaseScraper {
         // Check if we have at least some content
         if (pageContent && pageContent.length > 1000 && pageContent.includes('<body')) {
           logScraperStatus(`Page partially loaded despite navigation error, continuing`);
+          await this.recordFixture(page, url);
           return true;
         }
       } catch (contentError) {
@@ -501,6 +1135,7 @@ class BaseScraper {
           timeout: 40000 
         });
         logScraperStatus(`Retry navigation successful`);
+        await this.recordFixture(page, url);
         return true;
       } catch (retryError) {
         logScraperStatus(`Retry navigation also failed: ${retryError.message}`);
@@ -510,14 +1145,14 @@ class BaseScraper {
   }
 
   validateProduct(product) {
-    const { title, currentPrice, url, rating } = product;
+    const { title, currentPrice, currency, url, rating } = product;
     
     // Basic validation
     if (!title || typeof title !== 'string' || title.trim().length === 0) {
       return false;
     }
     
-    if (!this.isValidPrice(currentPrice)) {
+    if (!this.isValidPrice(currentPrice, currency)) {
       return false;
     }
     
@@ -537,6 +1172,8 @@ class BaseScraper {
 
   // Helper method to add random delay between actions
   async addRandomDelay(min = 1000, max = 3000) {
+    if (fixtureStore.isReplaying()) return;
+
     const delay = Math.floor(Math.random() * (max - min + 1)) + min;
     await new Promise(resolve => setTimeout(resolve, delay));
   }
@@ -664,12 +1301,14 @@ class BaseScraper {
       // Try to extract products
       let products = [];
       
-      // If this scraper has an extractProductsFromPage method, use it
-      if (typeof this.extractProductsFromPage === 'function') {
+      products = await this.extractProductsFromConfig(query);
+      
+      // If the selector config found nothing and this scraper has an extractProductsFromPage method, use it
+      if (products.length === 0 && typeof this.extractProductsFromPage === 'function') {
         products = await this.extractProductsFromPage(query);
       } 
       // Otherwise, if it has an original searchProducts method, use that (excluding initialization and cleanup)
-      else if (typeof this.searchProductsOriginal === 'function') {
+      else if (products.length === 0 && typeof this.searchProductsOriginal === 'function') {
         products = await this.searchProductsOriginal(query);
       }
       
@@ -147,7 +147,6 @@ class EbayScraper extends BaseScraper {
           url,
           source: 'ebay',
           siteProductId,
-          availability: true,
           imageUrl,
           rating,
           reviewCount
@@ -187,7 +186,12 @@ class EbayScraper extends BaseScraper {
       }
       
       const searchUrl = `${this.baseUrl}/sch/i.html?_nkw=${encodeURIComponent(refinedQuery)}`;
-      await this.page.goto(searchUrl, { waitUntil: 'networkidle0' });
+      await this.navigateToPage(this.page, searchUrl, { waitUntil: 'networkidle0' });
+      
+      const configProducts = await this.extractProductsFromConfig(query);
+      if (configProducts.length > 0) {
+        return configProducts;
+      }
       
       // Wait for product results
       await this.waitForSelector('.s-item');
@@ -299,7 +303,7 @@ class EbayScraper extends BaseScraper {
   async getProductDetails(url) {
     try {
       await this.initialize();
-      await this.page.goto(url, { waitUntil: 'networkidle0' });
+      await this.navigateToPage(this.page, url, { waitUntil: 'networkidle0' });
       
       // Wait for product title
       await this.waitForSelector('h1.x-item-title__mainTitle');
@@ -331,6 +335,9 @@ class EbayScraper extends BaseScraper {
       
       const imageUrl = await this.extractAttribute('.ux-image-carousel-item img', 'src');
       
+      // Read variants before the reviews link navigates away
+      const variants = await this.extractPageVariants();
+      
       // Extract reviews
       const reviews = await this.extractReviews();
       
@@ -343,6 +350,7 @@ class EbayScraper extends BaseScraper {
         rating,
         reviewCount,
         imageUrl,
+        variants,
         reviews,
         source: this.source
       };
@@ -42,8 +42,7 @@ class FlipkartScraper extends BaseScraper {
   }
 
   async randomDelay(min, max) {
-    const delay = Math.floor(Math.random() * (max - min + 1)) + min;
-    await new Promise(resolve => setTimeout(resolve, delay));
+    await this.addRandomDelay(min, max);
   }
 
   async searchProducts(query) {
@@ -127,8 +126,11 @@ class FlipkartScraper extends BaseScraper {
       // Simulate human behavior - scroll to load lazy content
       await this.simulateHumanScrolling();
       
-      // Extract products from the page
-      const products = await this.extractProductsFromPage(query);
+      // Extract products from the page, preferring the selector config
+      let products = await this.extractProductsFromConfig(query);
+      if (products.length === 0) {
+        products = await this.extractProductsFromPage(query);
+      }
       
       logScraperStatus(`Found ${products.length} products on Flipkart`, { query: refinedQuery });
       return products;
@@ -510,6 +512,9 @@ class FlipkartScraper extends BaseScraper {
       // Extract image URL
       const imageUrl = await this.extractAttribute('._396cs4', 'src');
       
+      // Read variants before the reviews page replaces the product page
+      const variants = await this.extractPageVariants();
+      
       // Extract reviews
       const reviews = await this.extractReviews();
       
@@ -521,6 +526,7 @@ class FlipkartScraper extends BaseScraper {
         rating,
         reviewCount,
         imageUrl,
+        variants,
         reviews,
         source: this.source
       };
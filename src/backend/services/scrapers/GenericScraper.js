@@ -0,0 +1,407 @@
+const crypto = require('crypto');
+const cheerio = require('cheerio');
+const BaseScraper = require('./BaseScraper');
+const { logScraperStatus } = require('./BaseScraper');
+const { normalizeAvailability } = require('../availability');
+const { normalizeCondition } = require('../sellerOffers');
+const urlSafety = require('../urlSafety');
+
+const PRODUCT_TYPES = ['Product', 'IndividualProduct', 'ProductModel', 'ProductGroup'];
+const GTIN_KEYS = ['gtin13', 'gtin12', 'gtin14', 'gtin8', 'gtin', 'isbn'];
+
+// priceSpecification types that give the list price rather than the selling price
+const LIST_PRICE_TYPES = /ListPrice|MSRP|StrikethroughPrice/i;
+
+const asArray = (value) => (Array.isArray(value) ? value : (value === undefined || value === null ? [] : [value]));
+
+const firstString = (value) => {
+  for (const item of asArray(value)) {
+    if (typeof item === 'string' && item.trim()) return item.trim();
+    if (item && typeof item === 'object') {
+      const nested = firstString(item.url || item.contentUrl || item.name || item['@id']);
+      if (nested) return nested;
+    }
+  }
+  return null;
+};
+
+// OfferShippingDetails gives handling and transit times as day ranges; report their sum
+const describeDeliveryTime = (shippingDetails) => {
+  const deliveryTime = asArray(shippingDetails).map(details => details && details.deliveryTime).find(Boolean);
+  if (!deliveryTime) return null;
+
+  const days = (key, bound) => {
+    const quantity = deliveryTime[key] || {};
+    return Number(quantity[bound] ?? quantity.minValue ?? quantity.maxValue) || 0;
+  };
+  const min = days('handlingTime', 'minValue') + days('transitTime', 'minValue');
+  const max = days('handlingTime', 'maxValue') + days('transitTime', 'maxValue');
+  if (max === 0) return null;
+
+  return min === max ? `Delivery in ${max} days` : `Delivery in ${min}-${max} days`;
+};
+
+// Structured data prices use a dot decimal but some shops still add grouping commas
+const parseStructuredPrice = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const price = parseFloat(String(value).replace(/[^\d.]/g, ''));
+  return isNaN(price) ? null : price;
+};
+
+const compactName = (name) => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// additionalProperty names that give a variant's storage capacity
+const CAPACITY_PROPERTY = /capacity|storage|memory/i;
+
+/**
+ * Scraper for any shop that publishes schema.org product data.
+ * Reads JSON-LD first, then microdata, then OpenGraph/product meta tags,
+ * filling each field from the first source that has it.
+ * Products are stored with their shop's hostname as the source.
+ */
+class GenericScraper extends BaseScraper {
+  constructor() {
+    super();
+    this.source = 'generic';
+    this.currency = 'USD';
+    // Shop URLs come from users, so fetches and their redirects must stay on public hosts
+    this.httpRequestOptions = urlSafety.getHttpRequestOptions();
+  }
+
+  /**
+   * Source name for a URL's shop, e.g. 'bestbuy.com'
+   * @param {string} url - Product URL
+   * @returns {string}
+   */
+  static getSourceForUrl(url) {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  }
+
+  async fetchPageHtml(url, options) {
+    const problem = urlSafety.getUrlProblem(url);
+    if (problem) {
+      throw new Error(`${problem}: ${url}`);
+    }
+    return super.fetchPageHtml(url, options);
+  }
+
+  // Generic shops have no search page we know how to read
+  async searchProducts(query) {
+    return [];
+  }
+
+  extractProductId(url) {
+    const { hostname, pathname } = new URL(url);
+    return crypto.createHash('sha1').update(`${hostname}${pathname}`).digest('hex').slice(0, 16);
+  }
+
+  normalizeProductDetails(details, url) {
+    const normalized = super.normalizeProductDetails(details, url);
+    if (!normalized) return normalized;
+
+    return {
+      ...normalized,
+      source: GenericScraper.getSourceForUrl(normalized.url || url)
+    };
+  }
+
+  /**
+   * Collect Product nodes from every JSON-LD block, including @graph and nested entities
+   * @param {Function} $ - Cheerio document
+   * @returns {Array<Object>}
+   */
+  findJsonLdProducts($) {
+    const products = [];
+
+    const visit = (node) => {
+      if (!node || typeof node !== 'object') return;
+      if (Array.isArray(node)) {
+        node.forEach(visit);
+        return;
+      }
+
+      if (asArray(node['@type']).some(type => PRODUCT_TYPES.includes(type))) {
+        products.push(node);
+      }
+
+      Object.entries(node).forEach(([key, value]) => {
+        if (key !== 'offers' && value && typeof value === 'object') visit(value);
+      });
+    };
+
+    $('script[type="application/ld+json"]').each((i, element) => {
+      try {
+        visit(JSON.parse($(element).contents().text()));
+      } catch (error) {
+        logScraperStatus(`Skipping unparseable JSON-LD block`, { error: error.message });
+      }
+    });
+
+    // A product group wraps its variants; prefer an actual product with an offer
+    return products.sort((a, b) => Number(Boolean(b.offers)) - Number(Boolean(a.offers)));
+  }
+
+  /**
+   * Whether an offer's seller is the shop itself: unnamed, or named like the shop's domain
+   * @param {string} seller - Seller name from the offer
+   * @param {string} url - Product page URL
+   * @returns {boolean}
+   */
+  isShopSeller(seller, url) {
+    if (!seller) return true;
+    const shopName = GenericScraper.getSourceForUrl(url).split('.')[0];
+    return compactName(seller) === compactName(shopName);
+  }
+
+  /**
+   * Read each JSON-LD offer with a price as a seller offer, featured offer first
+   * @param {Array<Object>} offers - Flattened schema.org Offer nodes
+   * @param {Object} featured - The offer the current price was read from
+   * @returns {Array<Object>|null}
+   */
+  extractJsonLdSellerOffers(offers, featured) {
+    const sellerOffers = [featured, ...offers.filter(item => item !== featured)]
+      .map(item => {
+        const price = parseStructuredPrice(item.price ?? item.lowPrice);
+        if (price === null) return null;
+
+        const seller = item.seller && (typeof item.seller === 'string' ? item.seller : firstString(item.seller.name));
+        const shipping = asArray(item.shippingDetails).map(details => details && details.shippingRate).find(Boolean);
+
+        return {
+          seller: seller || undefined,
+          condition: normalizeCondition(firstString(item.itemCondition)),
+          price,
+          currency: firstString(item.priceCurrency),
+          // Zero is a real answer here: free shipping
+          shippingCost: shipping ? parseStructuredPrice(shipping.value) ?? undefined : undefined
+        };
+      })
+      .filter(Boolean);
+
+    return sellerOffers.length > 0 ? sellerOffers : null;
+  }
+
+  /**
+   * Read the variants of a schema.org ProductGroup (hasVariant), marking the page's own product selected
+   * @param {Array<Object>} products - Product nodes from findJsonLdProducts
+   * @param {Object} selected - The node the page's price was read from
+   * @returns {Array<Object>|null}
+   */
+  extractJsonLdVariants(products, selected) {
+    const group = products.find(node => asArray(node['@type']).includes('ProductGroup') && node.hasVariant);
+    if (!group) return null;
+
+    const variants = asArray(group.hasVariant)
+      .filter(node => node && typeof node === 'object')
+      .map(node => {
+        const variantId = firstString([node.sku, node.productID, ...GTIN_KEYS.map(key => node[key]), node['@id']]);
+        if (!variantId) return null;
+
+        const offer = asArray(node.offers)[0] || {};
+        const capacity = asArray(node.additionalProperty)
+          .find(property => property && CAPACITY_PROPERTY.test(firstString(property.name) || ''));
+
+        return {
+          variantId,
+          attributes: {
+            color: firstString(node.color) || undefined,
+            size: firstString(node.size) || undefined,
+            capacity: (capacity && firstString(capacity.value)) || undefined
+          },
+          price: parseStructuredPrice(offer.price ?? offer.lowPrice) ?? undefined,
+          currency: firstString(offer.priceCurrency) || undefined,
+          availability: normalizeAvailability(firstString(offer.availability)) || undefined,
+          url: firstString(offer.url || node.url) || undefined,
+          selected: node === selected
+        };
+      })
+      .filter(Boolean);
+
+    return variants.length > 0 ? variants : null;
+  }
+
+  extractFromJsonLd($) {
+    const products = this.findJsonLdProducts($);
+    const product = products[0];
+    if (!product) return {};
+
+    const offers = asArray(product.offers)
+      // Offers nested in an AggregateOffer inherit its currency
+      .flatMap(offer => (offer && offer.offers
+        ? asArray(offer.offers).map(item => ({ priceCurrency: offer.priceCurrency, ...item }))
+        : [offer]))
+      .filter(Boolean);
+    const offer = offers.find(item => parseStructuredPrice(item.price ?? item.lowPrice) !== null) ||
+      asArray(product.offers)[0] || {};
+    const priceSpecs = asArray(offer.priceSpecification).filter(Boolean);
+    const isListPrice = spec => LIST_PRICE_TYPES.test(firstString(spec.priceType) || '');
+    const priceSpec = priceSpecs.find(spec => !isListPrice(spec)) || {};
+    const listPriceSpec = priceSpecs.find(isListPrice) || {};
+    const rating = product.aggregateRating || {};
+
+    return {
+      title: firstString(product.name),
+      currentPrice: parseStructuredPrice(offer.price ?? offer.lowPrice ?? priceSpec.price),
+      originalPrice: parseStructuredPrice(listPriceSpec.price),
+      currency: firstString(offer.priceCurrency || priceSpec.priceCurrency),
+      availability: normalizeAvailability(firstString(offer.availability)),
+      deliveryEstimate: describeDeliveryTime(offer.shippingDetails),
+      sellerOffers: this.extractJsonLdSellerOffers(offers, offer),
+      variants: this.extractJsonLdVariants(products, product),
+      gtin: firstString(GTIN_KEYS.map(key => product[key] || offer[key])),
+      sku: firstString(product.sku || offer.sku),
+      modelNumber: firstString(product.mpn || offer.mpn || product.model),
+      brand: firstString(product.brand),
+      imageUrl: firstString(product.image),
+      rating: parseFloat(rating.ratingValue) || null,
+      reviewCount: parseInt(rating.reviewCount || rating.ratingCount) || null
+    };
+  }
+
+  extractFromMicrodata($) {
+    const scope = $('[itemtype*="schema.org/Product"]').first();
+    if (scope.length === 0) return {};
+
+    const prop = (name, root = scope) => {
+      const element = root.find(`[itemprop="${name}"]`).first();
+      if (element.length === 0) return null;
+
+      const value = element.attr('content') || element.attr('href') || element.attr('src') ||
+        (element.is('[itemscope]') ? element.find('[itemprop="name"]').first().text() : element.text());
+      return value ? value.replace(/\s+/g, ' ').trim() || null : null;
+    };
+
+    const offer = scope.find('[itemprop="offers"]').first();
+    const offerScope = offer.length > 0 ? offer : scope;
+
+    return {
+      title: prop('name'),
+      currentPrice: parseStructuredPrice(prop('price', offerScope) || prop('lowPrice', offerScope)),
+      currency: prop('priceCurrency', offerScope),
+      availability: normalizeAvailability(prop('availability', offerScope)),
+      gtin: GTIN_KEYS.map(key => prop(key)).find(Boolean) || null,
+      sku: prop('sku'),
+      modelNumber: prop('mpn') || prop('model'),
+      brand: prop('brand'),
+      imageUrl: prop('image'),
+      rating: parseFloat(prop('ratingValue')) || null,
+      reviewCount: parseInt(prop('reviewCount') || prop('ratingCount')) || null
+    };
+  }
+
+  extractFromMetaTags($) {
+    const meta = (...names) => {
+      for (const name of names) {
+        const content = $(`meta[property="${name}"], meta[name="${name}"]`).first().attr('content');
+        if (content && content.trim()) return content.trim();
+      }
+      return null;
+    };
+
+    return {
+      title: meta('og:title', 'twitter:title'),
+      currentPrice: parseStructuredPrice(meta('product:price:amount', 'og:price:amount', 'product:sale_price:amount')),
+      originalPrice: parseStructuredPrice(meta('product:original_price:amount', 'og:original_price:amount')),
+      currency: meta('product:price:currency', 'og:price:currency', 'product:sale_price:currency'),
+      availability: normalizeAvailability(meta('product:availability', 'og:availability')),
+      gtin: meta('product:ean', 'product:upc', 'product:gtin'),
+      sku: meta('product:retailer_item_id'),
+      modelNumber: meta('product:mfr_part_no'),
+      brand: meta('product:brand', 'og:brand'),
+      imageUrl: meta('og:image', 'og:image:url', 'twitter:image')
+    };
+  }
+
+  /**
+   * Merge product data from all structured sources, best source first
+   * @param {Function} $ - Cheerio document
+   * @param {string} url - Page URL
+   * @returns {Object|null} - Product details, or null without a name and a price (or a sold-out status)
+   */
+  parseProductDetails($, url) {
+    const sources = {
+      jsonld: this.extractFromJsonLd($),
+      microdata: this.extractFromMicrodata($),
+      opengraph: this.extractFromMetaTags($)
+    };
+
+    const details = {};
+    const usedSources = [];
+
+    Object.entries(sources).forEach(([name, data]) => {
+      let used = false;
+      Object.entries(data).forEach(([field, value]) => {
+        if (value !== null && value !== undefined && value !== '' && details[field] === undefined) {
+          details[field] = value;
+          used = true;
+        }
+      });
+      if (used) usedSources.push(name);
+    });
+
+    if (!this.hasUsableDetails(details)) {
+      return null;
+    }
+    if (!(details.originalPrice > details.currentPrice)) {
+      delete details.originalPrice;
+    }
+
+    const canonical = $('link[rel="canonical"]').attr('href');
+    const pageUrl = canonical ? new URL(canonical, url).href : url;
+    const currency = (details.currency || this.currency).toUpperCase();
+
+    // Pages without an offer list are the shop's own offer, when it shows a price
+    const shopOffer = details.currentPrice > 0 ? [{ price: details.currentPrice }] : [];
+    const sellerOffers = (details.sellerOffers || shopOffer).map(offer => ({
+      ...offer,
+      soldByRetailer: this.isShopSeller(offer.seller, pageUrl),
+      condition: offer.condition || normalizeCondition(details.title) || 'new',
+      currency: (offer.currency || currency).toUpperCase()
+    }));
+    const variants = details.variants && details.variants.map(variant => ({
+      ...variant,
+      currency: (variant.currency || currency).toUpperCase()
+    }));
+
+    return {
+      ...details,
+      url: pageUrl,
+      siteProductId: this.extractProductId(pageUrl),
+      imageUrl: details.imageUrl ? new URL(details.imageUrl, pageUrl).href : null,
+      currency,
+      sellerOffers,
+      variants,
+      structuredData: usedSources
+    };
+  }
+
+  async getProductDetails(url) {
+    try {
+      await urlSafety.assertPublicUrl(url);
+      await this.initialize(true);
+      await this.navigateToPage(this.page, url);
+
+      const details = this.parseProductDetails(cheerio.load(await this.page.content()), url);
+      if (!details) {
+        throw new Error(`No schema.org product data found at ${url}`);
+      }
+
+      logScraperStatus(`Extracted structured product data`, {
+        url,
+        title: details.title,
+        price: `${details.currency} ${details.currentPrice}`,
+        sources: details.structuredData
+      });
+
+      return this.normalizeProductDetails(details, url);
+    } catch (error) {
+      logScraperStatus(`Error getting generic product details`, { url, error: error.message });
+      throw error;
+    } finally {
+      await this.close();
+    }
+  }
+}
+
+module.exports = GenericScraper;
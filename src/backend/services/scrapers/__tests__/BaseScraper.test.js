@@ -0,0 +1,57 @@
+const BaseScraper = require('../BaseScraper');
+
+describe('BaseScraper.runExclusive', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('runs browser work one at a time', async () => {
+    const scraper = new BaseScraper();
+    const order = [];
+    let finishFirst;
+
+    const first = scraper.runExclusive(() => new Promise(resolve => { finishFirst = resolve; }).then(() => order.push('first')));
+    const second = scraper.runExclusive(async () => order.push('second'));
+
+    await new Promise(resolve => setImmediate(resolve));
+    expect(order).toEqual([]);
+
+    finishFirst();
+    await Promise.all([first, second]);
+    expect(order).toEqual(['first', 'second']);
+  });
+
+  it('closes the browser when the work it is running is aborted', async () => {
+    const scraper = new BaseScraper();
+    let rejectPage;
+    const browser = {
+      // Closing the browser fails whatever the page was doing
+      close: jest.fn(async () => rejectPage(new Error('Target closed')))
+    };
+    scraper.browser = browser;
+    scraper.holdBrowser = true;
+    const controller = new AbortController();
+
+    const work = scraper.runExclusive(() => new Promise((resolve, reject) => { rejectPage = reject; }), controller.signal);
+    await new Promise(resolve => setImmediate(resolve));
+    controller.abort();
+
+    await expect(work).rejects.toThrow('Target closed');
+    expect(browser.close).toHaveBeenCalled();
+    expect(scraper.browser).toBeNull();
+  });
+
+  it('does not start aborted work', async () => {
+    const scraper = new BaseScraper();
+    const controller = new AbortController();
+    controller.abort();
+    const fn = jest.fn();
+
+    await expect(scraper.runExclusive(fn, controller.signal)).rejects.toThrow('aborted');
+    expect(fn).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,87 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Disk store for recorded scraper pages.
+ *
+ * SCRAPER_FIXTURES=record  saves every page a scraper navigates to
+ * SCRAPER_FIXTURES=replay  serves pages from disk and blocks all network access
+ *
+ * Pages are stored as <dir>/<source>/<key>.html, where the key is a hash of the URL,
+ * with <dir>/<source>/index.json mapping keys back to URLs.
+ */
+
+const MODES = ['record', 'replay'];
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, 'fixtures');
+
+const getMode = () => {
+  const mode = (process.env.SCRAPER_FIXTURES || '').toLowerCase();
+  return MODES.includes(mode) ? mode : null;
+};
+
+const isRecording = () => getMode() === 'record';
+
+const isReplaying = () => getMode() === 'replay';
+
+const getFixtureDir = () => process.env.SCRAPER_FIXTURE_DIR || DEFAULT_FIXTURE_DIR;
+
+const getSourceDir = (source) => path.join(getFixtureDir(), source);
+
+// Fragments never reach the server, so they don't distinguish pages
+const getFixtureKey = (url) => {
+  const normalized = url.split('#')[0];
+  return crypto.createHash('sha1').update(normalized).digest('hex').slice(0, 16);
+};
+
+const readIndex = (source) => {
+  const indexPath = path.join(getSourceDir(source), 'index.json');
+  if (!fs.existsSync(indexPath)) return {};
+  return JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+};
+
+/**
+ * Save a page's HTML for later replay
+ * @param {string} source - Scraper source (e.g. 'amazon')
+ * @param {string} url - URL the page was loaded from
+ * @param {string} html - Page HTML
+ * @returns {string} - Path of the written fixture
+ */
+const saveFixture = (source, url, html) => {
+  const sourceDir = getSourceDir(source);
+  fs.mkdirSync(sourceDir, { recursive: true });
+
+  const key = getFixtureKey(url);
+  const fixturePath = path.join(sourceDir, `${key}.html`);
+  fs.writeFileSync(fixturePath, html);
+
+  const index = readIndex(source);
+  index[key] = { url, recordedAt: new Date().toISOString() };
+  fs.writeFileSync(path.join(sourceDir, 'index.json'), JSON.stringify(index, null, 2) + '\n');
+
+  return fixturePath;
+};
+
+/**
+ * Load a recorded page.
+ * Synchronous so request interception handlers can respond before other handlers run.
+ * @param {string} source - Scraper source
+ * @param {string} url - Requested URL
+ * @returns {string|null} - Page HTML, or null if the URL was never recorded
+ */
+const loadFixture = (source, url) => {
+  const fixturePath = path.join(getSourceDir(source), `${getFixtureKey(url)}.html`);
+  if (!fs.existsSync(fixturePath)) return null;
+  return fs.readFileSync(fixturePath, 'utf8');
+};
+
+module.exports = {
+  getMode,
+  isRecording,
+  isReplaying,
+  getFixtureDir,
+  getFixtureKey,
+  saveFixture,
+  loadFixture
+};
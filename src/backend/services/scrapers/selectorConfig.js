@@ -0,0 +1,288 @@
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const yaml = require('js-yaml');
+const { VARIANT_ATTRIBUTES } = require('../productVariants');
+
+/**
+ * Declarative selector configs, one per source, interpreted by BaseScraper.
+ *
+ * {
+ *   "source": "ebay",
+ *   "currency": "USD",                       // used when a price carries no currency symbol
+ *   "retailerSeller": "^eBay\\b",            // optional: seller/shipper names meaning the retailer itself
+ *   "search": {
+ *     "container": [".s-item"],              // product cards, first selector with matches wins
+ *     "exclude": [".s-item__ad"],            // skip cards containing any of these
+ *     "excludeTitles": ["Shop on eBay"],     // skip cards whose title contains any of these
+ *     "matchQuery": true,                    // drop cards whose title misses query words
+ *     "fields": { "title": <rule>, ... },
+ *     "pagination": { "nextPage": [<selector>], "maxPages": 2 }
+ *   },
+ *   "details": {
+ *     "fields": { "title": <rule>, ... },
+ *     "variants": {                          // optional: the listing's colour/size/capacity options
+ *       "attributes": { "capacity": ["#variation_size_name li"], ... },  // option elements per attribute
+ *       "idAttribute": "data-asin",          // attribute holding the variant id, or a "variantId" field
+ *       "valueAttribute": "title",           // optional: option value when not the element text or a "value" field
+ *       "selected": [".swatchSelect"],       // option elements (or their children) marking the selected variant
+ *       "fields": { "price": <rule>, ... }   // optional: variantId, value, price, availability, url within an option
+ *     }
+ *   }
+ * }
+ *
+ * A field rule lists ordered fallback selectors; the first one yielding a usable value wins:
+ * { "selectors": ["h1", { "selector": "meta[property='og:title']", "attribute": "content" }],
+ *   "attribute": "href", "type": "text|price|number|integer|url|availability|shipping",
+ *   "pattern": "regex, group 1 is kept", "reject": "regex that makes the value count as missing" }
+ *
+ * The "price" field becomes currentPrice; other price fields (e.g. "originalPrice" for the
+ * struck-through list price) keep their name and hold just the amount. An "availability"
+ * field maps stock text such as "Only 3 left" to a status (see services/availability).
+ * A "shipping" field reads a charge where "Free" means 0.
+ * The featured offer's "seller", "condition", "fulfilment", "shippingCost" and "importCharges" fields
+ * become a sellerOffers entry (see services/sellerOffers).
+ * "brand", "gtin" and "modelNumber" fields identify the item across retailers (see services/productMatchingService).
+ */
+
+const FIELD_TYPES = ['text', 'price', 'number', 'integer', 'url', 'availability', 'shipping'];
+
+// Fields read within a variant option element
+const VARIANT_FIELDS = ['variantId', 'value', 'price', 'availability', 'url'];
+
+// Fields a section can't produce a product without
+const REQUIRED_FIELDS = {
+  search: ['title', 'price', 'url'],
+  details: ['title', 'price']
+};
+
+const CONFIG_DIR = path.join(__dirname, 'selectors');
+const CONFIG_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+// Parsing a selector against an empty document is enough to surface syntax errors
+const $empty = cheerio.load('');
+
+const validateSelector = (selector, where, errors) => {
+  if (typeof selector !== 'string' || selector.trim() === '') {
+    errors.push(`${where}: selector must be a non-empty string`);
+    return;
+  }
+
+  try {
+    $empty(selector);
+  } catch (error) {
+    errors.push(`${where}: invalid selector "${selector}" (${error.message})`);
+  }
+};
+
+const validateSelectorList = (selectors, where, errors) => {
+  if (!Array.isArray(selectors) || selectors.length === 0) {
+    errors.push(`${where}: must be a non-empty array of selectors`);
+    return;
+  }
+
+  selectors.forEach((entry, i) => {
+    if (entry && typeof entry === 'object') {
+      validateSelector(entry.selector, `${where}[${i}].selector`, errors);
+      if (entry.attribute !== undefined && typeof entry.attribute !== 'string') {
+        errors.push(`${where}[${i}].attribute: must be a string`);
+      }
+    } else {
+      validateSelector(entry, `${where}[${i}]`, errors);
+    }
+  });
+};
+
+const validateFieldRule = (rule, where, errors) => {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    errors.push(`${where}: must be an object`);
+    return;
+  }
+
+  validateSelectorList(rule.selectors, `${where}.selectors`, errors);
+
+  if (rule.type !== undefined && !FIELD_TYPES.includes(rule.type)) {
+    errors.push(`${where}.type: must be one of ${FIELD_TYPES.join(', ')}`);
+  }
+
+  if (rule.attribute !== undefined && typeof rule.attribute !== 'string') {
+    errors.push(`${where}.attribute: must be a string`);
+  }
+
+  ['pattern', 'reject'].forEach(key => {
+    if (rule[key] === undefined) return;
+    try {
+      new RegExp(rule[key]);
+    } catch (error) {
+      errors.push(`${where}.${key}: ${error.message}`);
+    }
+  });
+};
+
+const validateFields = (fields, section, errors) => {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    errors.push(`${section}.fields: must be an object`);
+    return;
+  }
+
+  REQUIRED_FIELDS[section]
+    .filter(field => !fields[field])
+    .forEach(field => errors.push(`${section}.fields.${field}: is required`));
+
+  Object.entries(fields).forEach(([field, rule]) => {
+    validateFieldRule(rule, `${section}.fields.${field}`, errors);
+  });
+};
+
+const validateVariants = (variants, errors) => {
+  if (!variants || typeof variants !== 'object' || Array.isArray(variants)) {
+    errors.push('details.variants: must be an object');
+    return;
+  }
+
+  const { attributes, idAttribute, selected, fields = {} } = variants;
+  if (!attributes || typeof attributes !== 'object' || Array.isArray(attributes) || Object.keys(attributes).length === 0) {
+    errors.push('details.variants.attributes: must map at least one attribute to selectors');
+  } else {
+    Object.entries(attributes).forEach(([attribute, selectors]) => {
+      if (!VARIANT_ATTRIBUTES.includes(attribute)) {
+        errors.push(`details.variants.attributes.${attribute}: must be one of ${VARIANT_ATTRIBUTES.join(', ')}`);
+      }
+      validateSelectorList(selectors, `details.variants.attributes.${attribute}`, errors);
+    });
+  }
+
+  ['idAttribute', 'valueAttribute'].forEach(key => {
+    if (variants[key] !== undefined && typeof variants[key] !== 'string') {
+      errors.push(`details.variants.${key}: must be a string`);
+    }
+  });
+
+  if (selected !== undefined) {
+    validateSelectorList(selected, 'details.variants.selected', errors);
+  }
+
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    errors.push('details.variants.fields: must be an object');
+    return;
+  }
+  if (!idAttribute && !fields.variantId) {
+    errors.push('details.variants: needs an idAttribute or a variantId field');
+  }
+  Object.entries(fields).forEach(([field, rule]) => {
+    if (!VARIANT_FIELDS.includes(field)) {
+      errors.push(`details.variants.fields.${field}: must be one of ${VARIANT_FIELDS.join(', ')}`);
+    }
+    validateFieldRule(rule, `details.variants.fields.${field}`, errors);
+  });
+};
+
+/**
+ * Check a selector config's structure and selector syntax
+ * @param {Object} config - Parsed config
+ * @returns {Array<string>} - Problems found; empty when the config is valid
+ */
+const validateSelectorConfig = (config) => {
+  const errors = [];
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return ['config must be an object'];
+  }
+
+  if (typeof config.source !== 'string' || config.source.trim() === '') {
+    errors.push('source: must be a non-empty string');
+  }
+
+  if (config.currency !== undefined && !/^[A-Z]{3}$/.test(config.currency)) {
+    errors.push('currency: must be a 3-letter currency code');
+  }
+
+  if (config.retailerSeller !== undefined) {
+    try {
+      new RegExp(config.retailerSeller);
+    } catch (error) {
+      errors.push(`retailerSeller: ${error.message}`);
+    }
+  }
+
+  if (!config.search && !config.details) {
+    errors.push('config must define search and/or details');
+  }
+
+  if (config.search) {
+    validateSelectorList(config.search.container, 'search.container', errors);
+    if (config.search.exclude !== undefined) {
+      validateSelectorList(config.search.exclude, 'search.exclude', errors);
+    }
+    if (config.search.excludeTitles !== undefined &&
+        (!Array.isArray(config.search.excludeTitles) || config.search.excludeTitles.some(title => typeof title !== 'string'))) {
+      errors.push('search.excludeTitles: must be an array of strings');
+    }
+    validateFields(config.search.fields, 'search', errors);
+
+    const { pagination } = config.search;
+    if (pagination !== undefined) {
+      validateSelectorList(pagination.nextPage, 'search.pagination.nextPage', errors);
+      if (pagination.maxPages !== undefined &&
+          (!Number.isInteger(pagination.maxPages) || pagination.maxPages < 1)) {
+        errors.push('search.pagination.maxPages: must be a positive integer');
+      }
+    }
+  }
+
+  if (config.details) {
+    validateFields(config.details.fields, 'details', errors);
+    if (config.details.variants !== undefined) {
+      validateVariants(config.details.variants, errors);
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Parse a config file's contents by extension
+ * @param {string} content - File contents
+ * @param {string} filename - Used to pick the JSON or YAML parser
+ * @returns {Object}
+ */
+const parseSelectorConfig = (content, filename = '.json') => {
+  return filename.endsWith('.json') ? JSON.parse(content) : yaml.load(content);
+};
+
+/**
+ * Load and validate every config file in the selectors directory.
+ * Throws on the first invalid file so a broken config stops startup instead of scraping badly.
+ * @param {string} dir - Directory to read
+ * @returns {Object} - source -> config
+ */
+const loadFileConfigs = (dir = CONFIG_DIR) => {
+  const configs = {};
+  if (!fs.existsSync(dir)) return configs;
+
+  fs.readdirSync(dir)
+    .filter(file => CONFIG_EXTENSIONS.includes(path.extname(file)))
+    .sort()
+    .forEach(file => {
+      const config = parseSelectorConfig(fs.readFileSync(path.join(dir, file), 'utf8'), file);
+      const errors = validateSelectorConfig(config);
+
+      if (errors.length > 0) {
+        throw new Error(`Invalid selector config ${file}:\n  ${errors.join('\n  ')}`);
+      }
+      if (configs[config.source]) {
+        throw new Error(`Duplicate selector config for source ${config.source} in ${file}`);
+      }
+
+      configs[config.source] = config;
+    });
+
+  return configs;
+};
+
+module.exports = {
+  FIELD_TYPES,
+  validateSelectorConfig,
+  parseSelectorConfig,
+  loadFileConfigs
+};
@@ -0,0 +1,148 @@
+const SearchCacheEntry = require('../models/SearchCacheEntry');
+
+// How long a source's results for a query are served before it is scraped again
+const CACHE_TTL_MS = (parseInt(process.env.SEARCH_CACHE_TTL_MINUTES) || 60) * 60 * 1000;
+
+// Utility function for better logging
+function logSearchCacheStatus(message, details = {}) {
+  const timestamp = new Date().toISOString();
+  const detailsStr = Object.keys(details).length > 0
+    ? `\n  Details: ${JSON.stringify(details, null, 2)}`
+    : '';
+
+  console.log(`[${timestamp}] [SearchCache] ${message}${detailsStr}`);
+}
+
+/**
+ * Per-source search results cached by normalized query.
+ * A search only scrapes the sources whose cached results are missing or older than the TTL.
+ */
+class SearchCacheService {
+  constructor() {
+    // Lookup counters since startup, overall and per source
+    this.stats = { hits: 0, misses: 0, refreshes: 0, since: new Date() };
+    this.sourceStats = {};
+  }
+
+  normalizeQuery(query) {
+    return query.trim().toLowerCase().replace(/\s+/g, ' ');
+  }
+
+  countLookups(type, sources) {
+    this.stats[type] += sources.length;
+    sources.forEach(source => {
+      if (!this.sourceStats[source]) {
+        this.sourceStats[source] = { hits: 0, misses: 0, refreshes: 0 };
+      }
+      this.sourceStats[source][type]++;
+    });
+  }
+
+  /**
+   * Split sources into those with fresh cached results and those that need scraping
+   * @param {string} query - Search text
+   * @param {Array<string>} sources - Sources the search covers
+   * @param {Object} options
+   * @param {boolean} options.refresh - Ignore cached results and scrape every source
+   * @returns {Promise<{fresh: Object, stale: Array<string>}>} - fresh maps source -> product ids
+   */
+  async lookup(query, sources, { refresh = false } = {}) {
+    if (refresh) {
+      this.countLookups('refreshes', sources);
+      return { fresh: {}, stale: [...sources] };
+    }
+
+    const entries = await SearchCacheEntry.find({
+      query: this.normalizeQuery(query),
+      source: { $in: sources },
+      scrapedAt: { $gte: new Date(Date.now() - CACHE_TTL_MS) }
+    });
+
+    const fresh = {};
+    entries.forEach(entry => {
+      fresh[entry.source] = entry.productIds;
+    });
+    const stale = sources.filter(source => !fresh[source]);
+
+    this.countLookups('hits', Object.keys(fresh));
+    this.countLookups('misses', stale);
+
+    if (entries.length > 0) {
+      SearchCacheEntry.updateMany(
+        { _id: { $in: entries.map(entry => entry._id) } },
+        { $inc: { hits: 1 }, $set: { lastHitAt: new Date() } }
+      ).catch(error => {
+        logSearchCacheStatus('Error counting cache hits', { error: error.message });
+      });
+    }
+
+    return { fresh, stale };
+  }
+
+  /**
+   * Remember the products a source returned for a query
+   * @param {string} query - Search text
+   * @param {string} source - Scraper source
+   * @param {Array} productIds - Saved product ids, in result order
+   */
+  async store(query, source, productIds) {
+    await SearchCacheEntry.findOneAndUpdate(
+      { query: this.normalizeQuery(query), source },
+      { $set: { productIds, scrapedAt: new Date() } },
+      { upsert: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  /**
+   * Hit/miss counters since startup plus what is currently cached
+   * @returns {Promise<Object>}
+   */
+  async getStats() {
+    const freshSince = new Date(Date.now() - CACHE_TTL_MS);
+    const [entries, freshEntries, topQueries] = await Promise.all([
+      SearchCacheEntry.countDocuments(),
+      SearchCacheEntry.countDocuments({ scrapedAt: { $gte: freshSince } }),
+      SearchCacheEntry.aggregate([
+        {
+          $group: {
+            _id: '$query',
+            hits: { $sum: '$hits' },
+            sources: { $sum: 1 },
+            lastScrapedAt: { $max: '$scrapedAt' }
+          }
+        },
+        { $sort: { hits: -1 } },
+        { $limit: 10 }
+      ])
+    ]);
+
+    const lookups = this.stats.hits + this.stats.misses;
+
+    return {
+      ttlMinutes: CACHE_TTL_MS / 60000,
+      since: this.stats.since,
+      hits: this.stats.hits,
+      misses: this.stats.misses,
+      refreshes: this.stats.refreshes,
+      hitRate: lookups > 0 ? Math.round(this.stats.hits / lookups * 1000) / 10 : null,
+      bySource: this.sourceStats,
+      entries,
+      freshEntries,
+      topQueries: topQueries.map(({ _id, ...rest }) => ({ query: _id, ...rest }))
+    };
+  }
+
+  /**
+   * Drop every cached result so the next searches scrape again
+   * @returns {Promise<number>} - Entries removed
+   */
+  async clear() {
+    const result = await SearchCacheEntry.deleteMany({});
+    logSearchCacheStatus('Cleared search cache', { entries: result.deletedCount });
+    return result.deletedCount;
+  }
+}
+
+// Export the service instance
+const searchCacheServiceInstance = new SearchCacheService();
+module.exports = searchCacheServiceInstance;
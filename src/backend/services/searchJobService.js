@@ -0,0 +1,241 @@
+const crypto = require('crypto');
+const scraperService = require('./scraperService');
+const currencyService = require('./currencyService');
+const websocketService = require('./websocketService');
+const searchCacheService = require('./searchCacheService');
+
+// Finished jobs are kept this long so late subscribers can still read their results
+const FINISHED_JOB_TTL_MS = parseInt(process.env.SEARCH_JOB_TTL_MS) || 10 * 60 * 1000;
+
+// Jobs waiting behind the running one; past this, new searches aren't scraped
+const MAX_QUEUED_JOBS = parseInt(process.env.SEARCH_JOB_QUEUE_LIMIT) || 20;
+
+// Queued and running jobs one client may have started
+const MAX_JOBS_PER_CLIENT = parseInt(process.env.SEARCH_JOB_CLIENT_LIMIT) || 3;
+
+// Utility function for better logging
+function logSearchJobStatus(message, details = {}) {
+  const timestamp = new Date().toISOString();
+  const detailsStr = Object.keys(details).length > 0
+    ? `\n  Details: ${JSON.stringify(details, null, 2)}`
+    : '';
+
+  console.log(`[${timestamp}] [SearchJobs] ${message}${detailsStr}`);
+}
+
+/**
+ * Live searches run as background jobs so the search request can return at once.
+ * Each source's results are saved and published on `search:<jobId>` as soon as
+ * that source finishes. Jobs run one at a time because every scraper drives a
+ * single shared browser page.
+ */
+class SearchJobService {
+  constructor() {
+    this.jobs = new Map(); // jobId -> job
+    this.queue = [];
+    this.running = null;
+  }
+
+  /**
+   * Queue a search, or join the queued or running job for the same query.
+   * A new job is refused when the queue is full or the client already has too many.
+   * @param {string} query - Search text
+   * @param {Object} options
+   * @param {string} options.currency - Currency to convert published products to
+   * @param {Array<string>} options.sources - Sources to scrape (default: all)
+   * @param {string} options.clientId - Who asked, for the per-client limit
+   * @returns {Object|null} - Job, or null if the search can't be queued now
+   */
+  startJob(query, { currency = null, sources = scraperService.getSearchSources(), clientId = null } = {}) {
+    this.pruneFinishedJobs();
+
+    const key = `${searchCacheService.normalizeQuery(query)}|${[...sources].sort().join(',')}|${currency || ''}`;
+    const pending = [...this.jobs.values()].find(job =>
+      job.key === key && (job.status === 'queued' || job.status === 'running')
+    );
+    if (pending) {
+      return pending;
+    }
+
+    const busyReason = this.getBusyReason(clientId);
+    if (busyReason) {
+      logSearchJobStatus(`Refused search job`, { query, clientId, reason: busyReason, queued: this.queue.length });
+      return null;
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      key,
+      clientId,
+      query,
+      currency,
+      status: 'queued',
+      sources: {},
+      products: [],
+      error: null,
+      createdAt: new Date(),
+      startedAt: null,
+      finishedAt: null
+    };
+    sources.forEach(source => {
+      job.sources[source] = { status: 'pending', count: 0 };
+    });
+    job.done = new Promise(resolve => { job.resolveDone = resolve; });
+
+    this.jobs.set(job.id, job);
+    this.queue.push(job);
+    logSearchJobStatus(`Queued search job`, { jobId: job.id, query, queued: this.queue.length });
+
+    this.runNext();
+    return job;
+  }
+
+  /**
+   * Why a new job can't be queued right now
+   * @param {string} clientId - Client starting the job
+   * @returns {string|null} - Reason, or null if there is room
+   */
+  getBusyReason(clientId) {
+    if (this.queue.length >= MAX_QUEUED_JOBS) {
+      return 'queue_full';
+    }
+
+    if (clientId) {
+      const clientJobs = [...this.jobs.values()].filter(job =>
+        job.clientId === clientId && (job.status === 'queued' || job.status === 'running')
+      );
+      if (clientJobs.length >= MAX_JOBS_PER_CLIENT) {
+        return 'client_limit';
+      }
+    }
+
+    return null;
+  }
+
+  getJob(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  /**
+   * Wait for a job to finish
+   * @param {Object} job - Job returned by startJob
+   * @returns {Promise<Object>} - The finished job
+   */
+  async waitForJob(job) {
+    await job.done;
+    return job;
+  }
+
+  /**
+   * Public view of a job, as returned by the API
+   * @param {Object} job - Job
+   * @returns {Object}
+   */
+  toSnapshot(job) {
+    return {
+      id: job.id,
+      query: job.query,
+      currency: job.currency,
+      status: job.status,
+      sources: job.sources,
+      products: job.products,
+      error: job.error,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt
+    };
+  }
+
+  async runNext() {
+    if (this.running || this.queue.length === 0) return;
+
+    const job = this.queue.shift();
+    this.running = job;
+
+    try {
+      await this.runJob(job);
+    } finally {
+      this.running = null;
+      this.runNext();
+    }
+  }
+
+  async runJob(job) {
+    job.status = 'running';
+    job.startedAt = new Date();
+    Object.values(job.sources).forEach(source => { source.status = 'running'; });
+    this.publish(job, { type: 'search_started', sources: job.sources });
+
+    try {
+      await scraperService.searchAllProducts(job.query, {
+        sources: Object.keys(job.sources),
+        onSourceComplete: result => this.handleSourceResult(job, result)
+      });
+      job.status = 'completed';
+    } catch (error) {
+      logSearchJobStatus(`Search job failed`, { jobId: job.id, error: error.message });
+      job.status = 'failed';
+      job.error = error.message;
+    }
+
+    job.finishedAt = new Date();
+    logSearchJobStatus(`Search job finished`, {
+      jobId: job.id,
+      status: job.status,
+      products: job.products.length,
+      durationMs: job.finishedAt - job.startedAt
+    });
+
+    this.publish(job, {
+      type: 'search_complete',
+      status: job.status,
+      sources: job.sources,
+      total: job.products.length,
+      error: job.error
+    });
+    job.resolveDone();
+  }
+
+  // Save one source's products and push them to subscribers straight away
+  async handleSourceResult(job, { source, products, error, skipped }) {
+    const saved = products.length > 0 ? await scraperService.saveSearchResults(products) : [];
+
+    // Failed and skipped sources stay stale so the next search tries them again
+    if (!error && !skipped) {
+      await searchCacheService.store(job.query, source, saved.map(product => product._id)).catch(cacheError => {
+        logSearchJobStatus(`Error caching ${source} results`, { jobId: job.id, error: cacheError.message });
+      });
+    }
+    const results = job.currency && saved.length > 0
+      ? await currencyService.convertMultipleProducts(saved, job.currency)
+      : saved;
+
+    // A source can list the same item twice
+    const seen = new Set(job.products.map(product => product._id.toString()));
+    const newResults = results.filter(product => !seen.has(product._id.toString()));
+    job.products.push(...newResults);
+
+    const status = skipped ? 'skipped' : (error ? 'failed' : 'completed');
+    job.sources[source] = { status, count: newResults.length, ...(error ? { error } : {}) };
+
+    this.publish(job, { type: 'search_results', source, status, error, products: newResults });
+  }
+
+  publish(job, data) {
+    websocketService.publish(`search:${job.id}`, { jobId: job.id, query: job.query, ...data });
+  }
+
+  pruneFinishedJobs() {
+    const cutoff = Date.now() - FINISHED_JOB_TTL_MS;
+
+    this.jobs.forEach((job, jobId) => {
+      if (job.finishedAt && job.finishedAt.getTime() < cutoff) {
+        this.jobs.delete(jobId);
+      }
+    });
+  }
+}
+
+// Export the service instance
+const searchJobServiceInstance = new SearchJobService();
+module.exports = searchJobServiceInstance;
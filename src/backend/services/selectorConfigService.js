@@ -0,0 +1,152 @@
+const ScraperSelectorConfig = require('../models/ScraperSelectorConfig');
+const { loadFileConfigs, validateSelectorConfig } = require('./scrapers/selectorConfig');
+
+// How often stored configs are re-read so edits reach running scrapers
+const RELOAD_INTERVAL_MS = parseInt(process.env.SELECTOR_CONFIG_RELOAD_MS) || 60 * 1000;
+
+// Utility function for better logging
+function logSelectorStatus(message, details = {}) {
+  const timestamp = new Date().toISOString();
+  const detailsStr = Object.keys(details).length > 0
+    ? `\n  Details: ${JSON.stringify(details, null, 2)}`
+    : '';
+
+  console.log(`[${timestamp}] [SelectorConfig] ${message}${detailsStr}`);
+}
+
+/**
+ * Effective selector config per source: the file shipped with the code,
+ * unless an active config stored in MongoDB overrides it.
+ */
+class SelectorConfigService {
+  constructor() {
+    // Invalid files throw here, failing startup rather than scraping with broken selectors
+    this.fileConfigs = loadFileConfigs();
+    this.overrides = new Map(); // source -> { config, version, updatedAt }
+    this.timer = null;
+    this.lastReloadAt = null;
+
+    logSelectorStatus(`Loaded selector configs`, { sources: Object.keys(this.fileConfigs) });
+  }
+
+  /**
+   * @param {string} source - Scraper source
+   * @returns {Object|null} - Config to scrape the source with
+   */
+  getConfig(source) {
+    const override = this.overrides.get(source);
+    return override ? override.config : (this.fileConfigs[source] || null);
+  }
+
+  /**
+   * Re-read stored overrides. Invalid stored configs are skipped so a bad edit
+   * falls back to the file config instead of breaking the source.
+   */
+  async reload() {
+    const stored = await ScraperSelectorConfig.find({ active: true });
+    const overrides = new Map();
+
+    stored.forEach(doc => {
+      const config = { ...doc.config, source: doc.source };
+      const errors = validateSelectorConfig(config);
+
+      if (errors.length > 0) {
+        logSelectorStatus(`Ignoring invalid stored config for ${doc.source}`, { errors });
+        return;
+      }
+
+      const previous = this.overrides.get(doc.source);
+      if (!previous || previous.version !== doc.version) {
+        logSelectorStatus(`Using stored selector config for ${doc.source}`, { version: doc.version });
+      }
+
+      overrides.set(doc.source, { config, version: doc.version, updatedAt: doc.updatedAt });
+    });
+
+    this.overrides.forEach((override, source) => {
+      if (!overrides.has(source)) {
+        logSelectorStatus(`Stored config for ${source} removed, using file config`);
+      }
+    });
+
+    this.overrides = overrides;
+    this.lastReloadAt = new Date();
+  }
+
+  /**
+   * Start polling MongoDB for config changes
+   */
+  async start() {
+    if (this.timer) return;
+
+    await this.reload();
+    this.timer = setInterval(() => {
+      this.reload().catch(error => {
+        logSelectorStatus('Error reloading selector configs', { error: error.message });
+      });
+    }, RELOAD_INTERVAL_MS);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Store a config for a source and apply it immediately.
+   * Callers validate first with validateSelectorConfig.
+   * @param {string} source - Scraper source
+   * @param {Object} config - Selector config
+   * @param {string} userId - Admin making the change
+   * @returns {Promise<Object>} - Stored document
+   */
+  async saveOverride(source, config, userId) {
+    const doc = await ScraperSelectorConfig.findOneAndUpdate(
+      { source },
+      {
+        $set: { config: { ...config, source }, active: true, updatedBy: userId },
+        $inc: { version: 1 }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    await this.reload();
+    return doc;
+  }
+
+  /**
+   * Drop a stored config so the source goes back to its file config
+   * @param {string} source - Scraper source
+   * @returns {Promise<boolean>} - Whether a stored config existed
+   */
+  async removeOverride(source) {
+    const result = await ScraperSelectorConfig.deleteOne({ source });
+    await this.reload();
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Describe the effective config of every known source
+   * @returns {Array<Object>} - { source, origin, version, updatedAt, config }
+   */
+  listConfigs() {
+    const sources = new Set([...Object.keys(this.fileConfigs), ...this.overrides.keys()]);
+
+    return [...sources].sort().map(source => {
+      const override = this.overrides.get(source);
+      return {
+        source,
+        origin: override ? 'database' : 'file',
+        version: override ? override.version : null,
+        updatedAt: override ? override.updatedAt : null,
+        config: this.getConfig(source)
+      };
+    });
+  }
+}
+
+// Export the service instance
+const selectorConfigServiceInstance = new SelectorConfigService();
+module.exports = selectorConfigServiceInstance;
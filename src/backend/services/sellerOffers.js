@@ -0,0 +1,98 @@
+/**
+ * Marketplace offers on a single listing: who sells it, in what condition,
+ * who ships it and for how much. Scrapers see the featured (buy box) offer on
+ * every visit and sometimes the other sellers; Product.sellerOffers keeps each
+ * seller/condition pair with the last price seen.
+ */
+
+const CONDITIONS = ['new', 'used', 'refurbished'];
+
+// Who ships the order: the retailer's own logistics, or the marketplace seller
+const FULFILMENT_TYPES = ['retailer', 'seller'];
+
+// Offers older than this don't count for alerts
+const SELLER_OFFER_MAX_AGE_MS = 3 * 24 * 60 * 60 * 1000;
+
+// Offers not seen for this long are dropped from the product
+const SELLER_OFFER_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Map a scraped condition to a stored one
+ * @param {*} value - schema.org itemCondition URL, page text or listing title
+ * @returns {string|null} - One of CONDITIONS, or null when unrecognized
+ */
+const normalizeCondition = (value) => {
+  if (typeof value !== 'string' || !value.trim()) return null;
+
+  const text = value.split('/').pop();
+  if (/refurb|renewed|remanufactured/i.test(text)) return 'refurbished';
+  if (/used|pre-?owned|open.?box|damaged/i.test(text)) return 'used';
+  if (/new/i.test(text)) return 'new';
+  return null;
+};
+
+const offerKey = (offer) => `${(offer.seller || '').toLowerCase()}|${offer.condition || 'new'}`;
+
+/**
+ * Merge freshly scraped offers into a product's stored ones.
+ * A scraped offer replaces the stored offer from the same seller in the same condition;
+ * the first scraped offer becomes the featured one.
+ * @param {Array} existing - Stored offers
+ * @param {Array} scraped - Offers from the latest scrape, featured offer first
+ * @param {Date} now - Time of the scrape
+ * @returns {Array} - Offers to store
+ */
+const mergeSellerOffers = (existing = [], scraped = [], now = new Date()) => {
+  if (scraped.length === 0) return existing;
+
+  const merged = new Map();
+  existing
+    .filter(offer => now - new Date(offer.lastSeen) < SELLER_OFFER_RETENTION_MS)
+    .forEach(offer => merged.set(offerKey(offer), { ...offer, featured: false }));
+
+  scraped.forEach((offer, i) => {
+    merged.set(offerKey(offer), { ...offer, featured: i === 0, lastSeen: now });
+  });
+
+  return [...merged.values()];
+};
+
+/**
+ * Whether an offer satisfies an alert's offer filter
+ * @param {Object} offer - Seller offer
+ * @param {Object} filter - { condition, soldByRetailer }
+ */
+const matchesOfferFilter = (offer, filter = {}) =>
+  (!filter.condition || offer.condition === filter.condition) &&
+  (!filter.soldByRetailer || offer.soldByRetailer === true);
+
+const hasOfferFilter = (filter) => Boolean(filter && (filter.condition || filter.soldByRetailer));
+
+/**
+ * Cheapest recent offer on a product that satisfies a filter
+ * @param {Object} product - Product document
+ * @param {Object} filter - { condition, soldByRetailer }
+ * @param {Date} now - Reference time for offer freshness
+ * @returns {Object|null} - Seller offer, or null when none qualifies
+ */
+const getLowestMatchingOffer = (product, filter, now = new Date()) => {
+  const offers = (product.sellerOffers || []).filter(offer =>
+    offer.price > 0 &&
+    offer.currency === product.currency &&
+    now - new Date(offer.lastSeen) < SELLER_OFFER_MAX_AGE_MS &&
+    matchesOfferFilter(offer, filter)
+  );
+
+  return offers.reduce((min, offer) => (!min || offer.price < min.price ? offer : min), null);
+};
+
+module.exports = {
+  CONDITIONS,
+  FULFILMENT_TYPES,
+  SELLER_OFFER_MAX_AGE_MS,
+  normalizeCondition,
+  mergeSellerOffers,
+  matchesOfferFilter,
+  hasOfferFilter,
+  getLowestMatchingOffer
+};
@@ -0,0 +1,246 @@
+const dns = require('dns');
+const net = require('net');
+
+/**
+ * Guards for URLs that users hand the server to fetch: product pages from shops
+ * without a dedicated scraper, and webhook and push endpoints.
+ * Only public hosts may be reached, on the default http(s) ports unless allowPort is set,
+ * so a URL can't point the server at itself, its cloud metadata service or its private network.
+ * Callers may pass an allowList of hosts and address ranges the operator trusts anyway
+ * (see parseAllowList), such as a self-hosted push server on the LAN.
+ */
+
+// Loopback, private, link-local, carrier-grade NAT, benchmarking, multicast and reserved ranges
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3]
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv6'));
+
+// IPv4-mapped IPv6, dotted (::ffff:127.0.0.1) or in hex as URLs normalize it (::ffff:7f00:1)
+const IPV4_MAPPED = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i;
+const IPV4_MAPPED_HEX = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i;
+
+// Names that only resolve inside a network
+const LOCAL_SUFFIXES = ['.localhost', '.local', '.localdomain', '.internal', '.home.arpa'];
+
+const PRIVATE_ADDRESS_MESSAGE = 'URL must not point to a private or local address';
+
+// Hostname without IPv6 brackets or a trailing root dot
+const normalizeHostname = (hostname) => hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+
+/**
+ * Whether an IP address belongs to this host or a private network
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - true for anything that isn't a public address
+ */
+const isPrivateAddress = (address) => {
+  const mapped = address.match(IPV4_MAPPED);
+  if (mapped) return isPrivateAddress(mapped[1]);
+
+  const mappedHex = address.match(IPV4_MAPPED_HEX);
+  if (mappedHex) {
+    const [high, low] = mappedHex.slice(1).map(group => parseInt(group, 16));
+    return isPrivateAddress([high >> 8, high & 255, low >> 8, low & 255].join('.'));
+  }
+
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return blockedAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Parse an operator allowlist of hostnames, IP addresses and CIDR ranges
+ * @param {string} value - Comma-separated, e.g. "ntfy.home.lan,gotify,192.168.1.0/24,fd00::/8"
+ * @returns {Object|null} - { hostnames, addresses }, or null when the list is empty
+ */
+const parseAllowList = (value) => {
+  const entries = String(value || '').split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean);
+  if (entries.length === 0) return null;
+
+  const hostnames = new Set();
+  const addresses = new net.BlockList();
+  entries.forEach(entry => {
+    const [address, prefix] = entry.split('/');
+    const family = net.isIP(normalizeHostname(address));
+    if (family === 0) {
+      hostnames.add(normalizeHostname(entry));
+    } else if (prefix !== undefined) {
+      addresses.addSubnet(normalizeHostname(address), parseInt(prefix), family === 4 ? 'ipv4' : 'ipv6');
+    } else {
+      addresses.addAddress(normalizeHostname(address), family === 4 ? 'ipv4' : 'ipv6');
+    }
+  });
+
+  return { hostnames, addresses };
+};
+
+// Whether an allowlist names a hostname or covers an IP address
+const isAllowed = (host, allowList) => {
+  if (!allowList) return false;
+
+  const normalized = normalizeHostname(host);
+  const family = net.isIP(normalized);
+  if (family === 0) return allowList.hostnames.has(normalized);
+  return allowList.addresses.check(normalized, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+// Private addresses among those a name resolved to, leaving out allowlisted ones
+const hasBlockedAddress = (addresses, allowList) =>
+  addresses.some(({ address }) => isPrivateAddress(address) && !isAllowed(address, allowList));
+
+/**
+ * Whether a hostname can name a public site; names without a dot only resolve locally
+ * @param {string} hostname - Hostname or IP address
+ * @returns {boolean}
+ */
+const isPublicHostname = (hostname) => {
+  if (typeof hostname !== 'string') return false;
+
+  const host = normalizeHostname(hostname);
+  if (net.isIP(host)) return !isPrivateAddress(host);
+  return host.includes('.') && !LOCAL_SUFFIXES.some(suffix => host.endsWith(suffix));
+};
+
+/**
+ * Why a URL may not be fetched, judging by the URL alone
+ * @param {string} url - URL to check
+ * @param {Object} options - { allowPort } to accept ports other than the protocol's default,
+ *   { allowList } from parseAllowList to accept hosts that would otherwise count as private
+ * @returns {string|null} - Problem description, or null if nothing is wrong with it
+ */
+const getUrlProblem = (url, { allowPort = false, allowList = null } = {}) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return 'URL is not valid';
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return 'URL must use http or https';
+  }
+  // The parser drops the port when it is the protocol's default
+  if (parsed.port && !allowPort) {
+    return 'URL must not name a port';
+  }
+  if (parsed.username || parsed.password) {
+    return 'URL must not contain credentials';
+  }
+
+  const host = normalizeHostname(parsed.hostname);
+  if (isAllowed(host, allowList)) {
+    return null;
+  }
+  if (net.isIP(host)) {
+    return isPrivateAddress(host) ? PRIVATE_ADDRESS_MESSAGE : null;
+  }
+  return isPublicHostname(host) ? null : 'URL must point to a public host';
+};
+
+/**
+ * Why a URL may not be fetched, also resolving its hostname
+ * @param {string} url - URL to check
+ * @param {Object} options - See getUrlProblem
+ * @returns {Promise<string|null>} - Problem description, or null if the URL is safe to fetch
+ */
+const checkUrl = async (url, options = {}) => {
+  const problem = getUrlProblem(url, options);
+  if (problem) return problem;
+
+  const host = normalizeHostname(new URL(url).hostname);
+  if (net.isIP(host) || isAllowed(host, options.allowList)) return null;
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true });
+  } catch (error) {
+    return `Could not resolve ${host}`;
+  }
+  return hasBlockedAddress(addresses, options.allowList) ? PRIVATE_ADDRESS_MESSAGE : null;
+};
+
+/**
+ * Throw unless a URL is safe to fetch
+ * @param {string} url - URL to check
+ * @param {Object} options - See getUrlProblem
+ * @returns {Promise<void>}
+ */
+const assertPublicUrl = async (url, options = {}) => {
+  const problem = await checkUrl(url, options);
+  if (problem) {
+    throw new Error(`${problem}: ${url}`);
+  }
+};
+
+/**
+ * Make a dns.lookup for HTTP clients that fails for private addresses, so a name that
+ * resolves differently by the time of the request can't reach one either
+ * @param {Object} allowList - Optional: hosts and ranges from parseAllowList that may be reached
+ * @returns {Function} - dns.lookup-compatible function
+ */
+const createPublicLookup = (allowList = null) => (hostname, options, callback) => {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  } else if (typeof options === 'number') {
+    options = { family: options };
+  }
+
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (!isAllowed(hostname, allowList) && hasBlockedAddress(addresses, allowList)) {
+      const blocked = new Error(`${PRIVATE_ADDRESS_MESSAGE}: ${hostname}`);
+      blocked.code = 'EPRIVATEADDRESS';
+      return callback(blocked);
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const lookupPublicAddress = createPublicLookup();
+
+/**
+ * axios options that keep a request and its redirects on public (or allowlisted) hosts
+ * @param {Object} options - See getUrlProblem
+ * @returns {Object} - { lookup, beforeRedirect }
+ */
+const getHttpRequestOptions = (options = {}) => ({
+  lookup: options.allowList ? createPublicLookup(options.allowList) : lookupPublicAddress,
+  // IP literals skip the lookup, so redirect targets are checked by URL too
+  beforeRedirect: (redirect) => {
+    const problem = getUrlProblem(redirect.href, options);
+    if (problem) {
+      throw new Error(`${problem}: ${redirect.href}`);
+    }
+  }
+});
+
+module.exports = {
+  isPrivateAddress,
+  isPublicHostname,
+  parseAllowList,
+  getUrlProblem,
+  checkUrl,
+  assertPublicUrl,
+  lookupPublicAddress,
+  getHttpRequestOptions
+};
@@ -0,0 +1,69 @@
+/**
+ * Calculate summary statistics for a watchlist
+ * @param {Array} watchlist - Watchlist entries with productId populated
+ *   (needs currentPrice, priceHistory and pricePrediction)
+ * @returns {Object} - Totals, price change counts and predicted savings
+ */
+exports.calculateWatchlistStats = (watchlist) => {
+  const stats = {
+    totalProducts: watchlist.length,
+    totalValue: 0,
+    averagePrice: 0,
+    priceChanges: {
+      increased: 0,
+      decreased: 0,
+      unchanged: 0
+    },
+    predictedSavings: 0
+  };
+
+  watchlist.forEach(item => {
+    if (!item.productId) return; // Skip if product doesn't exist
+
+    const product = item.productId;
+
+    // Add to total value
+    stats.totalValue += product.currentPrice;
+
+    // Check price changes
+    if (product.priceHistory && product.priceHistory.length > 1) {
+      const latestPrice = product.currentPrice;
+      const previousPrice = product.priceHistory[product.priceHistory.length - 2].price;
+
+      if (latestPrice > previousPrice) {
+        stats.priceChanges.increased++;
+      } else if (latestPrice < previousPrice) {
+        stats.priceChanges.decreased++;
+      } else {
+        stats.priceChanges.unchanged++;
+      }
+    }
+
+    // Add predicted savings
+    const lowestPrediction = exports.getLowestPrediction(product);
+    if (lowestPrediction && lowestPrediction.price < product.currentPrice) {
+      stats.predictedSavings += (product.currentPrice - lowestPrediction.price);
+    }
+  });
+
+  // Calculate average price
+  if (stats.totalProducts > 0) {
+    stats.averagePrice = stats.totalValue / stats.totalProducts;
+  }
+
+  return stats;
+};
+
+/**
+ * Get the lowest predicted price point for a product
+ * @param {Object} product - Product document
+ * @returns {Object|null} - Prediction { date, price, currency }, or null if none
+ */
+exports.getLowestPrediction = (product) => {
+  const predictions = (product.pricePrediction && product.pricePrediction.predictions) || [];
+  if (!predictions.length) return null;
+
+  return predictions.reduce((lowest, prediction) =>
+    prediction.price < lowest.price ? prediction : lowest
+  );
+};
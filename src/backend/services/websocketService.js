@@ -0,0 +1,227 @@
+const WebSocket = require('ws');
+const jwt = require('jsonwebtoken');
+const { URL } = require('url');
+
+// Topics anyone may subscribe to; user topics require a matching JWT
+const PUBLIC_TOPIC_PATTERNS = [
+  /^product:[a-f0-9]{24}$/i,
+  /^collection:[\w-]+$/,
+  // Search job ids are random UUIDs, so knowing one is enough to follow it
+  /^search:[a-f0-9-]{36}$/i
+];
+const USER_TOPIC_PATTERN = /^user:([a-f0-9]{24}):alerts$/i;
+
+/**
+ * Service for publishing real-time events to WebSocket subscribers
+ */
+class WebSocketService {
+  constructor() {
+    this.wss = null;
+  }
+
+  /**
+   * Attach a WebSocket server to an existing HTTP server
+   * @param {Object} server - HTTP server returned by app.listen
+   * @param {string} path - Endpoint path for WebSocket connections
+   */
+  initialize(server, path = '/ws') {
+    this.wss = new WebSocket.Server({ server, path });
+
+    this.wss.on('connection', (ws, req) => this.handleConnection(ws, req));
+
+    this.wss.on('error', (err) => {
+      console.error('WebSocket server error:', err);
+    });
+
+    return this.wss;
+  }
+
+  /**
+   * Resolve the user id from a JWT passed as ?token= or a Bearer header
+   * @param {Object} req - HTTP upgrade request
+   * @returns {string|null} - User id, or null for anonymous connections
+   */
+  authenticate(req) {
+    let token = null;
+
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      token = url.searchParams.get('token');
+    } catch (error) {
+      token = null;
+    }
+
+    const authHeader = req.headers && req.headers.authorization;
+    if (!token && authHeader && authHeader.startsWith('Bearer ')) {
+      token = authHeader.split(' ')[1];
+    }
+
+    if (!token) {
+      return null;
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your_jwt_secret_should_be_in_env_file');
+    return decoded.id ? decoded.id.toString() : null;
+  }
+
+  /**
+   * Check whether a client may subscribe to a topic
+   * @param {Object} ws - WebSocket client
+   * @param {string} topic - Requested topic
+   */
+  canSubscribe(ws, topic) {
+    if (typeof topic !== 'string') {
+      return false;
+    }
+
+    if (PUBLIC_TOPIC_PATTERNS.some(pattern => pattern.test(topic))) {
+      return true;
+    }
+
+    const userMatch = topic.match(USER_TOPIC_PATTERN);
+    return Boolean(userMatch && ws.userId && ws.userId === userMatch[1]);
+  }
+
+  handleConnection(ws, req) {
+    console.log(`WebSocket client connected from ${req.socket.remoteAddress}`);
+
+    try {
+      ws.userId = this.authenticate(req);
+    } catch (error) {
+      console.log(`WebSocket authentication failed: ${error.message}`);
+      ws.send(JSON.stringify({
+        type: 'error',
+        message: error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token'
+      }));
+      ws.close(4401, 'Unauthorized');
+      return;
+    }
+
+    ws.topics = new Set();
+
+    // Handle incoming messages
+    ws.on('message', (message) => {
+      try {
+        const data = JSON.parse(message);
+
+        // Handle different message types
+        switch (data.type) {
+          case 'ping':
+            ws.send(JSON.stringify({ type: 'pong', timestamp: Date.now() }));
+            break;
+          case 'subscribe': {
+            const topics = Array.isArray(data.topics) ? data.topics : [data.topic];
+            topics.forEach(topic => this.subscribe(ws, topic));
+            break;
+          }
+          case 'unsubscribe': {
+            const topics = Array.isArray(data.topics) ? data.topics : [data.topic];
+            topics.forEach(topic => {
+              ws.topics.delete(topic);
+              ws.send(JSON.stringify({ type: 'unsubscribed', topic }));
+            });
+            break;
+          }
+          default:
+            ws.send(JSON.stringify({
+              type: 'error',
+              message: 'Unknown message type'
+            }));
+        }
+      } catch (err) {
+        console.error('Error processing WebSocket message:', err);
+        ws.send(JSON.stringify({
+          type: 'error',
+          message: 'Invalid message format'
+        }));
+      }
+    });
+
+    // Send a welcome message
+    ws.send(JSON.stringify({
+      type: 'info',
+      message: 'Connected to SaleSnipe WebSocket server',
+      authenticated: Boolean(ws.userId),
+      timestamp: Date.now()
+    }));
+
+    ws.on('error', (err) => {
+      console.error('WebSocket error:', err);
+    });
+
+    ws.on('close', () => {
+      console.log('WebSocket client disconnected');
+    });
+  }
+
+  subscribe(ws, topic) {
+    if (!this.canSubscribe(ws, topic)) {
+      ws.send(JSON.stringify({
+        type: 'error',
+        topic,
+        message: `Not allowed to subscribe to ${topic}`
+      }));
+      return;
+    }
+
+    console.log(`Client subscribed to: ${topic}`);
+    ws.topics.add(topic);
+    ws.send(JSON.stringify({
+      type: 'subscribed',
+      topic,
+      message: `Subscribed to ${topic} updates`
+    }));
+  }
+
+  /**
+   * Send a message to every connected client
+   * @param {Object} data - Message payload
+   */
+  broadcast(data) {
+    if (!this.wss) return 0;
+
+    let sent = 0;
+    this.wss.clients.forEach((client) => {
+      if (client.readyState === WebSocket.OPEN) {
+        client.send(JSON.stringify(data));
+        sent++;
+      }
+    });
+    return sent;
+  }
+
+  /**
+   * Send a message to clients subscribed to a topic.
+   * A no-op when no server is attached (e.g. CLI tools and cron scripts).
+   * @param {string} topic - Topic name, e.g. product:<id>
+   * @param {Object} data - Message payload
+   * @returns {number} - Number of clients the message was sent to
+   */
+  publish(topic, data) {
+    if (!this.wss) return 0;
+
+    const message = JSON.stringify({ ...data, topic, timestamp: Date.now() });
+    let sent = 0;
+
+    this.wss.clients.forEach((client) => {
+      if (client.readyState === WebSocket.OPEN && client.topics && client.topics.has(topic)) {
+        client.send(message);
+        sent++;
+      }
+    });
+
+    return sent;
+  }
+
+  close(callback) {
+    if (!this.wss) {
+      if (callback) callback();
+      return;
+    }
+
+    this.wss.close(callback);
+    this.wss = null;
+  }
+}
+
+module.exports = new WebSocketService();
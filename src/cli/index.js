@@ -178,7 +178,9 @@ async function searchProducts() {
     const response = await axios.get(`${API_URL}/products/search`, {
       params: { 
         query,
-        currency: currentCurrency
+        currency: currentCurrency,
+        // Wait for the live scrape rather than just the stored matches
+        wait: true
       }
     });
 
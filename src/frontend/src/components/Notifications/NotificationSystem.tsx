@@ -2,11 +2,14 @@ import React, { useEffect, useState } from 'react';
 import apiService from '../../services/api';
 import { Notification } from '../../types';
 import toast from 'react-hot-toast';
+import { useAuth } from '../../contexts/AuthContext';
+import { subscribe } from '../../services/socket';
 
 const NotificationSystem: React.FC = () => {
     const [notifications, setNotifications] = useState<Notification[]>([]);
     const [isOpen, setIsOpen] = useState<boolean>(false);
     const [newCount, setNewCount] = useState<number>(0);
+    const { user } = useAuth();
 
     useEffect(() => {
         fetchNotifications();
@@ -16,6 +19,38 @@ const NotificationSystem: React.FC = () => {
         return () => clearInterval(interval);
     }, []);
 
+    // Ask once for browser notification permission when the user has desktop notifications on
+    useEffect(() => {
+        if (!user?.preferences?.desktopNotifications || !('Notification' in window)) return;
+
+        if (window.Notification.permission === 'default') {
+            window.Notification.requestPermission();
+        }
+    }, [user]);
+
+    // Receive triggered alerts as they happen instead of waiting for the next poll
+    useEffect(() => {
+        if (!user) return;
+
+        return subscribe(`user:${user.id}:alerts`, (message) => {
+            if (message.type !== 'alert_triggered' || !message.notification) return;
+
+            const notification: Notification = message.notification;
+            setNotifications(prev => [notification, ...prev.filter(n => n._id !== notification._id)]);
+            setNewCount(prev => prev + 1);
+            toast.success(`Price alert: ${notification.product.title}`);
+
+            // The server only flags alerts as desktop-worthy when the preference is enabled
+            if (message.desktop && 'Notification' in window && window.Notification.permission === 'granted') {
+                new window.Notification(`Price alert: ${notification.product.title}`, {
+                    body: getNotificationMessage(notification),
+                    icon: notification.product.imageUrl,
+                    tag: notification._id
+                });
+            }
+        });
+    }, [user]);
+
     const fetchNotifications = async () => {
         try {
             const response = await apiService.notifications.getAll();
@@ -69,6 +104,8 @@ const NotificationSystem: React.FC = () => {
                 return `${notification.product.title} is back in stock!`;
             case 'lowest_price':
                 return `${notification.product.title} is at its lowest price ever!`;
+            case 'predicted_drop':
+                return `${notification.product.title} is predicted to drop ${notification.data.percentageChange}% soon`;
             default:
                 return `Alert for ${notification.product.title}`;
         }
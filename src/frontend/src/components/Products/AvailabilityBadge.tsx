@@ -0,0 +1,37 @@
+import React from 'react';
+import { AvailabilityStatus } from '../../types';
+
+const AVAILABILITY_LABELS: Record<AvailabilityStatus, { label: string; className: string }> = {
+  in_stock: { label: 'In stock', className: 'bg-green-100 text-green-800' },
+  limited: { label: 'Limited stock', className: 'bg-yellow-100 text-yellow-800' },
+  preorder: { label: 'Pre-order', className: 'bg-blue-100 text-blue-800' },
+  backorder: { label: 'Backorder', className: 'bg-orange-100 text-orange-800' },
+  out_of_stock: { label: 'Out of stock', className: 'bg-red-100 text-red-800' }
+};
+
+interface AvailabilityBadgeProps {
+  availability?: AvailabilityStatus | null;
+  deliveryEstimate?: string | null;
+  className?: string;
+}
+
+// Renders nothing until a scraper has reported the listing's availability
+const AvailabilityBadge: React.FC<AvailabilityBadgeProps> = ({ availability, deliveryEstimate, className = '' }) => {
+  if (!availability) return null;
+
+  const { label, className: colors } = AVAILABILITY_LABELS[availability];
+
+  return (
+    <div className={className}>
+      <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${colors}`}>{label}</span>
+      {deliveryEstimate && availability !== 'out_of_stock' && (
+        <p className="mt-1 text-xs text-gray-500">{deliveryEstimate}</p>
+      )}
+    </div>
+  );
+};
+
+export const isInStock = (availability?: AvailabilityStatus | null) =>
+  availability === 'in_stock' || availability === 'limited';
+
+export default AvailabilityBadge;
@@ -2,6 +2,7 @@ import React from 'react';
 import { Link, useLocation } from 'react-router-dom';
 import { Product } from '../../types';
 import { useCurrency } from '../../contexts/CurrencyContext';
+import AvailabilityBadge from './AvailabilityBadge';
 
 interface ProductCardProps {
   product: Product;
@@ -78,6 +79,12 @@ const ProductCard: React.FC<ProductCardProps> = ({ product }) => {
         
         <p className="text-xs text-gray-500 mb-2">{product.source || 'Unknown source'}</p>
         
+        <AvailabilityBadge
+          availability={product.availability}
+          deliveryEstimate={product.deliveryEstimate}
+          className="mb-2"
+        />
+        
         <div className="flex items-baseline mt-1">
           <span className="text-lg font-semibold text-gray-900">
             {formatCurrency(product.currentPrice, productCurrency)}
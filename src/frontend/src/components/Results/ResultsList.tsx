@@ -1,36 +1,63 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import apiService from '../../services/api';
-import { Product, SearchResults } from '../../types';
+import { Product, ProductListParams, ProductSortField, SearchResults } from '../../types';
 import toast from 'react-hot-toast';
 import { useCurrency } from '../../contexts/CurrencyContext';
+import { useAuth } from '../../contexts/AuthContext';
 
 interface ResultsListProps {
   query: string;
 }
 
+const PAGE_SIZE = 10;
+
+const SORT_OPTIONS: { value: ProductSortField; label: string }[] = [
+  { value: 'relevance', label: 'Best match' },
+  { value: 'price', label: 'Price: low to high' },
+  { value: 'rating', label: 'Rating' },
+  { value: 'discount', label: 'Biggest discount' },
+  { value: 'lastUpdated', label: 'Recently updated' }
+];
+
+type Filters = Pick<ProductListParams, 'sources' | 'minPrice' | 'maxPrice' | 'minRating' | 'minDiscount' | 'sort'>;
+
 const ResultsList: React.FC<ResultsListProps> = ({ query }) => {
   const [loading, setLoading] = useState<boolean>(true);
   const [results, setResults] = useState<SearchResults | null>(null);
+  const [filters, setFilters] = useState<Filters>({ sort: 'relevance' });
+  const [page, setPage] = useState<number>(1);
+  const [priceInput, setPriceInput] = useState<{ min: string; max: string }>({ min: '', max: '' });
   const navigate = useNavigate();
-  const { formatCurrency } = useCurrency();
+  const { currency, formatCurrency } = useCurrency();
+  const { user } = useAuth();
+  // Users who opted in compare, filter and sort on price plus shipping and import charges
+  const useLandedCost = Boolean(user?.preferences?.useLandedCost);
+  const deliveryCountry = user?.preferences?.deliveryCountry || undefined;
 
   useEffect(() => {
     if (query) {
       searchProducts();
     }
-  }, [query]);
+  }, [query, filters, page, currency, useLandedCost, deliveryCountry]);
 
   const searchProducts = async () => {
     try {
       setLoading(true);
-      const response = await apiService.products.search(query);
+      const response = await apiService.products.search(query, {
+        ...filters,
+        page,
+        limit: PAGE_SIZE,
+        currency,
+        ...(useLandedCost ? { landedCost: true, deliveryCountry } : {})
+      });
       if (response.data) {
         setResults({
           products: response.data.products,
           totalResults: response.data.total,
-          page: 1,
-          totalPages: Math.ceil(response.data.total / 10) // Assuming 10 items per page
+          page: response.data.page,
+          totalPages: response.data.totalPages,
+          facets: response.data.facets
         });
       }
     } catch (error) {
@@ -51,6 +78,40 @@ const ResultsList: React.FC<ResultsListProps> = ({ query }) => {
     }
   };
 
+  const updateFilters = (changes: Partial<Filters>) => {
+    setFilters(prev => ({ ...prev, ...changes }));
+    setPage(1);
+  };
+
+  const toggleSource = (source: string) => {
+    const selected = filters.sources || [];
+    const sources = selected.includes(source)
+      ? selected.filter(s => s !== source)
+      : [...selected, source];
+    updateFilters({ sources: sources.length > 0 ? sources : undefined });
+  };
+
+  const applyPriceRange = (e: React.FormEvent) => {
+    e.preventDefault();
+    const minPrice = priceInput.min === '' ? undefined : Number(priceInput.min);
+    const maxPrice = priceInput.max === '' ? undefined : Number(priceInput.max);
+
+    if ([minPrice, maxPrice].some(price => price !== undefined && (isNaN(price) || price < 0))) {
+      toast.error('Prices must be positive numbers');
+      return;
+    }
+    if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) {
+      toast.error('Minimum price cannot be above the maximum');
+      return;
+    }
+    updateFilters({ minPrice, maxPrice });
+  };
+
+  const selectPriceBucket = (min: number, max: number | null) => {
+    setPriceInput({ min: String(min), max: max === null ? '' : String(max) });
+    updateFilters({ minPrice: min, maxPrice: max === null ? undefined : max });
+  };
+
   const handleViewDetails = (productId: string) => {
     navigate(`/product/${productId}`);
   };
@@ -70,114 +131,280 @@ const ResultsList: React.FC<ResultsListProps> = ({ query }) => {
     return 'USD';
   };
 
+  const facets = results?.facets;
+  const filtersApplied = Boolean(
+    filters.sources || filters.minPrice !== undefined || filters.maxPrice !== undefined || filters.minRating || filters.minDiscount
+  );
+
+  const filterPanel = (
+    <aside className="bg-white rounded-lg shadow-md p-4 space-y-6 h-fit">
+      <div>
+        <label htmlFor="results-sort" className="block text-sm font-semibold text-gray-700 mb-2">Sort by</label>
+        <select
+          id="results-sort"
+          value={filters.sort}
+          onChange={(e) => updateFilters({ sort: e.target.value as ProductSortField })}
+          className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+        >
+          {SORT_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {facets && facets.sources.length > 0 && (
+        <div>
+          <h3 className="text-sm font-semibold text-gray-700 mb-2">Store</h3>
+          {facets.sources.map(({ source, count }) => (
+            <label key={source} className="flex items-center text-sm text-gray-700 mb-1">
+              <input
+                type="checkbox"
+                checked={(filters.sources || []).includes(source)}
+                onChange={() => toggleSource(source)}
+                className="mr-2"
+              />
+              <span className="flex-1">{source}</span>
+              <span className="text-gray-400">{count}</span>
+            </label>
+          ))}
+        </div>
+      )}
+
+      <div>
+        <h3 className="text-sm font-semibold text-gray-700 mb-2">Price ({currency})</h3>
+        {facets && facets.priceBuckets.map(({ min, max, count }) => (
+          <button
+            key={min}
+            type="button"
+            onClick={() => selectPriceBucket(min, max)}
+            className={`flex w-full justify-between text-sm mb-1 hover:text-blue-600 ${
+              filters.minPrice === min && filters.maxPrice === (max === null ? undefined : max)
+                ? 'text-blue-600 font-medium'
+                : 'text-gray-700'
+            }`}
+          >
+            <span>
+              {max === null
+                ? `${formatCurrency(min, currency)}+`
+                : `${formatCurrency(min, currency)} - ${formatCurrency(max, currency)}`}
+            </span>
+            <span className="text-gray-400">{count}</span>
+          </button>
+        ))}
+        <form onSubmit={applyPriceRange} className="flex items-center gap-2 mt-2">
+          <input
+            type="number"
+            min="0"
+            placeholder="Min"
+            value={priceInput.min}
+            onChange={(e) => setPriceInput(prev => ({ ...prev, min: e.target.value }))}
+            className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+          />
+          <input
+            type="number"
+            min="0"
+            placeholder="Max"
+            value={priceInput.max}
+            onChange={(e) => setPriceInput(prev => ({ ...prev, max: e.target.value }))}
+            className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+          />
+          <button type="submit" className="px-2 py-1 bg-gray-200 text-gray-800 rounded text-sm hover:bg-gray-300">
+            Go
+          </button>
+        </form>
+      </div>
+
+      <div>
+        <label htmlFor="results-rating" className="block text-sm font-semibold text-gray-700 mb-2">Rating</label>
+        <select
+          id="results-rating"
+          value={filters.minRating ?? ''}
+          onChange={(e) => updateFilters({ minRating: e.target.value === '' ? undefined : Number(e.target.value) })}
+          className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+        >
+          <option value="">Any rating</option>
+          {[4, 3, 2, 1].map(rating => (
+            <option key={rating} value={rating}>{rating} stars & up</option>
+          ))}
+        </select>
+      </div>
+
+      <div>
+        <label htmlFor="results-discount" className="block text-sm font-semibold text-gray-700 mb-2">Discount</label>
+        <select
+          id="results-discount"
+          value={filters.minDiscount ?? ''}
+          onChange={(e) => updateFilters({ minDiscount: e.target.value === '' ? undefined : Number(e.target.value) })}
+          className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+        >
+          <option value="">Any discount</option>
+          {[10, 25, 50].map(discount => (
+            <option key={discount} value={discount}>{discount}% off or more</option>
+          ))}
+        </select>
+      </div>
+
+      {filtersApplied && (
+        <button
+          type="button"
+          onClick={() => {
+            setPriceInput({ min: '', max: '' });
+            updateFilters({ sources: undefined, minPrice: undefined, maxPrice: undefined, minRating: undefined, minDiscount: undefined });
+          }}
+          className="text-sm text-blue-600 hover:underline"
+        >
+          Clear filters
+        </button>
+      )}
+    </aside>
+  );
+
+  let content: React.ReactNode;
   if (loading) {
-    return (
+    content = (
       <div className="flex justify-center items-center h-64">
         <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div>
       </div>
     );
-  }
-
-  if (!results || results.products.length === 0) {
-    return (
+  } else if (!results || results.products.length === 0) {
+    content = (
       <div className="bg-white rounded-lg shadow-md p-8 text-center">
         <h2 className="text-xl mb-4">No products found</h2>
-        <p className="text-gray-600 mb-6">Try searching with different keywords</p>
+        <p className="text-gray-600 mb-6">
+          {filtersApplied ? 'Try removing some filters' : 'Try searching with different keywords'}
+        </p>
       </div>
     );
-  }
-
-  return (
-    <div className="grid grid-cols-1 gap-6">
-      {results.products.map((product: Product) => (
-        <div key={product._id} className="bg-white rounded-lg shadow-md overflow-hidden">
-          <div className="p-6">
-            <div className="flex flex-col md:flex-row">
-              {product.imageUrl && (
-                <div className="w-full md:w-48 flex-shrink-0 mb-4 md:mb-0 md:mr-6">
-                  <img 
-                    src={product.imageUrl} 
-                    alt={product.title} 
-                    className="w-full h-auto object-contain"
-                    style={{ maxHeight: '150px' }}
-                  />
-                </div>
-              )}
-              <div className="flex-1">
-                <h2 className="text-xl font-bold text-gray-900 mb-2">{product.title}</h2>
-                <p className="text-gray-500 mb-2">From {product.source}</p>
-                
-                {product.rating !== undefined && (
-                  <div className="flex items-center mb-2">
-                    <div className="flex items-center">
-                      {[...Array(5)].map((_, i) => (
-                        <svg 
-                          key={i}
-                          className={`w-4 h-4 ${i < Math.round(product.rating || 0) ? 'text-yellow-400' : 'text-gray-300'}`}
-                          fill="currentColor"
-                          viewBox="0 0 20 20"
-                        >
-                          <path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z" />
-                        </svg>
-                      ))}
-                    </div>
-                    <span className="text-gray-600 ml-2">
-                      {product.rating.toFixed(1)}
-                      {product.reviewCount && <span className="text-gray-400 text-sm"> ({product.reviewCount} reviews)</span>}
-                    </span>
+  } else {
+    content = (
+      <div className="grid grid-cols-1 gap-6">
+        <p className="text-sm text-gray-600">
+          {results.totalResults} {results.totalResults === 1 ? 'product' : 'products'}
+        </p>
+        {results.products.map((product: Product) => (
+          <div key={product._id} className="bg-white rounded-lg shadow-md overflow-hidden">
+            <div className="p-6">
+              <div className="flex flex-col md:flex-row">
+                {product.imageUrl && (
+                  <div className="w-full md:w-48 flex-shrink-0 mb-4 md:mb-0 md:mr-6">
+                    <img 
+                      src={product.imageUrl} 
+                      alt={product.title} 
+                      className="w-full h-auto object-contain"
+                      style={{ maxHeight: '150px' }}
+                    />
                   </div>
                 )}
-                
-                {product.description && (
-                  <p className="text-gray-700 mb-4">{product.description.substring(0, 200)}...</p>
-                )}
-                
-                <div className="mt-4 flex items-center">
-                  <div>
-                    <p className="text-sm text-gray-500">Current Price</p>
-                    <p className="text-2xl font-bold text-blue-600">
-                      {formatCurrency(product.currentPrice, getProductCurrency(product))}
-                    </p>
-                    {product.originalPrice && product.originalPrice > product.currentPrice && (
-                      <p className="text-sm text-gray-500">
-                        <span className="line-through">{formatCurrency(product.originalPrice, getProductCurrency(product))}</span>
-                        <span className="text-green-600 ml-2">
-                          {Math.round((1 - product.currentPrice / product.originalPrice) * 100)}% off
-                        </span>
+                <div className="flex-1">
+                  <h2 className="text-xl font-bold text-gray-900 mb-2">{product.title}</h2>
+                  <p className="text-gray-500 mb-2">From {product.source}</p>
+              
+                  {product.rating !== undefined && (
+                    <div className="flex items-center mb-2">
+                      <div className="flex items-center">
+                        {[...Array(5)].map((_, i) => (
+                          <svg 
+                            key={i}
+                            className={`w-4 h-4 ${i < Math.round(product.rating || 0) ? 'text-yellow-400' : 'text-gray-300'}`}
+                            fill="currentColor"
+                            viewBox="0 0 20 20"
+                          >
+                            <path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z" />
+                          </svg>
+                        ))}
+                      </div>
+                      <span className="text-gray-600 ml-2">
+                        {product.rating.toFixed(1)}
+                        {product.reviewCount && <span className="text-gray-400 text-sm"> ({product.reviewCount} reviews)</span>}
+                      </span>
+                    </div>
+                  )}
+              
+                  {product.description && (
+                    <p className="text-gray-700 mb-4">{product.description.substring(0, 200)}...</p>
+                  )}
+              
+                  <div className="mt-4 flex items-center">
+                    <div>
+                      <p className="text-sm text-gray-500">Current Price</p>
+                      <p className="text-2xl font-bold text-blue-600">
+                        {formatCurrency(product.currentPrice, getProductCurrency(product))}
                       </p>
-                    )}
+                      {product.originalPrice && product.originalPrice > product.currentPrice && (
+                        <p className="text-sm text-gray-500">
+                          <span className="line-through">{formatCurrency(product.originalPrice, getProductCurrency(product))}</span>
+                          <span className="text-green-600 ml-2">
+                            {Math.round((1 - product.currentPrice / product.originalPrice) * 100)}% off
+                          </span>
+                        </p>
+                      )}
+                      {product.landedCost && (
+                        <p className="text-sm text-gray-600">
+                          {formatCurrency(product.landedCost.total, getProductCurrency(product))} delivered
+                          {!product.landedCost.complete && (
+                            <span className="text-gray-400"> (retailer didn't show all charges)</span>
+                          )}
+                        </p>
+                      )}
+                    </div>
                   </div>
-                </div>
-                
-                <div className="flex flex-wrap gap-2 mt-6">
-                  <button
-                    onClick={() => handleViewDetails(product._id)} 
-                    className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 transition"
-                  >
-                    View Details
-                  </button>
-                  <button
-                    onClick={() => handleAddToWatchlist(product._id)}
-                    className="px-4 py-2 bg-green-600 text-white rounded hover:bg-green-700 transition"
-                  >
-                    Add to Watchlist
-                  </button>
-                  {product.url && (
-                    <a 
-                      href={product.url} 
-                      target="_blank" 
-                      rel="noopener noreferrer"
-                      className="px-4 py-2 bg-gray-200 text-gray-800 rounded hover:bg-gray-300 transition"
+              
+                  <div className="flex flex-wrap gap-2 mt-6">
+                    <button
+                      onClick={() => handleViewDetails(product._id)} 
+                      className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 transition"
                     >
-                      View on {product.source}
-                    </a>
-                  )}
+                      View Details
+                    </button>
+                    <button
+                      onClick={() => handleAddToWatchlist(product._id)}
+                      className="px-4 py-2 bg-green-600 text-white rounded hover:bg-green-700 transition"
+                    >
+                      Add to Watchlist
+                    </button>
+                    {product.url && (
+                      <a 
+                        href={product.url} 
+                        target="_blank" 
+                        rel="noopener noreferrer"
+                        className="px-4 py-2 bg-gray-200 text-gray-800 rounded hover:bg-gray-300 transition"
+                      >
+                        View on {product.source}
+                      </a>
+                    )}
+                  </div>
                 </div>
               </div>
             </div>
           </div>
-        </div>
-      ))}
+        ))}
+        {results.totalPages > 1 && (
+          <div className="flex justify-center items-center gap-4">
+            <button
+              onClick={() => setPage(page - 1)}
+              disabled={page <= 1}
+              className="px-4 py-2 bg-gray-200 text-gray-800 rounded hover:bg-gray-300 transition disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span className="text-sm text-gray-600">Page {results.page} of {results.totalPages}</span>
+            <button
+              onClick={() => setPage(page + 1)}
+              disabled={page >= results.totalPages}
+              className="px-4 py-2 bg-gray-200 text-gray-800 rounded hover:bg-gray-300 transition disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
+      {filterPanel}
+      <div className="md:col-span-3">{content}</div>
     </div>
   );
 };
@@ -3,13 +3,26 @@ import React, { useState, KeyboardEvent } from 'react';
 interface SearchBarProps {
     onSearch: (query: string) => void;
     initialQuery?: string;
+    // Called instead of onSearch when a product page URL is pasted
+    onTrackUrl?: (url: string) => void;
+    tracking?: boolean;
+    trackError?: string | null;
 }
 
-const SearchBar: React.FC<SearchBarProps> = ({ onSearch, initialQuery = '' }) => {
+const isProductUrl = (value: string) => /^https?:\/\/\S+\.\S+/i.test(value.trim());
+
+const SearchBar: React.FC<SearchBarProps> = ({ onSearch, initialQuery = '', onTrackUrl, tracking = false, trackError = null }) => {
     const [query, setQuery] = useState(initialQuery);
+    const isUrl = Boolean(onTrackUrl) && isProductUrl(query);
 
     const handleSearch = () => {
-        if (query.trim()) {
+        if (tracking || !query.trim()) {
+            return;
+        }
+
+        if (isUrl && onTrackUrl) {
+            onTrackUrl(query.trim());
+        } else {
             onSearch(query.trim());
         }
     };
@@ -28,20 +41,42 @@ const SearchBar: React.FC<SearchBarProps> = ({ onSearch, initialQuery = '' }) =>
                     value={query}
                     onChange={(e) => setQuery(e.target.value)}
                     onKeyDown={handleKeyDown}
-                    placeholder="Search for products, brands, or categories..."
+                    placeholder={onTrackUrl
+                        ? 'Search for products, or paste a product URL to track it...'
+                        : 'Search for products, brands, or categories...'}
                     className="w-full py-3 px-4 pr-12 bg-white border-0 rounded-lg shadow-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-800 placeholder-gray-500"
+                    disabled={tracking}
                     autoFocus
                 />
                 <button
                     onClick={handleSearch}
-                    className="absolute right-2 top-1/2 transform -translate-y-1/2 p-2 bg-blue-600 text-white rounded-full hover:bg-blue-700 transition"
-                    aria-label="Search"
+                    disabled={tracking}
+                    className="absolute right-2 top-1/2 transform -translate-y-1/2 p-2 bg-blue-600 text-white rounded-full hover:bg-blue-700 transition disabled:opacity-50"
+                    aria-label={isUrl ? 'Track product' : 'Search'}
                 >
-                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
-                    </svg>
+                    {tracking ? (
+                        <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
+                    ) : isUrl ? (
+                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+                        </svg>
+                    ) : (
+                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
+                        </svg>
+                    )}
                 </button>
             </div>
+            {isUrl && (
+                <p className="mt-2 text-sm text-white">
+                    {tracking
+                        ? 'Reading the product page, this can take a minute...'
+                        : 'Press Enter to start tracking this product'}
+                </p>
+            )}
+            {trackError && (
+                <p className="mt-2 text-sm bg-red-100 text-red-700 rounded px-3 py-1">{trackError}</p>
+            )}
             <div className="mt-2 flex flex-wrap gap-2 justify-center">
                 <button 
                     onClick={() => onSearch('electronics')}
@@ -1,5 +1,7 @@
 import React, { createContext, useState, useEffect, useContext } from 'react';
 import apiService from '../services/api';
+import { reauthenticate } from '../services/socket';
+import { DigestPreferences } from '../types';
 
 interface User {
   id: string;
@@ -9,6 +11,9 @@ interface User {
     emailNotifications: boolean;
     desktopNotifications: boolean;
     currency: string;
+    deliveryCountry?: string | null;
+    useLandedCost?: boolean;
+    digest?: DigestPreferences;
   };
 }
 
@@ -51,6 +56,11 @@ export const AuthProvider: React.FC<{children: React.ReactNode}> = ({ children }
     checkLoggedIn();
   }, []);
 
+  // Live updates for this user's topics need a socket opened with their token
+  useEffect(() => {
+    reauthenticate();
+  }, [user?.id]);
+
   // Login function
   const login = async (email: string, password: string) => {
     setLoading(true);
@@ -17,6 +17,8 @@ const HomePage: React.FC = () => {
     const [trendingProducts, setTrendingProducts] = useState<Product[]>([]);
     const [recentPriceDrops, setRecentPriceDrops] = useState<Product[]>([]);
     const [selectedProduct, setSelectedProduct] = useState<Product | null>(null);
+    const [tracking, setTracking] = useState<boolean>(false);
+    const [trackError, setTrackError] = useState<string | null>(null);
     const [priceHistory, setPriceHistory] = useState<PriceHistoryEntry[]>([]);
     const [collectionsInfo, setCollectionsInfo] = useState<{ [key: string]: Date | null }>({
         trending: null,
@@ -77,6 +79,26 @@ const HomePage: React.FC = () => {
         navigate(`/search?q=${encodeURIComponent(query)}`);
     };
 
+    // A pasted product URL is tracked and added to the watchlist in one step
+    const handleTrackUrl = async (url: string) => {
+        if (!isAuthenticated) {
+            navigate('/login');
+            return;
+        }
+
+        setTracking(true);
+        setTrackError(null);
+        try {
+            const response = await apiService.products.track(url, { watch: true });
+            navigate(`/product/${response.data.product._id}`);
+        } catch (error: any) {
+            console.error('Error tracking product URL:', error);
+            setTrackError(error.response?.data?.message || 'Could not track this product. Please check the URL and try again.');
+        } finally {
+            setTracking(false);
+        }
+    };
+
     const handleProductClick = async (product: Product) => {
         setSelectedProduct(product);
         try {
@@ -220,7 +242,13 @@ const HomePage: React.FC = () => {
                         Get notified when prices drop on your favorite products and make informed buying decisions with SaleSnipe.
                     </p>
                     <div className="max-w-xl mx-auto">
-                        <SearchBar onSearch={handleSearch} initialQuery={initialQuery} />
+                        <SearchBar
+                            onSearch={handleSearch}
+                            initialQuery={initialQuery}
+                            onTrackUrl={handleTrackUrl}
+                            tracking={tracking}
+                            trackError={trackError}
+                        />
                     </div>
                 </div>
             </div>
@@ -1,25 +1,41 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { useParams, Link, useLocation, useNavigate } from 'react-router-dom';
 import apiService from '../services/api';
-import { Product, PriceHistoryEntry, PricePrediction, SentimentAnalysis, WatchlistItem, PriceAlert } from '../types';
+import { Product, PriceHistoryEntry, PricePrediction, SentimentAnalysis, WatchlistItem, PriceAlert, ProductOffer } from '../types';
 import PriceChart from '../components/PriceTrends/PriceChart';
 import toast from 'react-hot-toast';
 import { checkAuthentication, handleApiError } from '../services/authCheck';
 import { useCurrency } from '../contexts/CurrencyContext';
+import { useAuth } from '../contexts/AuthContext';
+import { subscribe } from '../services/socket';
+import AvailabilityBadge, { isInStock } from '../components/Products/AvailabilityBadge';
 
 const ProductPage: React.FC = () => {
   const { id } = useParams<{ id: string }>();
   const location = useLocation();
   const navigate = useNavigate();
-  const { formatCurrency } = useCurrency();
+  const { currency, formatCurrency } = useCurrency();
+  const { user } = useAuth();
+  const useLandedCost = Boolean(user?.preferences?.useLandedCost);
+  const deliveryCountry = user?.preferences?.deliveryCountry || undefined;
   const [loading, setLoading] = useState<boolean>(true);
   const [product, setProduct] = useState<Product | null>(null);
   const [priceHistory, setPriceHistory] = useState<PriceHistoryEntry[]>([]);
   const [predictions, setPredictions] = useState<PricePrediction | null>(null);
   const [sentimentAnalysis, setSentimentAnalysis] = useState<SentimentAnalysis | null>(null);
-  const [inWatchlist, setInWatchlist] = useState<boolean>(false);
+  // '' is the listing as a whole; otherwise the variant the watchlist, alert and history follow
+  const [variantId, setVariantId] = useState<string>('');
+  const [watchedVariants, setWatchedVariants] = useState<string[]>([]);
   const [hasAlert, setHasAlert] = useState<boolean>(false);
   const [alertPrice, setAlertPrice] = useState<number>(0);
+  const [stockAlertId, setStockAlertId] = useState<string | null>(null);
+  const [newFromRetailerOnly, setNewFromRetailerOnly] = useState<boolean>(false);
+  const [offers, setOffers] = useState<ProductOffer[]>([]);
+  const [offersCurrency, setOffersCurrency] = useState<string>(currency);
+  // Latest product for effects that should rerun on a new listing, not on every pushed price
+  const productRef = useRef<Product | null>(null);
+  productRef.current = product;
+  const currentProductId = product?._id;
 
   // Get the previous location from state passed via Link
   const previousPage = location.state?.from || '/search';
@@ -32,10 +48,96 @@ const ProductPage: React.FC = () => {
 
   useEffect(() => {
     if (id) {
+      setVariantId('');
       fetchProductDetails(id);
     }
   }, [id]);
 
+
+  // Prices of the same item on other retailers, in the user's currency and delivered to their country
+  useEffect(() => {
+    if (!id) return;
+
+    const fetchOffers = async () => {
+      try {
+        const offersResponse = await apiService.products.getOffers(
+          id,
+          currency,
+          useLandedCost ? { landedCost: true, deliveryCountry } : { deliveryCountry }
+        );
+        if (offersResponse.data && offersResponse.data.offers) {
+          setOffers(offersResponse.data.offers);
+          setOffersCurrency(offersResponse.data.currency);
+        }
+      } catch (error) {
+        console.error('Error fetching offers:', error);
+        // The comparison is optional, so the page works without it
+      }
+    };
+
+    fetchOffers();
+  }, [id, currency, useLandedCost, deliveryCountry]);
+
+  // Live price updates pushed by the backend when a new price is recorded
+  useEffect(() => {
+    if (!id) return;
+
+    return subscribe(`product:${id}`, (message) => {
+      if (message.type !== 'price_update') return;
+
+      setProduct(prev => prev ? { ...prev, currentPrice: message.price, currency: message.currency } : prev);
+      // Pushed prices are the listing's; a variant's history is only refreshed on reload
+      if (!variantId) {
+        setPriceHistory(prev => [
+          ...prev,
+          { price: message.price, currency: message.currency, date: message.date }
+        ]);
+      }
+    });
+  }, [id, variantId]);
+
+  // The active price alert on this product for the chosen variant
+  const findPriceAlert = useCallback((alerts: PriceAlert[], productId: string) => alerts.find(
+    (alert: PriceAlert) => alert.productId === productId && alert.active && alert.type !== 'back_in_stock' &&
+      (alert.variantId || '') === variantId
+  ), [variantId]);
+
+  const fetchVariantState = useCallback(async (current: Product) => {
+    const variant = current.variants?.find(item => item.variantId === variantId);
+    setAlertPrice(((variant && variant.currentPrice) || current.currentPrice) * 0.9); // 10% below current
+
+    try {
+      const historyResponse = await apiService.products.getPriceHistory(current._id, variantId || undefined);
+      if (historyResponse.data && historyResponse.data.priceHistory) {
+        setPriceHistory(historyResponse.data.priceHistory);
+      }
+    } catch (error) {
+      console.error('Error fetching price history:', error);
+      setPriceHistory([]);
+    }
+
+    try {
+      const alertsResponse = await apiService.alerts.getAll();
+      if (alertsResponse.data && alertsResponse.data.alerts) {
+        const productAlert = findPriceAlert(alertsResponse.data.alerts, current._id);
+        setHasAlert(!!productAlert);
+        setNewFromRetailerOnly(Boolean(productAlert && productAlert.offerFilter && productAlert.offerFilter.soldByRetailer));
+        if (productAlert && productAlert.targetPrice !== undefined) {
+          setAlertPrice(productAlert.targetPrice);
+        }
+      }
+    } catch (error) {
+      console.error('Error fetching price alerts:', error);
+    }
+  }, [variantId, findPriceAlert]);
+
+  // Price history and the price alert follow the chosen variant
+  useEffect(() => {
+    if (currentProductId && productRef.current) {
+      fetchVariantState(productRef.current);
+    }
+  }, [currentProductId, fetchVariantState]);
+
   const fetchProductDetails = async (productId: string) => {
     try {
       setLoading(true);
@@ -44,34 +146,23 @@ const ProductPage: React.FC = () => {
       const productResponse = await apiService.products.getById(productId);
       if (productResponse.data && productResponse.data.product) {
         setProduct(productResponse.data.product);
-        setAlertPrice(productResponse.data.product.currentPrice * 0.9); // Set default alert price at 10% below current
-      }
-
-      // Fetch price history
-      const historyResponse = await apiService.products.getPriceHistory(productId);
-      if (historyResponse.data && historyResponse.data.priceHistory) {
-        setPriceHistory(historyResponse.data.priceHistory);
       }
 
-      // Check if in watchlist
+      // Check which entries for this product (the listing, or single variants) are in the watchlist
       const watchlistResponse = await apiService.watchlist.getAll();
       if (watchlistResponse.data && watchlistResponse.data.items) {
-        const isInWatchlist = watchlistResponse.data.items.some(
-          (item: WatchlistItem) => item.productId === productId
-        );
-        setInWatchlist(isInWatchlist);
+        setWatchedVariants(watchlistResponse.data.items
+          .filter((item: WatchlistItem) => item.productId === productId)
+          .map((item: WatchlistItem) => item.variantId || ''));
       }
 
-      // Check if has alert
+      // Check if has a stock alert; price alerts depend on the chosen variant
       const alertsResponse = await apiService.alerts.getAll();
       if (alertsResponse.data && alertsResponse.data.alerts) {
-        const productAlert = alertsResponse.data.alerts.find(
-          (alert: PriceAlert) => alert.productId === productId && alert.active
+        const stockAlert = alertsResponse.data.alerts.find(
+          (alert: PriceAlert) => alert.productId === productId && alert.active && alert.type === 'back_in_stock'
         );
-        setHasAlert(!!productAlert);
-        if (productAlert) {
-          setAlertPrice(productAlert.targetPrice);
-        }
+        setStockAlertId(stockAlert ? stockAlert._id : null);
       }
 
       // Fetch price predictions
@@ -114,8 +205,8 @@ const ProductPage: React.FC = () => {
         return;
       }
       
-      await apiService.watchlist.addProduct(product._id);
-      setInWatchlist(true);
+      await apiService.watchlist.addProduct(product._id, variantId || undefined);
+      setWatchedVariants(prev => [...prev, variantId]);
       toast.success('Product added to watchlist');
     } catch (error) {
       const errorMessage = handleApiError(error, 'Add to watchlist');
@@ -127,8 +218,8 @@ const ProductPage: React.FC = () => {
     if (!product) return;
     
     try {
-      await apiService.watchlist.removeProduct(product._id);
-      setInWatchlist(false);
+      await apiService.watchlist.removeProduct(product._id, variantId);
+      setWatchedVariants(prev => prev.filter(watched => watched !== variantId));
       toast.success('Product removed from watchlist');
     } catch (error) {
       console.error('Error removing from watchlist:', error);
@@ -136,6 +227,10 @@ const ProductPage: React.FC = () => {
     }
   };
 
+  // Marketplace listings can be restricted to new items the retailer sells itself.
+  // Seller offers are only known for the selected variant, so variant alerts can't be.
+  const getOfferFilter = () => (newFromRetailerOnly && !variantId ? { condition: 'new' as const, soldByRetailer: true } : null);
+
   const handleCreateAlert = async () => {
     if (!product) return;
     
@@ -147,7 +242,10 @@ const ProductPage: React.FC = () => {
         return;
       }
       
-      await apiService.alerts.create(product._id, alertPrice);
+      await apiService.alerts.create(product._id, alertPrice, {
+        offerFilter: getOfferFilter(),
+        variantId: variantId || undefined
+      });
       setHasAlert(true);
       toast.success('Price alert created successfully');
     } catch (error) {
@@ -162,12 +260,10 @@ const ProductPage: React.FC = () => {
     try {
       const alertsResponse = await apiService.alerts.getAll();
       if (alertsResponse.data && alertsResponse.data.alerts) {
-        const productAlert = alertsResponse.data.alerts.find(
-          (alert: PriceAlert) => alert.productId === product._id && alert.active
-        );
+        const productAlert = findPriceAlert(alertsResponse.data.alerts, product._id);
         
         if (productAlert) {
-          await apiService.alerts.update(productAlert._id, { targetPrice: alertPrice });
+          await apiService.alerts.update(productAlert._id, { targetPrice: alertPrice, offerFilter: getOfferFilter() });
           toast.success('Price alert updated successfully');
         } else {
           await handleCreateAlert();
@@ -185,9 +281,7 @@ const ProductPage: React.FC = () => {
     try {
       const alertsResponse = await apiService.alerts.getAll();
       if (alertsResponse.data && alertsResponse.data.alerts) {
-        const productAlert = alertsResponse.data.alerts.find(
-          (alert: PriceAlert) => alert.productId === product._id && alert.active
-        );
+        const productAlert = findPriceAlert(alertsResponse.data.alerts, product._id);
         
         if (productAlert) {
           await apiService.alerts.delete(productAlert._id);
@@ -201,10 +295,51 @@ const ProductPage: React.FC = () => {
     }
   };
 
+  const handleCreateStockAlert = async () => {
+    if (!product) return;
+    
+    try {
+      if (!(await checkAuthentication())) {
+        toast.error('Please log in to create stock alerts');
+        return;
+      }
+      
+      const response = await apiService.alerts.create(product._id, undefined, { type: 'back_in_stock' });
+      const created = response.data.alerts.find(
+        (alert: PriceAlert) => alert.productId === product._id && alert.active && alert.type === 'back_in_stock'
+      );
+      setStockAlertId(created ? created._id : null);
+      toast.success("We'll let you know when it's back in stock");
+    } catch (error) {
+      const errorMessage = handleApiError(error, 'Create stock alert');
+      toast.error(errorMessage);
+    }
+  };
+
+  const handleDeleteStockAlert = async () => {
+    if (!stockAlertId) return;
+    
+    try {
+      await apiService.alerts.delete(stockAlertId);
+      setStockAlertId(null);
+      toast.success('Stock alert deleted');
+    } catch (error) {
+      console.error('Error deleting stock alert:', error);
+      toast.error('Failed to delete stock alert');
+    }
+  };
+
   const formatDate = (dateString: string) => {
     return new Date(dateString).toLocaleDateString();
   };
 
+  const formatAge = (minutes: number) => {
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    if (minutes < 60 * 24) return `${Math.round(minutes / 60)} h ago`;
+    return `${Math.round(minutes / (60 * 24))} d ago`;
+  };
+
   // Get product currency based on source
   const getProductCurrency = (product: Product): string => {
     if (product.currency && typeof product.currency === 'string') return product.currency;
@@ -241,6 +376,9 @@ const ProductPage: React.FC = () => {
   }
 
   const productCurrency = getProductCurrency(product);
+  const inWatchlist = watchedVariants.includes(variantId);
+  const chosenVariant = product.variants && product.variants.find(variant => variant.variantId === variantId);
+  const featuredOffer = product.sellerOffers && product.sellerOffers.find(offer => offer.featured);
   
   // Convert price history for chart
   const priceChartData = priceHistory.map(entry => ({
@@ -337,8 +475,55 @@ const ProductPage: React.FC = () => {
                   </span>
                 </p>
               )}
+              
+              {featuredOffer && featuredOffer.seller && (
+                <p className="text-sm text-gray-500 mt-1">
+                  Sold by {featuredOffer.seller}
+                  {featuredOffer.condition !== 'new' && <span className="capitalize"> ({featuredOffer.condition})</span>}
+                  {featuredOffer.shippingCost !== undefined && (
+                    <span>
+                      {' · '}
+                      {featuredOffer.shippingCost > 0
+                        ? `${formatCurrency(featuredOffer.shippingCost, featuredOffer.currency)} shipping`
+                        : 'Free shipping'}
+                    </span>
+                  )}
+                </p>
+              )}
+              
+              <AvailabilityBadge
+                availability={product.availability}
+                deliveryEstimate={product.deliveryEstimate}
+                className="mt-2"
+              />
             </div>
             
+            {product.variants && product.variants.length > 1 && (
+              <div className="mb-4">
+                <label htmlFor="variant" className="block text-sm text-gray-500 mb-1">
+                  Watch and alert on
+                </label>
+                <select
+                  id="variant"
+                  value={variantId}
+                  onChange={(e) => setVariantId(e.target.value)}
+                  className="border rounded py-2 px-3 text-gray-700 focus:outline-none focus:shadow-outline"
+                >
+                  <option value="">Whichever variant the page shows</option>
+                  {product.variants.map(variant => (
+                    <option key={variant.variantId} value={variant.variantId}>
+                      {variant.label || variant.variantId}
+                      {variant.currentPrice ? ` - ${formatCurrency(variant.currentPrice, variant.currency || productCurrency)}` : ''}
+                      {variant.selected ? ' (shown)' : ''}
+                    </option>
+                  ))}
+                </select>
+                {chosenVariant && (
+                  <AvailabilityBadge availability={chosenVariant.availability} className="mt-2" />
+                )}
+              </div>
+            )}
+            
             <div className="flex flex-wrap gap-2">
               {inWatchlist ? (
                 <button
@@ -364,14 +549,135 @@ const ProductPage: React.FC = () => {
               >
                 View on {product.source}
               </a>
+              
+              {product.availability && !isInStock(product.availability) && (
+                stockAlertId ? (
+                  <button
+                    onClick={handleDeleteStockAlert}
+                    className="px-4 py-2 bg-gray-200 text-gray-800 rounded hover:bg-gray-300 transition"
+                  >
+                    Cancel Stock Alert
+                  </button>
+                ) : (
+                  <button
+                    onClick={handleCreateStockAlert}
+                    className="px-4 py-2 bg-green-600 text-white rounded hover:bg-green-700 transition"
+                  >
+                    Notify Me When Back in Stock
+                  </button>
+                )
+              )}
             </div>
           </div>
         </div>
       </div>
       
+      {/* Price Comparison */}
+      {offers.length > 1 && (
+        <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+          <h2 className="text-xl font-semibold mb-4">Compare Prices</h2>
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b">
+                  <th className="py-2 pr-4 font-medium">Retailer</th>
+                  <th className="py-2 pr-4 font-medium">Price</th>
+                  <th className="py-2 pr-4 font-medium">Delivered</th>
+                  <th className="py-2 pr-4 font-medium">Lowest Ever</th>
+                  <th className="py-2 pr-4 font-medium">Updated</th>
+                  <th className="py-2 font-medium"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {offers.map(offer => (
+                  <tr
+                    key={offer.productId}
+                    className={`border-b last:border-0 ${offer.isCheapest ? 'bg-green-50' : ''}`}
+                  >
+                    <td className="py-3 pr-4">
+                      <div className="font-medium text-gray-900">{offer.source}</div>
+                      {offer.isCurrent ? (
+                        <div className="text-xs text-gray-500">This listing</div>
+                      ) : (
+                        <Link to={`/product/${offer.productId}`} className="text-xs text-blue-600 hover:underline">
+                          {offer.title}
+                        </Link>
+                      )}
+                      <AvailabilityBadge
+                        availability={offer.availability}
+                        deliveryEstimate={offer.deliveryEstimate}
+                        className="mt-1"
+                      />
+                    </td>
+                    <td className="py-3 pr-4">
+                      {offer.price !== null ? (
+                        <span className={`font-semibold ${offer.isCheapest ? 'text-green-700' : 'text-gray-900'}`}>
+                          {formatCurrency(offer.price, offersCurrency)}
+                        </span>
+                      ) : (
+                        <span className="text-gray-900">{formatCurrency(offer.sourcePrice, offer.sourceCurrency)}</span>
+                      )}
+                      {offer.isCheapest && (
+                        <span className="ml-2 px-2 py-0.5 text-xs font-medium bg-green-100 text-green-800 rounded-full">
+                          Cheapest
+                        </span>
+                      )}
+                      {offer.discountPercent > 0 && (
+                        <div className="text-xs text-gray-500">{Math.round(offer.discountPercent)}% off list</div>
+                      )}
+                    </td>
+                    <td className="py-3 pr-4 text-gray-700">
+                      {offer.landedPrice !== null ? formatCurrency(offer.landedPrice, offersCurrency) : '-'}
+                      <div className="text-xs text-gray-500">
+                        {offer.shippingCost === null
+                          ? 'Shipping not shown'
+                          : offer.shippingCost > 0
+                            ? `incl. ${formatCurrency(offer.shippingCost, offersCurrency)} shipping`
+                            : 'Free shipping'}
+                      </div>
+                      {offer.crossBorder && (
+                        <div className="text-xs text-gray-500">
+                          {offer.importCharges
+                            ? `incl. ${formatCurrency(offer.importCharges, offersCurrency)} import charges`
+                            : 'Import charges may apply'}
+                        </div>
+                      )}
+                    </td>
+                    <td className="py-3 pr-4 text-gray-700">
+                      {offer.lowestPrice !== null ? (
+                        <>
+                          {formatCurrency(offer.lowestPrice, offersCurrency)}
+                          {offer.lowestPriceDate && (
+                            <div className="text-xs text-gray-500">{formatDate(offer.lowestPriceDate)}</div>
+                          )}
+                        </>
+                      ) : '-'}
+                    </td>
+                    <td className="py-3 pr-4 text-gray-500">{formatAge(offer.ageMinutes)}</td>
+                    <td className="py-3 text-right">
+                      <a
+                        href={offer.url}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="px-3 py-1 bg-gray-200 text-gray-800 rounded hover:bg-gray-300 transition"
+                      >
+                        Visit
+                      </a>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+      
       {/* Price Alert Section */}
       <div className="bg-white rounded-lg shadow-md p-6 mb-6">
-        <h2 className="text-xl font-semibold mb-4">Price Alert</h2>
+        <h2 className="text-xl font-semibold mb-4">
+          Price Alert
+          {chosenVariant && <span className="text-base font-normal text-gray-500"> for {chosenVariant.label || chosenVariant.variantId}</span>}
+        </h2>
         <div className="flex flex-col md:flex-row md:items-end gap-4">
           <div className="flex-1">
             <label className="block text-gray-700 text-sm font-bold mb-2">
@@ -390,6 +696,22 @@ const ProductPage: React.FC = () => {
                 step="0.01"
               />
             </div>
+            {product.sellerOffers && product.sellerOffers.length > 0 && !chosenVariant && (
+              <label className="flex items-center mt-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={newFromRetailerOnly}
+                  onChange={(e) => setNewFromRetailerOnly(e.target.checked)}
+                  className="mr-2"
+                />
+                Only new items sold by {product.source} itself
+              </label>
+            )}
+            {useLandedCost && (
+              <p className="mt-2 text-xs text-gray-500">
+                Compared with the delivered price, including shipping and import charges
+              </p>
+            )}
           </div>
           <div className="flex gap-2">
             {hasAlert ? (
@@ -421,7 +743,10 @@ const ProductPage: React.FC = () => {
       
       {/* Price History Chart */}
       <div className="bg-white rounded-lg shadow-md p-6 mb-6">
-        <h2 className="text-xl font-semibold mb-4">Price History</h2>
+        <h2 className="text-xl font-semibold mb-4">
+          Price History
+          {chosenVariant && <span className="text-base font-normal text-gray-500"> for {chosenVariant.label || chosenVariant.variantId}</span>}
+        </h2>
         {priceHistory.length > 0 ? (
           <PriceChart priceData={priceChartData} />
         ) : (
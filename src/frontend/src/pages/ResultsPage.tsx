@@ -9,7 +9,8 @@ const ResultsPage: React.FC = () => {
     return (
         <div className="container mx-auto p-4">
             <h1 className="text-2xl font-bold mb-4">Search Results for: {searchQuery}</h1>
-            <ResultsList query={searchQuery} />
+            {/* Keyed so a new query starts from an unfiltered first page */}
+            <ResultsList key={searchQuery} query={searchQuery} />
         </div>
     );
 };
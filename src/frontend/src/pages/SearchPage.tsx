@@ -2,9 +2,30 @@ import React, { useState, useEffect } from 'react';
 import { useSearchParams, useLocation } from 'react-router-dom';
 import toast from 'react-hot-toast';
 import apiService from '../services/api';
-import { Product } from '../types';
+import { subscribe } from '../services/socket';
+import { Product, SearchJob, SearchJobStatus, SearchSourceProgress } from '../types';
 import ProductCard from '../components/Products/ProductCard';
 
+// Add newly scraped products, replacing stored copies of the same product
+const mergeProducts = (current: Product[], incoming: Product[]): Product[] => {
+  if (!incoming || incoming.length === 0) return current;
+
+  const incomingById = new Map(incoming.map(product => [product._id, product]));
+  const merged = current.map(product => incomingById.get(product._id) || product);
+  const existingIds = new Set(current.map(product => product._id));
+
+  return [...merged, ...incoming.filter(product => !existingIds.has(product._id))];
+};
+
+const SOURCE_STATUS_LABELS: Record<SearchSourceProgress['status'], string> = {
+  pending: 'waiting',
+  running: 'searching...',
+  completed: 'done',
+  failed: 'failed',
+  skipped: 'unavailable',
+  cached: 'cached'
+};
+
 const SearchPage: React.FC = () => {
   const [searchParams, setSearchParams] = useSearchParams();
   const location = useLocation();
@@ -18,6 +39,10 @@ const SearchPage: React.FC = () => {
   const [currency, setCurrency] = useState<string>('USD');
   const [supportedCurrencies, setSupportedCurrencies] = useState<string[]>([]);
   const [hasSearched, setHasSearched] = useState<boolean>(false);
+  const [jobId, setJobId] = useState<string | null>(null);
+  const [jobStatus, setJobStatus] = useState<SearchJobStatus | null>(null);
+  const [sourceProgress, setSourceProgress] = useState<Record<string, SearchSourceProgress>>({});
+  const searching = jobStatus === 'queued' || jobStatus === 'running';
 
   // Load results from session storage on mount
   useEffect(() => {
@@ -72,19 +97,67 @@ const SearchPage: React.FC = () => {
     }
   }, [initialQuery, hasSearched]);
 
-  const handleSearch = async () => {
+  // Follow the background scrape and add each source's products as it finishes
+  useEffect(() => {
+    if (!jobId) return;
+
+    const applySnapshot = (job: SearchJob) => {
+      setResults(prev => mergeProducts(prev, job.products));
+      setJobStatus(job.status);
+      setSourceProgress(prev => ({ ...prev, ...job.sources }));
+    };
+
+    const unsubscribe = subscribe(`search:${jobId}`, (message) => {
+      switch (message.type) {
+        case 'search_started':
+          setJobStatus('running');
+          setSourceProgress(prev => ({ ...prev, ...message.sources }));
+          break;
+        case 'search_results':
+          setResults(prev => mergeProducts(prev, message.products));
+          setSourceProgress(prev => ({
+            ...prev,
+            [message.source]: { status: message.status, count: message.products.length, error: message.error }
+          }));
+          break;
+        case 'search_complete':
+          setJobStatus(message.status);
+          setSourceProgress(prev => ({ ...prev, ...message.sources }));
+          break;
+      }
+    });
+
+    // Catch up on sources that finished before the subscription was in place
+    const loadSnapshot = async () => {
+      try {
+        const response = await apiService.products.getSearchJob(jobId);
+        applySnapshot(response.data.job);
+      } catch (err) {
+        console.error('Error loading search job:', err);
+      }
+    };
+    loadSnapshot();
+
+    return unsubscribe;
+  }, [jobId]);
+
+  // refresh ignores cached results and scrapes every source again
+  const handleSearch = async (refresh: boolean = false) => {
     if (!query.trim()) return;
     
     setLoading(true);
     setError(null);
     setDebugInfo(null);
+    setJobId(null);
+    setJobStatus(null);
+    setSourceProgress({});
     
     try {
       // Update URL with search query
       setSearchParams({ q: query });
       
       console.log('Starting search for:', query);
-      const response = await apiService.products.search(query);
+      const response = await apiService.products.search(query, { refresh });
       console.log('Search response received:', response.data);
       
       // Handle different possible response formats from the backend
@@ -125,9 +198,24 @@ const SearchPage: React.FC = () => {
         setCurrency(response.data.currency);
       }
       
-      // Handle case where no products were found
-      if (products.length === 0) {
-        setError('No products found. Try a different search term.');
+      // Sources answered from the search cache aren't scraped again
+      const cachedProgress: Record<string, SearchSourceProgress> = {};
+      ((response.data && response.data.cache && response.data.cache.freshSources) || []).forEach((source: string) => {
+        cachedProgress[source] = {
+          status: 'cached',
+          count: products.filter(product => product.source === source).length
+        };
+      });
+      
+      // Live results arrive over the WebSocket while the background scrape runs
+      if (response.data && response.data.jobId) {
+        setJobId(response.data.jobId);
+        setJobStatus(response.data.jobStatus);
+        setSourceProgress({ ...cachedProgress, ...(response.data.sources || {}) });
+      } else if (products.length === 0) {
+        setError(response.data && response.data.jobStatus === 'busy'
+          ? 'Live search is busy right now. Please try again in a moment.'
+          : 'No products found. Try a different search term.');
       }
       
       // Log success for debugging
@@ -181,6 +269,9 @@ const SearchPage: React.FC = () => {
     setError(null);
     setDebugInfo(null);
     setHasSearched(false);
+    setJobId(null);
+    setJobStatus(null);
+    setSourceProgress({});
     setSearchParams({});
     // Clear session storage
     sessionStorage.removeItem('searchResults');
@@ -210,7 +301,7 @@ const SearchPage: React.FC = () => {
             />
           </div>
           <button
-            onClick={handleSearch}
+            onClick={() => handleSearch()}
             disabled={loading}
             className="inline-flex items-center px-4 py-3 border border-transparent rounded-r-md shadow-sm text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50"
           >
@@ -218,6 +309,30 @@ const SearchPage: React.FC = () => {
           </button>
         </div>
 
+        {Object.keys(sourceProgress).length > 0 && (
+          <div className="flex flex-wrap justify-center items-center gap-2 text-sm">
+            {searching && (
+              <div className="w-4 h-4 border-2 border-primary-600 border-t-transparent rounded-full animate-spin"></div>
+            )}
+            {Object.entries(sourceProgress).map(([source, progress]) => (
+              <span
+                key={source}
+                title={progress.error}
+                className={`px-3 py-1 rounded-full ${
+                  progress.status === 'completed' || progress.status === 'cached' ? 'bg-green-100 text-green-800' :
+                  progress.status === 'failed' ? 'bg-red-100 text-red-800' :
+                  progress.status === 'skipped' ? 'bg-gray-100 text-gray-500' :
+                  'bg-blue-100 text-blue-800'
+                }`}
+              >
+                {source}: {progress.status === 'completed' ? `${progress.count} found` :
+                  progress.status === 'cached' ? `${progress.count} cached` :
+                  SOURCE_STATUS_LABELS[progress.status]}
+              </span>
+            ))}
+          </div>
+        )}
+
         {error && (
           <div className="bg-red-50 border-l-4 border-red-400 p-4">
             <div className="text-red-700">{error}</div>
@@ -238,12 +353,21 @@ const SearchPage: React.FC = () => {
               <h2 className="text-xl font-bold text-gray-900">
                 Search Results ({results.length})
               </h2>
-              <button
-                onClick={handleClearResults}
-                className="px-3 py-1 text-sm bg-gray-200 hover:bg-gray-300 text-gray-700 rounded transition"
-              >
-                Clear Results
-              </button>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => handleSearch(true)}
+                  disabled={loading || searching}
+                  className="px-3 py-1 text-sm bg-primary-100 hover:bg-primary-200 text-primary-700 rounded transition disabled:opacity-50"
+                >
+                  Refresh Live Results
+                </button>
+                <button
+                  onClick={handleClearResults}
+                  className="px-3 py-1 text-sm bg-gray-200 hover:bg-gray-300 text-gray-700 rounded transition"
+                >
+                  Clear Results
+                </button>
+              </div>
             </div>
             
             <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
@@ -254,7 +378,7 @@ const SearchPage: React.FC = () => {
           </div>
         )}
 
-        {!loading && !error && results.length === 0 && initialQuery && (
+        {!loading && !searching && !error && results.length === 0 && initialQuery && (
           <div className="text-center py-12">
             <p className="text-gray-500 text-lg">
               No products found for "{initialQuery}". Try a different search term.
@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { toast } from 'react-hot-toast';
 import { useAuth } from '../contexts/AuthContext';
 import apiService from '../services/api';
+import { DigestPreferences } from '../types';
 
 // Currency options with full names
 const currencyOptions = [
@@ -27,11 +28,55 @@ const currencyOptions = [
   { code: 'ZAR', name: 'South African Rand' }
 ];
 
+// Countries orders can be delivered to, for landed cost comparisons
+const countryOptions = [
+  { code: 'US', name: 'United States' },
+  { code: 'GB', name: 'United Kingdom' },
+  { code: 'IN', name: 'India' },
+  { code: 'CA', name: 'Canada' },
+  { code: 'AU', name: 'Australia' },
+  { code: 'NZ', name: 'New Zealand' },
+  { code: 'DE', name: 'Germany' },
+  { code: 'FR', name: 'France' },
+  { code: 'IT', name: 'Italy' },
+  { code: 'ES', name: 'Spain' },
+  { code: 'NL', name: 'Netherlands' },
+  { code: 'SE', name: 'Sweden' },
+  { code: 'NO', name: 'Norway' },
+  { code: 'CH', name: 'Switzerland' },
+  { code: 'JP', name: 'Japan' },
+  { code: 'KR', name: 'South Korea' },
+  { code: 'CN', name: 'China' },
+  { code: 'HK', name: 'Hong Kong' },
+  { code: 'SG', name: 'Singapore' },
+  { code: 'BR', name: 'Brazil' },
+  { code: 'MX', name: 'Mexico' },
+  { code: 'TR', name: 'Turkey' },
+  { code: 'ZA', name: 'South Africa' }
+];
+
+const weekdayOptions = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const defaultDigest: DigestPreferences = {
+  frequency: 'off',
+  time: '08:00',
+  dayOfWeek: 1,
+  timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'
+};
+
+// Country code is '' while unset so the select stays controlled
+type DeliveryPreferences = {
+  deliveryCountry: string;
+  useLandedCost: boolean;
+};
+
 const SettingsPage: React.FC = () => {
   const { user, updateUser } = useAuth();
   const [displayCurrency, setDisplayCurrency] = useState<string>('USD');
   const [isLoading, setIsLoading] = useState<boolean>(false);
   const [supportedCurrencies, setSupportedCurrencies] = useState<string[]>([]);
+  const [digest, setDigest] = useState<DigestPreferences>(defaultDigest);
+  const [delivery, setDelivery] = useState<DeliveryPreferences>({ deliveryCountry: '', useLandedCost: false });
 
   // Load user preferences and supported currencies on mount
   useEffect(() => {
@@ -42,6 +87,13 @@ const SettingsPage: React.FC = () => {
         if (user?.preferences?.currency) {
           setDisplayCurrency(user.preferences.currency);
         }
+        if (user?.preferences?.digest) {
+          setDigest(user.preferences.digest);
+        }
+        setDelivery({
+          deliveryCountry: user?.preferences?.deliveryCountry || '',
+          useLandedCost: Boolean(user?.preferences?.useLandedCost)
+        });
 
         // Fetch supported currencies from backend
         const response = await apiService.products.getSupportedCurrencies();
@@ -80,8 +132,7 @@ const SettingsPage: React.FC = () => {
           name: user.name,
           email: user.email,
           preferences: {
-            emailNotifications: user.preferences.emailNotifications,
-            desktopNotifications: user.preferences.desktopNotifications,
+            ...user.preferences,
             currency: newCurrency
           }
         });
@@ -98,6 +149,85 @@ const SettingsPage: React.FC = () => {
     }
   };
 
+  const handleDigestChange = async (updates: Partial<DigestPreferences>) => {
+    const previousDigest = digest;
+    // Deliver at the chosen time in the browser's timezone
+    const newDigest = {
+      ...digest,
+      ...updates,
+      timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || digest.timezone
+    };
+    setDigest(newDigest);
+
+    try {
+      setIsLoading(true);
+      await apiService.auth.updateProfile({
+        preferences: {
+          ...user?.preferences,
+          digest: newDigest
+        }
+      });
+
+      if (updateUser && user) {
+        updateUser({
+          ...user,
+          preferences: {
+            ...user.preferences,
+            digest: newDigest
+          }
+        });
+      }
+
+      toast.success(newDigest.frequency === 'off' ? 'Watchlist digest turned off' : 'Watchlist digest updated');
+    } catch (error) {
+      console.error('Error updating digest preference:', error);
+      toast.error('Failed to update digest preference');
+      setDigest(previousDigest);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleDeliveryChange = async (updates: Partial<DeliveryPreferences>) => {
+    const previousDelivery = delivery;
+    const newDelivery = { ...delivery, ...updates };
+    setDelivery(newDelivery);
+
+    // Null clears the country; an empty string would fail validation
+    const preferences = {
+      deliveryCountry: newDelivery.deliveryCountry || null,
+      useLandedCost: newDelivery.useLandedCost
+    };
+
+    try {
+      setIsLoading(true);
+      await apiService.auth.updateProfile({
+        preferences: {
+          ...user?.preferences,
+          ...preferences
+        }
+      });
+
+      if (updateUser && user) {
+        updateUser({
+          ...user,
+          preferences: {
+            ...user.preferences,
+            ...preferences
+          }
+        });
+      }
+
+      toast.success('Delivery settings updated');
+    } catch (error) {
+      console.error('Error updating delivery preference:', error);
+      toast.error('Failed to update delivery settings');
+      setDelivery(previousDelivery);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   // Helper to get full currency name
   const getCurrencyName = (code: string): string => {
     const currency = currencyOptions.find(curr => curr.code === code);
@@ -148,6 +278,106 @@ const SettingsPage: React.FC = () => {
         </div>
       </div>
 
+      <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+        <h2 className="text-xl font-semibold mb-4">Delivery</h2>
+
+        <div className="mb-4">
+          <label htmlFor="deliveryCountry" className="block text-sm font-medium text-gray-700 mb-1">
+            Delivery Country
+          </label>
+          <select
+            id="deliveryCountry"
+            value={delivery.deliveryCountry}
+            onChange={(e) => handleDeliveryChange({ deliveryCountry: e.target.value })}
+            disabled={isLoading}
+            className="block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+          >
+            <option value="">Not set</option>
+            {countryOptions.map(country => (
+              <option key={country.code} value={country.code}>{country.name}</option>
+            ))}
+          </select>
+        </div>
+
+        <label className="flex items-center text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={delivery.useLandedCost}
+            onChange={(e) => handleDeliveryChange({ useLandedCost: e.target.checked })}
+            disabled={isLoading}
+            className="mr-2"
+          />
+          Compare prices including shipping and import charges
+        </label>
+        <p className="mt-2 text-sm text-gray-500">
+          Search sorting, price comparisons and target price alerts use the delivered price.
+          Import charges are only added for retailers outside your delivery country.
+        </p>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+        <h2 className="text-xl font-semibold mb-4">Watchlist Digest</h2>
+
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          <div>
+            <label htmlFor="digestFrequency" className="block text-sm font-medium text-gray-700 mb-1">
+              Frequency
+            </label>
+            <select
+              id="digestFrequency"
+              value={digest.frequency}
+              onChange={(e) => handleDigestChange({ frequency: e.target.value as DigestPreferences['frequency'] })}
+              disabled={isLoading}
+              className="block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+            >
+              <option value="off">Off</option>
+              <option value="daily">Daily</option>
+              <option value="weekly">Weekly</option>
+            </select>
+          </div>
+
+          {digest.frequency === 'weekly' && (
+            <div>
+              <label htmlFor="digestDay" className="block text-sm font-medium text-gray-700 mb-1">
+                Day
+              </label>
+              <select
+                id="digestDay"
+                value={digest.dayOfWeek}
+                onChange={(e) => handleDigestChange({ dayOfWeek: parseInt(e.target.value) })}
+                disabled={isLoading}
+                className="block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+              >
+                {weekdayOptions.map((day, index) => (
+                  <option key={day} value={index}>{day}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {digest.frequency !== 'off' && (
+            <div>
+              <label htmlFor="digestTime" className="block text-sm font-medium text-gray-700 mb-1">
+                Time
+              </label>
+              <input
+                id="digestTime"
+                type="time"
+                step={3600}
+                value={digest.time}
+                onChange={(e) => e.target.value && handleDigestChange({ time: e.target.value })}
+                disabled={isLoading}
+                className="block w-full px-3 py-2 text-base border-gray-300 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+              />
+            </div>
+          )}
+        </div>
+        <p className="mt-2 text-sm text-gray-500">
+          A summary email of watchlist price changes, new all-time lows and upcoming predicted drops,
+          sent within the hour you choose ({digest.timezone})
+        </p>
+      </div>
+
       <div className="bg-white rounded-lg shadow-md p-6">
         <h2 className="text-xl font-semibold mb-4">Account Settings</h2>
         {user ? (
@@ -1,13 +1,19 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import apiService from '../services/api';
-import { Product, WatchlistItem } from '../types';
+import { Product, ProductVariant, WatchlistItem } from '../types';
 import toast from 'react-hot-toast';
 import { useCurrency } from '../contexts/CurrencyContext';
 
+// A watched product, or one watched variant of it
+interface WatchedEntry {
+  product: Product;
+  variant: ProductVariant | null;
+}
+
 const WatchlistPage: React.FC = () => {
   const [loading, setLoading] = useState<boolean>(true);
-  const [watchlistProducts, setWatchlistProducts] = useState<Product[]>([]);
+  const [watchlistProducts, setWatchlistProducts] = useState<WatchedEntry[]>([]);
   const navigate = useNavigate();
   const { formatCurrency } = useCurrency();
 
@@ -24,12 +30,12 @@ const WatchlistPage: React.FC = () => {
         let products = [];
         
         if (response.data.items) {
-          products = response.data.items.map((item: WatchlistItem) => item.product);
+          products = response.data.items.map((item: WatchlistItem) => ({ product: item.product, variant: item.variant || null }));
         } 
         else if (response.data.watchlist) {
           products = response.data.watchlist
             .filter((item: WatchlistItem) => item.productId)
-            .map((item: WatchlistItem) => item.productId);
+            .map((item: WatchlistItem) => ({ product: item.productId, variant: null }));
         }
         
         setWatchlistProducts(products);
@@ -42,10 +48,11 @@ const WatchlistPage: React.FC = () => {
     }
   };
 
-  const handleRemoveFromWatchlist = async (productId: string) => {
+  const handleRemoveFromWatchlist = async (entry: WatchedEntry) => {
     try {
-      await apiService.watchlist.removeProduct(productId);
-      setWatchlistProducts(watchlistProducts.filter(product => product._id !== productId));
+      // '' removes just the entry for the whole listing, leaving any watched variants
+      await apiService.watchlist.removeProduct(entry.product._id, entry.variant ? entry.variant.variantId : '');
+      setWatchlistProducts(watchlistProducts.filter(watched => watched !== entry));
       toast.success('Product removed from watchlist');
     } catch (error) {
       console.error('Error removing product from watchlist:', error);
@@ -53,14 +60,11 @@ const WatchlistPage: React.FC = () => {
     }
   };
 
-  const handleCreateAlert = async (productId: string) => {
+  const handleCreateAlert = async ({ product, variant }: WatchedEntry) => {
     try {
-      const product = watchlistProducts.find(p => p._id === productId);
-      if (!product) return;
-
       // Set alert for 10% below current price as a default
-      const targetPrice = product.currentPrice * 0.9;
-      await apiService.alerts.create(productId, targetPrice);
+      const targetPrice = ((variant && variant.currentPrice) || product.currentPrice) * 0.9;
+      await apiService.alerts.create(product._id, targetPrice, variant ? { variantId: variant.variantId } : undefined);
       toast.success('Price alert created successfully');
     } catch (error) {
       console.error('Error creating price alert:', error);
@@ -118,73 +122,81 @@ const WatchlistPage: React.FC = () => {
       <h1 className="text-3xl font-bold mb-6">Your Watchlist</h1>
       
       <div className="grid grid-cols-1 gap-6">
-        {watchlistProducts.map(product => (
-          <div key={product._id} className="bg-white rounded-lg shadow-md overflow-hidden">
-            <div className="p-6">
-              <div className="flex flex-col md:flex-row justify-between">
-                <div className="flex-1">
-                  <h2 className="text-xl font-bold text-gray-900 mb-2">{product.title}</h2>
-                  <p className="text-gray-500 mb-2">From {product.source}</p>
-                  {product.rating !== undefined && (
-                    <div className="flex items-center mb-2">
-                      <div className="flex items-center">
-                        {[...Array(5)].map((_, i) => (
-                          <svg 
-                            key={i}
-                            className={`w-4 h-4 ${i < Math.round(product.rating || 0) ? 'text-yellow-400' : 'text-gray-300'}`}
-                            fill="currentColor"
-                            viewBox="0 0 20 20"
-                          >
-                            <path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z" />
-                          </svg>
-                        ))}
+        {watchlistProducts.map(entry => {
+          const { product, variant } = entry;
+          return (
+            <div key={`${product._id}-${variant ? variant.variantId : ''}`} className="bg-white rounded-lg shadow-md overflow-hidden">
+              <div className="p-6">
+                <div className="flex flex-col md:flex-row justify-between">
+                  <div className="flex-1">
+                    <h2 className="text-xl font-bold text-gray-900 mb-2">{product.title}</h2>
+                    {variant && (
+                      <p className="text-sm text-gray-700 mb-1">Variant: {variant.label || variant.variantId}</p>
+                    )}
+                    <p className="text-gray-500 mb-2">From {product.source}</p>
+                    {product.rating !== undefined && (
+                      <div className="flex items-center mb-2">
+                        <div className="flex items-center">
+                          {[...Array(5)].map((_, i) => (
+                            <svg 
+                              key={i}
+                              className={`w-4 h-4 ${i < Math.round(product.rating || 0) ? 'text-yellow-400' : 'text-gray-300'}`}
+                              fill="currentColor"
+                              viewBox="0 0 20 20"
+                            >
+                              <path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z" />
+                            </svg>
+                          ))}
+                        </div>
+                        <span className="text-gray-600 ml-2">
+                          {product.rating !== undefined ? product.rating.toFixed(1) : '0.0'}
+                          {product.reviewCount && <span className="text-gray-400 text-sm"> ({product.reviewCount} reviews)</span>}
+                        </span>
                       </div>
-                      <span className="text-gray-600 ml-2">
-                        {product.rating !== undefined ? product.rating.toFixed(1) : '0.0'}
-                        {product.reviewCount && <span className="text-gray-400 text-sm"> ({product.reviewCount} reviews)</span>}
-                      </span>
-                    </div>
-                  )}
+                    )}
+                  </div>
+                  <div className="mt-4 md:mt-0 text-right">
+                    <p className="text-sm text-gray-500">Current Price</p>
+                    <p className="text-2xl font-bold text-blue-600">
+                      {variant && variant.currentPrice
+                        ? formatCurrency(variant.currentPrice, variant.currency || getProductCurrency(product))
+                        : formatCurrency(product.currentPrice, getProductCurrency(product))}
+                    </p>
+                  </div>
                 </div>
-                <div className="mt-4 md:mt-0 text-right">
-                  <p className="text-sm text-gray-500">Current Price</p>
-                  <p className="text-2xl font-bold text-blue-600">
-                    {formatCurrency(product.currentPrice, getProductCurrency(product))}
-                  </p>
+                
+                <div className="flex flex-wrap gap-2 mt-6">
+                  <button
+                    onClick={() => handleViewDetails(product._id)} 
+                    className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 transition"
+                  >
+                    View Details
+                  </button>
+                  <button
+                    onClick={() => handleCreateAlert(entry)}
+                    className="px-4 py-2 bg-green-600 text-white rounded hover:bg-green-700 transition"
+                  >
+                    Create Alert
+                  </button>
+                  <button
+                    onClick={() => handleRemoveFromWatchlist(entry)}
+                    className="px-4 py-2 bg-red-600 text-white rounded hover:bg-red-700 transition"
+                  >
+                    Remove
+                  </button>
+                  <a 
+                    href={product.url} 
+                    target="_blank" 
+                    rel="noopener noreferrer"
+                    className="px-4 py-2 bg-gray-200 text-gray-800 rounded hover:bg-gray-300 transition"
+                  >
+                    View on {product.source}
+                  </a>
                 </div>
               </div>
-              
-              <div className="flex flex-wrap gap-2 mt-6">
-                <button
-                  onClick={() => handleViewDetails(product._id)} 
-                  className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 transition"
-                >
-                  View Details
-                </button>
-                <button
-                  onClick={() => handleCreateAlert(product._id)}
-                  className="px-4 py-2 bg-green-600 text-white rounded hover:bg-green-700 transition"
-                >
-                  Create Alert
-                </button>
-                <button
-                  onClick={() => handleRemoveFromWatchlist(product._id)}
-                  className="px-4 py-2 bg-red-600 text-white rounded hover:bg-red-700 transition"
-                >
-                  Remove
-                </button>
-                <a 
-                  href={product.url} 
-                  target="_blank" 
-                  rel="noopener noreferrer"
-                  className="px-4 py-2 bg-gray-200 text-gray-800 rounded hover:bg-gray-300 transition"
-                >
-                  View on {product.source}
-                </a>
-              </div>
             </div>
-          </div>
-        ))}
+          );
+        })}
       </div>
     </div>
   );
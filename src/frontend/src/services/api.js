@@ -83,6 +83,17 @@ const directFetch = async (url, options = {}) => {
   return response.json();
 };
 
+// Sources go as a comma list; unset filters are left out
+const toListQuery = ({ sources, ...params }) => {
+  const query = Object.fromEntries(
+    Object.entries(params).filter(([, value]) => value !== undefined && value !== '')
+  );
+  if (sources && sources.length > 0) {
+    query.sources = sources.join(',');
+  }
+  return query;
+};
+
 const apiService = {
   // Auth endpoints
   auth: {
@@ -97,20 +108,26 @@ const apiService = {
   
   // Product endpoints
   products: {
-    search: async (query) => {
+    search: async (query, options = {}) => {
       // Validate query
       if (!query || typeof query !== 'string' || query.trim() === '') {
         return Promise.reject(new Error('Search query cannot be empty'));
       }
       
       console.log(`Searching for products with query: "${query}"`);
-      const searchUrl = `${API_URL}/products/search?query=${encodeURIComponent(query.trim())}`;
+      const { refresh, ...listParams } = options;
+      const params = {
+        query: query.trim(),
+        ...(refresh ? { refresh: true } : {}),
+        ...toListQuery(listParams)
+      };
+      const searchUrl = `${API_URL}/products/search?${new URLSearchParams(params).toString()}`;
       console.log(`Using API endpoint: ${searchUrl}`);
       
       try {
         // Try the axios instance first
         return await api.get('/products/search', {
-          params: { query: query.trim() },
+          params,
           timeout: 15000
         });
       } catch (axiosError) {
@@ -133,25 +150,45 @@ const apiService = {
         }
       }
     },
+    getSearchJob: (jobId) => api.get(`/products/search/jobs/${jobId}`),
+    list: (params = {}) => api.get('/products', { params: toListQuery(params) }),
     getById: (id) => api.get(`/products/${id}`),
-    getPriceHistory: (id) => api.get(`/products/${id}/price-history`),
-    getSupportedCurrencies: () => api.get('/products/currencies')
+    getPriceHistory: (id, variantId) => api.get(`/products/${id}/price-history`, { params: { variantId } }),
+    getOffers: (id, currency, landed = {}) => api.get(`/products/${id}/offers`, { params: { currency, ...landed } }),
+    getSupportedCurrencies: () => api.get('/products/currencies'),
+    refresh: (id) => api.post(`/products/${id}/refresh`, {}, { timeout: 120000 }),
+    refreshBatch: (productIds) => api.post('/products/refresh', { productIds }, { timeout: 600000 }),
+    track: (url, options = {}) => api.post('/products/track', { url, ...options }, { timeout: 120000 })
   },
   
   // Watchlist endpoints
   watchlist: {
     getAll: () => api.get('/watchlist'),
-    addProduct: (productId) => api.post('/watchlist', { productId }),
-    removeProduct: (productId) => api.delete(`/watchlist/${productId}`),
+    addProduct: (productId, variantId) => api.post('/watchlist', { productId, variantId }),
+    removeProduct: (productId, variantId) => api.delete(`/watchlist/${productId}`, { params: { variantId } }),
     getStats: () => api.get('/watchlist/stats')
   },
   
   // Alerts endpoints
   alerts: {
     getAll: () => api.get('/alerts'),
-    create: (productId, targetPrice) => api.post('/alerts', { productId, targetPrice }),
+    create: (productId, targetPrice, condition = {}) => api.post('/alerts', { productId, targetPrice, ...condition }),
     update: (alertId, data) => api.put(`/alerts/${alertId}`, data),
-    delete: (alertId) => api.delete(`/alerts/${alertId}`)
+    delete: (alertId) => api.delete(`/alerts/${alertId}`),
+    getHistory: (alertId) => api.get(`/alerts/${alertId}/history`)
+  },
+  
+  // Notifications endpoints
+  notifications: {
+    getAll: () => api.get('/notifications'),
+    markAsRead: (notificationId) => api.put(`/notifications/${notificationId}/read`),
+    markAllAsRead: () => api.put('/notifications/read-all'),
+    dismiss: (notificationId) => api.delete(`/notifications/${notificationId}`),
+    getChannels: () => api.get('/notifications/channels'),
+    addChannel: (channel) => api.post('/notifications/channels', channel),
+    updateChannel: (channelId, updates) => api.put(`/notifications/channels/${channelId}`, updates),
+    deleteChannel: (channelId) => api.delete(`/notifications/channels/${channelId}`),
+    sendTest: (channelId) => api.post('/notifications/test', { channelId })
   },
   
   // Collections endpoints
@@ -159,6 +196,24 @@ const apiService = {
     getAll: () => api.get('/collections'),
     getByName: (name, limit) => api.get(`/collections/${name}`, { params: { limit } }),
     refresh: (name, searchTerm) => api.post(`/collections/${name}/refresh`, { searchTerm })
+  },
+  
+  // Admin endpoints
+  admin: {
+    getJobStatus: (limit) => api.get('/admin/jobs', { params: { limit } }),
+    enqueuePriceUpdates: () => api.post('/admin/jobs/enqueue'),
+    getScraperHealth: (hours, bucketHours) => api.get('/admin/scrapers/health', { params: { hours, bucketHours } }),
+    enableScraper: (source) => api.post(`/admin/scrapers/${source}/enable`),
+    getSelectorConfigs: () => api.get('/admin/scrapers/selectors'),
+    updateSelectorConfig: (source, config) => api.put(`/admin/scrapers/${source}/selectors`, { config }),
+    resetSelectorConfig: (source) => api.delete(`/admin/scrapers/${source}/selectors`),
+    getSearchCacheStats: () => api.get('/admin/search-cache'),
+    clearSearchCache: () => api.delete('/admin/search-cache'),
+    getCanonicalProducts: (params = {}) => api.get('/admin/canonical-products', { params }),
+    getCanonicalProduct: (id) => api.get(`/admin/canonical-products/${id}`),
+    mergeCanonicalProducts: (targetId, sourceIds) => api.post('/admin/canonical-products/merge', { targetId, sourceIds }),
+    splitCanonicalProduct: (id, productIds) => api.post(`/admin/canonical-products/${id}/split`, { productIds }),
+    rematchProducts: (all = false) => api.post('/admin/canonical-products/rematch', { all }, { timeout: 600000 })
   }
 };
 
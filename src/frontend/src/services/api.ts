@@ -1,5 +1,6 @@
 import axios from 'axios';
 import config from '../config';
+import { AlertFormData, LandedCostParams, NotificationChannelFormData, ProductListParams } from '../types';
 
 // Create axios instance with configuration
 const api = axios.create({
@@ -85,6 +86,17 @@ const withRetry = <T extends (...args: any[]) => Promise<any>>(
   };
 };
 
+// Sources go as a comma list; unset filters are left out
+const toListQuery = ({ sources, ...params }: ProductListParams) => {
+  const query: Record<string, string | number | boolean> = Object.fromEntries(
+    Object.entries(params).filter(([, value]) => value !== undefined && value !== '')
+  );
+  if (sources && sources.length > 0) {
+    query.sources = sources.join(',');
+  }
+  return query;
+};
+
 // API service functions
 const apiService = {
   // Auth endpoints
@@ -104,21 +116,50 @@ const apiService = {
   
   // Product endpoints
   products: {
-    search: withRetry((query: string) => 
-      api.get('/products/search', { 
+    // refresh skips cached results and scrapes every source again
+    search: withRetry((query: string, options: { refresh?: boolean } & ProductListParams = {}) => {
+      const { refresh, ...listParams } = options;
+      return api.get('/products/search', { 
         params: { 
-          query: query.trim() 
+          query: query.trim(),
+          ...(refresh ? { refresh: true } : {}),
+          ...toListQuery(listParams)
         } 
-      })),
+      });
+    }),
+    
+    // Stored products with filters, sorting, paging and facet counts
+    list: withRetry((params: ProductListParams = {}) => 
+      api.get('/products', { params: toListQuery(params) })),
+    
+    // Progress and results so far of the background scrape started by a search
+    getSearchJob: withRetry((jobId: string) => 
+      api.get(`/products/search/jobs/${jobId}`)),
     
     getById: withRetry((id: string) => 
       api.get(`/products/${id}`)),
     
-    getPriceHistory: withRetry((id: string) => 
-      api.get(`/products/${id}/price-history`)),
+    // A variant's own price history when variantId is given
+    getPriceHistory: withRetry((id: string, variantId?: string) => 
+      api.get(`/products/${id}/price-history`, { params: { variantId } })),
+    
+    // The same item's listings on other retailers, cheapest first (by landed cost if asked)
+    getOffers: withRetry((id: string, currency?: string, landed: LandedCostParams = {}) => 
+      api.get(`/products/${id}/offers`, { params: { currency, ...landed } })),
     
     getSupportedCurrencies: withRetry(() => 
-      api.get('/products/currencies'))
+      api.get('/products/currencies')),
+    
+    // Re-scrape straight from the product page; browser fallbacks can be slow
+    refresh: withRetry((id: string) => 
+      api.post(`/products/${id}/refresh`, {}, { timeout: 120000 })),
+    
+    refreshBatch: withRetry((productIds: string[]) => 
+      api.post('/products/refresh', { productIds }, { timeout: 600000 })),
+    
+    // Start tracking one listing by its retailer URL, optionally watching it and alerting on it
+    track: withRetry((url: string, options: { watch?: boolean; alert?: Omit<AlertFormData, 'productId'> } = {}) => 
+      api.post('/products/track', { url, ...options }, { timeout: 120000 }))
   },
   
   // Watchlist endpoints
@@ -126,11 +167,13 @@ const apiService = {
     getAll: withRetry(() => 
       api.get('/watchlist')),
     
-    addProduct: withRetry((productId: string) => 
-      api.post('/watchlist', { productId })),
+    // Watch the listing, or just one of its variants
+    addProduct: withRetry((productId: string, variantId?: string) => 
+      api.post('/watchlist', { productId, variantId })),
     
-    removeProduct: withRetry((productId: string) => 
-      api.delete(`/watchlist/${productId}`)),
+    // Without a variantId every entry for the product goes; '' removes only the listing entry
+    removeProduct: withRetry((productId: string, variantId?: string) => 
+      api.delete(`/watchlist/${productId}`, { params: { variantId } })),
     
     getStats: withRetry(() => 
       api.get('/watchlist/stats'))
@@ -141,14 +184,17 @@ const apiService = {
     getAll: withRetry(() => 
       api.get('/alerts')),
     
-    create: withRetry((productId: string, targetPrice: number) => 
-      api.post('/alerts', { productId, targetPrice })),
+    create: withRetry((productId: string, targetPrice?: number, condition?: Omit<AlertFormData, 'productId'>) => 
+      api.post('/alerts', { productId, targetPrice, ...condition })),
     
-    update: withRetry((alertId: string, data: { targetPrice?: number, active?: boolean }) => 
+    update: withRetry((alertId: string, data: Omit<AlertFormData, 'productId'> & { active?: boolean }) => 
       api.put(`/alerts/${alertId}`, data)),
     
     delete: withRetry((alertId: string) => 
-      api.delete(`/alerts/${alertId}`))
+      api.delete(`/alerts/${alertId}`)),
+    
+    getHistory: withRetry((alertId: string) => 
+      api.get(`/alerts/${alertId}/history`))
   },
   
   // AI endpoints
@@ -169,7 +215,26 @@ const apiService = {
       api.put(`/notifications/${notificationId}/read`)),
     
     markAllAsRead: withRetry(() => 
-      api.put('/notifications/read-all'))
+      api.put('/notifications/read-all')),
+    
+    dismiss: withRetry((notificationId: string) => 
+      api.delete(`/notifications/${notificationId}`)),
+    
+    getChannels: withRetry(() => 
+      api.get('/notifications/channels')),
+    
+    addChannel: withRetry((channel: NotificationChannelFormData) => 
+      api.post('/notifications/channels', channel)),
+    
+    updateChannel: withRetry((channelId: string, updates: Partial<NotificationChannelFormData>) => 
+      api.put(`/notifications/channels/${channelId}`, updates)),
+    
+    deleteChannel: withRetry((channelId: string) => 
+      api.delete(`/notifications/channels/${channelId}`)),
+    
+    // channelId may be a configured channel, 'email', or omitted to test every enabled channel
+    sendTest: withRetry((channelId?: string) => 
+      api.post('/notifications/test', { channelId }))
   },
   
   // Collections endpoints
@@ -182,6 +247,51 @@ const apiService = {
     
     refresh: withRetry((name: string, searchTerm: string) => 
       api.post(`/collections/${name}/refresh`, { searchTerm }))
+  },
+  
+  // Admin endpoints
+  admin: {
+    getJobStatus: withRetry((limit?: number) => 
+      api.get('/admin/jobs', { params: { limit } })),
+    
+    enqueuePriceUpdates: withRetry(() => 
+      api.post('/admin/jobs/enqueue')),
+    
+    getScraperHealth: withRetry((hours?: number, bucketHours?: number) => 
+      api.get('/admin/scrapers/health', { params: { hours, bucketHours } })),
+    
+    enableScraper: withRetry((source: string) => 
+      api.post(`/admin/scrapers/${source}/enable`)),
+    
+    getSelectorConfigs: withRetry(() => 
+      api.get('/admin/scrapers/selectors')),
+    
+    updateSelectorConfig: withRetry((source: string, config: object | string) => 
+      api.put(`/admin/scrapers/${source}/selectors`, { config })),
+    
+    resetSelectorConfig: withRetry((source: string) => 
+      api.delete(`/admin/scrapers/${source}/selectors`)),
+    
+    getSearchCacheStats: withRetry(() => 
+      api.get('/admin/search-cache')),
+    
+    clearSearchCache: withRetry(() => 
+      api.delete('/admin/search-cache')),
+    
+    getCanonicalProducts: withRetry((params: { q?: string; minListings?: number; page?: number; limit?: number } = {}) => 
+      api.get('/admin/canonical-products', { params })),
+    
+    getCanonicalProduct: withRetry((id: string) => 
+      api.get(`/admin/canonical-products/${id}`)),
+    
+    mergeCanonicalProducts: withRetry((targetId: string, sourceIds: string[]) => 
+      api.post('/admin/canonical-products/merge', { targetId, sourceIds })),
+    
+    splitCanonicalProduct: withRetry((id: string, productIds: string[]) => 
+      api.post(`/admin/canonical-products/${id}/split`, { productIds })),
+    
+    rematchProducts: withRetry((all = false) => 
+      api.post('/admin/canonical-products/rematch', { all }, { timeout: 600000 }))
   }
 };
 
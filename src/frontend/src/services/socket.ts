@@ -0,0 +1,135 @@
+import config from '../config';
+
+type MessageHandler = (message: any) => void;
+
+const RECONNECT_DELAY = 5000;
+
+// Derive ws://host/ws from the configured API URL (http://host/api)
+const getSocketUrl = (token: string | null): string => {
+  const apiUrl: string = config.api.baseURL;
+  const baseUrl = apiUrl.replace(/\/api\/?$/, '');
+  const socketUrl = baseUrl.replace(/^http/, 'ws') + '/ws';
+  return token ? `${socketUrl}?token=${encodeURIComponent(token)}` : socketUrl;
+};
+
+// Shared connection; subscriptions are re-sent whenever it reconnects
+let socket: WebSocket | null = null;
+// The server reads the JWT only on connect, so this is who the open socket speaks for
+let socketToken: string | null = null;
+let reconnectTimer: ReturnType<typeof setTimeout> | null = null;
+const handlers = new Map<string, Set<MessageHandler>>();
+
+const send = (data: object) => {
+  if (socket && socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(data));
+  }
+};
+
+const connect = () => {
+  if (socket && (socket.readyState === WebSocket.OPEN || socket.readyState === WebSocket.CONNECTING)) {
+    return;
+  }
+
+  socketToken = localStorage.getItem('token');
+  socket = new WebSocket(getSocketUrl(socketToken));
+
+  socket.onopen = () => {
+    const topics = Array.from(handlers.keys());
+    if (topics.length > 0) {
+      send({ type: 'subscribe', topics });
+    }
+  };
+
+  socket.onmessage = (event) => {
+    try {
+      const message = JSON.parse(event.data);
+      if (message.topic && handlers.has(message.topic)) {
+        handlers.get(message.topic)!.forEach(handler => handler(message));
+      }
+    } catch (error) {
+      console.error('Error parsing WebSocket message:', error);
+    }
+  };
+
+  socket.onclose = () => {
+    socket = null;
+    // Only keep reconnecting while someone is still listening
+    if (handlers.size > 0 && !reconnectTimer) {
+      reconnectTimer = setTimeout(() => {
+        reconnectTimer = null;
+        connect();
+      }, RECONNECT_DELAY);
+    }
+  };
+
+  socket.onerror = (error) => {
+    console.error('WebSocket error:', error);
+  };
+};
+
+/**
+ * Reconnect with the current auth token if it changed since the socket connected,
+ * e.g. after login or logout. Every current topic is subscribed again on the new socket,
+ * including user topics the server refused while the socket was anonymous.
+ */
+export const reauthenticate = () => {
+  if (localStorage.getItem('token') === socketToken) return;
+
+  if (reconnectTimer) {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+  }
+  if (socket) {
+    const previous = socket;
+    socket = null;
+    previous.onclose = null;
+    previous.close();
+  }
+  if (handlers.size > 0) {
+    connect();
+  }
+};
+
+// Logging in or out in another tab changes the token here too
+window.addEventListener('storage', (event) => {
+  if (event.key === 'token' || event.key === null) {
+    reauthenticate();
+  }
+});
+
+/**
+ * Subscribe to a server-side topic such as `product:<id>` or `user:<id>:alerts`.
+ * Returns a function that removes the subscription.
+ */
+export const subscribe = (topic: string, handler: MessageHandler): (() => void) => {
+  // A socket opened under another token would be refused this topic if it's a user topic
+  if (socket) {
+    reauthenticate();
+  }
+
+  if (!handlers.has(topic)) {
+    handlers.set(topic, new Set());
+    send({ type: 'subscribe', topic });
+  }
+  handlers.get(topic)!.add(handler);
+  connect();
+
+  return () => {
+    const topicHandlers = handlers.get(topic);
+    if (!topicHandlers) return;
+
+    topicHandlers.delete(handler);
+    if (topicHandlers.size === 0) {
+      handlers.delete(topic);
+      send({ type: 'unsubscribe', topic });
+    }
+
+    if (handlers.size === 0 && socket) {
+      socket.close();
+    }
+  };
+};
+
+const socketService = { subscribe, reauthenticate };
+
+export default socketService;
@@ -4,22 +4,163 @@ export interface Product {
     title: string;
     description?: string;
     currentPrice: number;
-    originalPrice?: number;
+    originalPrice?: number; // list price, when the retailer shows one
+    discountPercent?: number;
     imageUrl?: string;
     source?: string;
     currency?: string;
     rating?: number;
     reviewCount?: number;
     url?: string;
+    availability?: AvailabilityStatus; // unset until a scraper reports it
+    deliveryEstimate?: string;
+    availabilityHistory?: AvailabilityHistoryEntry[];
+    sellerOffers?: SellerOffer[];
+    variants?: ProductVariant[];
+    shippingCost?: number; // featured offer's shipping, unset when the page didn't show it
+    importCharges?: number;
+    landedCost?: LandedCost; // only on lists requested with landedCost
     category?: string;
+    brand?: string;
+    gtin?: string;
+    modelNumber?: string;
+    canonicalProduct?: string; // shared by listings of the same item on other retailers
+    match?: ProductMatch;
     createdAt?: string;
     updatedAt?: string;
 }
 
+// Price plus what a buyer in the delivery country pays on top, in the product's currency
+export interface LandedCost {
+    total: number;
+    shippingCost: number;
+    importCharges: number; // only charged on cross-border listings
+    crossBorder: boolean;
+    complete: boolean; // false when shipping (or import charges from abroad) weren't shown
+}
+
+export interface LandedCostParams {
+    landedCost?: boolean;
+    deliveryCountry?: string; // ISO 3166-1 alpha-2
+}
+
+export type AvailabilityStatus = 'in_stock' | 'limited' | 'preorder' | 'backorder' | 'out_of_stock';
+
+export interface AvailabilityHistoryEntry {
+    status: AvailabilityStatus;
+    deliveryEstimate?: string;
+    date: string;
+}
+
+export type OfferCondition = 'new' | 'used' | 'refurbished';
+
+// One seller's offer on a marketplace listing; the featured one set the current price
+export interface SellerOffer {
+    seller?: string;
+    soldByRetailer: boolean;
+    condition: OfferCondition;
+    fulfilment?: 'retailer' | 'seller';
+    price: number;
+    currency: string;
+    shippingCost?: number;
+    importCharges?: number;
+    featured: boolean;
+    lastSeen: string;
+}
+
+export interface VariantAttributes {
+    color?: string;
+    size?: string;
+    capacity?: string;
+}
+
+// One variant of a listing, e.g. a storage size; the selected one set the current price
+export interface ProductVariant {
+    variantId: string;
+    label?: string;
+    attributes?: VariantAttributes;
+    currentPrice?: number; // unset until the variant's own price is seen
+    currency?: string;
+    availability?: AvailabilityStatus;
+    url?: string;
+    selected: boolean;
+    priceHistory?: PriceHistoryEntry[];
+    lastSeen: string;
+}
+
+// Restricts an alert to the price of matching seller offers
+export interface OfferFilter {
+    condition?: OfferCondition;
+    soldByRetailer?: boolean;
+}
+
+export interface ProductMatch {
+    method: 'gtin' | 'model' | 'title' | 'new' | 'manual';
+    confidence: number;
+    matchedAt: string;
+    locked: boolean;
+}
+
+// One retailer's listing in a price comparison; prices are in the requested currency
+export interface ProductOffer {
+    productId: string;
+    title: string;
+    source: string;
+    url: string;
+    imageUrl?: string;
+    rating?: number;
+    price: number | null; // null when the listing's currency couldn't be converted
+    sourcePrice: number; // price as listed, in sourceCurrency
+    sourceCurrency: string;
+    discountPercent: number; // off the listing's list price, 0 when none is known
+    shippingCost: number | null; // null when the page didn't show shipping
+    importCharges: number | null; // charged for the delivery country, 0 for domestic listings
+    landedPrice: number | null;
+    crossBorder: boolean;
+    landedCostComplete: boolean;
+    availability: AvailabilityStatus | null;
+    deliveryEstimate: string | null;
+    lowestPrice: number | null;
+    lowestPriceDate: string | null;
+    lastUpdated: string;
+    ageMinutes: number;
+    match?: ProductMatch;
+    isCurrent: boolean;
+    isCheapest: boolean; // cheapest listing that can be bought now
+}
+
+export interface ProductOffersResponse {
+    success: boolean;
+    productId: string;
+    canonicalProductId: string | null;
+    currency: string;
+    landedCost: boolean; // offers ranked by landedPrice rather than price
+    deliveryCountry: string | null;
+    offers: ProductOffer[];
+    sources: Record<string, { lowestPrice: number; lowestPriceDate: string }>;
+}
+
+// A real-world item grouping listings from several retailers
+export interface CanonicalProduct {
+    _id: string;
+    title: string;
+    brand?: string;
+    gtins: string[];
+    modelNumbers: string[];
+    attributes?: {
+        capacities: string[];
+        color?: string;
+    };
+    listingCount: number;
+    createdAt: string;
+    updatedAt: string;
+}
+
 export interface PriceHistoryEntry {
     price: number;
     currency: string;
     date: string;
+    variantId?: string; // variant selected on the page when the listing price was recorded
 }
 
 export interface ProductReview {
@@ -73,16 +214,30 @@ export interface User {
 
 export interface WatchlistItem {
     productId: string;
+    variantId?: string | null; // set when watching one variant
+    variant?: ProductVariant | null;
     addedAt: string;
     product?: Product; // Populated when returning from API
 }
 
+export type PriceAlertType = 'target_price' | 'percentage_drop' | 'all_time_low' | 'price_rise' | 'predicted_drop' | 'back_in_stock';
+
 export interface PriceAlert {
     _id: string;
     productId: string;
-    targetPrice: number;
+    type?: PriceAlertType;
+    targetPrice?: number;
+    percentage?: number; // percentage_drop threshold, or minimum predicted drop
+    referencePrice?: number; // price (or all-time low) when the alert was set
+    withinDays?: number; // predicted_drop window
+    offerFilter?: OfferFilter;
+    variantId?: string;
     active: boolean;
     notificationSent: boolean;
+    mode?: 'once' | 'recurring';
+    cooldownHours?: number;
+    expiresAt?: string;
+    lastTriggeredAt?: string;
     createdAt: string;
     product?: Product; // Populated when returning from API
 }
@@ -91,6 +246,49 @@ export interface UserPreferences {
     emailNotifications: boolean;
     desktopNotifications: boolean;
     currency: string;
+    deliveryCountry?: string | null;
+    useLandedCost?: boolean;
+    notificationChannels?: NotificationChannel[];
+    digest?: DigestPreferences;
+}
+
+export type DigestFrequency = 'off' | 'daily' | 'weekly';
+
+export interface DigestPreferences {
+    frequency: DigestFrequency;
+    time: string; // Local delivery time as HH:MM
+    dayOfWeek: number; // Weekly digests only, 0 = Sunday
+    timezone: string; // IANA timezone name
+}
+
+export type NotificationChannelType = 'webhook' | 'chat_webhook' | 'push';
+
+export interface NotificationChannel {
+    _id: string;
+    type: NotificationChannelType;
+    name?: string;
+    url: string;
+    provider?: 'ntfy' | 'gotify';
+    enabled: boolean;
+    hasSecret: boolean; // Credentials are never returned, only whether they are set
+    hasToken: boolean;
+    createdAt: string;
+}
+
+export interface NotificationChannelFormData {
+    type: NotificationChannelType;
+    name?: string;
+    url: string;
+    secret?: string;
+    token?: string;
+    provider?: 'ntfy' | 'gotify';
+    enabled?: boolean;
+}
+
+export interface ChannelDeliveryResult {
+    channel: string;
+    success: boolean;
+    error?: string;
 }
 
 // API Response Types
@@ -100,15 +298,82 @@ export interface ApiResponse<T> {
     error?: string;
 }
 
-export interface SearchResponse {
+export type ProductSortField = 'price' | 'rating' | 'discount' | 'lastUpdated' | 'relevance';
+
+// Filters, sorting and paging accepted by the product list and search endpoints
+export interface ProductListParams extends LandedCostParams {
+    page?: number;
+    limit?: number;
+    sources?: string[];
+    minPrice?: number; // in the requested currency
+    maxPrice?: number;
+    minRating?: number;
+    minDiscount?: number; // percent off list price
+    sort?: ProductSortField;
+    order?: 'asc' | 'desc';
+    currency?: string;
+}
+
+export interface PriceBucketFacet {
+    min: number;
+    max: number | null; // null for the open-ended top bucket
+    count: number;
+}
+
+// Counts for each filter choice, ignoring that filter's own selection
+export interface ProductFacets {
+    currency: string;
+    sources: { source: string; count: number }[];
+    priceBuckets: PriceBucketFacet[];
+}
+
+export interface ProductListResponse {
     products: Product[];
     total: number;
+    page: number;
+    limit: number;
+    totalPages: number;
+    facets: ProductFacets;
     currency: string;
 }
 
+export interface SearchResponse extends ProductListResponse {
+    jobId?: string; // background scrape publishing results on search:<jobId>
+    jobStatus?: SearchJobStatus | 'busy'; // busy: no room to scrape, results are cached and stored ones
+    sources?: Record<string, SearchSourceProgress>;
+    cache?: {
+        freshSources: string[];
+        staleSources: string[];
+        refreshed: boolean;
+    };
+}
+
+export type SearchJobStatus = 'queued' | 'running' | 'completed' | 'failed';
+
+export interface SearchSourceProgress {
+    status: 'pending' | 'running' | 'completed' | 'failed' | 'skipped' | 'cached';
+    count: number;
+    error?: string;
+}
+
+export interface SearchJob {
+    id: string;
+    query: string;
+    currency: string | null;
+    status: SearchJobStatus;
+    sources: Record<string, SearchSourceProgress>;
+    products: Product[];
+    error: string | null;
+    createdAt: string;
+    startedAt: string | null;
+    finishedAt: string | null;
+}
+
 export interface PriceHistoryResponse {
     priceHistory: PriceHistoryEntry[];
     currency: string;
+    variantId?: string | null;
+    variant?: string | null; // label of the variant the history is for
 }
 
 export interface AuthResponse {
@@ -131,7 +396,23 @@ export interface RegisterFormData {
 
 export interface AlertFormData {
     productId: string;
-    targetPrice: number;
+    type?: PriceAlertType;
+    targetPrice?: number;
+    percentage?: number;
+    withinDays?: number;
+    offerFilter?: OfferFilter | null; // null clears it
+    variantId?: string | null; // watch one variant's price; null clears it
+    mode?: 'once' | 'recurring';
+    cooldownHours?: number;
+    expiresAt?: string | null;
+}
+
+export interface AlertTrigger {
+    triggeredAt: string;
+    price: number;
+    currency: string;
+    channel: string;
+    success: boolean;
 }
 
 export interface PriceTrend {
@@ -141,13 +422,14 @@ export interface PriceTrend {
 
 export interface Notification {
     _id: string;
-    type: string; // 'price_drop', 'price_increase', 'back_in_stock', 'lowest_price', etc.
+    type: string; // 'price_drop', 'price_increase', 'back_in_stock', 'lowest_price', 'predicted_drop', etc.
     productId: string;
     product: {
         _id: string;
         title: string;
         currentPrice: number;
         currency: string;
+        imageUrl?: string;
     };
     data: {
         percentageChange?: number;
@@ -164,4 +446,5 @@ export interface SearchResults {
     totalResults: number;
     page: number;
     totalPages: number;
+    facets?: ProductFacets;
 }
\ No newline at end of file
@@ -0,0 +1,26 @@
+// Replays every recorded scraper case (see src/tools/scraper-fixtures.js) against its golden output
+process.env.SCRAPER_FIXTURES = 'replay';
+
+const { SCRAPERS, loadCases, runCase, findDifference } = require('../scraper-fixtures');
+
+describe.each(Object.keys(SCRAPERS))('%s scraper fixtures', (source) => {
+  const cases = loadCases(source);
+
+  beforeAll(() => {
+    // Scrapers log every parsed price; keep the test output to the results
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  it('has recorded cases', () => {
+    expect(cases.length).toBeGreaterThan(0);
+  });
+
+  it.each(cases.map(testCase => [testCase.name, testCase]))('%s matches its golden output', async (name, testCase) => {
+    const actual = await runCase(source, testCase);
+    expect(findDifference(testCase.expected, actual)).toBeNull();
+  });
+});
@@ -0,0 +1,296 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const cheerio = require('cheerio');
+const fixtureStore = require('../backend/services/scrapers/fixtureStore');
+const AmazonScraper = require('../backend/services/scrapers/AmazonScraper');
+const AmazonIndiaScraper = require('../backend/services/scrapers/AmazonIndiaScraper');
+const EbayScraper = require('../backend/services/scrapers/EbayScraper');
+const FlipkartScraper = require('../backend/services/scrapers/FlipkartScraper');
+
+/**
+ * Record scraper pages and check scraper output against golden JSON, offline.
+ *
+ *   record  --scraper=<source> (--query=<text> | --url=<product url>) [--name=<case>]
+ *           Scrapes the live site while saving every page, then replays the saved
+ *           pages and stores the output as the case's expected result.
+ *   record  --scraper=<source> --page --url=<page url> [--query=<text>] [--parser=builtin] [--name=<case>]
+ *           Saves one page fetched over plain HTTP as a page case: a search results page
+ *           when --query is given, otherwise a product page. Page cases run the scraper's
+ *           parsers on the saved HTML directly, so they need no browser.
+ *   verify  [--scraper=<source>] [--update]
+ *           Replays every recorded case and compares the output with its golden JSON.
+ *           --update rewrites the golden files with the current output.
+ *           Fails when no case was found.
+ */
+
+const SCRAPERS = {
+  amazon: AmazonScraper,
+  amazon_in: AmazonIndiaScraper,
+  ebay: EbayScraper,
+  flipkart: FlipkartScraper
+};
+
+// Fields that change on every run and say nothing about parsing
+const VOLATILE_FIELDS = ['lastUpdated'];
+
+// Cases that parse one saved page with cheerio instead of driving the browser
+const PAGE_CASE_TYPES = ['search-page', 'details-page'];
+
+// Scrapers whose own extractProductsFromPage parses a cheerio document; the others need the browser page
+const CHEERIO_SEARCH_PARSERS = ['amazon', 'ebay'];
+
+// Parse command line arguments
+const [command, ...args] = process.argv.slice(2);
+const cmdArgs = {};
+
+args.forEach(arg => {
+  if (arg.startsWith('--')) {
+    const [key, ...value] = arg.substring(2).split('=');
+    cmdArgs[key] = value.length > 0 ? value.join('=') : true;
+  }
+});
+
+const getCasesDir = (source) => path.join(fixtureStore.getFixtureDir(), source, 'cases');
+
+const slugify = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60);
+
+/**
+ * Strip volatile fields and turn dates into strings so output compares like the stored JSON
+ */
+function normalizeOutput(value) {
+  return JSON.parse(JSON.stringify(value === undefined ? null : value), (key, fieldValue) =>
+    VOLATILE_FIELDS.includes(key) ? undefined : fieldValue
+  );
+}
+
+/**
+ * Find the first path where two JSON values differ
+ * @returns {string|null} - Description of the difference, or null if equal
+ */
+function findDifference(expected, actual, currentPath = '$') {
+  if (util.isDeepStrictEqual(expected, actual)) return null;
+
+  if (Array.isArray(expected) && Array.isArray(actual)) {
+    if (expected.length !== actual.length) {
+      return `${currentPath}: expected ${expected.length} items, got ${actual.length}`;
+    }
+    for (let i = 0; i < expected.length; i++) {
+      const difference = findDifference(expected[i], actual[i], `${currentPath}[${i}]`);
+      if (difference) return difference;
+    }
+  }
+
+  if (expected && actual && typeof expected === 'object' && typeof actual === 'object' &&
+      !Array.isArray(expected) && !Array.isArray(actual)) {
+    const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+    for (const key of keys) {
+      const difference = findDifference(expected[key], actual[key], `${currentPath}.${key}`);
+      if (difference) return difference;
+    }
+  }
+
+  return `${currentPath}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`;
+}
+
+/**
+ * Parse a saved page the way the scraper parses the page it has loaded.
+ * Search pages go through the selector config, or the scraper's own
+ * extractProductsFromPage with parser 'builtin'; product pages through the
+ * config parser that HTTP refreshes use.
+ */
+async function runPageCase(scraper, testCase) {
+  const { url, query, parser } = testCase.input;
+  const html = fixtureStore.loadFixture(scraper.source, url);
+  if (!html) {
+    throw new Error(`No fixture recorded for ${url}`);
+  }
+  const $ = cheerio.load(html);
+
+  if (testCase.type === 'details-page') {
+    return scraper.normalizeProductDetails(scraper.parseProductDetails($, url), url);
+  }
+
+  if (parser === 'builtin') {
+    if (!CHEERIO_SEARCH_PARSERS.includes(scraper.source)) {
+      throw new Error(`The ${scraper.source} scraper's own search parser needs a browser page`);
+    }
+    scraper.searchQuery = query;
+    return scraper.extractProductsFromPage($);
+  }
+
+  return scraper.extractProductsWithConfig($, query);
+}
+
+/**
+ * Run one case with a fresh scraper in the current fixture mode
+ */
+async function runCase(source, testCase) {
+  const scraper = new SCRAPERS[source]();
+
+  try {
+    let output;
+    if (PAGE_CASE_TYPES.includes(testCase.type)) {
+      output = await runPageCase(scraper, testCase);
+    } else if (testCase.type === 'search') {
+      output = await scraper.searchProducts(testCase.input.query);
+    } else {
+      output = await scraper.getProductDetails(testCase.input.url);
+    }
+    return normalizeOutput(output);
+  } finally {
+    await scraper.close().catch(() => {});
+  }
+}
+
+function loadCases(source) {
+  const casesDir = getCasesDir(source);
+  if (!fs.existsSync(casesDir)) return [];
+
+  return fs.readdirSync(casesDir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => ({
+      file: path.join(casesDir, file),
+      ...JSON.parse(fs.readFileSync(path.join(casesDir, file), 'utf8'))
+    }));
+}
+
+function saveCase({ file, ...testCase }) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(testCase, null, 2) + '\n');
+}
+
+function getPageCaseInput() {
+  return {
+    url: cmdArgs.url,
+    ...(cmdArgs.query ? { query: cmdArgs.query } : {}),
+    ...(cmdArgs.parser ? { parser: cmdArgs.parser } : {})
+  };
+}
+
+async function record() {
+  const source = cmdArgs.scraper;
+  if (!SCRAPERS[source] || (!cmdArgs.query && !cmdArgs.url) || (cmdArgs.page && !cmdArgs.url)) {
+    console.error('Usage: scraper-fixtures.js record --scraper=<amazon|amazon_in|ebay|flipkart> (--query=<text> | --url=<url>) [--name=<case>]');
+    console.error('       scraper-fixtures.js record --scraper=<source> --page --url=<url> [--query=<text>] [--parser=builtin] [--name=<case>]');
+    return false;
+  }
+
+  let type;
+  let input;
+  if (cmdArgs.page) {
+    type = cmdArgs.query ? 'search-page' : 'details-page';
+    input = getPageCaseInput();
+  } else {
+    type = cmdArgs.query ? 'search' : 'details';
+    input = cmdArgs.query ? { query: cmdArgs.query } : { url: cmdArgs.url };
+  }
+  const name = slugify(cmdArgs.name || `${type}-${cmdArgs.query || cmdArgs.url}`);
+  const testCase = { file: path.join(getCasesDir(source), `${name}.json`), name, type, input };
+
+  console.log(`\nRecording ${type} case "${name}" from the live ${source} site...`);
+  process.env.SCRAPER_FIXTURES = 'record';
+  if (cmdArgs.page) {
+    await new SCRAPERS[source]().fetchPageHtml(cmdArgs.url);
+  } else {
+    await runCase(source, testCase);
+  }
+
+  // Golden output comes from the replay so it matches exactly what verify will see
+  console.log('\nReplaying recorded pages to capture the expected output...');
+  process.env.SCRAPER_FIXTURES = 'replay';
+  testCase.expected = await runCase(source, testCase);
+  testCase.recordedAt = new Date().toISOString();
+  saveCase(testCase);
+
+  const count = Array.isArray(testCase.expected) ? testCase.expected.length : (testCase.expected ? 1 : 0);
+  console.log(`\nSaved ${testCase.file} (${count} ${type === 'search' ? 'products' : 'product'})`);
+  if (count === 0) {
+    console.warn('Warning: the replay produced no output; check the recorded pages before relying on this case');
+  }
+  return true;
+}
+
+async function verify() {
+  process.env.SCRAPER_FIXTURES = 'replay';
+
+  const sources = cmdArgs.scraper ? [cmdArgs.scraper] : Object.keys(SCRAPERS);
+  const unknown = sources.filter(source => !SCRAPERS[source]);
+  if (unknown.length > 0) {
+    console.error(`Unknown scraper: ${unknown.join(', ')}`);
+    return false;
+  }
+
+  const results = { passed: 0, failed: 0, updated: 0 };
+
+  for (const source of sources) {
+    for (const testCase of loadCases(source)) {
+      const label = `${source}/${testCase.name}`;
+      let actual;
+
+      try {
+        actual = await runCase(source, testCase);
+      } catch (error) {
+        results.failed++;
+        console.log(`✗ ${label}\n    ${error.message}`);
+        continue;
+      }
+
+      const difference = findDifference(testCase.expected, actual);
+
+      if (!difference) {
+        results.passed++;
+        console.log(`✓ ${label}`);
+      } else if (cmdArgs.update) {
+        results.updated++;
+        saveCase({ ...testCase, expected: actual });
+        console.log(`↻ ${label} (golden updated)\n    ${difference}`);
+      } else {
+        results.failed++;
+        console.log(`✗ ${label}\n    ${difference}`);
+      }
+    }
+  }
+
+  const total = results.passed + results.failed + results.updated;
+  if (total === 0) {
+    // Checking nothing must not look like a pass
+    console.error(`\nNo recorded cases found in ${fixtureStore.getFixtureDir()}`);
+    return false;
+  }
+
+  console.log(`\nPassed: ${results.passed}, Failed: ${results.failed}${cmdArgs.update ? `, Updated: ${results.updated}` : ''}`);
+  return results.failed === 0;
+}
+
+async function main() {
+  switch (command) {
+    case 'record':
+      return record();
+    case 'verify':
+      return verify();
+    default:
+      console.log('Usage: node src/tools/scraper-fixtures.js <record|verify> [options]');
+      return false;
+  }
+}
+
+// The test suite replays the same cases through Jest
+module.exports = {
+  SCRAPERS,
+  loadCases,
+  runCase,
+  findDifference
+};
+
+if (require.main === module) {
+  main()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('Error running scraper fixtures:', error);
+      process.exit(1);
+    });
+}